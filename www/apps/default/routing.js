@@ -68,6 +68,15 @@
                         }
                     }
                 })
+                .state('data.map', {
+                    url: '/{resourceName}/map',
+                    views: {
+                        'data': {
+                            templateUrl: 'views/data/map.html',
+                            controller: "EMDataMap"
+                        }
+                    }
+                })
                 .state('data.update', {
                     url: '/{resourceName}/{recordID:int}',
                     views: {
@@ -109,6 +118,21 @@
                     templateUrl: 'views/sync/index.html',
                     controller: "EMSync"
                 })
+                .state('maps', {
+                    url: '/maps',
+                    templateUrl: 'views/gis/maps.html',
+                    controller: "EMMaps"
+                })
+                .state('profiles', {
+                    url: '/profiles',
+                    templateUrl: 'views/settings/profiles.html',
+                    controller: "EMProfiles"
+                })
+                .state('users', {
+                    url: '/users',
+                    templateUrl: 'views/settings/users.html',
+                    controller: "EMUsers"
+                })
                 .state('settings', {
                     url: '/settings',
                     views: {
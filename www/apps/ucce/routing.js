@@ -56,7 +56,8 @@
                     cache: false,
                     url: '/{resourceName}/{recordID:int}/wizard',
                     params: {
-                        language: ''
+                        language: '',
+                        returnTo: ''
                     },
                     controller: 'EMFormWizardController',
                     template: '<ion-nav-view></ion-nav-view>'
@@ -25,13 +25,17 @@
 
 /**
  * The version number for the default schema
+ *
+ * - increment this when changing the default schema, and register a
+ *   migration for the new version with emMigrationsProvider to upgrade
+ *   existing databases (see services/db/migrations.js)
  */
-var emSchemaVersion = '6';
+var emSchemaVersion = '14';
 
 /**
  * The default schema for the local database
  */
-EdenMobile.factory('emDefaultSchema', ['emUtils', function (emUtils) {
+EdenMobile.factory('emDefaultSchema', ['$injector', 'emUtils', function ($injector, emUtils) {
 
     var tables = [
 
@@ -93,6 +97,81 @@ EdenMobile.factory('emDefaultSchema', ['emUtils', function (emUtils) {
             }
         },
 
+        /**
+         * Table to store the (PIN-encrypted) data encryption key
+         */
+        {
+            _name: 'em_keystore',
+            'salt': {
+                type: 'string',
+                label: 'Salt',
+                notnull: true
+            },
+            'data_key': {
+                type: 'string',
+                label: 'Data Key',
+                notnull: true
+            }
+        },
+
+        /**
+         * Local user accounts (shared devices)
+         */
+        {
+            _name: 'em_user',
+            'username': {
+                type: 'string',
+                label: 'Username',
+                notnull: true
+            },
+            'salt': {
+                type: 'string',
+                label: 'Salt',
+                notnull: true
+            },
+            'pin_hash': {
+                type: 'string',
+                label: 'PIN Hash',
+                notnull: true
+            },
+            'server_username': {
+                // Server credentials to upload the user's records
+                type: 'string',
+                label: 'Server Username'
+            },
+            'server_password': {
+                type: 'string',
+                label: 'Server Password',
+                encrypted: true
+            }
+        },
+
+        /**
+         * OAuth2 access tokens (per local user, null for the default
+         * server credentials)
+         */
+        {
+            _name: 'em_token',
+            'username': {
+                type: 'string',
+                label: 'Username'
+            },
+            'access_token': {
+                type: 'string',
+                label: 'Access Token',
+                encrypted: true
+            },
+            'refresh_token': {
+                type: 'string',
+                label: 'Refresh Token',
+                encrypted: true
+            },
+            'expires_on': {
+                type: 'datetime',
+                label: 'Expires on'
+            }
+        },
+
         /**
          * Table to store object keys
          */
@@ -197,9 +276,209 @@ EdenMobile.factory('emDefaultSchema', ['emUtils', function (emUtils) {
                 type: 'boolean',
                 defaultValue: true
             }
+        },
+
+        /**
+         * Synchronization conflicts
+         */
+        {
+            _name: 'em_sync_conflict',
+            'timestamp': {
+                type: 'datetime',
+                label: 'Date/Time'
+            },
+            'tablename': {
+                type: 'string',
+                label: 'Table Name',
+                notnull: true
+            },
+            'record_id': {
+                type: 'integer',
+                label: 'Record ID'
+            },
+            'uuid': {
+                type: 'string',
+                label: 'Record UUID'
+            },
+            'title': {
+                type: 'string',
+                label: 'Record'
+            },
+            'policy': {
+                type: 'string',
+                label: 'Conflict Policy'
+            },
+            'local_modified_on': {
+                type: 'datetime',
+                label: 'Modified locally on'
+            },
+            'remote_modified_on': {
+                type: 'datetime',
+                label: 'Modified on server on'
+            },
+            'remote_data': {
+                // Server version of the record (unresolved conflicts only)
+                type: 'json',
+                label: 'Server Version'
+            },
+            'resolution': {
+                // server|local, null=unresolved
+                type: 'string',
+                label: 'Resolution'
+            },
+            'resolved_on': {
+                type: 'datetime',
+                label: 'Resolved on'
+            }
+        },
+
+        /**
+         * Audit trail of local record changes
+         */
+        {
+            _name: 'em_audit',
+            'tablename': {
+                type: 'string',
+                label: 'Table Name',
+                notnull: true
+            },
+            'record_uuid': {
+                type: 'string',
+                label: 'Record UUID',
+                notnull: true
+            },
+            'operation': {
+                // insert|update|delete
+                type: 'string',
+                label: 'Operation',
+                notnull: true
+            },
+            'timestamp': {
+                type: 'datetime',
+                label: 'Date/Time'
+            },
+            'changes': {
+                // {fieldName: [oldValue, newValue]}, SQL values,
+                // null for encrypted fields
+                type: 'json',
+                label: 'Changes'
+            },
+            'username': {
+                // The local user who made the change
+                type: 'string',
+                label: 'Username'
+            },
+            'session': {
+                // The key of the server session (master key UUID)
+                type: 'string',
+                label: 'Session'
+            }
+        },
+
+        /**
+         * Upload progress (for resumable uploads)
+         */
+        {
+            _name: 'em_upload',
+            'tablename': {
+                type: 'string',
+                label: 'Table Name',
+                notnull: true
+            },
+            'batches': {
+                // Planned batches, [[uuid, ...], ...]
+                type: 'json',
+                label: 'Batches'
+            },
+            'next_batch': {
+                // Index of the next unsent batch
+                type: 'integer',
+                label: 'Next Batch',
+                defaultValue: 0
+            },
+            'retry': {
+                // Rejected records, {uuid: [attempts, nextAttemptMs, error]}
+                type: 'json',
+                label: 'Retry Queue'
+            },
+            'username': {
+                // The local user whose records are uploaded
+                type: 'string',
+                label: 'Username'
+            },
+            'updated_on': {
+                type: 'datetime',
+                label: 'Updated on'
+            }
+        },
+
+        /**
+         * Data list filters and sort order (per resource)
+         */
+        {
+            _name: 'em_filter',
+            'resource': {
+                type: 'string',
+                label: 'Resource Name',
+                notnull: true
+            },
+            'filters': {
+                // [{selector: string, op: string, value: *}, ...]
+                type: 'json',
+                label: 'Filters'
+            },
+            'orderby': {
+                // {selector: string, desc: boolean}
+                type: 'json',
+                label: 'Sort Order'
+            },
+            'mine': {
+                // Show only records created by the current user
+                type: 'boolean',
+                label: 'My Records Only',
+                defaultValue: false
+            }
+        },
+
+        /**
+         * Offline maps (imported MBTiles files)
+         */
+        {
+            _name: 'em_map',
+            'name': {
+                type: 'string',
+                label: 'Name',
+                notnull: true
+            },
+            'filename': {
+                // Database name of the MBTiles file
+                type: 'string',
+                label: 'File Name',
+                notnull: true
+            },
+            'metadata': {
+                // {format, minzoom, maxzoom, bounds: [w, s, e, n], ...}
+                type: 'json',
+                label: 'Metadata'
+            },
+            'active': {
+                type: 'boolean',
+                label: 'Active',
+                defaultValue: false
+            }
         }
     ];
 
+    /**
+     * Get the name of the currently logged-in local user
+     * - emUsers is injected lazily since it depends on emDB
+     *
+     * @returns {string} - the username, or null if not logged in
+     */
+    var currentUser = function() {
+        return $injector.get('emUsers').current();
+    };
+
     /**
      * Meta fields for user tables
      */
@@ -237,6 +516,27 @@ EdenMobile.factory('emDefaultSchema', ['emUtils', function (emUtils) {
                 return new Date();
             }
         },
+        'created_by': {
+            // The local user who created the record
+            type: 'string',
+            readable: false,
+            writable: false,
+            defaultValue: function() {
+                return currentUser();
+            }
+        },
+        'modified_by': {
+            // The local user who last modified the record
+            type: 'string',
+            readable: false,
+            writable: false,
+            defaultValue: function() {
+                return currentUser();
+            },
+            updateValue: function() {
+                return currentUser();
+            }
+        },
         'em_incomplete': {
             // Flag to indicate that the record is incomplete,
             // and not ready for upload yet
@@ -289,3 +589,20 @@ EdenMobile.factory('emDefaultSchema', ['emUtils', function (emUtils) {
     };
 
 }]);
+
+/**
+ * Schema migrations
+ */
+EdenMobile.config(['emMigrationsProvider', function(emMigrationsProvider) {
+
+    emMigrationsProvider.migration('11', 'device PIN keystore', function(/* migrate */) {
+        // em_keystore is created with the system tables, no other steps
+    });
+
+    emMigrationsProvider.migration('12', 'local user accounts', function(migrate) {
+        migrate.addMetaField('created_by')
+               .addMetaField('modified_by')
+               .addField('em_upload', 'username')
+               .addField('em_filter', 'mine');
+    });
+}]);
@@ -65,7 +65,8 @@ EdenMobile.value('emSettings', {
             //defaultValue: 'mypassword',
             label: 'Password for Sahana Server',
             empty: 'not specified',
-            placeholder: 'Enter your password'
+            placeholder: 'Enter your password',
+            encrypted: true
         },
 
         // Hidden setting for MasterKeyAuth app key
@@ -75,7 +76,65 @@ EdenMobile.value('emSettings', {
             type: 'password',
             label: 'Application Key',
             readable: false,
-            writable: false
+            writable: false,
+            encrypted: true
+        }
+    },
+
+    'sync': {
+
+        _title: 'Synchronization',
+
+        'autoSync': {
+            type: 'boolean',
+            defaultValue: false,
+            label: 'Synchronize automatically'
+        },
+        'wifiOnly': {
+            type: 'boolean',
+            defaultValue: true,
+            label: 'Synchronize automatically only via Wi-Fi'
+        },
+        'interval': {
+            type: 'integer',
+            defaultValue: 60,
+            label: 'Synchronization Interval (minutes)',
+            help: 'Time between automatic synchronizations',
+            placeholder: 'Enter a number'
+        },
+        'minInterval': {
+            type: 'integer',
+            defaultValue: 15,
+            label: 'Minimum Interval (minutes)',
+            help: 'Minimum time between automatic synchronizations when the device comes online or the app resumes',
+            placeholder: 'Enter a number'
+        },
+        'uploadBatchSize': {
+            type: 'integer',
+            defaultValue: 20,
+            label: 'Upload Batch Size',
+            help: 'Number of records to send to the server per request',
+            placeholder: 'Enter a number'
+        }
+    },
+
+    'location': {
+
+        _title: 'Location Capture',
+
+        'accuracyThreshold': {
+            type: 'integer',
+            defaultValue: 50,
+            label: 'Accuracy Threshold (meters)',
+            help: 'Warn when the accuracy of a captured position is worse than this',
+            placeholder: 'Enter a number'
+        },
+        'timeout': {
+            type: 'integer',
+            defaultValue: 30,
+            label: 'Positioning Timeout (seconds)',
+            help: 'Maximum time to wait for the current position',
+            placeholder: 'Enter a number'
         }
     }
 });
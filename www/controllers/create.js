@@ -114,6 +114,11 @@ EdenMobile.controller('EMDataCreate', [
             // Configure the submit-function
             $scope.submit = function(form) {
 
+                // Validate the form, stop if there are errors
+                if ($scope.$broadcast('FormValidation').defaultPrevented) {
+                    return;
+                }
+
                 // Broadcast form submission
                 $scope.$broadcast('FormSubmission');
 
@@ -31,8 +31,10 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller("EMDataList", [
-    '$scope', '$state', '$stateParams', 'emDialogs', 'emResources',
-    function($scope, $state, $stateParams, emDialogs, emResources) {
+    '$ionicLoading', '$ionicModal', '$ionicPopup', '$scope', '$state', '$stateParams', '$timeout',
+    'emDialogs', 'emExport', 'emFilters', 'emLocation', 'emResources', 'emUsers',
+    function($ionicLoading, $ionicModal, $ionicPopup, $scope, $state, $stateParams, $timeout,
+             emDialogs, emExport, emFilters, emLocation, emResources, emUsers) {
 
         "use strict";
 
@@ -45,6 +47,24 @@ EdenMobile.controller("EMDataList", [
         $scope.recordID = recordID;
         $scope.componentName = componentName;
 
+        // Paging and full-text search
+        var pageSize = 20,
+            searchDelay = 400,
+            searchTimeout = null,
+            currentSubset = null,
+            currentFields = null;
+
+        $scope.search = {text: ''};
+        $scope.searchable = false;
+        $scope.moreRecords = false;
+
+        // Filters and sort order (stored per resource or component)
+        var filterKey = componentName ? resourceName + '.' + componentName : resourceName,
+            filterConfig = {filters: [], orderby: null, mine: false},
+            baseSubset = null;
+
+        $scope.filterActive = false;
+
         /**
          * Refresh the scope with resource and record data
          *
@@ -82,24 +102,354 @@ EdenMobile.controller("EMDataList", [
                 fields.push('id');
             }
 
-            // Select all existing records
-            subset.select(fields, function(rows) {
+            baseSubset = subset;
+            currentFields = fields;
+            $scope.searchable = !!subset.table.fullTextIndex();
+
+            // Apply the stored filters
+            try {
+                currentSubset = emFilters.apply(subset, filterConfig);
+            } catch (error) {
+                currentSubset = subset;
+                emDialogs.error('Invalid filter', error.message);
+            }
+            $scope.filterActive = !!(filterConfig.filters.length ||
+                                     filterConfig.orderby ||
+                                     filterConfig.mine && emUsers.current());
+
+            // Load the first page
+            loadRecords(true);
+        };
+
+        /**
+         * Represent the records for a set of rows
+         *
+         * @param {Resource} resource - the resource
+         * @param {Array} rows - the Rows
+         *
+         * @returns {promise} - a promise that resolves into the
+         *                      represented records
+         */
+        var representRows = function(resource, rows) {
 
-                // TODO change representRecords to accept rows
-                var records = [];
-                rows.forEach(function(row) {
-                    records.push(row._());
+            // TODO change representRecords to accept rows
+            var records = [];
+            rows.forEach(function(row) {
+                records.push(row._());
+            });
+            return resource.representRecords(records);
+        };
+
+        /**
+         * Extract the next page of records from the current subset,
+         * or the next page of search results if there is a search text
+         *
+         * @param {Subset} subset - the subset
+         * @param {string} searchText - the search text
+         * @param {number} offset - the number of records already loaded
+         *
+         * @returns {promise} - a promise that resolves into the page
+         *                      {rows: [Row, ...], more: boolean, total: number}
+         */
+        var loadPage = function(subset, searchText, offset) {
+
+            var options;
+            if (searchText) {
+                options = {limitby: [offset, pageSize]};
+                return subset.search(searchText, currentFields, options).then(function(result) {
+                    return {
+                        rows: result.rows,
+                        more: offset + result.rows.length < result.total,
+                        total: result.total
+                    };
                 });
-                resource.representRecords(records).then(function(result) {
-                    $scope.records = result;
+            } else {
+                var idField = subset.table.$('id'),
+                    orderby = emFilters.orderby(subset.resource, filterConfig);
+                options = {
+                    offset: offset,
+                    pageSize: pageSize,
+                    orderby: orderby ? [orderby, idField] : idField
+                };
+                return subset.selectPage(currentFields, options).then(function(page) {
+                    if (offset) {
+                        return page;
+                    }
+                    return subset.count().then(function(numRows) {
+                        page.total = numRows;
+                        return page;
+                    });
                 });
+            }
+        };
+
+        /**
+         * Load the first/next page of records in the current subset,
+         * and update the list
+         *
+         * @param {boolean} reset - reload the list from the first page
+         *                          (rather than appending the next page)
+         */
+        var loadRecords = function(reset) {
+
+            var subset = currentSubset;
+            if (!subset) {
+                return;
+            }
+
+            var searchText = $scope.search.text,
+                records = reset ? [] : ($scope.records || []);
+
+            loadPage(subset, searchText, records.length).then(
+                function(page) {
+                    if (subset !== currentSubset || searchText != $scope.search.text) {
+                        // Outdated result
+                        return;
+                    }
+                    representRows(subset.resource, page.rows).then(function(represented) {
+                        $scope.records = records.concat(represented);
+                        if (page.total !== undefined) {
+                            $scope.totalRecords = page.total;
+                        }
+                        $scope.moreRecords = page.more;
+                        $scope.$broadcast('scroll.infiniteScrollComplete');
+                    });
+                },
+                function(error) {
+                    $scope.moreRecords = false;
+                    $scope.$broadcast('scroll.infiniteScrollComplete');
+                    if (searchText) {
+                        emDialogs.error('Search failed', error);
+                    } else {
+                        emDialogs.error('Could not load records', error);
+                    }
+                });
+        };
+
+        /**
+         * Start a new search when the search text changes (debounced)
+         */
+        $scope.updateSearch = function() {
+
+            if (searchTimeout) {
+                $timeout.cancel(searchTimeout);
+            }
+            searchTimeout = $timeout(function() {
+                searchTimeout = null;
+                loadRecords(true);
+            }, searchDelay);
+        };
+
+        /**
+         * Clear the search text and show all records
+         */
+        $scope.clearSearch = function() {
+
+            $scope.search.text = '';
+            $scope.updateSearch();
+        };
+
+        /**
+         * Load the next page of records (infinite scroll)
+         */
+        $scope.loadMoreRecords = function() {
+
+            loadRecords(false);
+        };
+
+        /**
+         * Open the filter panel
+         */
+        $scope.openFilters = function() {
+
+            var subset = baseSubset;
+            if (!subset) {
+                return;
+            }
+
+            var resource = subset.resource;
+
+            $scope.filterFields = emFilters.filterFields(resource);
+            $scope.sortFields = emFilters.sortFields(resource);
+            $scope.filterOperators = emFilters.operators;
+
+            // Work on a copy of the current configuration
+            $scope.filterForm = {
+                filters: angular.copy(filterConfig.filters),
+                orderby: angular.copy(filterConfig.orderby) || {selector: '', desc: false},
+                mine: !!filterConfig.mine
+            };
+            $scope.currentUser = emUsers.current();
+
+            if ($scope.filterModal) {
+                $scope.filterModal.remove();
+            }
+            $ionicModal.fromTemplateUrl('views/data/filter.html', {
+                scope: $scope
+            }).then(function(modal) {
+                $scope.filterModal = modal;
+                modal.show();
             });
         };
 
         /**
-         * Open list of records
+         * Get the field type of a filter field option
+         *
+         * @param {string} selector - the field selector
+         *
+         * @returns {string} - the field type
          */
-        var openDataList = function() {
+        $scope.filterFieldType = function(selector) {
+
+            var fieldType;
+            ($scope.filterFields || []).some(function(option) {
+                if (option.selector == selector) {
+                    fieldType = option.type;
+                    return true;
+                }
+            });
+            return fieldType;
+        };
+
+        /**
+         * Add a filter row in the filter panel
+         */
+        $scope.addFilter = function() {
+
+            $scope.filterForm.filters.push({selector: '', op: 'eq', value: ''});
+        };
+
+        /**
+         * Remove a filter row in the filter panel
+         *
+         * @param {integer} index - the index of the filter row
+         */
+        $scope.removeFilter = function(index) {
+
+            $scope.filterForm.filters.splice(index, 1);
+        };
+
+        /**
+         * Store and apply a filter configuration
+         *
+         * @param {object} config - the configuration {filters: [], orderby: {}}
+         */
+        var applyFilters = function(config) {
+
+            filterConfig = config;
+            emFilters.save(filterKey, config).catch(function(error) {
+                emDialogs.error('Could not save filter', error);
+            });
+            if ($scope.filterModal) {
+                $scope.filterModal.remove();
+                $scope.filterModal = null;
+            }
+            if (baseSubset) {
+                updateDataList(baseSubset);
+            }
+        };
+
+        /**
+         * Apply the filters and sort order from the filter panel
+         */
+        $scope.applyFilters = function() {
+
+            var form = $scope.filterForm,
+                orderby = form.orderby;
+
+            applyFilters({
+                filters: form.filters.filter(function(filter) {
+                    return !!filter.selector;
+                }).map(function(filter) {
+                    return {
+                        selector: filter.selector,
+                        op: filter.op,
+                        value: filter.value
+                    };
+                }),
+                orderby: orderby && orderby.selector ? orderby : null,
+                mine: !!form.mine
+            });
+        };
+
+        /**
+         * Remove all filters and the sort order
+         */
+        $scope.clearFilters = function() {
+
+            applyFilters({filters: [], orderby: null, mine: false});
+        };
+
+        /**
+         * Export all records of the resource to a file
+         *
+         * @param {string} format - the export format: csv|xlsx
+         */
+        var exportData = function(format) {
+
+            $ionicLoading.show({
+                template: 'Exporting data...'
+            }).then(function() {
+                emExport.exportResource(resourceName, format).then(
+                    function(fileURIs) {
+                        $ionicLoading.hide();
+                        var fileNames = fileURIs.map(function(fileURI) {
+                            return decodeURIComponent(fileURI.split('/').pop());
+                        });
+                        $ionicPopup.alert({
+                            title: 'Export complete',
+                            template: '<p>Data have been exported to the <b>exports</b> folder:</p>' +
+                                      '<p>' + fileNames.join('<br>') + '</p>'
+                        });
+                    },
+                    function(error) {
+                        $ionicLoading.hide();
+                        emDialogs.error('Export failed', error);
+                    });
+            });
+        };
+
+        /**
+         * Ask for the export format, then export the data
+         */
+        $scope.exportData = function() {
+
+            $ionicPopup.show({
+                title: 'Export Data',
+                subTitle: 'Choose the file format',
+                buttons: [
+                    {
+                        text: 'Cancel',
+                        type: 'button-default'
+                    },
+                    {
+                        text: 'CSV',
+                        type: 'button-positive',
+                        onTap: function() {
+                            exportData('csv');
+                        }
+                    },
+                    {
+                        text: 'Excel',
+                        type: 'button-positive',
+                        onTap: function() {
+                            exportData('xlsx');
+                        }
+                    }
+                ]
+            });
+        };
+
+        $scope.$on('$destroy', function() {
+            if ($scope.filterModal) {
+                $scope.filterModal.remove();
+            }
+        });
+
+        /**
+         * Open the resource and show the list of records
+         */
+        var openResource = function() {
 
             // Open the master resource
             emResources.open(resourceName).then(function(resource) {
@@ -122,6 +472,7 @@ EdenMobile.controller("EMDataList", [
 
                     $scope.insertable = false;
                     $scope.createView = "#";
+                    $scope.mapView = null;
 
                     if (componentName) {
 
@@ -175,6 +526,10 @@ EdenMobile.controller("EMDataList", [
                             $scope.insertable = true;
                             $scope.createView = $state.href('data.create', linkParams);
                         }
+                        // Map view (if the resource has location fields)
+                        if (emLocation.locationFields(resource).length) {
+                            $scope.mapView = $state.href('data.map', linkParams);
+                        }
                         // Open master record list
                         updateDataList(resource.subSet());
                     }
@@ -182,6 +537,16 @@ EdenMobile.controller("EMDataList", [
             });
         };
 
+        /**
+         * Open list of records
+         */
+        var openDataList = function() {
+
+            emFilters.load(filterKey).then(function(config) {
+                filterConfig = config;
+            }).finally(openResource);
+        };
+
         $scope.$on('$ionicView.enter', openDataList);
     }
 ]);
@@ -0,0 +1,325 @@
+/**
+ * Sahana Eden Mobile - Map Controllers
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function() {
+
+    "use strict";
+
+    // ========================================================================
+    /**
+     * Controller to manage offline maps
+     */
+    EdenMobile.controller("EMMaps", [
+        '$ionicModal', '$scope', 'emDialogs', 'emTiles',
+        function($ionicModal, $scope, emDialogs, emTiles) {
+
+            $scope.maps = [];
+            $scope.activeMap = {id: null};
+
+            /**
+             * Load the list of imported maps
+             */
+            var loadMaps = function() {
+
+                emTiles.maps().then(function(maps) {
+                    var activeMap = null;
+                    maps.forEach(function(map) {
+                        if (map.active) {
+                            activeMap = map.id;
+                        }
+                    });
+                    $scope.maps = maps;
+                    $scope.activeMap.id = activeMap;
+                });
+            };
+
+            /**
+             * Set the active map
+             */
+            $scope.activateMap = function() {
+
+                emTiles.activateMap($scope.activeMap.id).then(loadMaps);
+            };
+
+            /**
+             * Open a dialog to select an MBTiles file to import
+             */
+            $scope.selectMapFile = function() {
+
+                if ($scope.mapFilesLoading) {
+                    return;
+                }
+                $scope.mapFilesLoading = true;
+
+                // Remove any existing modal
+                if ($scope.mapImportModal) {
+                    $scope.mapImportModal.remove();
+                }
+
+                emTiles.mapFiles().then(
+                    function(files) {
+                        $scope.mapFilesLoading = false;
+                        $scope.mapFiles = files;
+                        $ionicModal.fromTemplateUrl('views/gis/map_import.html', {
+                            scope: $scope
+                        }).then(function(modal) {
+                            $scope.mapImportModal = modal;
+                            modal.show();
+                        });
+                    },
+                    function() {
+                        $scope.mapFilesLoading = false;
+                    });
+            };
+
+            /**
+             * Import an MBTiles file
+             *
+             * @param {object} file - the file, {name, fileURI}
+             */
+            $scope.importMap = function(file) {
+
+                if ($scope.mapImportModal) {
+                    $scope.mapImportModal.remove();
+                }
+
+                $scope.mapImporting = true;
+                emTiles.importMap(file).then(
+                    function() {
+                        loadMaps();
+                    },
+                    function(error) {
+                        emDialogs.error('Map import failed', error);
+                    }).finally(function() {
+                        $scope.mapImporting = false;
+                    });
+            };
+
+            /**
+             * Remove an imported map
+             *
+             * @param {object} map - the map record
+             */
+            $scope.removeMap = function(map) {
+
+                emDialogs.confirmAction(
+                    'Remove Map',
+                    'Are you sure you want to remove the map "' + map.name + '"?',
+                    function() {
+                        emTiles.removeMap(map.id).then(loadMaps);
+                    });
+            };
+
+            // Clean up the modal
+            $scope.$on('$destroy', function() {
+                if ($scope.mapImportModal) {
+                    $scope.mapImportModal.remove();
+                }
+            });
+
+            $scope.$on('$ionicView.enter', loadMaps);
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Controller to show the locations of the records in a resource
+     * on a map
+     */
+    EdenMobile.controller("EMDataMap", [
+        '$scope', '$state', '$stateParams', 'emDialogs', 'emLocation', 'emResources', 'emTiles',
+        function($scope, $state, $stateParams, emDialogs, emLocation, emResources, emTiles) {
+
+            var resourceName = $stateParams.resourceName,
+                map = null;
+
+            $scope.resourceName = resourceName;
+            $scope.listView = $state.href('data.list', {resourceName: resourceName});
+            $scope.selected = null;
+
+            /**
+             * Create the map features for the record locations
+             *
+             * @param {Array} records - the records [{id, title, locations: [locationID, ...]}]
+             * @param {object} locations - the location data {locationID: {lat, lon, wkt}}
+             *
+             * @returns {Array} - array of ol.Feature
+             */
+            var createFeatures = function(records, locations) {
+
+                var wktFormat = new ol.format.WKT(),
+                    features = [];
+
+                records.forEach(function(record) {
+                    record.locations.forEach(function(locationID) {
+
+                        var location = locations[locationID],
+                            geometry = null;
+                        if (!location) {
+                            return;
+                        }
+                        if (location.wkt) {
+                            try {
+                                geometry = wktFormat.readGeometry(location.wkt, {
+                                    dataProjection: 'EPSG:4326',
+                                    featureProjection: 'EPSG:3857'
+                                });
+                            } catch(e) {
+                                // Invalid WKT => fall back to lat/lon
+                            }
+                        }
+                        if (!geometry && emLocation.validCoordinates(location.lat, location.lon)) {
+                            geometry = new ol.geom.Point(ol.proj.fromLonLat([location.lon, location.lat]));
+                        }
+                        if (geometry) {
+                            features.push(new ol.Feature({
+                                geometry: geometry,
+                                recordID: record.id,
+                                title: record.title
+                            }));
+                        }
+                    });
+                });
+
+                return features;
+            };
+
+            /**
+             * Render the map with the record locations
+             *
+             * @param {Array} features - the features to show
+             */
+            var renderMap = function(features) {
+
+                emTiles.createMap('em-data-map').then(function(newMap) {
+
+                    map = newMap;
+
+                    var source = new ol.source.Vector({features: features});
+                    map.addLayer(new ol.layer.Vector({source: source}));
+
+                    if (features.length) {
+                        map.getView().fit(source.getExtent(), {
+                            size: map.getSize(),
+                            maxZoom: 16,
+                            padding: [40, 40, 40, 40]
+                        });
+                    }
+
+                    // Select a record by tapping its location
+                    map.on('singleclick', function(event) {
+                        var feature = map.forEachFeatureAtPixel(event.pixel, function(feature) {
+                            return feature;
+                        });
+                        $scope.$apply(function() {
+                            if (feature) {
+                                $scope.selected = {
+                                    title: feature.get('title'),
+                                    href: $state.href('data.update', {
+                                        resourceName: resourceName,
+                                        recordID: feature.get('recordID')
+                                    })
+                                };
+                            } else {
+                                $scope.selected = null;
+                            }
+                        });
+                    });
+                });
+            };
+
+            /**
+             * Load the records and their locations, then render the map
+             */
+            var openMap = function() {
+
+                emResources.open(resourceName).then(function(resource) {
+
+                    if (!resource) {
+                        emDialogs.error('Error', 'Undefined Resource', function() {
+                            $state.go('data.resources', {location: 'replace', reload: true});
+                        });
+                        return;
+                    }
+                    $scope.title = resource.getLabel(true);
+
+                    var fieldNames = emLocation.locationFields(resource);
+
+                    resource.select(['id', 'llrepr'].concat(fieldNames)).then(function(rows) {
+
+                        var records = [],
+                            locationIDs = [];
+
+                        rows.forEach(function(row) {
+                            var recordID = row.$('id'),
+                                record = {
+                                    id: recordID,
+                                    title: row.$('llrepr') || 'Record #' + recordID,
+                                    locations: []
+                                };
+                            fieldNames.forEach(function(fieldName) {
+                                var locationID = row.$(fieldName);
+                                if (locationID) {
+                                    record.locations.push(locationID);
+                                    if (locationIDs.indexOf(locationID) == -1) {
+                                        locationIDs.push(locationID);
+                                    }
+                                }
+                            });
+                            records.push(record);
+                        });
+
+                        return emLocation.loadLocations(locationIDs).then(function(locations) {
+                            var features = createFeatures(records, locations);
+                            $scope.numRecords = features.length;
+                            renderMap(features);
+                        });
+                    });
+                });
+            };
+
+            /**
+             * Remove the current map
+             */
+            var removeMap = function() {
+                if (map) {
+                    map.setTarget(null);
+                    map = null;
+                }
+                $scope.selected = null;
+            };
+
+            // Reload whenever the view is entered (records may have changed)
+            $scope.$on('$ionicView.enter', function() {
+                removeMap();
+                openMap();
+            });
+            $scope.$on('$destroy', removeMap);
+        }
+    ]);
+
+})();
+
+// END ========================================================================
@@ -23,14 +23,216 @@
  * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 
+// ============================================================================
+/**
+ * EMResponseList - Survey Response List Controller
+ *
+ * @class EMResponseList
+ * @memberof EdenMobile
+ */
 EdenMobile.controller("EMResponseList", [
-    '$scope',
-    function($scope) {
-
-        // Receives $stateParams.resourceName
+    '$ionicLoading', '$q', '$scope', '$state', '$stateParams', '$translate', 'emAuth', 'emDialogs', 'emResources', 'emUsers',
+    function($ionicLoading, $q, $scope, $state, $stateParams, $translate, emAuth, emDialogs, emResources, emUsers) {
 
         "use strict";
 
+        var resourceName = $stateParams.resourceName;
+
+        $scope.resourceName = resourceName;
+        $scope.responses = [];
+        $scope.moreResponses = false;
+
+        // Optional restriction to the responses of the current user
+        $scope.filter = {mine: false};
+
+        // Number of responses to load per page
+        var pageSize = 20;
+
+        /**
+         * Translate a string for a dialog
+         *
+         * @param {string} translationID - the translation ID
+         * @param {object} values - interpolation values for the translation
+         *
+         * @returns {string} - the translated string
+         */
+        var translate = function(translationID, values) {
+
+            return $translate.instant(translationID, values);
+        };
+
+        /**
+         * Convert a response record into a response list item
+         *
+         * @param {object} record - the record
+         *
+         * @returns {object} - the response list item
+         */
+        var listItem = function(record) {
+
+            var createdOn = record.created_on,
+                modifiedOn = record.modified_on,
+                synchronizedOn = record.synchronized_on,
+                synchronized = !!synchronizedOn && (!modifiedOn || synchronizedOn >= modifiedOn);
+
+            return {
+                id: record.id,
+                title: record.llrepr || translate('Response #+ID', {id: record.id}),
+                createdOn: createdOn && createdOn.toLocaleString() || '-',
+                incomplete: !!record.em_incomplete,
+                synchronized: synchronized,
+                synchronizedOn: synchronized && synchronizedOn.toLocaleString()
+            };
+        };
+
+        /**
+         * Update the response list
+         *
+         * @param {boolean} append - append the next page of responses to
+         *                           the list rather than reloading it
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      response list has been updated
+         */
+        var updateResponseList = function(append) {
+
+            return emResources.open(resourceName).then(function(resource) {
+
+                if (!resource) {
+                    emDialogs.error(translate('Error'), translate('Undefined Resource'), function() {
+                        $state.go('surveys', {}, {location: 'replace'});
+                    });
+                    return $q.reject();
+                }
+
+                $scope.resource = resource;
+                $scope.title = resource.getLabel(true);
+
+                var table = resource.table,
+                    fields = [
+                        'id',
+                        'llrepr',
+                        'created_on',
+                        'modified_on',
+                        'synchronized_on',
+                        'em_incomplete'
+                    ],
+                    responses = append ? $scope.responses : [],
+                    options = {
+                        offset: responses.length,
+                        pageSize: pageSize,
+                        orderby: [table.$('created_on').desc(), table.$('id').desc()]
+                    },
+                    currentUser = emUsers.current(),
+                    subset = resource.subSet();
+
+                $scope.currentUser = currentUser;
+                if (currentUser && $scope.filter.mine) {
+                    subset = subset.where(table.$('created_by').equals(currentUser));
+                }
+
+                return subset.selectPage(fields, options).then(function(page) {
+                    $scope.responses = responses.concat(page.rows.map(function(row) {
+                        return listItem(row._());
+                    }));
+                    $scope.moreResponses = page.more;
+                });
+            });
+        };
+
+        /**
+         * Get a Subset with a single response
+         *
+         * @param {object} response - the response list item
+         *
+         * @returns {Subset} - the Subset
+         */
+        var responseSet = function(response) {
+
+            var resource = $scope.resource;
+
+            return resource.where(resource.table.$('id').is(response.id));
+        };
+
+        // Resume a response in the wizard
+        $scope.resume = function(response) {
+
+            emAuth.getSession().then(function(session) {
+                $state.go('wizard', {
+                    resourceName: resourceName,
+                    recordID: response.id,
+                    language: session.currentLanguage || '',
+                    returnTo: 'responses'
+                });
+            });
+        };
+
+        // Mark an incomplete response as ready for upload - this goes
+        // through the wizard, so that the response is validated before
+        // it is submitted (and thus queued for upload)
+        $scope.markReady = function(response) {
+
+            emDialogs.confirmAction(
+                translate('Mark as complete'),
+                translate('The response must be checked before it can be uploaded. Review and submit it now?'),
+                {okText: translate('Review'), cancelText: translate('Cancel')},
+                function() {
+                    $scope.resume(response);
+                });
+        };
+
+        // Delete a response
+        $scope.delete = function(response) {
+
+            var question;
+            if (response.synchronized) {
+                question = translate('The response will be removed from this device. Are you sure?');
+            } else {
+                question = translate('The response has not been uploaded yet and will be lost. Are you sure?');
+            }
+
+            emDialogs.confirmAction(
+                translate('Delete Response'),
+                question,
+                {okText: translate('Delete'), cancelText: translate('Cancel'), okType: 'button-assertive'},
+                function() {
+                    $ionicLoading.show({
+                        template: translate('Deleting response...')
+                    }).then(function() {
+                        responseSet(response).delete().then(
+                            function() {
+                                updateResponseList().finally(function() {
+                                    $ionicLoading.hide();
+                                });
+                            },
+                            function(error) {
+                                $ionicLoading.hide();
+                                emDialogs.error(translate('Could not delete response'), error);
+                            });
+                    });
+                });
+        };
+
+        // Toggle the restriction to the responses of the current user
+        $scope.updateFilter = function() {
+
+            updateResponseList();
+        };
+
+        // Load the next page of responses (infinite scroll)
+        $scope.loadMoreResponses = function() {
+
+            updateResponseList(true).finally(function() {
+                $scope.$broadcast('scroll.infiniteScrollComplete');
+            });
+        };
+
+        // Update the response list every time when entering the view
+        $scope.$on('$ionicView.enter', function() {
+            emAuth.getSession().then(function() {
+                updateResponseList();
+            });
+        });
     }
 ]);
 
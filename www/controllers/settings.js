@@ -32,8 +32,35 @@
      * Controller for configuration settings form
      */
     EdenMobile.controller("EMSettings", [
-        '$scope', 'emConfig',
-        function($scope, emConfig) {
+        '$scope', 'emAuth', 'emAuthStrategies', 'emConfig', 'emDialogs', 'emProfiles', 'emUsers',
+        function($scope, emAuth, emAuthStrategies, emConfig, emDialogs, emProfiles, emUsers) {
+
+            $scope.currentProfile = emProfiles.current();
+            $scope.currentUser = emUsers.current();
+
+            // Tokens of the current authentication strategy can be revoked?
+            var authStrategy = emAuthStrategies.get(emAuth.authStrategy());
+            $scope.revocable = !!(authStrategy && authStrategy.revoke);
+
+            /**
+             * Revoke all access tokens stored on the device
+             */
+            $scope.revokeTokens = function() {
+
+                emDialogs.confirmAction(
+                    'Revoke Access Tokens',
+                    'The app will have to log in to the server again with username and password. Are you sure?',
+                    {okText: 'Revoke', okType: 'button-assertive'},
+                    function() {
+                        authStrategy.revoke().then(
+                            function() {
+                                emDialogs.confirmation('Access tokens revoked');
+                            },
+                            function(error) {
+                                emDialogs.error('Could not revoke access tokens', error);
+                            });
+                    });
+            };
 
             emConfig.apply(function(settings) {
 
@@ -49,6 +76,269 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Controller to manage server profiles
+     */
+    EdenMobile.controller("EMProfiles", [
+        '$scope', 'emAuthStrategies', 'emDialogs', 'emProfiles',
+        function($scope, emAuthStrategies, emDialogs, emProfiles) {
+
+            $scope.authOptions = emAuthStrategies.options();
+
+            /**
+             * Load the list of profiles
+             */
+            var loadProfiles = function() {
+
+                $scope.profiles = emProfiles.profiles();
+                $scope.currentProfile = emProfiles.current();
+            };
+
+            /**
+             * Validate a profile name
+             *
+             * @param {string} name - the profile name
+             *
+             * @returns {boolean} - whether the name is valid
+             */
+            var validName = function(name) {
+                return !!(name && name.trim());
+            };
+
+            /**
+             * Add a new profile
+             */
+            $scope.addProfile = function() {
+
+                emDialogs.stringInput(
+                    'New Server Profile',
+                    'Enter a name for the profile',
+                    {inputPlaceholder: 'Profile Name', onValidation: validName},
+                    function(name) {
+                        emProfiles.add(name.trim());
+                        loadProfiles();
+                    });
+            };
+
+            /**
+             * Rename a profile
+             *
+             * @param {object} profile - the profile
+             */
+            $scope.renameProfile = function(profile) {
+
+                emDialogs.stringInput(
+                    'Rename Server Profile',
+                    'Enter a new name for the profile',
+                    {
+                        inputPlaceholder: 'Profile Name',
+                        defaultText: profile.name,
+                        onValidation: validName
+                    },
+                    function(name) {
+                        emProfiles.rename(profile.id, name.trim());
+                        loadProfiles();
+                    });
+            };
+
+            /**
+             * Select the authentication strategy for a profile
+             *
+             * @param {object} profile - the profile
+             */
+            $scope.setAuthStrategy = function(profile) {
+
+                emProfiles.setAuthStrategy(profile.id, profile.authStrategy);
+                loadProfiles();
+            };
+
+            /**
+             * Switch to another profile (reloads the app)
+             *
+             * @param {object} profile - the profile
+             */
+            $scope.switchProfile = function(profile) {
+
+                if (profile.id == $scope.currentProfile.id) {
+                    return;
+                }
+                emDialogs.confirmAction(
+                    'Switch Server Profile',
+                    'The app will restart with the profile "' + profile.name + '". Data of the current profile are kept.',
+                    {okText: 'Switch'},
+                    function() {
+                        emProfiles.switchTo(profile.id);
+                    });
+            };
+
+            /**
+             * Remove a profile, including all its data
+             *
+             * @param {object} profile - the profile
+             */
+            $scope.removeProfile = function(profile) {
+
+                emDialogs.confirmAction(
+                    'Remove Server Profile',
+                    'All data of the profile "' + profile.name + '" will be deleted, are you sure you want to continue?',
+                    {okText: 'Remove', okType: 'button-assertive'},
+                    function() {
+                        emProfiles.remove(profile.id).then(loadProfiles, function(error) {
+                            emDialogs.error('Could not remove profile', error);
+                        });
+                    });
+            };
+
+            $scope.$on('$ionicView.enter', loadProfiles);
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Controller to manage local user accounts
+     */
+    EdenMobile.controller("EMUsers", [
+        '$scope', 'emConfig', 'emDialogs', 'emUsers',
+        function($scope, emConfig, emDialogs, emUsers) {
+
+            /**
+             * Load the list of users
+             */
+            var loadUsers = function() {
+
+                $scope.currentUser = emUsers.current();
+                emUsers.users().then(function(users) {
+                    $scope.users = users;
+                });
+            };
+
+            /**
+             * Prompt for the server credentials of a user
+             *
+             * @param {string} username - the username
+             * @param {function} callback - callback function to invoke with
+             *                              the credentials, function(credentials)
+             */
+            var credentialsPrompt = function(username, callback) {
+
+                emConfig.apply(function(settings) {
+                    emDialogs.authPrompt(
+                        settings.get('server.url'),
+                        'Server credentials for ' + username,
+                        {},
+                        function(serverUsername, serverPassword) {
+                            callback({
+                                username: serverUsername,
+                                password: serverPassword
+                            });
+                        },
+                        function() {
+                            callback(null);
+                        });
+                });
+            };
+
+            /**
+             * Add a new user
+             */
+            $scope.addUser = function() {
+
+                emDialogs.stringInput(
+                    'New User',
+                    'Enter a username',
+                    {
+                        inputPlaceholder: 'Username',
+                        onValidation: function(username) {
+                            return !!(username && username.trim());
+                        }
+                    },
+                    function(username) {
+                        username = username.trim();
+                        emDialogs.stringInput(
+                            'New User',
+                            'Enter a PIN (at least 4 digits) for ' + username,
+                            {
+                                inputType: 'password',
+                                inputPlaceholder: 'PIN',
+                                onValidation: function(pin) {
+                                    return !!pin && pin.length >= 4;
+                                }
+                            },
+                            function(pin) {
+                                credentialsPrompt(username, function(credentials) {
+                                    emUsers.addUser(username, pin, credentials).then(
+                                        function() {
+                                            if (!$scope.currentUser) {
+                                                // First user => log in
+                                                emUsers.login(username, pin).finally(loadUsers);
+                                            } else {
+                                                loadUsers();
+                                            }
+                                        },
+                                        function(error) {
+                                            emDialogs.error('Could not add user', error);
+                                        });
+                                });
+                            });
+                    });
+            };
+
+            /**
+             * Change the server credentials of a user
+             *
+             * @param {object} user - the user
+             */
+            $scope.editCredentials = function(user) {
+
+                credentialsPrompt(user.username, function(credentials) {
+                    if (credentials) {
+                        emUsers.setCredentials(user.username, credentials).then(loadUsers, function(error) {
+                            emDialogs.error('Could not update credentials', error);
+                        });
+                    }
+                });
+            };
+
+            /**
+             * Remove a user account
+             *
+             * @param {object} user - the user
+             */
+            $scope.removeUser = function(user) {
+
+                emDialogs.confirmAction(
+                    'Remove User',
+                    'The account "' + user.username + '" will be removed from this device (records of the user are kept), are you sure you want to continue?',
+                    {okText: 'Remove', okType: 'button-assertive'},
+                    function() {
+                        emUsers.removeUser(user.username).then(
+                            function() {
+                                if (user.username == $scope.currentUser) {
+                                    // Let another user log in
+                                    emUsers.loginScreen().then(loadUsers);
+                                } else {
+                                    loadUsers();
+                                }
+                            },
+                            function(error) {
+                                emDialogs.error('Could not remove user', error);
+                            });
+                    });
+            };
+
+            /**
+             * Log out the current user and let another user log in
+             */
+            $scope.switchUser = function() {
+
+                emUsers.logout().then(loadUsers);
+            };
+
+            $scope.$on('$ionicView.enter', loadUsers);
+        }
+    ]);
+
     // ========================================================================
     /**
      * Controller to display the "About" section in settings
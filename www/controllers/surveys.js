@@ -202,6 +202,13 @@ EdenMobile.controller("EMSurveyList", [
             refreshSurveyList(true);
         });
 
+        // Refresh survey list after automatic synchronization
+        $scope.$on('emAutoSyncComplete', function() {
+            emAuth.getSession(true).then(function(session) {
+                updateSurveyList(session);
+            });
+        });
+
         // Handle language selection
         $scope.$watch('l10n.currentLanguage', function() {
             emAuth.updateSession({currentLanguage: $scope.l10n.currentLanguage}).then(
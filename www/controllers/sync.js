@@ -28,8 +28,8 @@
  * Controller for synchronisation page
  */
 EdenMobile.controller('EMSync', [
-    '$ionicModal', '$rootScope', '$scope', 'emResources', 'emServer', 'emSync', 'emSyncLog',
-    function($ionicModal, $rootScope, $scope, emResources, emServer, emSync, emSyncLog) {
+    '$ionicModal', '$ionicPopup', '$rootScope', '$scope', 'emDialogs', 'emPackage', 'emResources', 'emServer', 'emSync', 'emSyncConflicts', 'emSyncLog',
+    function($ionicModal, $ionicPopup, $rootScope, $scope, emDialogs, emPackage, emResources, emServer, emSync, emSyncConflicts, emSyncLog) {
 
         "use strict";
 
@@ -180,6 +180,197 @@ EdenMobile.controller('EMSync', [
                 });
             });
         };
+
+        /**
+         * Update the number of unresolved conflicts (to show on card)
+         */
+        var countConflicts = function() {
+
+            emSyncConflicts.count().then(function(number) {
+                $scope.unresolvedConflicts = number;
+            });
+        };
+
+        $scope.$on('$ionicView.enter', countConflicts);
+        $scope.$watch('syncInProgress', function(syncInProgress) {
+            if (!syncInProgress) {
+                countConflicts();
+            }
+        });
+
+        /**
+         * Load the conflict list (for conflicts modal)
+         */
+        var loadConflicts = function() {
+
+            return emSyncConflicts.entries().then(function(entries) {
+                $scope.conflicts = entries;
+                $scope.unresolvedConflicts = entries.filter(function(entry) {
+                    return !entry.resolution;
+                }).length;
+            });
+        };
+
+        /**
+         * View synchronization conflicts
+         */
+        $scope.viewConflicts = function() {
+
+            if ($scope.syncInProgress || $scope.conflictsLoading) {
+                return;
+            }
+            $scope.conflictsLoading = true;
+
+            // Remove any existing modal
+            if ($scope.conflictsModal) {
+                $scope.conflictsModal.remove();
+            }
+
+            loadConflicts().then(function() {
+                $scope.conflictsLoading = false;
+                $ionicModal.fromTemplateUrl('views/sync/conflicts.html', {
+                    scope: $scope
+                }).then(function(modal) {
+                    $scope.conflictsModal = modal;
+                    modal.show();
+                });
+            });
+        };
+
+        /**
+         * Resolve a conflict
+         *
+         * @param {object} conflict - the conflict entry
+         * @param {string} resolution - the resolution: server|local
+         */
+        $scope.resolveConflict = function(conflict, resolution) {
+
+            if ($scope.syncInProgress || conflict.resolving) {
+                return;
+            }
+            conflict.resolving = true;
+
+            emSyncConflicts.resolve(conflict.id, resolution).finally(function() {
+                conflict.resolving = false;
+                loadConflicts();
+            });
+        };
+
+        /**
+         * Modal to select resources for a data package
+         */
+        $scope.selectPackageResources = function() {
+
+            if ($scope.packageListLoading) {
+                return;
+            }
+            $scope.packageListLoading = true;
+
+            // Remove any existing modal
+            if ($scope.packageExportModal) {
+                $scope.packageExportModal.remove();
+            }
+
+            emResources.resourceList().then(function(resourceList) {
+                $scope.packageListLoading = false;
+                $scope.packageResources = resourceList.map(function(resourceData) {
+                    var resource = resourceData.resource;
+                    return {
+                        label: resource.getLabel(true),
+                        resourceName: resource.name,
+                        selected: true
+                    };
+                });
+                $ionicModal.fromTemplateUrl('views/sync/package_export.html', {
+                    scope: $scope
+                }).then(function(modal) {
+                    $scope.packageExportModal = modal;
+                    modal.show();
+                });
+            });
+        };
+
+        /**
+         * Export a data package with the selected resources
+         */
+        $scope.exportPackage = function() {
+
+            var resourceNames = $scope.packageResources.filter(function(item) {
+                return item.selected;
+            }).map(function(item) {
+                return item.resourceName;
+            });
+            if (!resourceNames.length) {
+                return;
+            }
+
+            $scope.packageExportModal.remove();
+
+            emSync.exportPackage(resourceNames).then(
+                function(fileURI) {
+                    $ionicPopup.alert({
+                        title: 'Export complete',
+                        template: '<p>The data package has been saved in the <b>exports</b> folder:</p>' +
+                                  '<p>' + decodeURIComponent(fileURI.split('/').pop()) + '</p>'
+                    });
+                },
+                function(error) {
+                    emDialogs.error('Export failed', error);
+                });
+        };
+
+        /**
+         * Modal to select a data package for import
+         */
+        $scope.selectPackageFile = function() {
+
+            if ($scope.packageFilesLoading) {
+                return;
+            }
+            $scope.packageFilesLoading = true;
+
+            // Remove any existing modal
+            if ($scope.packageImportModal) {
+                $scope.packageImportModal.remove();
+            }
+
+            emPackage.packageFiles().then(
+                function(files) {
+                    $scope.packageFilesLoading = false;
+                    $scope.packageFiles = files;
+                    $ionicModal.fromTemplateUrl('views/sync/package_import.html', {
+                        scope: $scope
+                    }).then(function(modal) {
+                        $scope.packageImportModal = modal;
+                        modal.show();
+                    });
+                },
+                function() {
+                    $scope.packageFilesLoading = false;
+                });
+        };
+
+        /**
+         * Import a data package
+         *
+         * @param {object} file - the package file, {name, fileURI}
+         */
+        $scope.importPackage = function(file) {
+
+            emDialogs.confirmAction(
+                'Import Data Package',
+                'Import forms and data from ' + file.name + '?',
+                function() {
+                    $scope.packageImportModal.remove();
+                    emSync.importPackage(file.fileURI).then(
+                        function() {
+                            $scope.viewResults();
+                        },
+                        function(error) {
+                            emDialogs.error('Import failed', error);
+                        });
+                });
+        };
     }
 
 ]);
@@ -31,8 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller("EMDataUpdate", [
-    '$q', '$scope', '$state', '$stateParams', 'emDB', 'emDialogs', 'emFiles', 'emResources',
-    function($q, $scope, $state, $stateParams, emDB, emDialogs, emFiles, emResources) {
+    '$ionicModal', '$q', '$scope', '$state', '$stateParams', 'emDB', 'emDialogs', 'emFiles', 'emResources',
+    function($ionicModal, $q, $scope, $state, $stateParams, emDB, emDialogs, emFiles, emResources) {
 
         "use strict";
 
@@ -128,6 +128,11 @@ EdenMobile.controller("EMDataUpdate", [
             // Configure submit-function
             $scope.submit = function(form) {
 
+                // Validate the form, stop if there are errors
+                if ($scope.$broadcast('FormValidation').defaultPrevented) {
+                    return;
+                }
+
                 // Broadcast form submission
                 $scope.$broadcast('FormSubmission');
 
@@ -167,6 +172,33 @@ EdenMobile.controller("EMDataUpdate", [
                     });
             };
 
+            // Configure history-action
+            $scope.showHistory = function() {
+                var table = resource.table,
+                    trail = table.auditTrail();
+                if (!trail) {
+                    return;
+                }
+                table.where(table.$('id').equals(targetID)).select(['uuid'], {limitby: 1},
+                    function(rows) {
+                        if (!rows.length) {
+                            return;
+                        }
+                        trail.history(rows[0].$('uuid')).then(function(entries) {
+                            $scope.historyEntries = entries;
+                            if ($scope.historyModal) {
+                                $scope.historyModal.remove();
+                            }
+                            $ionicModal.fromTemplateUrl('views/data/history.html', {
+                                scope: $scope
+                            }).then(function(modal) {
+                                $scope.historyModal = modal;
+                                modal.show();
+                            });
+                        });
+                    });
+            };
+
             // Extract current record and populate form and master
             var table = subset.table,
                 fields = resource.fields,
@@ -299,6 +331,9 @@ EdenMobile.controller("EMDataUpdate", [
 
         // Clean up on exit
         $scope.$on('$destroy', function() {
+            if ($scope.historyModal) {
+                $scope.historyModal.remove();
+            }
             if ($scope.saved) {
                 // Record saved => remove orphaned files
                 emFiles.removeAll($scope.orphanedFiles);
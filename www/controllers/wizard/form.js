@@ -31,8 +31,8 @@
  * @memberof EdenMobile
  */
 EdenMobile.controller("EMFormWizardController", [
-    '$q', '$scope', '$state', '$stateParams', 'emDialogs', 'emDisplayLogic', 'emFiles', 'emFormWizard', 'emResources',
-    function($q, $scope, $state, $stateParams, emDialogs, emDisplayLogic, emFiles, emFormWizard, emResources) {
+    '$q', '$scope', '$state', '$stateParams', 'emCalculate', 'emDialogs', 'emDisplayLogic', 'emFiles', 'emFormValidation', 'emFormWizard', 'emLocation', 'emResources',
+    function($q, $scope, $state, $stateParams, emCalculate, emDialogs, emDisplayLogic, emFiles, emFormValidation, emFormWizard, emLocation, emResources) {
 
         "use strict";
 
@@ -89,14 +89,149 @@ EdenMobile.controller("EMFormWizardController", [
             }
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Retrieve the component rows for the repeat groups in the form
+         *
+         * @param {Resource} resource - the Resource
+         * @param {integer} recordID - the record ID
+         * @param {Array} formConfig - the form configuration (sections)
+         *
+         * @returns {promise} - a promise that resolves into the rows
+         *                      {alias: [{fieldName: value}, ...]}
+         */
+        var retrieveRepeats = function(resource, recordID, formConfig) {
+
+            var repeats = {};
+
+            var pending = repeatGroups(formConfig).map(function(formElement) {
+
+                var alias = formElement.component,
+                    component = resource.component(alias),
+                    rows = repeats[alias] = [];
+
+                if (!recordID) {
+                    // Start with the minimum number of empty rows
+                    for (var i = 0; i < formElement.min; i++) {
+                        rows.push({});
+                    }
+                    return $q.resolve();
+                }
+
+                var table = component.table,
+                    orderBy = formElement.orderBy,
+                    orderby = orderBy ? [table.$(orderBy), table.$('id')] : table.$('id');
+
+                return component.subSet(recordID)
+                                .select(formElement.fields.concat(['id']), {orderby: orderby})
+                                .then(function(records) {
+                    records.forEach(function(record) {
+                        rows.push(record._(table));
+                    });
+                });
+            });
+
+            return $q.all(pending).then(function() {
+                return repeats;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the repeat groups in the form
+         *
+         * @param {Array} formConfig - the form configuration (sections)
+         * @param {object} values - the input values, to evaluate display
+         *                          logic (optional, default: all groups)
+         * @param {Array} visited - indexes of the visited sections (optional)
+         *
+         * @returns {Array} - the repeat form elements
+         */
+        var repeatGroups = function(formConfig, values, visited) {
+
+            var groups = [];
+
+            formConfig.forEach(function(formElements, index) {
+                if (visited && visited.indexOf(index) == -1) {
+                    return;
+                }
+                formElements.forEach(function(formElement) {
+                    if (formElement.type != 'repeat') {
+                        return;
+                    }
+                    var displayRule = formElement.displayLogic;
+                    if (values && displayRule &&
+                        !new emDisplayLogic(values, null, displayRule).show()) {
+                        return;
+                    }
+                    groups.push(formElement);
+                });
+            });
+
+            return groups;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Collect the component rows to save
+         * - rows of hidden or skipped groups are dropped, as are empty rows
+         *
+         * @param {Array} formConfig - the form configuration (sections)
+         * @param {object} values - the input values (to evaluate display logic)
+         * @param {Array} visited - indexes of the visited sections
+         *
+         * @returns {object} - the component rows {alias: [data, ...]}
+         */
+        var componentRows = function(formConfig, values, visited) {
+
+            var components = {},
+                repeats = $scope.repeats;
+
+            // All groups start out empty (=remove all existing rows)
+            repeatGroups(formConfig).forEach(function(formElement) {
+                components[formElement.component] = [];
+            });
+
+            repeatGroups(formConfig, values, visited).forEach(function(formElement) {
+
+                var orderBy = formElement.orderBy,
+                    rows = components[formElement.component];
+
+                (repeats[formElement.component] || []).forEach(function(row) {
+
+                    var data = {},
+                        empty = true;
+                    formElement.fields.forEach(function(fieldName) {
+                        var value = row[fieldName];
+                        if (value !== undefined && value !== null && value !== '') {
+                            empty = false;
+                        }
+                        data[fieldName] = value;
+                    });
+                    if (empty) {
+                        return;
+                    }
+                    if (row.id) {
+                        data.id = row.id;
+                    }
+                    if (orderBy) {
+                        data[orderBy] = rows.length + 1;
+                    }
+                    rows.push(data);
+                });
+            });
+
+            return components;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Show a confirmation message after submit and return to caller
          */
         var confirmSubmit = function() {
 
-            // Parameters for the returnTo state (currently none required)
-            var returnParams = {};
+            // Parameters for the returnTo state
+            var returnParams = {resourceName: resourceName};
 
             // The confirmation message
             var message;
@@ -117,21 +252,26 @@ EdenMobile.controller("EMFormWizardController", [
 
         // --------------------------------------------------------------------
         /**
-         * Remove the values of hidden fields
+         * Remove the values of hidden fields, and of fields in sections
+         * that have been skipped
          *
          * @param {object} values - the current input values {fieldName: value}
          * @param {Array} formConfig - the form configuration (sections)
+         * @param {Array} visited - indexes of the visited sections (optional)
          *
          * @returns {object} - the updated input values
          */
-        var clearHiddenFields = function(values, formConfig) {
+        var clearHiddenFields = function(values, formConfig, visited) {
 
             var emptyValues = {};
 
-            formConfig.forEach(function(formElements) {
+            formConfig.forEach(function(formElements, index) {
+                var skipped = visited && visited.indexOf(index) == -1;
                 formElements.forEach(function(formElement) {
                     var displayRule = formElement.displayLogic;
-                    if (formElement.type == 'input' && displayRule) {
+                    if (formElement.type == 'input' && skipped) {
+                        emptyValues[formElement.field] = null;
+                    } else if (formElement.type == 'input' && displayRule) {
                         var fieldName = formElement.field,
                             displayLogic = new emDisplayLogic(values,
                                                               fieldName,
@@ -146,6 +286,67 @@ EdenMobile.controller("EMFormWizardController", [
             return angular.extend({}, values, emptyValues);
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Get the names of the input fields in the form sections
+         *
+         * @param {Array} formConfig - the form configuration (sections)
+         * @param {Array} sections - indexes of the sections to include
+         *                           (default: all sections)
+         *
+         * @returns {Array} - the field names
+         */
+        var sectionFields = function(formConfig, sections) {
+
+            var fieldNames = [];
+
+            formConfig.forEach(function(formElements, index) {
+                if (sections && sections.indexOf(index) == -1) {
+                    return;
+                }
+                formElements.forEach(function(formElement) {
+                    if (formElement.type == 'input') {
+                        fieldNames.push(formElement.field);
+                    }
+                });
+            });
+
+            return fieldNames;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create or update the gis_location records for locations
+         * captured with emWizardLocationWidget
+         *
+         * @param {Resource} resource - the Resource
+         * @param {object} values - the form values {fieldName: value}
+         *
+         * @returns {promise} - a promise that resolves into the form values,
+         *                      with location data replaced by record IDs
+         */
+        var saveLocations = function(resource, values) {
+
+            var result = angular.extend({}, values);
+
+            var pending = emLocation.locationFields(resource).filter(function(fieldName) {
+
+                var value = values[fieldName];
+                return value && value.constructor === Object;
+
+            }).map(function(fieldName) {
+
+                var value = values[fieldName];
+                return emLocation.saveLocation(value.id, value).then(function(locationID) {
+                    result[fieldName] = locationID;
+                });
+            });
+
+            return $q.all(pending).then(function() {
+                return result;
+            });
+        };
+
         // --------------------------------------------------------------------
         /**
          * Submit the current form
@@ -164,9 +365,16 @@ EdenMobile.controller("EMFormWizardController", [
             $q.all(form).then(function(formData) {
 
                 // Remove values for fields hidden by display logic
-                var values = clearHiddenFields(formData, $scope.formConfig);
+                // or in skipped sections
+                var path = $scope.formStatus.path,
+                    values = clearHiddenFields(formData, $scope.formConfig, path);
+
+                // Update calculated fields (ignoring hidden fields)
+                if (emCalculate.apply($scope.calculations, values)) {
+                    values = clearHiddenFields(values, $scope.formConfig, path);
+                }
 
-                // Check if empty (@todo: form onvalidation)
+                // Check if empty
                 var empty = true;
                 for (var fieldName in values) {
                     if (values[fieldName] !== undefined && values[fieldName] !== null) {
@@ -180,26 +388,35 @@ EdenMobile.controller("EMFormWizardController", [
 
                     var recordStatus = $scope.recordStatus,
                         recordID = recordStatus.recordID,
-                        saved,
                         fail;
 
                     values.em_incomplete = false;
                     if (recordID) {
-                        var table = resource.table;
-                        saved = resource.where(table.$('id').is(recordID)).update(values);
                         fail = 'Could not update record';
                     } else {
-                        saved = resource.subSet().insert(values);
                         fail = 'Could not create record';
                     }
 
-                    saved.then(
+                    // Component rows from repeat groups
+                    var components = componentRows($scope.formConfig, values, path);
+
+                    // Store captured locations, then save the record
+                    // - records are saved together with their component
+                    //   rows in one transaction
+                    saveLocations(resource, values).then(function(values) {
+                        if (recordID) {
+                            var table = resource.table;
+                            return resource.where(table.$('id').is(recordID)).update(values, components);
+                        } else {
+                            return resource.subSet().insert(values, components);
+                        }
+                    }).then(
                         function() {
                             confirmSubmit();
                         },
                         function(error) {
                             emDialogs.error(fail, error, function() {
-                                $state.go(returnTo);
+                                $state.go(returnTo, {resourceName: resourceName});
                             });
                         });
                 }
@@ -221,23 +438,32 @@ EdenMobile.controller("EMFormWizardController", [
                     // TODO Discard record if it has an ID and is marked incomplete
 
                     // Go back to caller state
-                    $state.go(returnTo);
+                    $state.go(returnTo, {resourceName: resourceName});
                 });
         };
 
         // --------------------------------------------------------------------
         // Initialize the wizard
         //
+        var watchers = [];
         var initForm = function() {
 
+            // Remove watchers from previous initialization
+            watchers.forEach(function(deregister) {
+                deregister();
+            });
+            watchers = [];
+
             // Start with empty master (populated asynchronously)
             $scope.master = {};
+            $scope.masterRepeats = {};
             $scope.saved = false;
             $scope.submitInProgress = false;
 
             // Reset the form (@todo: expose reset in UI?)
             $scope.reset = function() {
                 $scope.form = angular.copy($scope.master);
+                $scope.repeats = angular.copy($scope.masterRepeats);
                 $scope.pendingFiles = [];
                 $scope.orphanedFiles = [];
             };
@@ -252,51 +478,144 @@ EdenMobile.controller("EMFormWizardController", [
                 // Get the form configuration
                 var formConfig = $scope.formConfig = emFormWizard.getSections(resource);
 
-                // Helper to find next section using display logic
+                // Calculated fields, updated live as the form is filled in
+                var calculations = $scope.calculations = emCalculate.getCalculations(resource);
+                if (calculations.errors.length) {
+                    // Tell the user that these fields will not be calculated
+                    emDialogs.error('Invalid calculation', calculations.errors.map(function(error) {
+                        return error.fieldName + ': ' + error.message;
+                    }).join('; '));
+                }
+                if (calculations.length) {
+                    watchers.push($scope.$watch('form', function(form) {
+                        if (form) {
+                            emCalculate.apply(calculations, form);
+                        }
+                    }, true));
+                }
+
+                // Helper to evaluate a display rule against the form
+                var applies = function(displayRule, fieldName) {
+                    return new emDisplayLogic($scope.form, fieldName || null, displayRule).show();
+                };
+
+                // Helper to check whether a section is to be shown:
+                // - its display rule applies (if it has one), and
+                // - any of its form elements is shown
+                var showSection = function(formElements) {
+                    if (formElements.displayLogic && !applies(formElements.displayLogic)) {
+                        return false;
+                    }
+                    return formElements.some(function(formElement) {
+                        var displayRule = formElement.displayLogic;
+                        return !displayRule || applies(displayRule, formElement.field);
+                    });
+                };
+
+                // Helper to find next section using branching and display logic
                 var nextSection = function(currentSection, reverse) {
                     var step = reverse && -1 || 1,
-                        next = currentSection + step;
-                    while(true) {
-                        var formElements = formConfig[next],
-                            formElement,
-                            displayRule,
-                            displayLogic;
-                        if (formElements === undefined) {
-                            // This was the last section
-                            break;
+                        next = currentSection + step,
+                        current = formConfig[currentSection];
+                    if (current && !reverse) {
+                        // End the survey after this section?
+                        if (current.endIf && applies(current.endIf)) {
+                            return false;
                         }
-                        for (var i = 0; i < formElements.length; i++) {
-                            formElement = formElements[i];
-                            displayRule = formElement.displayLogic;
-                            if (!displayRule) {
-                                return next;
-                            }
-                            displayLogic = new emDisplayLogic($scope.form, formElement.field, displayRule);
-                            if (displayLogic.show()) {
-                                return next;
+                        // Jump to another section?
+                        var jumps = current.jumps || [];
+                        for (var i = 0; i < jumps.length; i++) {
+                            if (!jumps[i].displayLogic || applies(jumps[i].displayLogic)) {
+                                next = jumps[i].target;
+                                break;
                             }
                         }
+                    }
+                    while(formConfig[next] !== undefined) {
+                        if (showSection(formConfig[next])) {
+                            return next;
+                        }
                         next += step;
                     }
+                    // This was the last section
+                    return false;
+                };
+
+                // Helper to find the previous section on the visited path
+                var prevSection = function(currentSection) {
+                    var index = formStatus.path.indexOf(currentSection);
+                    if (index > 0) {
+                        return formStatus.path[index - 1];
+                    } else if (index == -1) {
+                        return nextSection(currentSection, true);
+                    }
                     return false;
                 };
 
                 // Store form configuration and status in scope
+                // - path: the indexes of the visited sections, in order
                 var formStatus = $scope.formStatus = {
                         activeSection: 0,
-                        prev: function(currentSection) {
-                            return nextSection(currentSection, true);
-                        },
-                        next: nextSection
+                        path: [],
+                        prev: prevSection,
+                        next: nextSection,
+                        validationErrors: {}
                     };
 
+                // Form-level (cross-field) validation
+                var validationRules = emFormValidation.getRules(resource, $scope.currentLanguage),
+                    validatedFields;
+
+                /**
+                 * Validate the form values of the visited sections against
+                 * the form-level rules, and if there are errors, go to the
+                 * first section with an invalid field
+                 *
+                 * @returns {boolean} - whether the form values are valid
+                 */
+                var validateForm = function() {
+
+                    validatedFields = sectionFields(formConfig, formStatus.path);
+
+                    var values = clearHiddenFields($scope.form, formConfig, formStatus.path),
+                        errors = emFormValidation.validate(validationRules, values, validatedFields);
+
+                    formStatus.validationErrors = errors || {};
+                    if (!errors) {
+                        return true;
+                    }
+
+                    for (var section = 0; section < formConfig.length; section++) {
+                        var invalid = formConfig[section].some(function(formElement) {
+                            return formElement.type == 'input' && errors.hasOwnProperty(formElement.field);
+                        });
+                        if (invalid) {
+                            if (section != formStatus.activeSection) {
+                                $state.go('wizard.form', {section: section});
+                            }
+                            break;
+                        }
+                    }
+                    return false;
+                };
+
+                // Re-validate when values change while errors are shown
+                watchers.push($scope.$watch('form', function() {
+                    if (validatedFields && Object.keys(formStatus.validationErrors).length) {
+                        var values = clearHiddenFields($scope.form, formConfig, formStatus.path);
+                        formStatus.validationErrors = emFormValidation.validate(validationRules,
+                                                                                values,
+                                                                                validatedFields) || {};
+                    }
+                }, true));
+
                 // Scope method to submit the entire form
                 $scope.submit = function(ngForm) {
                     if ($scope.saved || $scope.submitInProgress) {
                         return;
                     }
                     ngForm.$setSubmitted(); // force validation
-                    if (ngForm.$invalid) {
+                    if (ngForm.$invalid || !validateForm()) {
                         return;
                     }
                     $scope.submitInProgress = true;
@@ -306,7 +625,7 @@ EdenMobile.controller("EMFormWizardController", [
                 // Scope method to move to the next section
                 $scope.next = function(ngForm) {
                     ngForm.$setSubmitted(); // force validation
-                    if (ngForm.$invalid) {
+                    if (ngForm.$invalid || !validateForm()) {
                         return;
                     }
                     var next = nextSection(formStatus.activeSection);
@@ -320,13 +639,18 @@ EdenMobile.controller("EMFormWizardController", [
                 $scope.cancel = cancelWizard;
 
                 // Populate, then open the form
-                retrieveRecord(resource, recordID).then(function(data) {
+                $q.all([
+                    retrieveRecord(resource, recordID),
+                    retrieveRepeats(resource, recordID, formConfig)
+                ]).then(function(results) {
                     $scope.recordStatus = {
                         recordID: recordID,
                         incomplete: !recordID,
                     };
-                    $scope.master = data;
+                    $scope.master = results[0];
+                    $scope.masterRepeats = results[1];
                     $scope.form = angular.copy($scope.master);
+                    $scope.repeats = angular.copy($scope.masterRepeats);
 
                     // Open the form
                     $state.go('wizard.form', {section: 0});
@@ -48,6 +48,17 @@ EdenMobile.controller("EMFormSectionController", [
         // Update form status
         formStatus.activeSection = activeSection;
 
+        // Update the visited path (going back truncates the path)
+        var path = formStatus.path;
+        if (path) {
+            var index = path.indexOf(activeSection);
+            if (index != -1) {
+                path.splice(index + 1);
+            } else {
+                path.push(activeSection);
+            }
+        }
+
         // Get the section config from (parent) scope
         $scope.sectionConfig = formConfig[activeSection] || [];
 
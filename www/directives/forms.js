@@ -78,6 +78,18 @@ EdenMobile.directive('emDataForm', [
                 if (form) {
                     var compiled = $compile(form.render('form', $scope))($scope);
                     elem.replaceWith(compiled);
+
+                    // Validate the form before submission, prevent
+                    // submission if there are invalid inputs
+                    var ngForm = compiled.controller('form');
+                    if (ngForm) {
+                        $scope.$on('FormValidation', function(event) {
+                            ngForm.$setSubmitted();
+                            if (ngForm.$invalid) {
+                                event.preventDefault();
+                            }
+                        });
+                    }
                 }
             });
         };
@@ -151,5 +151,108 @@
     ]);
 
     // ========================================================================
+    /**
+     * Regular expression validation (isMatch)
+     * - the attribute value is the regular expression (source)
+     */
+    EdenMobile.directive('isMatch', [
+        function() {
+
+            var link = function($scope, elem, attr, ngModel) {
+
+                var expression;
+                try {
+                    expression = new RegExp(attr.isMatch);
+                } catch(e) {
+                    // Invalid expression => skip validation
+                    return;
+                }
+                ngModel.$validators.match = function(modelValue, viewValue) {
+                    var value = modelValue || viewValue;
+                    if (ngModel.$isEmpty(value)) {
+                        // Consider empty models to be valid
+                        return true;
+                    }
+                    return expression.test('' + value);
+                };
+            };
+
+            return {
+                require: 'ngModel',
+                restrict: 'A',
+                link: link
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Email address validation (isEmail)
+     */
+    EdenMobile.directive('isEmail', [
+        function() {
+
+            var emailAddress = /^[-!#$%&'*+\/0-9=?A-Z^_`a-z{|}~]+(\.[-!#$%&'*+\/0-9=?A-Z^_`a-z{|}~]+)*@[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+
+            var link = function($scope, elem, attr, ngModel) {
+
+                ngModel.$validators.email = function(modelValue, viewValue) {
+                    var value = modelValue || viewValue;
+                    if (ngModel.$isEmpty(value)) {
+                        // Consider empty models to be valid
+                        return true;
+                    }
+                    value = ('' + value).trim();
+                    return value.length <= 254 && emailAddress.test(value);
+                };
+            };
+
+            return {
+                require: 'ngModel',
+                restrict: 'A',
+                link: link
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Phone number validation (isPhoneNumber)
+     * - attribute value 'international' to require the international
+     *   format with country code (+<country code> <number>)
+     */
+    EdenMobile.directive('isPhoneNumber', [
+        function() {
+
+            var phoneNumber = /^\+?\s*[\s\-\.\(\)\d]+(?:(?: x| ext)\s?\d{1,5})?$/,
+                internationalNumber = /^\+[1-9][\s\-\.\(\)\d]+(?:(?: x| ext)\s?\d{1,5})?$/;
+
+            var link = function($scope, elem, attr, ngModel) {
+
+                var pattern = attr.isPhoneNumber == 'international' ? internationalNumber : phoneNumber;
+
+                ngModel.$validators.phoneNumber = function(modelValue, viewValue) {
+                    var value = modelValue || viewValue;
+                    if (ngModel.$isEmpty(value)) {
+                        // Consider empty models to be valid
+                        return true;
+                    }
+                    value = ('' + value).trim();
+
+                    // Require a plausible number of digits
+                    var digits = value.replace(/ (x|ext)\s?\d+$/, '').replace(/\D/g, '').length;
+                    return pattern.test(value) && digits >= 5 && digits <= 15;
+                };
+            };
+
+            return {
+                require: 'ngModel',
+                restrict: 'A',
+                link: link
+            };
+        }
+    ]);
+
+    // ========================================================================
 
 })(EdenMobile);
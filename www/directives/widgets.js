@@ -93,11 +93,22 @@
                 var input = angular.element('<input>')
                                    .attr('type', attr.type || 'text');
 
-                // Input attributes
+                // Set the name
+                if (attr.field) {
+                    input.attr('name', attr.field);
+                }
+
+                // Input attributes and validation directives
                 copyAttr(attr, input, [
                     'ngModel',
                     'disabled',
-                    'placeholder'
+                    'placeholder',
+                    'ngRequired',
+                    'ngMinlength',
+                    'ngMaxlength',
+                    'isMatch',
+                    'isEmail',
+                    'isPhoneNumber'
                 ]);
 
                 // Build the widget
@@ -157,12 +168,21 @@
                 // Create the input
                 var input = angular.element('<input type="number">');
 
-                // Input attributes
+                // Set the name
+                if (attr.field) {
+                    input.attr('name', attr.field);
+                }
+
+                // Input attributes and validation directives
                 copyAttr(attr, input, [
                     'ngChange',
                     'ngModel',
                     'disabled',
-                    'placeholder'
+                    'placeholder',
+                    'ngRequired',
+                    'ngPattern',
+                    'min',
+                    'max'
                 ]);
 
                 // Build the widget
@@ -223,10 +243,18 @@
                 var input = angular.element('<input>')
                                    .attr('type', 'date');
 
-                // Input attributes
+                // Set the name
+                if (attr.field) {
+                    input.attr('name', attr.field);
+                }
+
+                // Input attributes and validation directives
                 copyAttr(attr, input, [
                     'ngModel',
-                    'disabled'
+                    'disabled',
+                    'ngRequired',
+                    'min',
+                    'max'
                 ]);
 
                 // Build the widget
@@ -421,59 +449,22 @@
      * @memberof EdenMobile
      *
      * NB Currently this supports just a single usecase: setting the Address
-     *    field with a hidden parent Lx
+     *    field and the coordinates (GPS, map or manual entry) with a hidden
+     *    parent Lx
      *
      * @ToDo: Add Postcode
      * @ToDo: Add Parent SELECT(s)
      * @ToDo: Allow just selection of an Lx
-     * @ToDo: Add Lat/Lon
-     * @ToDo: Add Map
-     * @ToDo: Add Polygon
      *
      * @returns {integer} - the location record ID
      *
      * @example <em-location-widget>
      */
     EdenMobile.directive('emLocationWidget', [
-        '$q', '$compile', 'emDialogs', 'emResources',
-        function($q, $compile, emDialogs, emResources) {
-
-            var locationProperties = ['addr_street'];
-
-            /**
-             * Create or update a location record from widget input
-             *
-             * @param {integer} locationID - the location record ID
-             * @param {object} data - the data (=from widget scope)
-             *
-             * @returns {promise} - a promise that resolves into the
-             *                      ID of the newly created or updated
-             *                      location record
-             */
-            var createOrUpdateLocation = function(locationID, data) {
-
-                return emResources.open('gis_location').then(function(resource) {
-
-                    // Filter widget scope for valid location properties
-                    var locationData = {};
-                    locationProperties.forEach(function(propName) {
-                        locationData[propName] = data[propName];
-                    });
+        '$q', '$compile', 'emDialogs', 'emLocation', 'emMapPicker',
+        function($q, $compile, emDialogs, emLocation, emMapPicker) {
 
-                    if (locationID) {
-                        // Update existing location
-                        var table = resource.table;
-                        return resource.where(table.$('id').is(locationID))
-                                       .update(locationData)
-                                       .then(function() {
-                                           return locationID;
-                                       });
-                    } else {
-                        // Create new location
-                        return resource.insert(locationData);
-                    }
-                });
-            };
+            var locationProperties = emLocation.locationProperties;
 
             /**
              * Load an existing location record and populate the widget
@@ -489,31 +480,69 @@
              */
             var loadLocation = function($scope, locationID) {
 
-                return emResources.open('gis_location')
+                return emLocation.loadLocation(locationID).then(function(locationData) {
 
-                    .then(function(resource) {
-
-                        // Load the location data
-                        var table = resource.getTable();
-                        return resource.where(table.$('id').is(locationID))
-                                       .select(['id', 'addr_street'], {limitby: 1});
+                    // Populate the widget
+                    if (locationData) {
+                        locationProperties.forEach(function(propName) {
+                            $scope[propName] = locationData[propName];
+                        });
+                        $scope.position = null;
+                    } else {
+                        locationID = null;
+                    }
 
-                    })
+                    return locationID;
+                });
+            };
 
-                    .then(function(rows) {
+            /**
+             * Capture the current position of the device, and populate
+             * the coordinate inputs
+             *
+             * @param {object} $scope - the widget scope
+             */
+            var getPosition = function($scope) {
 
-                        // Populate the widget
-                        if (rows.length) {
-                            var locationData = rows[0]._();
-                            $scope.addr_street = locationData.addr_street;
-                        } else {
-                            locationID = null;
-                        }
+                $scope.locating = true;
 
-                        return locationID;
+                emLocation.getPosition().then(
+                    function(position) {
+                        $scope.lat = position.lat;
+                        $scope.lon = position.lon;
+                        $scope.wkt = null;
+                        $scope.position = position;
+                    },
+                    function(error) {
+                        emDialogs.error('Could not determine current position', error);
+                    }).finally(function() {
+                        $scope.locating = false;
                     });
             };
 
+            /**
+             * Pick the location (point or area) on a map
+             *
+             * @param {object} $scope - the widget scope
+             */
+            var pickLocation = function($scope) {
+
+                var current = {
+                    lat: $scope.lat,
+                    lon: $scope.lon,
+                    wkt: $scope.wkt
+                };
+
+                emMapPicker.pick(current, {polygon: true}).then(function(location) {
+                    if (location) {
+                        $scope.lat = location.lat;
+                        $scope.lon = location.lon;
+                        $scope.wkt = location.wkt;
+                        $scope.position = null;
+                    }
+                });
+            };
+
             /**
              * Apply the widget logic (event handling)
              *
@@ -554,11 +583,23 @@
                     }
                 });
 
+                // Capture the current position
+                $scope.getPosition = function() {
+                    getPosition($scope);
+                };
+
+                // Pick the location on a map
+                $scope.pickLocation = function() {
+                    pickLocation($scope);
+                };
+
                 // Upon FormSubmission, create or update the location
                 $scope.$on('FormSubmission', function() {
                     if (deferred) {
                         // Create or update location record
-                        locationID = createOrUpdateLocation(locationID, $scope);
+                        locationID = $q.when(locationID).then(function(locationID) {
+                            return emLocation.saveLocation(locationID, $scope);
+                        });
                         deferred.resolve(locationID);
                     }
                 });
@@ -591,11 +632,57 @@
                     'placeholder'
                 ]);
 
+                // Create the coordinate inputs (manual entry discards
+                // the accuracy information of a captured position, and
+                // the area picked on the map)
+                var lat_input = angular.element('<input type="number" step="any" min="-90" max="90">')
+                                       .attr('ng-model', 'lat')
+                                       .attr('ng-change', 'position = null; wkt = null')
+                                       .attr('placeholder', 'Latitude'),
+                    lon_input = angular.element('<input type="number" step="any" min="-180" max="180">')
+                                       .attr('ng-model', 'lon')
+                                       .attr('ng-change', 'position = null; wkt = null')
+                                       .attr('placeholder', 'Longitude'),
+                    gps_button = angular.element('<button type="button">')
+                                        .addClass('button button-small button-positive icon-left ion-navigate')
+                                        .attr('ng-click', 'getPosition()')
+                                        .attr('ng-disabled', 'locating')
+                                        .text('Get Position'),
+                    map_button = angular.element('<button type="button">')
+                                        .addClass('button button-small button-positive icon-left ion-map')
+                                        .attr('ng-click', 'pickLocation()')
+                                        .text('Map');
+                copyAttr(attr, lat_input, ['disabled']);
+                copyAttr(attr, lon_input, ['disabled']);
+                copyAttr(attr, gps_button, ['disabled']);
+                copyAttr(attr, map_button, ['disabled']);
+
+                var coordinates = angular.element('<div class="location-widget-coordinates">')
+                                         .append(lat_input)
+                                         .append(lon_input)
+                                         .append(gps_button)
+                                         .append(map_button);
+
+                // Accuracy and timestamp of the captured position
+                var info = angular.element('<div class="location-widget-info">')
+                                  .attr('ng-show', 'position')
+                                  .text('Accuracy: {{position.accuracy | number:0}} m ({{position.timestamp | date:"short"}})'),
+                    warning = angular.element('<div class="location-widget-warning">')
+                                     .attr('ng-show', 'position.inaccurate')
+                                     .text('Low accuracy: position may be off by more than {{position.threshold}} m'),
+                    area = angular.element('<div class="location-widget-info">')
+                                  .attr('ng-show', 'wkt')
+                                  .text('Area selected on map');
+
                 // Build the widget
-                var widget = angular.element('<label>')
-                                    .addClass('item item-input item-stacked-label')
+                var widget = angular.element('<div>')
+                                    .addClass('item item-input item-stacked-label location-widget')
                                     .append(label)
-                                    .append(address_input);
+                                    .append(address_input)
+                                    .append(coordinates)
+                                    .append(info)
+                                    .append(warning)
+                                    .append(area);
 
                 // Widget attributes
                 copyAttr(attr, widget, [
@@ -938,6 +1025,29 @@
                                           .append(widget);
                         popup = true;
                         break;
+                    case 'integer':
+                        inputType = 'number';
+                        widget = angular.element('<input>')
+                                        .attr('type', 'text')
+                                        .attr('disabled', 'disabled')
+                                        .attr('ng-model', scopeName);
+                        if (empty) {
+                            widget.attr('placeholder', empty);
+                        }
+                        if (!writable) {
+                            widget.addClass('readonly');
+                        }
+                        listItem = angular.element('<div class="item">')
+                                          .append(label)
+                                          .append(widget);
+                        if (!onValidation) {
+                            // Accept positive integers only
+                            onValidation = function(value) {
+                                return /^\d+$/.test('' + value) && parseInt(value, 10) > 0;
+                            };
+                        }
+                        popup = true;
+                        break;
                     case 'boolean':
                         widget = angular.element('<ion-toggle>')
                                         .addClass('item item-toggle')
@@ -978,6 +1088,9 @@
                             setting.help,
                             dialogOptions,
                             function(inputValue) {
+                                if (dataType == 'integer') {
+                                    inputValue = parseInt(inputValue, 10);
+                                }
                                 sectionData[settingName] = inputValue;
                                 var update = scope.update;
                                 if (update !== undefined) {
@@ -127,6 +127,11 @@
                                 formRow.append(instruction);
                             }
                             break;
+                        case 'repeat':
+                            formRow = angular.element('<em-form-repeat>')
+                                             .attr('formname', formName)
+                                             .attr('element', index);
+                            break;
                         default:
                             break;
                     }
@@ -214,10 +219,22 @@
                         var showOn = validation.errors.map(function(cond) {
                             return formName + '.' + fieldName + '.$error.' + cond;
                         }).join(' || ');
-                        errors.push({showOn: showOn, msg: validation.message});
+                        errors.push({
+                            showOn: showOn,
+                            msg: validation.message,
+                            translate: validation.translate,
+                            values: validation.values
+                        });
                     });
                 }
 
+                // Form-level (cross-field) validation errors
+                // - not for component rows
+                if (prefix == 'form') {
+                    var formError = 'formStatus.validationErrors["' + fieldName + '"]';
+                    errors.push({showOn: formError, bind: formError});
+                }
+
                 // Use emFormStyle to render the form row
                 var formRow = emFormStyle.formRow(formName,
                                                   field.getLabel($scope.currentLanguage),
@@ -257,6 +274,154 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Directive for <em-form-repeat>:
+     *   - a repeat group, i.e. the records of a component as repeatable
+     *     blocks of form rows, bound to repeats[alias]
+     */
+    EdenMobile.directive('emFormRepeat', [
+        '$compile',
+        function($compile) {
+
+            var renderRepeat = function($scope, elem, attr) {
+
+                var sectionConfig = $scope.sectionConfig,
+                    formElement = sectionConfig && sectionConfig[attr.element],
+                    resource = $scope.resource;
+                if (!formElement || !resource) {
+                    return;
+                }
+
+                var alias = formElement.component,
+                    component = resource.component(alias);
+                if (!component) {
+                    return;
+                }
+
+                var rows = 'repeats["' + alias + '"]',
+                    min = formElement.min,
+                    max = formElement.max;
+
+                // Separate scope for the rows, so that the form rows
+                // find the component as resource
+                var repeatScope = $scope.$new();
+                repeatScope.resource = component;
+
+                repeatScope.addRow = function() {
+                    var repeatRows = $scope.repeats[alias];
+                    if (!max || repeatRows.length < max) {
+                        repeatRows.push({});
+                    }
+                };
+                repeatScope.removeRow = function(index) {
+                    var repeatRows = $scope.repeats[alias];
+                    if (repeatRows.length > min) {
+                        repeatRows.splice(index, 1);
+                    }
+                };
+                repeatScope.moveRow = function(index, step) {
+                    var repeatRows = $scope.repeats[alias],
+                        target = index + step;
+                    if (target >= 0 && target < repeatRows.length) {
+                        var row = repeatRows[index];
+                        repeatRows[index] = repeatRows[target];
+                        repeatRows[target] = row;
+                    }
+                };
+
+                // Group label
+                var labels = getTranslation(formElement, {
+                        label: formElement.label || component.getLabel(true)
+                    }, $scope.currentLanguage),
+                    group = angular.element('<div class="card repeat-group">'),
+                    header = angular.element('<div class="item item-divider">')
+                                    .text(labels.label);
+                group.append(header);
+
+                // Row template
+                var row = angular.element('<ng-form em-form-repeat-row class="repeat-row">')
+                                 .attr('name', 'repeatRow')
+                                 .attr('ng-repeat', 'row in ' + rows),
+                    toolbar = angular.element('<div class="repeat-row-toolbar">');
+
+                toolbar.append(angular.element('<span class="repeat-row-number">')
+                                      .text('{{$index + 1}}'))
+                       .append(angular.element('<button type="button" class="button button-clear button-dark icon ion-arrow-up-b">')
+                                      .attr('ng-disabled', '$first')
+                                      .attr('ng-click', 'moveRow($index, -1)'))
+                       .append(angular.element('<button type="button" class="button button-clear button-dark icon ion-arrow-down-b">')
+                                      .attr('ng-disabled', '$last')
+                                      .attr('ng-click', 'moveRow($index, 1)'))
+                       .append(angular.element('<button type="button" class="button button-clear button-assertive icon ion-trash-a">')
+                                      .attr('ng-disabled', rows + '.length <= ' + min)
+                                      .attr('ng-click', 'removeRow($index)'));
+                row.append(toolbar);
+
+                formElement.fields.forEach(function(fieldName) {
+                    row.append(angular.element('<em-form-row>')
+                                      .attr('formname', 'repeatRow')
+                                      .attr('prefix', 'row')
+                                      .attr('field', fieldName));
+                });
+                group.append(row);
+
+                // Add-button
+                var addButton = angular.element('<button type="button" class="button button-block button-stable icon-left ion-plus">')
+                                       .attr('ng-click', 'addRow()')
+                                       .text('Add');
+                if (max) {
+                    addButton.attr('ng-disabled', rows + '.length >= ' + max);
+                }
+                group.append(addButton);
+
+                // Link to display logic if required
+                var dlID = attr.displayLogic;
+                if (dlID) {
+                    group.attr('ng-show', 'displayLogic["' + dlID + '"].show()');
+                }
+
+                // Add group to DOM and compile it
+                elem.replaceWith(group);
+                $compile(group)(repeatScope);
+            };
+
+            return {
+                link: renderRepeat
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Directive for <ng-form em-form-repeat-row>:
+     *   - propagates the submitted-status of the wizard form to the
+     *     nested form of a repeat row (to show validation errors)
+     */
+    EdenMobile.directive('emFormRepeatRow', [
+        function() {
+
+            var link = function($scope, elem, attr, controllers) {
+
+                var rowForm = controllers[0],
+                    parentForm = controllers[1];
+
+                $scope.$watch(function() {
+                    return parentForm.$submitted;
+                }, function(submitted) {
+                    if (submitted && !rowForm.$submitted) {
+                        rowForm.$setSubmitted();
+                    }
+                });
+            };
+
+            return {
+                require: ['form', '^^form'],
+                link: link
+            };
+        }
+    ]);
+
     // ========================================================================
     /**
      * Directive for <em-instructions>
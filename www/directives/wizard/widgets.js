@@ -56,6 +56,106 @@
         }
     }
 
+    // ========================================================================
+    /**
+     * Convert a date/time limit (min/max) from the server schema (UTC)
+     * into local date/time as expected by input[type="datetime-local"]
+     *
+     * @param {string} value - the limit, ISO format
+     *
+     * @returns {string} - the local date/time, format YYYY-MM-DDThh:mm:ss,
+     *                     or undefined if the value can not be parsed
+     */
+    function localDateTime(value) {
+
+        var utc = '' + value;
+        if (!/(Z|[+-]\d\d:?\d\d)$/.test(utc)) {
+            utc = utc.replace(' ', 'T') + 'Z';
+        }
+        var date = new Date(utc);
+        if (isNaN(date.getTime())) {
+            return;
+        }
+
+        var pad = function(n) {
+            return n < 10 ? '0' + n : '' + n;
+        };
+        return [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())].join('-') + 'T' +
+               [pad(date.getHours()), pad(date.getMinutes()), pad(date.getSeconds())].join(':');
+    }
+
+    // ========================================================================
+    /**
+     * Render a time or date/time widget: an input plus a button to set
+     * the current time (used by emWizardTimeWidget and emWizardDatetimeWidget)
+     *
+     * @param {object} $compile - the $compile service
+     * @param {object} $parse - the $parse service
+     * @param {object} options - the widget options
+     *  @property {string} options.inputType - the input type
+     *  @property {function} options.now - function returning the current
+     *                                     time as model value
+     *  @property {function} options.limit - function to convert min/max
+     *                                       into the input format (optional)
+     *
+     * @returns {function} - the link function for the widget directive
+     */
+    function dateTimeWidget($compile, $parse, options) {
+
+        return function($scope, elem, attr) {
+
+            // Create the input
+            var input = angular.element('<input>').attr('type', options.inputType);
+
+            // Set the name
+            var fieldName = attr.field;
+            if (fieldName) {
+                input.attr('name', fieldName);
+            }
+
+            // Widget attributes and directives
+            copyAttr(attr, input, [
+                'ngModel',
+                'disabled',
+                'ngRequired'
+            ]);
+
+            // Min/max constraints
+            var limit = options.limit;
+            ['min', 'max'].forEach(function(name) {
+                var value = attr[name];
+                if (value && limit) {
+                    value = limit(value);
+                }
+                if (value) {
+                    input.attr(name, value);
+                }
+            });
+
+            // Button to set the current time
+            var button = angular.element('<button type="button">')
+                                .addClass('button button-small button-positive datetime-now')
+                                .text('Now');
+            copyAttr(attr, button, ['disabled']);
+
+            var widget = angular.element('<div class="datetime-widget">')
+                                .append(input)
+                                .append(button);
+
+            // Add widget to DOM and compile it against scope
+            elem.replaceWith(widget);
+            $compile(widget)($scope);
+
+            var setValue = $parse(attr.ngModel).assign;
+            button.on('click', function(event) {
+                event.preventDefault();
+                $scope.$apply(function() {
+                    setValue($scope, options.now());
+                });
+            });
+        };
+    }
+
     // ========================================================================
     /**
      * Generic Widget <em-wizard-generic-widget>
@@ -133,11 +233,12 @@
                 }
 
                 // Widget attributes and directives
-                // TODO apply validation directives
                 copyAttr(attr, widget, [
                     'ngModel',
                     'disabled',
-                    'ngRequired'
+                    'ngRequired',
+                    'min',
+                    'max'
                 ]);
 
                 // Add widget to DOM and compile it against scope
@@ -151,6 +252,51 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Time widget <em-wizard-time-widget>
+     * - model value is a Date (1970-01-01 local time, as for input[type="time"]),
+     *   stored as UTC
+     */
+    EdenMobile.directive('emWizardTimeWidget', [
+        '$compile', '$parse',
+        function($compile, $parse) {
+
+            return {
+                link: dateTimeWidget($compile, $parse, {
+                    inputType: 'time',
+                    now: function() {
+                        var now = new Date();
+                        return new Date(1970, 0, 1, now.getHours(), now.getMinutes());
+                    }
+                })
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Date/time widget <em-wizard-datetime-widget>
+     * - model value is a Date, entered in local time and stored as UTC
+     */
+    EdenMobile.directive('emWizardDatetimeWidget', [
+        '$compile', '$parse',
+        function($compile, $parse) {
+
+            return {
+                link: dateTimeWidget($compile, $parse, {
+                    inputType: 'datetime-local',
+                    now: function() {
+                        var now = new Date();
+                        now.setSeconds(0, 0);
+                        return now;
+                    },
+                    limit: localDateTime
+                })
+            };
+        }
+    ]);
+
     // ========================================================================
     /**
      * Number widget <em-wizard-number-widget>
@@ -217,7 +363,12 @@
                     'ngModel',
                     'disabled',
                     'placeholder',
-                    'ngRequired'
+                    'ngRequired',
+                    'ngMinlength',
+                    'ngMaxlength',
+                    'isMatch',
+                    'isEmail',
+                    'isPhoneNumber'
                 ]);
 
                 // Add widget to DOM and compile it against scope
@@ -255,7 +406,12 @@
                     'ngModel',
                     'disabled',
                     'placeholder',
-                    'ngRequired'
+                    'ngRequired',
+                    'ngMinlength',
+                    'ngMaxlength',
+                    'isMatch',
+                    'isEmail',
+                    'isPhoneNumber'
                 ]);
 
                 // Add widget to DOM and compile it against scope
@@ -742,6 +898,489 @@
         }
     ]);
 
+    // ========================================================================
+    /**
+     * Upload widget <em-wizard-upload-widget>
+     * - attach a picture (camera or gallery) or a file to an upload-field
+     * - model value is the URI of the stored file; an upload-field holds
+     *   only one file (as on the server), so for several attachments per
+     *   question, put the upload-field of a component in a repeat group
+     *   (see emFormRepeat), i.e. one attachment per component row
+     * - new files are tracked in $scope.pendingFiles, replaced or removed
+     *   files in $scope.orphanedFiles (cleaned up by the wizard controller)
+     */
+    EdenMobile.directive('emWizardUploadWidget', [
+        '$compile', 'emDialogs', 'emFiles',
+        function($compile, emDialogs, emFiles) {
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the file name from a file URI
+             *
+             * @param {string} fileURI - the file URI
+             *
+             * @returns {string} - the file name
+             */
+            var getFileName = function(fileURI) {
+                return fileURI.split('/').pop().split('#')[0].split('?')[0];
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Check whether a file is an image (to render a preview)
+             *
+             * @param {string} fileURI - the file URI
+             *
+             * @returns {boolean} - whether the file is an image
+             */
+            var isImage = function(fileURI) {
+                return /\.(jpe?g|png|gif|bmp|webp)$/i.test(getFileName(fileURI));
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Link the widget
+             *
+             * @param {object} $scope - the local scope of the widget
+             * @param {DOMNode} elem - the angular-enhanced DOM node for
+             *                         the element applying the directive
+             * @param {object} attr - object containing the attributes of
+             *                        the element
+             * @param {ngModelController} ngModel - the model controller
+             */
+            var link = function($scope, elem, attr, ngModel) {
+
+                var resourceName = $scope.resource && $scope.resource.name,
+                    fieldName = attr.field,
+                    accept = attr.accept || 'image/*',
+                    images = accept == 'image/*';
+
+                // Current attachment (for rendering)
+                var upload = $scope.upload = {
+                    fileURI: null,
+                    fileName: null,
+                    image: false
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Update the field value
+                 *
+                 * @param {string} fileURI - the new file URI, or null
+                 *                           to remove the current file
+                 */
+                var setFile = function(fileURI) {
+
+                    // Current file is now orphaned
+                    var currentURI = ngModel.$modelValue;
+                    if (currentURI) {
+                        $scope.orphanedFiles.push(currentURI);
+                    }
+
+                    // New file is still pending until record gets saved
+                    if (fileURI) {
+                        $scope.pendingFiles.push(fileURI);
+                    }
+
+                    ngModel.$setViewValue(fileURI || null);
+                    ngModel.$setTouched();
+                    ngModel.$render();
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Move a file from the cache to persistent storage, then
+                 * set it as field value
+                 *
+                 * @param {string} fileURI - the (temp-)file URI
+                 */
+                var storeFile = function(fileURI) {
+
+                    emFiles.store(fileURI, function(newURI) {
+                        $scope.$apply(function() {
+                            setFile(newURI);
+                        });
+                    }, resourceName, fieldName);
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Get a picture, either from the camera or the gallery
+                 *
+                 * @param {boolean} gallery - pick the picture from the
+                 *                            gallery rather than taking
+                 *                            a new one
+                 */
+                $scope.getPicture = function(gallery) {
+
+                    var cameraOptions = {
+                        correctOrientation: true,
+                        targetHeight: 1280,
+                        targetWidth: 1280
+                    };
+                    if (gallery) {
+                        cameraOptions.sourceType = Camera.PictureSourceType.PHOTOLIBRARY;
+                    }
+
+                    navigator.camera.getPicture(
+                        storeFile,
+                        function(error) {
+                            // Ignore if the user has cancelled
+                            if (!/no image selected|cancel/i.test('' + error)) {
+                                emDialogs.error('Could not get picture', error);
+                            }
+                        },
+                        cameraOptions
+                    );
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Open the file chooser
+                 */
+                $scope.getFile = function() {
+                    var fileInput = elem[0].querySelector('input[type="file"]');
+                    if (fileInput) {
+                        fileInput.click();
+                    }
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * View the current picture in a modal
+                 */
+                $scope.viewPicture = function() {
+                    if (upload.fileURI && upload.image) {
+                        emDialogs.viewPicture(upload.fileURI);
+                    }
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Remove the current file (after confirmation)
+                 */
+                $scope.removeFile = function() {
+                    if (upload.fileURI) {
+                        emDialogs.confirmAction(
+                            'Remove Attachment',
+                            'Are you sure you want to remove this attachment?',
+                            function() {
+                                setFile(null);
+                            }
+                        );
+                    }
+                };
+
+                // Preview and empty-message
+                var image = angular.element('<img class="upload-widget-image">')
+                                   .attr('ng-if', 'upload.image')
+                                   .attr('ng-src', '{{upload.fileURI}}')
+                                   .attr('alt', 'File not found')
+                                   .attr('ng-click', 'viewPicture()'),
+                    file = angular.element('<div class="upload-widget-file">')
+                                  .attr('ng-if', '!upload.image')
+                                  .append('<i class="icon ion-document"></i>')
+                                  .append('<span>{{upload.fileName}}</span>'),
+                    preview = angular.element('<div class="upload-widget-preview">')
+                                     .attr('ng-if', 'upload.fileURI')
+                                     .append(image)
+                                     .append(file),
+                    empty = angular.element('<div class="upload-widget-empty">')
+                                   .attr('ng-if', '!upload.fileURI')
+                                   .text(images ? 'No Picture' : 'No File');
+
+                // Buttons
+                var buttons = angular.element('<div class="upload-widget-controls">');
+                if (images) {
+                    buttons.append(angular.element('<button type="button">')
+                                          .addClass('button button-small button-positive icon-left ion-camera')
+                                          .attr('ng-click', 'getPicture()')
+                                          .text('Camera'))
+                           .append(angular.element('<button type="button">')
+                                          .addClass('button button-small button-positive icon-left ion-images')
+                                          .attr('ng-click', 'getPicture(true)')
+                                          .text('Gallery'));
+                } else {
+                    buttons.append(angular.element('<input type="file" class="hide">')
+                                          .attr('accept', accept))
+                           .append(angular.element('<button type="button">')
+                                          .addClass('button button-small button-positive icon-left ion-document')
+                                          .attr('ng-click', 'getFile()')
+                                          .text('Choose File'));
+                }
+                buttons.append(angular.element('<button type="button">')
+                                      .addClass('button button-small button-assertive icon-left ion-close-circled')
+                                      .attr('ng-show', 'upload.fileURI')
+                                      .attr('ng-click', 'removeFile()')
+                                      .text('Remove'));
+                if (attr.disabled) {
+                    buttons.addClass('hide');
+                }
+
+                var widget = angular.element('<div class="upload-widget">')
+                                    .append(preview)
+                                    .append(empty)
+                                    .append(buttons);
+
+                elem.append(widget);
+                $compile(widget)($scope);
+
+                // Store chosen files (file input)
+                var fileInput = widget[0].querySelector('input[type="file"]');
+                if (fileInput) {
+                    angular.element(fileInput).on('change', function() {
+                        var chosen = fileInput.files && fileInput.files[0];
+                        if (!chosen) {
+                            return;
+                        }
+                        var tempName = new Date().getTime() + '-' + chosen.name.replace(/[^\w.\-]/g, '_');
+                        emFiles.createTempFile(tempName, chosen, storeFile);
+                        fileInput.value = '';
+                    });
+                }
+
+                // Do not pass clicks on to the form row label
+                // (would otherwise trigger the first button)
+                elem.on('click', function(event) {
+                    if (event.target !== fileInput) {
+                        event.preventDefault();
+                    }
+                });
+
+                // Render current field value (e.g. update or returning to section)
+                ngModel.$render = function() {
+                    var fileURI = ngModel.$viewValue || null;
+                    upload.fileURI = fileURI;
+                    upload.fileName = fileURI && getFileName(fileURI);
+                    upload.image = !!fileURI && isImage(fileURI);
+                };
+            };
+
+            // ----------------------------------------------------------------
+            // Return the DDO
+            return {
+                link: link,
+                require: 'ngModel',
+                scope: true
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Location widget <em-wizard-location-widget>
+     * - capture the coordinates of the current position (GPS), pick
+     *   them on a map, or enter them manually
+     * - picking an area on the map requires widget option polygon=true
+     * - model value is the location record ID, or - when changed - the
+     *   location data {id, lat, lon, wkt, accuracy, timestamp}, which gets
+     *   stored as gis_location record when the form is submitted
+     */
+    EdenMobile.directive('emWizardLocationWidget', [
+        '$compile', 'emDialogs', 'emLocation', 'emMapPicker',
+        function($compile, emDialogs, emLocation, emMapPicker) {
+
+            // ----------------------------------------------------------------
+            /**
+             * Link the widget
+             *
+             * @param {object} $scope - the local scope of the widget
+             * @param {DOMNode} elem - the angular-enhanced DOM node for
+             *                         the element applying the directive
+             * @param {object} attr - object containing the attributes of
+             *                        the element
+             * @param {ngModelController} ngModel - the model controller
+             */
+            var link = function($scope, elem, attr, ngModel) {
+
+                // Current location (widget model)
+                var location = $scope.location = {
+                    id: null,
+                    lat: null,
+                    lon: null,
+                    wkt: null,
+                    position: null
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Update the field value from the widget model
+                 */
+                var updateValue = function() {
+
+                    var position = location.position;
+
+                    ngModel.$setViewValue({
+                        id: location.id,
+                        lat: location.lat,
+                        lon: location.lon,
+                        wkt: location.wkt,
+                        accuracy: position ? position.accuracy : null,
+                        timestamp: position ? position.timestamp : null
+                    });
+                    ngModel.$setTouched();
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Capture the current position
+                 */
+                $scope.getPosition = function() {
+
+                    $scope.locating = true;
+
+                    emLocation.getPosition().then(
+                        function(position) {
+                            location.lat = position.lat;
+                            location.lon = position.lon;
+                            location.wkt = null;
+                            location.position = position;
+                            updateValue();
+                        },
+                        function(error) {
+                            emDialogs.error('Could not determine current position', error);
+                        }).finally(function() {
+                            $scope.locating = false;
+                        });
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Pick the location on a map
+                 */
+                $scope.pickLocation = function() {
+
+                    var options = {polygon: attr.polygon == 'true'};
+
+                    emMapPicker.pick(location, options).then(function(picked) {
+                        if (picked) {
+                            location.lat = picked.lat;
+                            location.lon = picked.lon;
+                            location.wkt = picked.wkt;
+                            location.position = null;
+                            updateValue();
+                        }
+                    });
+                };
+
+                // --------------------------------------------------------
+                /**
+                 * Manual entry of coordinates (discards the accuracy
+                 * information of a captured position, and the area
+                 * picked on the map)
+                 */
+                $scope.changeCoordinates = function() {
+                    location.wkt = null;
+                    location.position = null;
+                    updateValue();
+                };
+
+                // Build the widget
+                var latInput = angular.element('<input type="number" step="any" min="-90" max="90">')
+                                      .attr('ng-model', 'location.lat')
+                                      .attr('ng-change', 'changeCoordinates()')
+                                      .attr('placeholder', 'Latitude'),
+                    lonInput = angular.element('<input type="number" step="any" min="-180" max="180">')
+                                      .attr('ng-model', 'location.lon')
+                                      .attr('ng-change', 'changeCoordinates()')
+                                      .attr('placeholder', 'Longitude'),
+                    gpsButton = angular.element('<button type="button">')
+                                       .addClass('button button-small button-positive icon-left ion-navigate')
+                                       .attr('ng-click', 'getPosition()')
+                                       .attr('ng-disabled', 'locating')
+                                       .text('Get Position'),
+                    mapButton = angular.element('<button type="button">')
+                                       .addClass('button button-small button-positive icon-left ion-map')
+                                       .attr('ng-click', 'pickLocation()')
+                                       .text('Map');
+                copyAttr(attr, latInput, ['disabled']);
+                copyAttr(attr, lonInput, ['disabled']);
+                copyAttr(attr, gpsButton, ['disabled']);
+                copyAttr(attr, mapButton, ['disabled']);
+
+                var info = angular.element('<div class="location-widget-info">')
+                                  .attr('ng-show', 'location.position')
+                                  .text('Accuracy: {{location.position.accuracy | number:0}} m ({{location.position.timestamp | date:"short"}})'),
+                    warning = angular.element('<div class="location-widget-warning">')
+                                     .attr('ng-show', 'location.position.inaccurate')
+                                     .text('Low accuracy: position may be off by more than {{location.position.threshold}} m'),
+                    area = angular.element('<div class="location-widget-info">')
+                                  .attr('ng-show', 'location.wkt')
+                                  .text('Area selected on map');
+
+                var widget = angular.element('<div class="location-widget">')
+                                    .append(angular.element('<div class="location-widget-coordinates">')
+                                                   .append(latInput)
+                                                   .append(lonInput)
+                                                   .append(gpsButton)
+                                                   .append(mapButton))
+                                    .append(info)
+                                    .append(warning)
+                                    .append(area);
+
+                elem.append(widget);
+                $compile(widget)($scope);
+
+                // Do not pass clicks on to the form row label
+                // (would otherwise focus the first input)
+                elem.on('click', function(event) {
+                    if (event.target.tagName != 'INPUT') {
+                        event.preventDefault();
+                    }
+                });
+
+                // Location without (valid) coordinates counts as empty
+                ngModel.$isEmpty = function(value) {
+                    if (value && value.constructor === Object) {
+                        return !emLocation.validCoordinates(value.lat, value.lon);
+                    }
+                    return value === undefined || value === null || value === '';
+                };
+
+                // Render current field value (e.g. update or returning to section)
+                ngModel.$render = function() {
+
+                    var value = ngModel.$viewValue;
+
+                    location.position = null;
+                    if (value && value.constructor === Object) {
+                        // Location data captured earlier
+                        location.id = value.id;
+                        location.lat = value.lat;
+                        location.lon = value.lon;
+                        location.wkt = value.wkt;
+                        if (value.accuracy !== null && value.accuracy !== undefined) {
+                            location.position = {
+                                accuracy: value.accuracy,
+                                timestamp: value.timestamp
+                            };
+                        }
+                    } else if (value) {
+                        // Existing location record
+                        location.id = value;
+                        emLocation.loadLocation(value).then(function(locationData) {
+                            if (locationData) {
+                                location.lat = locationData.lat;
+                                location.lon = locationData.lon;
+                                location.wkt = locationData.wkt || null;
+                            }
+                        });
+                    } else {
+                        location.id = location.lat = location.lon = location.wkt = null;
+                    }
+                };
+            };
+
+            // ----------------------------------------------------------------
+            // Return the DDO
+            return {
+                link: link,
+                require: 'ngModel',
+                scope: true
+            };
+        }
+    ]);
+
     // ========================================================================
     /**
      * Image Map widget <em-wizard-image-map>
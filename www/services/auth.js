@@ -32,7 +32,16 @@
     //
     var masterKeyAuth = false,
         encryptSession = false,
-        sessionTimeout = false;
+        sessionTimeout = false,
+        authStrategy = 'basic',
+        profileStrategies = {},
+        oauth2 = {
+            tokenURL: {c: 'default', f: 'oauth2', args: ['token'], extension: 'json'},
+            revokeURL: null,
+            clientID: null,
+            clientSecret: null,
+            scope: null
+        };
 
     // ========================================================================
     // Status
@@ -45,8 +54,8 @@
     // Service Constructor
     //
     var emAuth = [
-        '$injector', '$q', '$timeout', '$rootScope', 'emDB', 'emReset',
-        function($injector, $q, $timeout, $rootScope, emDB, emReset) {
+        '$injector', '$q', '$timeout', '$rootScope', 'emCrypto', 'emDB', 'emProfiles', 'emReset',
+        function($injector, $q, $timeout, $rootScope, emCrypto, emDB, emProfiles, emReset) {
 
             var hexlify = CryptoJS.enc.Hex.stringify,
                 unhexlify = CryptoJS.enc.Hex.parse;
@@ -567,7 +576,8 @@
                 if (currentSession) {
                     return $q.resolve(currentSession);
                 } else if (!noPrompt) {
-                    return sessionPrompt();
+                    // Prompt only after the device has been unlocked
+                    return emCrypto.unlocked.then(sessionPrompt);
                 } else {
                     return $q.reject();
                 }
@@ -604,6 +614,44 @@
                     return masterKey;
                 },
 
+                /**
+                 * Get the name of the authentication strategy for the
+                 * server of the current profile (see emAuthStrategies)
+                 *
+                 * @returns {string} - the strategy name
+                 */
+                authStrategy: function() {
+
+                    if (masterKeyAuth) {
+                        return 'masterkey';
+                    }
+                    var profile = emProfiles.current();
+                    return profile.authStrategy ||
+                           profileStrategies[profile.id] ||
+                           authStrategy;
+                },
+
+                /**
+                 * Get the OAuth2 client configuration
+                 *
+                 * @returns {object} - the configuration {tokenURL, revokeURL,
+                 *                     clientID, clientSecret, scope}
+                 */
+                oauth2: function() {
+                    return oauth2;
+                },
+
+                /**
+                 * Get the key of the current session (for audit trail)
+                 *
+                 * @returns {string} - the master key UUID of the current
+                 *                     session, or null if there is no
+                 *                     current session
+                 */
+                sessionKey: function() {
+                    return currentSession && currentSession.masterkey_uuid || null;
+                },
+
                 getSession: getSession,
                 refreshSession: refreshSession,
                 updateSession: updateSession,
@@ -635,6 +683,39 @@
             sessionTimeout = timeout;
         };
 
+        /**
+         * Set the default authentication strategy (see emAuthStrategies),
+         * for all server profiles or for a particular profile; can be
+         * overridden by the user in the server profile
+         *
+         * @param {string} setting - the strategy name, basic|oauth2|...
+         * @param {string} profileID - the server profile ID (optional)
+         */
+        this.authStrategy = function(setting, profileID) {
+            if (profileID) {
+                profileStrategies[profileID] = setting;
+            } else {
+                authStrategy = setting || 'basic';
+            }
+        };
+
+        /**
+         * Configure the OAuth2 client
+         *
+         * @param {object} setting - the configuration
+         * @param {object} setting.tokenURL - the token endpoint, as options
+         *                                    for emServer.URL
+         * @param {object} setting.revokeURL - the token revocation endpoint
+         *                                     (optional), as options for
+         *                                     emServer.URL
+         * @param {string} setting.clientID - the client ID
+         * @param {string} setting.clientSecret - the client secret (optional)
+         * @param {string} setting.scope - the requested scope (optional)
+         */
+        this.oauth2 = function(setting) {
+            angular.extend(oauth2, setting);
+        };
+
         // Service Constructor
         this.$get = emAuth;
     });
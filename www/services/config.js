@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('emConfig', [
-    '$q', 'emDB', 'emSettings',
-    function ($q, emDB, emSettings) {
+    '$q', 'emCrypto', 'emDB', 'emSettings',
+    function ($q, emCrypto, emDB, emSettings) {
 
         "use strict";
 
@@ -72,6 +72,23 @@ EdenMobile.factory('emConfig', [
         // Load the structure and defaults
         loadDefaults();
 
+        // --------------------------------------------------------------------
+        /**
+         * Check whether a setting is to be stored encrypted
+         *
+         * @param {string} sectionName - the section name
+         * @param {string} key - the setting key
+         *
+         * @returns {boolean} - whether the setting is encrypted
+         */
+        var isEncrypted = function(sectionName, key) {
+
+            var section = emSettings[sectionName],
+                setting = section && section[key];
+
+            return !!(setting && setting.encrypted);
+        };
+
         // --------------------------------------------------------------------
         /**
          * Load local defaults from config/local.json, called during
@@ -124,9 +141,11 @@ EdenMobile.factory('emConfig', [
                     name,
                     section,
                     values,
+                    value,
                     empty,
                     key,
-                    sectionDefaults;
+                    sectionDefaults,
+                    reEncrypt = false;
 
                 for (name in emSettings) {
 
@@ -143,7 +162,16 @@ EdenMobile.factory('emConfig', [
                         if (!sectionDefaults.hasOwnProperty(key)) {
                             continue;
                         }
-                        values[key] = section[key];
+                        value = section[key];
+                        if (isEncrypted(name, key) && value) {
+                            if (emCrypto.isEncrypted(value)) {
+                                value = emCrypto.decrypt(value);
+                            } else {
+                                // Stored before encryption was enabled
+                                reEncrypt = true;
+                            }
+                        }
+                        values[key] = value;
                         empty = false;
                     }
                     if (!empty) {
@@ -152,6 +180,11 @@ EdenMobile.factory('emConfig', [
                 }
                 // Store the record ID for later updates
                 settingsID = record.$('id');
+
+                // Encrypt credentials stored as plain text
+                if (reEncrypt) {
+                    new Settings().save();
+                }
             }
             // Resolve the promise
             settingsStatus.resolve(currentSettings);
@@ -173,8 +206,11 @@ EdenMobile.factory('emConfig', [
                 }
             }
 
-            emDB.table('em_config').then(function(table) {
-                table.select(['id', 'settings'], {limitby: 1}, loadSettings);
+            // Stored credentials can only be decrypted once unlocked
+            emCrypto.unlocked.then(function() {
+                emDB.table('em_config').then(function(table) {
+                    table.select(['id', 'settings'], {limitby: 1}, loadSettings);
+                });
             });
         });
 
@@ -318,6 +354,9 @@ EdenMobile.factory('emConfig', [
                 for (key in section) {
                     value = section[key];
                     if (value !== undefined) {
+                        if (value && isEncrypted(sectionName, key)) {
+                            value = emCrypto.encrypt(value);
+                        }
                         values[key] = value;
                         emptySection = false;
                     }
@@ -0,0 +1,526 @@
+/**
+ * Sahana Eden Mobile - Encryption of Data at Rest
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function(EdenMobile) {
+
+    "use strict";
+
+    // ========================================================================
+    // Constants
+    //
+    var prefix = '$aes$',       // marker for encrypted values
+        keystoreTable = 'em_keystore';
+
+    // ========================================================================
+    /**
+     * emCrypto - Service to encrypt stored credentials and sensitive
+     *            fields with a key derived from a device PIN
+     *
+     * - the data are encrypted with a random data key, which is stored
+     *   in em_keystore encrypted with the PIN-derived key (so that the
+     *   PIN can be verified without storing it)
+     * - the data key is only held in memory while the app is unlocked
+     *
+     * @class emCrypto
+     * @memberof EdenMobile.Services
+     */
+    EdenMobile.factory('emCrypto', [
+        '$injector', '$q', '$rootScope', 'emDB',
+        function($injector, $q, $rootScope, emDB) {
+
+            var hexlify = CryptoJS.enc.Hex.stringify,
+                unhexlify = CryptoJS.enc.Hex.parse;
+
+            var dataKey = null,
+                unlockStatus = $q.defer();
+
+            // ----------------------------------------------------------------
+            /**
+             * Derive separate encryption and authentication keys from a key
+             *
+             * @param {string} key - the key (hex)
+             *
+             * @returns {object} - the keys {enc, mac} (WordArray)
+             */
+            var splitKey = function(key) {
+
+                var keyBytes = unhexlify(key);
+                return {
+                    enc: CryptoJS.HmacSHA256('encryption', keyBytes),
+                    mac: CryptoJS.HmacSHA256('authentication', keyBytes)
+                };
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Compare two strings in constant time (to not reveal how much
+             * of a MAC is correct through the time the comparison takes)
+             *
+             * @param {string} a - the first string
+             * @param {string} b - the second string
+             *
+             * @returns {boolean} - whether the strings are equal
+             */
+            var constantEquals = function(a, b) {
+
+                if (a.length != b.length) {
+                    return false;
+                }
+                var diff = 0;
+                for (var i = 0, len = a.length; i < len; i++) {
+                    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+                }
+                return diff === 0;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Encrypt a string with a key (AES-CBC with random IV, with
+             * HMAC-SHA256 over IV and ciphertext for verification)
+             *
+             * @param {string} plain - the string to encrypt
+             * @param {string} key - the key (hex)
+             *
+             * @returns {string} - the encrypted string as hex$hmac, where
+             *                     hex is the IV followed by the ciphertext
+             */
+            var encryptWith = function(plain, key) {
+
+                var keys = splitKey(key),
+                    iv = CryptoJS.lib.WordArray.random(16),
+                    cipher = CryptoJS.AES.encrypt(plain, keys.enc, {iv: iv}),
+                    hex = hexlify(iv) + hexlify(cipher.ciphertext),
+                    hmac = hexlify(CryptoJS.HmacSHA256(hex, keys.mac));
+
+                return hex + '$' + hmac;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Decrypt a string encrypted with encryptWith
+             *
+             * @param {string} encrypted - the encrypted string (hex$hmac)
+             * @param {string} key - the key (hex)
+             *
+             * @returns {string} - the decrypted string, or null if the
+             *                     string is invalid or the key is wrong
+             */
+            var decryptWith = function(encrypted, key) {
+
+                var parts = encrypted.split('$');
+                if (parts.length != 2) {
+                    return null;
+                }
+
+                var keys = splitKey(key),
+                    hex = parts[0],
+                    hmac = hexlify(CryptoJS.HmacSHA256(hex, keys.mac));
+                if (!constantEquals(parts[1], hmac) || hex.length <= 32) {
+                    return null;
+                }
+
+                var cipher = CryptoJS.lib.CipherParams.create({
+                        ciphertext: unhexlify(hex.slice(32))
+                    }),
+                    decrypted = CryptoJS.AES.decrypt(cipher, keys.enc, {
+                        iv: unhexlify(hex.slice(0, 32))
+                    });
+
+                return CryptoJS.enc.Utf8.stringify(decrypted);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Derive a key from a PIN; a PIN is short, so the iteration
+             * count is high to make brute-forcing it expensive
+             *
+             * @param {string} pin - the PIN
+             * @param {string} salt - the salt (hex)
+             *
+             * @returns {string} - the key (hex)
+             */
+            var deriveKey = function(pin, salt) {
+
+                var keyHash = CryptoJS.PBKDF2('' + pin, unhexlify(salt), {
+                    keySize: 8,
+                    iterations: 100000,
+                    hasher: CryptoJS.algo.SHA256
+                });
+                return hexlify(keyHash);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Read the keystore
+             *
+             * @returns {promise} - a promise that resolves into the keystore
+             *                      record {salt, data_key}, or null if no
+             *                      PIN has been set yet
+             */
+            var getKeystore = function() {
+
+                var deferred = $q.defer();
+
+                emDB.table(keystoreTable).then(function(table) {
+                    table.select(['salt', 'data_key'], {limitby: 1}, function(records) {
+                        if (records.length) {
+                            deferred.resolve(records[0]._());
+                        } else {
+                            deferred.resolve(null);
+                        }
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Establish the data key, and inform all controllers
+             *
+             * @param {string} key - the data key
+             */
+            var setDataKey = function(key) {
+
+                dataKey = key;
+                unlockStatus.resolve();
+
+                $rootScope.$broadcast('emDeviceUnlocked');
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Set the PIN (first time), generating a new data key
+             *
+             * @param {string} pin - the PIN
+             *
+             * @returns {promise} - a promise that is resolved when the key
+             *                      is stored and the device is unlocked
+             */
+            var setPIN = function(pin) {
+
+                if (!pin) {
+                    return $q.reject('PIN required');
+                }
+
+                return getKeystore().then(function(keystore) {
+
+                    if (keystore) {
+                        return $q.reject('PIN already set');
+                    }
+
+                    var salt = hexlify(CryptoJS.lib.WordArray.random(16)),
+                        key = hexlify(CryptoJS.lib.WordArray.random(32)),
+                        deferred = $q.defer();
+
+                    emDB.table(keystoreTable).then(function(table) {
+                        table.insert({
+                            salt: salt,
+                            data_key: encryptWith(key, deriveKey(pin, salt))
+                        }, function() {
+                            setDataKey(key);
+                            deferred.resolve();
+                        }, function(error) {
+                            deferred.reject(error);
+                        });
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+
+                    return deferred.promise;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Unlock the device with the PIN
+             *
+             * @param {string} pin - the PIN
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      device is unlocked, or rejected if the
+             *                      PIN is invalid
+             */
+            var unlock = function(pin) {
+
+                return getKeystore().then(function(keystore) {
+
+                    if (!keystore) {
+                        return $q.reject('no PIN set');
+                    }
+
+                    var key = decryptWith(keystore.data_key, deriveKey(pin || '', keystore.salt));
+                    if (!key) {
+                        return $q.reject('invalid PIN');
+                    }
+                    setDataKey(key);
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Forget the PIN: remove the keystore and all user data (which
+             * can no longer be decrypted), and unlock with a new PIN
+             *
+             * @param {string} pin - the new PIN
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      process is complete
+             */
+            var resetPIN = function(pin) {
+
+                var deferred = $q.defer();
+
+                emDB.table(keystoreTable).then(function(table) {
+                    table.where().delete(function() {
+                        $injector.get('emReset').reset().then(function() {
+                            setPIN(pin).then(function() {
+                                deferred.resolve();
+                            }, function(error) {
+                                deferred.reject(error);
+                            });
+                        }, function(error) {
+                            deferred.reject(error || 'could not delete data');
+                        });
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Encrypt a value with the data key
+             *
+             * @param {string} value - the value to encrypt
+             *
+             * @returns {string} - the encrypted value
+             *
+             * @throws {Error} - if the device is locked
+             */
+            var encrypt = function(value) {
+
+                if (!dataKey) {
+                    throw new Error('device locked, can not encrypt');
+                }
+                return prefix + encryptWith('' + value, dataKey);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Decrypt a value with the data key
+             *
+             * @param {string} value - the encrypted value
+             *
+             * @returns {string} - the decrypted value; values that are not
+             *                     encrypted are returned unaltered; null if
+             *                     the device is locked or the value can not
+             *                     be decrypted
+             */
+            var decrypt = function(value) {
+
+                if (!isEncrypted(value)) {
+                    return value;
+                }
+                if (!dataKey) {
+                    return null;
+                }
+                return decryptWith(value.slice(prefix.length), dataKey);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Check whether a value is encrypted
+             *
+             * @param {*} value - the value
+             *
+             * @returns {boolean} - whether the value is encrypted
+             */
+            var isEncrypted = function(value) {
+
+                return typeof value == 'string' && value.slice(0, prefix.length) == prefix;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Show the lock screen, to set or enter the PIN
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      device is unlocked
+             */
+            var lockScreen = function() {
+
+                var scope = $rootScope.$new();
+
+                scope.formData = {};
+                scope.submitInProgress = false;
+                scope.newPIN = null;
+                scope.keystoreError = false;
+
+                // Read the keystore to determine whether a PIN has been set
+                scope.loadKeystore = function() {
+                    scope.keystoreError = false;
+                    getKeystore().then(function(keystore) {
+                        scope.newPIN = !keystore;
+                    }, function(error) {
+                        scope.keystoreError = true;
+                        $injector.get('emDialogs').error('Could not read keystore', error);
+                    });
+                };
+                scope.loadKeystore();
+
+                var done = function() {
+                    scope.submitInProgress = false;
+                    scope.modal.remove();
+                    scope.$destroy();
+                };
+
+                var failed = function(error) {
+                    scope.submitInProgress = false;
+                    scope.formData = {};
+                    $injector.get('emDialogs').error('Unlock failed', error);
+                };
+
+                var resetFailed = function(error) {
+                    scope.submitInProgress = false;
+                    scope.formData = {};
+                    $injector.get('emDialogs').error('Reset failed', error);
+                };
+
+                scope.submit = function(form) {
+
+                    if (scope.submitInProgress || form.$invalid) {
+                        return;
+                    }
+
+                    var formData = scope.formData;
+                    if (scope.newPIN && formData.pin != formData.confirm) {
+                        failed('PINs do not match');
+                        return;
+                    }
+
+                    scope.submitInProgress = true;
+                    if (scope.newPIN) {
+                        setPIN(formData.pin).then(done, failed);
+                    } else {
+                        unlock(formData.pin).then(done, failed);
+                    }
+                };
+
+                scope.forgotPIN = function() {
+                    $injector.get('emDialogs').confirmAction(
+                        'Forgot PIN',
+                        'Without the PIN, stored data can not be decrypted. All data on this device will be deleted, are you sure you want to continue?',
+                        {
+                            okType: 'button-assertive',
+                            okText: 'Delete Data'
+                        },
+                        function() {
+                            scope.formData = {};
+                            scope.newPIN = true;
+                            scope.reset = true;
+                        });
+                };
+
+                scope.submitReset = function(form) {
+
+                    var formData = scope.formData;
+                    if (scope.submitInProgress || form.$invalid) {
+                        return;
+                    }
+                    if (formData.pin != formData.confirm) {
+                        failed('PINs do not match');
+                        return;
+                    }
+                    scope.submitInProgress = true;
+                    resetPIN(formData.pin).then(done, resetFailed);
+                };
+
+                var $ionicModal = $injector.get('$ionicModal');
+                $ionicModal.fromTemplateUrl('views/auth/lock_screen.html', {
+                    scope: scope,
+                    animation: 'none',
+                    backdropClickToClose: false,
+                    hardwareBackButtonClose: false
+                }).then(function(modal) {
+                    scope.modal = modal;
+                    modal.show();
+                });
+
+                return unlockStatus.promise;
+            };
+
+            // ----------------------------------------------------------------
+            // Service API
+            //
+            return {
+
+                /**
+                 * Whether the device is locked (=no data key in memory)
+                 *
+                 * @returns {boolean}
+                 */
+                isLocked: function() {
+                    return !dataKey;
+                },
+
+                /**
+                 * Promise that is resolved when the device is unlocked
+                 */
+                unlocked: unlockStatus.promise,
+
+                lockScreen: lockScreen,
+                encrypt: encrypt,
+                decrypt: decrypt,
+                isEncrypted: isEncrypted
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Show the lock screen on app start, and reload the current view
+     * once unlocked (so it shows the decrypted data)
+     */
+    EdenMobile.run(['$state', 'emCrypto', function($state, emCrypto) {
+
+        emCrypto.lockScreen().then(function() {
+            if ($state.current && $state.current.name) {
+                $state.reload();
+            }
+        });
+    }]);
+
+})(EdenMobile);
+
+// END ========================================================================
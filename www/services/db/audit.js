@@ -0,0 +1,418 @@
+/**
+ * Sahana Eden Mobile - Audit Trail
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+EdenMobile.factory('AuditTrail', [
+    '$injector', '$q',
+    function ($injector, $q) {
+
+        "use strict";
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to quote SQL identifiers
+         *
+         * @param {string} identifier - the identifier
+         *
+         * @returns {string} - the quoted identifier
+         */
+        var quoted = function(identifier) {
+
+            return '"' + identifier + '"';
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the name of the current local user
+         * - emUsers is injected lazily since it depends on emDB
+         *
+         * @returns {string} - the username, or null if not logged in
+         */
+        var currentUser = function() {
+
+            return $injector.get('emUsers').current();
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the key of the current server session
+         * - emAuth is injected lazily since it depends on emDB
+         *
+         * @returns {string} - the session key, or null if there is
+         *                     no current session
+         */
+        var currentSession = function() {
+
+            return $injector.get('emAuth').sessionKey();
+        };
+
+        // ====================================================================
+        /**
+         * AuditTrail - transaction helpers to log record changes in a user
+         *              table to em_audit, i.e. for each write the table name,
+         *              record UUID, operation, time stamp, local user and
+         *              session, and the changed fields with their old and
+         *              new (SQL) values
+         *
+         * - values of encrypted fields are not logged (only that they
+         *   were changed)
+         *
+         * @param {Table} table - the (original) table
+         */
+        function AuditTrail(table) {
+
+            this.table = table;
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the names of the fields to audit (=all non-meta fields)
+         *
+         * @returns {Array} - array of field names
+         */
+        AuditTrail.prototype.fields = function() {
+
+            var fields = this.table.fields,
+                fieldNames = [];
+
+            for (var fieldName in fields) {
+                if (!fields[fieldName].meta) {
+                    fieldNames.push(fieldName);
+                }
+            }
+            return fieldNames;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the names of audited fields written by an update
+         *
+         * @param {object} record - the update data {fieldName: value}
+         *
+         * @returns {Array} - array of field names
+         */
+        AuditTrail.prototype.updatedFields = function(record) {
+
+            return this.fields().filter(function(fieldName) {
+                return record.hasOwnProperty(fieldName) && record[fieldName] !== undefined;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to read the current values of audited fields
+         * before a write
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {Expression} query - the query to select the records,
+         *                             optional (default: all)
+         * @param {Array} fieldNames - the names of the fields to read,
+         *                             optional (default: all audited fields)
+         * @param {function} callback - callback function: function(snapshot),
+         *                              with snapshot as array of records
+         *                              {uuid: uuid, values: {fieldName: value}}
+         */
+        AuditTrail.prototype.snapshot = function(tx, query, fieldNames, callback) {
+
+            if (!fieldNames) {
+                fieldNames = this.fields();
+            }
+
+            var columns = ['uuid'].concat(fieldNames).map(quoted),
+                sql = ['SELECT', columns.join(','), 'FROM', quoted(this.table.name)];
+
+            if (query) {
+                sql = sql.concat(['WHERE', query.toSQL()]);
+            }
+
+            tx.executeSql(sql.join(' '), [], function(tx, result) {
+
+                var rows = result.rows,
+                    snapshot = [],
+                    item,
+                    values;
+
+                for (var i = 0, len = rows.length; i < len; i++) {
+                    item = rows.item(i);
+                    values = {};
+                    fieldNames.forEach(function(fieldName) {
+                        values[fieldName] = item[fieldName];
+                    });
+                    snapshot.push({uuid: item.uuid, values: values});
+                }
+                callback(snapshot);
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to log a new record
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {object} record - the record data {fieldName: value},
+         *                          including defaults
+         * @param {function} callback - callback function: function(tx)
+         */
+        AuditTrail.prototype.insert = function(tx, record, callback) {
+
+            var fields = this.table.fields,
+                changes = {},
+                field,
+                value;
+
+            this.fields().forEach(function(fieldName) {
+                value = record[fieldName];
+                if (value !== undefined && value !== null) {
+                    field = fields[fieldName];
+                    changes[fieldName] = field.encrypted ? null : [null, field.encode(value)];
+                }
+            });
+
+            this._log(tx, [{
+                uuid: record.uuid,
+                operation: 'insert',
+                changes: changes
+            }], callback);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to log an update; records without changes
+         * of audited fields are skipped
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {Array} snapshot - the records before the update
+         *                           (see snapshot)
+         * @param {object} record - the update data {fieldName: value}
+         * @param {function} callback - callback function: function(tx)
+         */
+        AuditTrail.prototype.update = function(tx, snapshot, record, callback) {
+
+            var fields = this.table.fields,
+                fieldNames = this.updatedFields(record),
+                entries = [];
+
+            // Encode the new values
+            var newValues = {};
+            fieldNames.forEach(function(fieldName) {
+                var field = fields[fieldName];
+                if (!field.encrypted) {
+                    newValues[fieldName] = field.encode(record[fieldName]);
+                }
+            });
+
+            snapshot.forEach(function(item) {
+
+                var oldValues = item.values,
+                    changes = {},
+                    changed = false;
+
+                fieldNames.forEach(function(fieldName) {
+
+                    var field = fields[fieldName],
+                        oldValue = oldValues[fieldName],
+                        newValue;
+
+                    if (field.encrypted) {
+                        // Compare the decrypted values
+                        oldValue = JSON.stringify(field.decode(oldValue));
+                        newValue = JSON.stringify(record[fieldName]);
+                        if (oldValue !== newValue) {
+                            changes[fieldName] = null;
+                            changed = true;
+                        }
+                    } else {
+                        if (oldValue === undefined) {
+                            oldValue = null;
+                        }
+                        newValue = newValues[fieldName];
+                        if (oldValue !== newValue) {
+                            changes[fieldName] = [oldValue, newValue];
+                            changed = true;
+                        }
+                    }
+                });
+
+                if (changed) {
+                    entries.push({
+                        uuid: item.uuid,
+                        operation: 'update',
+                        changes: changes
+                    });
+                }
+            });
+
+            this._log(tx, entries, callback);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to log deleted records
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {Array} snapshot - the records before the deletion
+         *                           (see snapshot)
+         * @param {function} callback - callback function: function(tx)
+         */
+        AuditTrail.prototype.remove = function(tx, snapshot, callback) {
+
+            var fields = this.table.fields,
+                entries = [];
+
+            snapshot.forEach(function(item) {
+
+                var oldValues = item.values,
+                    changes = {},
+                    value;
+
+                for (var fieldName in oldValues) {
+                    value = oldValues[fieldName];
+                    if (value !== undefined && value !== null) {
+                        changes[fieldName] = fields[fieldName].encrypted ? null : [value, null];
+                    }
+                }
+
+                entries.push({
+                    uuid: item.uuid,
+                    operation: 'delete',
+                    changes: changes
+                });
+            });
+
+            this._log(tx, entries, callback);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to write entries to em_audit
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {Array} entries - the entries [{uuid, operation, changes}]
+         * @param {function} callback - callback function: function(tx)
+         */
+        AuditTrail.prototype._log = function(tx, entries, callback) {
+
+            var table = this.table,
+                auditTable = table._db.tables.em_audit;
+
+            if (!auditTable || !entries.length) {
+                // Audit table not yet available (e.g. during migration)
+                if (callback) {
+                    callback(tx);
+                }
+                return;
+            }
+
+            var timestamp = new Date(),
+                username = currentUser(),
+                session = currentSession(),
+                pending = entries.length;
+
+            entries.forEach(function(entry) {
+
+                var sql = auditTable._insert({
+                    tablename: table.name,
+                    record_uuid: entry.uuid,
+                    operation: entry.operation,
+                    timestamp: timestamp,
+                    changes: entry.changes,
+                    username: username,
+                    session: session
+                });
+
+                tx.executeSql(sql[0], sql[1], function(tx) {
+                    pending--;
+                    if (!pending && callback) {
+                        callback(tx);
+                    }
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the change history of a record
+         *
+         * @param {string} uuid - the record UUID
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      history entries, newest first:
+         *                      [{timestamp, operation, username, session,
+         *                        changes: [{fieldName, label, oldValue,
+         *                                   newValue, withheld}]}]
+         */
+        AuditTrail.prototype.history = function(uuid) {
+
+            var table = this.table,
+                auditTable = table._db.tables.em_audit;
+
+            if (!auditTable) {
+                return $q.resolve([]);
+            }
+
+            var deferred = $q.defer(),
+                fields = table.fields,
+                query = auditTable.$('tablename').equals(table.name).and(
+                        auditTable.$('record_uuid').equals(uuid));
+
+            auditTable.where(query).select(
+                ['timestamp', 'operation', 'username', 'session', 'changes'],
+                {orderby: auditTable.$('id').desc()},
+                function(rows) {
+                    deferred.resolve(rows.map(function(row) {
+
+                        var entry = row._(),
+                            changes = entry.changes || {},
+                            field,
+                            change;
+
+                        entry.changes = Object.keys(changes).map(function(fieldName) {
+                            field = fields[fieldName];
+                            change = changes[fieldName];
+                            return {
+                                fieldName: fieldName,
+                                label: field ? field.getLabel() : fieldName,
+                                oldValue: change ? change[0] : null,
+                                newValue: change ? change[1] : null,
+                                withheld: !change
+                            };
+                        });
+                        return entry;
+                    }));
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // ====================================================================
+        // Return the constructor
+        //
+        return AuditTrail;
+    }
+]);
+
+// END ========================================================================
@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('emDB', [
-    '$q', 'emDefaultSchema', 'Field', 'Table',
-    function ($q, emDefaultSchema, Field, Table) {
+    '$q', 'emDefaultSchema', 'emMigrations', 'emProfiles', 'Field', 'Table',
+    function ($q, emDefaultSchema, emMigrations, emProfiles, Field, Table) {
 
         "use strict";
 
@@ -149,8 +149,13 @@ EdenMobile.factory('emDB', [
                 adapter.executeSql(sql, [], function(result) {
 
                     if (result.rows.length) {
-                        // em_version table exists => load tables
-                        self._loadTables().then(
+                        // em_version table exists => migrate schema if
+                        // required, then load tables
+                        self._checkVersion().then(function() {
+                            return self._loadTables();
+                        }).then(function() {
+                            return self._setupFullTextIndexes();
+                        }).then(
                             function() {
                                 status.resolve();
                             },
@@ -167,6 +172,180 @@ EdenMobile.factory('emDB', [
             }, self.sqlError);
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Check the schema version of the database, and run the migrations
+         * if it is behind the current default schema (emSchemaVersion),
+         * called from _setup if the database has already been bootstrapped
+         *
+         * @returns {promise} - a promise that is resolved when the schema
+         *                      is up-to-date
+         */
+        Database.prototype._checkVersion = function() {
+
+            var self = this,
+                deferred = $q.defer();
+
+            var sql = 'SELECT version FROM em_version LIMIT 1';
+            self._adapter.executeSql(sql, [], function(result) {
+
+                var rows = result.rows,
+                    version = null;
+                if (rows.length) {
+                    version = rows.item(0).version;
+                }
+
+                if (emMigrations.isCurrent(version)) {
+                    deferred.resolve();
+                } else {
+                    self._migrate(version).then(
+                        function() {
+                            deferred.resolve();
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+                }
+            }, function(error) {
+                deferred.reject(error);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Migrate the database schema from an older version to the current
+         * version (emSchemaVersion); runs all pending migrations in a single
+         * transaction, then creates missing system tables, updates the
+         * schemas of the system tables and sets the new schema version
+         *
+         * @param {string} version - the current schema version of the database
+         *
+         * @returns {promise} - a promise that is resolved when the migration
+         *                      is complete, or rejected if it failed (in
+         *                      which case all changes are rolled back)
+         */
+        Database.prototype._migrate = function(version) {
+
+            var self = this,
+                adapter = self._adapter,
+                deferred = $q.defer(),
+                migrations = emMigrations.pending(version);
+
+            // Callback after successful migration
+            var onSuccess = function() {
+                adapter.executeSql('PRAGMA foreign_keys = ON;', [],
+                    function() {
+                        deferred.resolve();
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+            };
+
+            // Callback after error during migration
+            var onError = function(error) {
+                adapter.executeSql('PRAGMA foreign_keys = ON;');
+                if (error && error.message) {
+                    error = error.message;
+                }
+                deferred.reject('Schema migration failed: ' + error);
+            };
+
+            // Foreign key support must be off while rebuilding tables
+            // (and can only be turned off outside of transactions)
+            adapter.executeSql('PRAGMA foreign_keys = OFF;', [], function() {
+                adapter.transaction(function(tx) {
+
+                    var migrator = emMigrations.migrator(self, tx);
+                    migrations.forEach(function(migration) {
+                        migrator.apply(migration);
+                    });
+
+                    migrator.run(function(tx) {
+                        self._updateSystemTables(tx);
+                    });
+
+                }, onError, onSuccess);
+            }, onError);
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create missing system tables, update the schemas of all system
+         * tables in em_schema and set the current schema version (final
+         * step of the migration transaction)
+         *
+         * @param {Transaction} tx - the migration transaction
+         */
+        Database.prototype._updateSystemTables = function(tx) {
+
+            var self = this,
+                sql = 'SELECT name FROM sqlite_master WHERE type="table"';
+
+            tx.executeSql(sql, [], function(tx, result) {
+
+                var rows = result.rows,
+                    existing = [],
+                    i,
+                    len;
+                for (i = 0, len = rows.length; i < len; i++) {
+                    existing.push(rows.item(i).name);
+                }
+
+                emDefaultSchema.tables.forEach(function(schema) {
+
+                    var tableName = schema._name;
+                    if (tableName[0] == '_') {
+                        return;
+                    }
+
+                    var parsed = parseSchema(schema),
+                        table = new Table(self, tableName, parsed.fields, parsed.settings);
+                    table.addMetaFields();
+
+                    // Create the table if it doesn't exist yet
+                    if (existing.indexOf(tableName) == -1) {
+                        tx.executeSql(table._create());
+                        if (parsed.records) {
+                            parsed.records.forEach(function(record) {
+                                var insert = table._insert(table.addDefaults(record, false, false));
+                                tx.executeSql(insert[0], insert[1]);
+                            });
+                        }
+                    }
+
+                    // Update the schema
+                    var fields = table.fields,
+                        fieldDef = {};
+                    for (var fieldName in fields) {
+                        if (!fields[fieldName].meta) {
+                            fieldDef[fieldName] = fields[fieldName].description();
+                        }
+                    }
+                    fieldDef = JSON.stringify(fieldDef);
+
+                    var settings = JSON.stringify(table.settings);
+                    tx.executeSql('SELECT id FROM em_schema WHERE name=?', [tableName], function(tx, result) {
+                        if (result.rows.length) {
+                            tx.executeSql('UPDATE em_schema SET fields=?, settings=? WHERE name=?',
+                                          [fieldDef, settings, tableName]);
+                        } else {
+                            tx.executeSql('INSERT INTO em_schema (name, fields, settings) VALUES (?,?,?)',
+                                          [tableName, fieldDef, settings]);
+                        }
+                    });
+                });
+
+                // Set the current schema version
+                tx.executeSql('DELETE FROM em_version');
+                tx.executeSql('INSERT INTO em_version (version) VALUES (?)', [emSchemaVersion]);
+            });
+        };
+
         // --------------------------------------------------------------------
         /**
          * Bootstrap a new database (create standard tables, store schemas),
@@ -270,6 +449,38 @@ EdenMobile.factory('emDB', [
             return tablesLoaded.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Create and populate missing full-text search indexes for all
+         * user tables, called from _setup after loading the tables
+         *
+         * @returns {promise} - a promise that is resolved when all indexes
+         *                      are available
+         */
+        Database.prototype._setupFullTextIndexes = function() {
+
+            var tables = this.tables,
+                deferred = $q.defer();
+
+            this._adapter.transaction(
+                function(tx) {
+                    Object.keys(tables).forEach(function(tableName) {
+                        var index = tables[tableName].fullTextIndex();
+                        if (index) {
+                            index.setup(tx);
+                        }
+                    });
+                },
+                function(error) {
+                    deferred.reject(error);
+                },
+                function() {
+                    deferred.resolve();
+                });
+
+            return deferred.promise;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Clean the database (=drop all user tables)
@@ -316,7 +527,12 @@ EdenMobile.factory('emDB', [
                             // Skip system tables
                             return;
                         }
-                        var quotedName = quoted(tableName);
+                        var quotedName = quoted(tableName),
+                            table = tables[tableName],
+                            index = table.fullTextIndex ? table.fullTextIndex() : null;
+                        if (index) {
+                            tx.executeSql(index._drop());
+                        }
                         tx.executeSql('DELETE FROM em_resource WHERE tablename=' + quotedName + ';');
                         tx.executeSql('DELETE FROM em_object WHERE tablename=' + quotedName + ';');
                         tx.executeSql('DELETE FROM em_schema WHERE name=' + quotedName + ';');
@@ -341,10 +557,10 @@ EdenMobile.factory('emDB', [
         };
 
         // ====================================================================
-        // Open the default database
+        // Open the database of the current server profile
         //
         var db = new Database({
-            name: 'emdb.db',
+            name: emProfiles.current().database,
             location: 'default'
         });
         db.open();
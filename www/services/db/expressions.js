@@ -164,8 +164,13 @@
     Expression.prototype.greaterThan = function(other) {
         return this._assert(">", other);
     };
-    Expression.prototype.like = function(other) {
-        return this._assert("like", other);
+    Expression.prototype.like = function(other, escape) {
+        var expr = this._assert("like", other);
+        if (escape) {
+            // Escape character for wildcards in the pattern
+            expr._setProperties({escape: escape});
+        }
+        return expr;
     };
     Expression.prototype.in = function(other) {
         return this._assert("in", other);
@@ -342,6 +347,9 @@
                     }
                 }
                 sqlStr = [lSql, op.toUpperCase(), rSql].join(' ');
+                if (op == 'like' && this.escape) {
+                    sqlStr += ' ESCAPE ' + quoted(this.escape);
+                }
                 break;
             case 'in':
                 // Get the value set
@@ -416,6 +424,129 @@
         return sqlStr;
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Check whether this expression contains field selectors (which
+     * must be resolved against a resource before it can be used in
+     * a query)
+     *
+     * @returns {boolean} - true if the expression contains selectors
+     */
+    Expression.prototype.hasSelectors = function() {
+
+        var hasSelectors = false;
+
+        switch (this.exprType) {
+            case 'selector':
+                hasSelectors = true;
+                break;
+            case 'field':
+            case 'fieldpath':
+                break;
+            default:
+                if (this.op == 'sql') {
+                    break;
+                }
+                var left = this.left,
+                    right = this.right;
+                if (left && typeof left.hasSelectors == 'function') {
+                    hasSelectors = left.hasSelectors();
+                }
+                if (!hasSelectors && right && typeof right.hasSelectors == 'function') {
+                    hasSelectors = right.hasSelectors();
+                }
+                break;
+        }
+        return hasSelectors;
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Resolve selectors in this expression (into field paths)
+     *
+     * @param {Resource} resource - the resource to resolve against
+     *
+     * @returns {object} - object with the resolved Expression and the
+     *                     necessary Joins {expr: Expression, join: Join}
+     */
+    Expression.prototype.resolveSelectors = function(resource) {
+
+        if (this.exprType == 'field' || this.op == 'sql') {
+            return {expr: this};
+        }
+
+        var left = this.left,
+            right = this.right,
+            resolved = left.resolveSelectors(resource),
+            join = resolved.join,
+            lExpr = resolved.expr,
+            rExpr = right;
+
+        if (right === left) {
+            // Unary operator
+            rExpr = lExpr;
+        } else if (right && typeof right.resolveSelectors == 'function') {
+            resolved = right.resolveSelectors(resource);
+            rExpr = resolved.expr;
+            if (resolved.join) {
+                if (join) {
+                    join.merge(resolved.join);
+                } else {
+                    join = resolved.join;
+                }
+            }
+        }
+
+        var expr = new Expression(this.exprType, lExpr, this.op, rExpr);
+        if (this.exprType == 'transform') {
+            expr.decode = lExpr.decode;
+        }
+        if (this.escape) {
+            expr._setProperties({escape: this.escape});
+        }
+
+        return {expr: expr, join: join};
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Resolve field paths in this expression (into fields)
+     *
+     * @param {Join} join - the join tree to resolve the paths
+     * @param {object} tableMap - an object {alias: Table} to resolve
+     *                            table aliases
+     *
+     * @returns {Expression} - the resolved expression
+     */
+    Expression.prototype.resolvePaths = function(join, tableMap) {
+
+        if (this.exprType == 'field' || this.op == 'sql') {
+            return this;
+        }
+
+        var left = this.left,
+            right = this.right,
+            lExpr = left.resolvePaths(join, tableMap),
+            rExpr = right;
+
+        if (right === left) {
+            // Unary operator
+            rExpr = lExpr;
+        } else if (right && typeof right.resolvePaths == 'function') {
+            rExpr = right.resolvePaths(join, tableMap);
+        }
+
+        var expr = new Expression(this.exprType, lExpr, this.op, rExpr);
+        if (this.exprType == 'transform') {
+            expr.decode = lExpr.decode;
+        }
+        if (this.escape) {
+            expr._setProperties({escape: this.escape});
+        }
+
+        return expr;
+    };
+
     // ------------------------------------------------------------------------
     /**
      * Get the table name for a field expression
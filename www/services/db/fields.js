@@ -86,6 +86,55 @@ EdenMobile.factory('Field', [
             return decoded;
         };
 
+        // ====================================================================
+        // Time Encoding/Decoding
+        //
+        /**
+         * Encode a time of day as UTC ISO time string HH:MM:SSZ, so that
+         * stored times do not shift when the device changes timezone
+         *
+         * @param {Date} value - the time of day (date part is ignored)
+         *
+         * @returns {string} - the encoded time
+         */
+        var timeEncode = function(value) {
+
+            return [
+                value.getUTCHours(),
+                value.getUTCMinutes(),
+                value.getUTCSeconds()
+            ].map(function(n) {
+                return n < 10 ? '0' + n : '' + n;
+            }).join(':') + 'Z';
+        };
+
+        /**
+         * Decode a HH:MM[:SS][Z] string as time of day; uses 1970-01-01 as
+         * date part, like input[type="time"]; times without Z suffix (e.g.
+         * from the server) are interpreted as local time
+         *
+         * @param {string} s - the encoded time
+         *
+         * @returns {Date} - the time of day, or null if invalid
+         */
+        var timeDecode = function(s) {
+
+            s = '' + s;
+
+            var utc = s.slice(-1).toUpperCase() == 'Z',
+                parts = (utc ? s.slice(0, -1) : s).split(':').map(function(part) {
+                    return Math.floor(parseFloat(part));
+                });
+            if (parts.length < 2 || isNaN(parts[0]) || isNaN(parts[1])) {
+                return null;
+            }
+            if (utc) {
+                return new Date(Date.UTC(1970, 0, 1, parts[0], parts[1], parts[2] || 0));
+            } else {
+                return new Date(1970, 0, 1, parts[0], parts[1], parts[2] || 0);
+            }
+        };
+
         // ====================================================================
         /**
          * Field constructor
@@ -126,7 +175,10 @@ EdenMobile.factory('Field', [
                 isForeignKey: !!reference,
                 isObjectKey: isObjectKey,
                 refType: description.reftype,
-                meta: !!meta
+                meta: !!meta,
+                // Values are stored encrypted (emCrypto) - not for keys,
+                // and not usable in queries
+                encrypted: !!description.encrypted && !reference && !meta && name != 'id'
             });
 
             // Field description
@@ -346,6 +398,13 @@ EdenMobile.factory('Field', [
                     }
                     break;
 
+                case 'time':
+                    // Try to convert into HH:MM:SSZ string
+                    if (value.constructor === Date) {
+                        sqlEncoded = quoted(timeEncode(value));
+                    }
+                    break;
+
                 case 'datetime':
                     // Try to convert into ISO date/time string
                     if (value.constructor === Date) {
@@ -426,6 +485,11 @@ EdenMobile.factory('Field', [
                         }
                         sqlValue = [year, month, day].join('-');
                         break;
+                    case 'time':
+                        if (jsValue.constructor === Date) {
+                            sqlValue = timeEncode(jsValue);
+                        }
+                        break;
                     case 'datetime':
                         if (jsValue) {
                             jsValue.setMilliseconds(0);
@@ -442,6 +506,10 @@ EdenMobile.factory('Field', [
                     default:
                         break;
                 }
+
+                if (this.encrypted) {
+                    sqlValue = $injector.get('emCrypto').encrypt(JSON.stringify(sqlValue));
+                }
             }
 
             return sqlValue;
@@ -458,6 +526,14 @@ EdenMobile.factory('Field', [
          */
         Field.prototype.decode = function(sqlValue) {
 
+            if (this.encrypted) {
+                var emCrypto = $injector.get('emCrypto');
+                if (emCrypto.isEncrypted(sqlValue)) {
+                    var decrypted = emCrypto.decrypt(sqlValue);
+                    sqlValue = decrypted ? JSON.parse(decrypted) : null;
+                }
+            }
+
             var jsValue = sqlValue;
 
             if (jsValue !== undefined && jsValue !== null) {
@@ -473,6 +549,9 @@ EdenMobile.factory('Field', [
                     case 'datetime':
                         jsValue = new Date(sqlValue);
                         break;
+                    case 'time':
+                        jsValue = timeDecode(sqlValue);
+                        break;
                     case 'json':
                         jsValue = JSON.parse(sqlValue);
                         break;
@@ -715,6 +794,11 @@ EdenMobile.factory('Field', [
                         }
                         formatted = [year, month, day].join('-');
                         break;
+                    case 'time':
+                        if (jsValue.constructor === Date) {
+                            formatted = timeEncode(jsValue);
+                        }
+                        break;
                     case 'datetime':
                         if (jsValue) {
                             jsValue.setMilliseconds(0);
@@ -752,6 +836,10 @@ EdenMobile.factory('Field', [
                         // Comes in as ISO string => convert to date
                         parsed = new Date(value);
                         break;
+                    case 'time':
+                        // Comes in as HH:MM:SS[Z] => convert to time of day
+                        parsed = timeDecode(value);
+                        break;
                     default:
                         break;
                 }
@@ -783,6 +871,9 @@ EdenMobile.factory('Field', [
                 case 'date':
                     reprStr = value.toLocaleDateString();
                     break;
+                case 'time':
+                    reprStr = value.toLocaleTimeString();
+                    break;
                 case 'datetime':
                     reprStr = value.toLocaleString();
                     break;
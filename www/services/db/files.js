@@ -133,6 +133,42 @@
         });
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Create a file in the exports-folder (data exports for manual
+     * transfer, e.g. via USB)
+     *
+     * @param {string} fileName - the file name
+     * @param {Blob} data - the data as Blob
+     * @param {function} callback - success callback, function(fileURI)
+     * @param {function} onError - error callback, function(error)
+     */
+    var createExportFile = function(fileName, data, callback, onError) {
+
+        getDirectory('exports', function(exportsDir) {
+
+            exportsDir.getFile(fileName, {create: true, exclusive: false},
+
+                function(fileEntry) {
+
+                    fileEntry.createWriter(function(fileWriter) {
+                        var truncated = false;
+                        fileWriter.onwriteend = function() {
+                            if (!truncated) {
+                                // Remove any previous content, then write
+                                truncated = true;
+                                fileWriter.write(data);
+                            } else if (callback) {
+                                callback(fileEntry.nativeURL);
+                            }
+                        };
+                        fileWriter.onerror = fsError('unable to create export file', onError);
+                        fileWriter.truncate(0);
+                    });
+                }, fsError('can not write to exports directory', onError));
+        });
+    };
+
     // ------------------------------------------------------------------------
     /**
      * Helper function to move a file from cache to a persistent location
@@ -246,17 +282,117 @@
      */
     var getBlob = function(fileURI, onSuccess, onError) {
 
+        readFile(fileURI, function(fileName, buffer) {
+
+            var blob = new Blob([buffer], {type: 'application/octet-stream'});
+            onSuccess(fileName, blob);
+        }, onError);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * API function to read the contents of a file
+     *
+     * @param {string} fileURI - the file URI
+     * @param {function} onSuccess - success callback, function(fileName, buffer)
+     *                               with buffer being an ArrayBuffer
+     * @param {function} onError - error callback, function(error)
+     */
+    var readFile = function(fileURI, onSuccess, onError) {
+
         getFile(fileURI, function(fileName, file) {
 
             var reader = new FileReader();
             reader.onloadend = function() {
-                var blob = new Blob([this.result], {type: 'application/octet-stream'});
-                onSuccess(fileName, blob);
+                onSuccess(fileName, this.result);
             };
             reader.readAsArrayBuffer(file);
         }, onError);
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * API function to list the files in a sub-directory of the data
+     * directory (e.g. to select a file that has been transferred from
+     * another device)
+     *
+     * @param {string} fileType - the sub-directory name, e.g. exports|maps
+     * @param {function} onSuccess - success callback, function(files)
+     *                               with files being an array of
+     *                               {name: fileName, fileURI: fileURI}
+     * @param {function} onError - error callback, function(error)
+     */
+    var listFiles = function(fileType, onSuccess, onError) {
+
+        getDirectory(fileType, function(directory) {
+
+            var reader = directory.createReader(),
+                files = [];
+
+            // readEntries returns the entries in chunks, so repeat
+            // until it returns an empty array
+            var readEntries = function() {
+                reader.readEntries(function(entries) {
+                    if (entries.length) {
+                        entries.forEach(function(entry) {
+                            if (entry.isFile) {
+                                files.push({
+                                    name: entry.name,
+                                    fileURI: entry.nativeURL
+                                });
+                            }
+                        });
+                        readEntries();
+                    } else {
+                        onSuccess(files);
+                    }
+                }, fsError('can not read ' + fileType + ' directory', onError));
+            };
+            readEntries();
+        });
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * API function to list the files in the exports-folder
+     *
+     * @param {function} onSuccess - success callback, function(files)
+     *                               with files being an array of
+     *                               {name: fileName, fileURI: fileURI}
+     * @param {function} onError - error callback, function(error)
+     */
+    var listExportFiles = function(onSuccess, onError) {
+
+        listFiles('exports', onSuccess, onError);
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * API function to copy a database file (e.g. MBTiles) into the
+     * location where the SQLite plugin opens databases with
+     * location "default"
+     *
+     * @param {string} fileURI - the URI of the database file
+     * @param {string} dbName - the database name (=target file name)
+     * @param {function} onSuccess - success callback, function(dbName)
+     * @param {function} onError - error callback, function(error)
+     */
+    var importDatabase = function(fileURI, dbName, onSuccess, onError) {
+
+        var rootDirectory = cordova.file.applicationStorageDirectory,
+            dbPath = cordova.platformId == 'ios' ? 'Library/LocalDatabase' : 'databases';
+
+        window.resolveLocalFileSystemURL(rootDirectory, function(rootDir) {
+            rootDir.getDirectory(dbPath, {create: true}, function(dbDir) {
+                window.resolveLocalFileSystemURL(fileURI, function(fileEntry) {
+                    fileEntry.copyTo(dbDir, dbName, function() {
+                        onSuccess(dbName);
+                    }, fsError('failed to copy database file', onError));
+                }, fsError('file not found', onError));
+            }, fsError('unable to access database directory', onError));
+        }, fsError('unable to access application directory', onError));
+    };
+
     // ========================================================================
     /**
      * emFiles - Service to handle files for upload-fields
@@ -271,13 +407,20 @@
 
                 createTempFile: createTempFile,
                 createImageFile: createImageFile,
+                createExportFile: createExportFile,
 
                 store: store,
                 remove: remove,
                 removeAll: removeAll,
 
                 getFile: getFile,
-                getBlob: getBlob
+                getBlob: getBlob,
+                readFile: readFile,
+
+                listFiles: listFiles,
+                listExportFiles: listExportFiles,
+
+                importDatabase: importDatabase
             };
             return api;
         }
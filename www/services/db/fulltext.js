@@ -0,0 +1,341 @@
+/**
+ * Sahana Eden Mobile - Full-Text Search Index
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+EdenMobile.factory('FullTextIndex', [
+    '$q',
+    function ($q) {
+
+        "use strict";
+
+        // Weights of the index columns for ranking
+        var weights = {
+            0: 2,   // llrepr
+            1: 1    // content
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Helper to quote SQL identifiers
+         *
+         * @param {string} identifier - the identifier
+         *
+         * @returns {string} - the quoted identifier
+         */
+        var quoted = function(identifier) {
+
+            return '"' + identifier + '"';
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a user search string into an FTS match expression; all
+         * words must match (as prefixes)
+         *
+         * @param {string} searchText - the search string
+         *
+         * @returns {string} - the match expression, or null if the search
+         *                     string contains no searchable words
+         */
+        var matchExpression = function(searchText) {
+
+            var words = ('' + (searchText || '')).split(/\s+/).map(function(word) {
+                // Remove FTS syntax characters
+                return word.replace(/["'*()^:\-]/g, '');
+            }).filter(function(word) {
+                return word.length && ['AND', 'OR', 'NOT', 'NEAR'].indexOf(word.toUpperCase()) == -1;
+            });
+
+            if (!words.length) {
+                return null;
+            }
+            return words.map(function(word) {
+                return word + '*';
+            }).join(' ');
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Compute a rank score from the FTS offsets() of a match
+         *
+         * @param {string} offsets - the offsets string, space-separated
+         *                           integers, four per matching term
+         *                           (column, term, byte offset, size)
+         *
+         * @returns {number} - the score
+         */
+        var score = function(offsets) {
+
+            var values = ('' + (offsets || '')).split(' '),
+                total = 0;
+
+            for (var i = 0; i + 3 < values.length; i += 4) {
+                total += weights[values[i]] || 1;
+            }
+            return total;
+        };
+
+        // ====================================================================
+        /**
+         * FullTextIndex - an SQLite FTS4 index over the string/text fields
+         *                 and llrepr of a user table, with the record ID as
+         *                 document ID
+         *
+         * @param {Table} table - the (original) table
+         */
+        function FullTextIndex(table) {
+
+            this.table = table;
+            this.name = table.name + '__fts';
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the names of the fields to index as content
+         *
+         * @returns {Array} - array of field names
+         */
+        FullTextIndex.prototype.contentFields = function() {
+
+            var fields = this.table.fields,
+                field,
+                contentFields = [];
+
+            for (var fieldName in fields) {
+                field = fields[fieldName];
+                if (field.meta || field.encrypted) {
+                    continue;
+                }
+                if (field.type == 'string' || field.type == 'text') {
+                    contentFields.push(fieldName);
+                }
+            }
+            return contentFields;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Construct an SQL statement to create the index
+         *
+         * @returns {string} - the SQL statement
+         */
+        FullTextIndex.prototype._create = function() {
+
+            return 'CREATE VIRTUAL TABLE IF NOT EXISTS ' + quoted(this.name) +
+                   ' USING fts4(llrepr, content)';
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Construct an SQL statement to drop the index
+         *
+         * @returns {string} - the SQL statement
+         */
+        FullTextIndex.prototype._drop = function() {
+
+            return 'DROP TABLE IF EXISTS ' + quoted(this.name);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Construct an SQL statement to (re-)index records
+         *
+         * @param {string} where - SQL WHERE expression to select the
+         *                         records from the table, optional
+         *
+         * @returns {string} - the SQL statement
+         */
+        FullTextIndex.prototype._insert = function(where) {
+
+            var tableName = quoted(this.table.name),
+                content = this.contentFields().map(function(fieldName) {
+                    return 'COALESCE(' + quoted(fieldName) + ",'')";
+                });
+
+            if (!content.length) {
+                content = ["''"];
+            }
+
+            var sql = [
+                'INSERT INTO ' + quoted(this.name) + ' (docid, llrepr, content)',
+                'SELECT id, llrepr, ' + content.join(" || ' ' || "),
+                'FROM ' + tableName
+            ];
+            if (where) {
+                sql.push('WHERE ' + where);
+            }
+
+            return sql.join(' ');
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Construct an SQL statement to remove records from the index
+         *
+         * @param {string} where - SQL WHERE expression to select the
+         *                         records from the table, optional
+         *
+         * @returns {string} - the SQL statement
+         */
+        FullTextIndex.prototype._delete = function(where) {
+
+            var sql = 'DELETE FROM ' + quoted(this.name);
+            if (where) {
+                sql += ' WHERE docid IN (SELECT id FROM ' + quoted(this.table.name) +
+                       ' WHERE ' + where + ')';
+            }
+            return sql;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to (re-)index records
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {Array} recordIDs - the record IDs
+         * @param {function} callback - callback function: function(tx)
+         */
+        FullTextIndex.prototype.update = function(tx, recordIDs, callback) {
+
+            var where = null;
+            if (recordIDs) {
+                if (!recordIDs.length) {
+                    if (callback) {
+                        callback(tx);
+                    }
+                    return;
+                }
+                where = 'id IN (' + recordIDs.map(function(recordID) {
+                    return parseInt(recordID, 10);
+                }).join(',') + ')';
+            }
+
+            var self = this;
+            tx.executeSql(this._delete(where), [], function(tx) {
+                tx.executeSql(self._insert(where), [], function(tx) {
+                    if (callback) {
+                        callback(tx);
+                    }
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to remove records from the index
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {Expression} query - the query to select the records to
+         *                             remove, optional (default: all)
+         * @param {function} callback - callback function: function(tx)
+         */
+        FullTextIndex.prototype.remove = function(tx, query, callback) {
+
+            tx.executeSql(this._delete(query ? query.toSQL() : null), [], function(tx) {
+                if (callback) {
+                    callback(tx);
+                }
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Transaction helper to create the index if it doesn't exist yet,
+         * and populate it with all existing records
+         *
+         * @param {Transaction} tx - the database transaction
+         * @param {function} callback - callback function: function(tx)
+         */
+        FullTextIndex.prototype.setup = function(tx, callback) {
+
+            var self = this,
+                sql = 'SELECT name FROM sqlite_master WHERE type=? AND name=?';
+
+            tx.executeSql(sql, ['table', this.name], function(tx, result) {
+                if (result.rows.length) {
+                    if (callback) {
+                        callback(tx);
+                    }
+                } else {
+                    tx.executeSql(self._create(), [], function(tx) {
+                        self.update(tx, null, callback);
+                    });
+                }
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Search the index
+         *
+         * @param {string} searchText - the search string (words)
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      matching record IDs, ordered by rank
+         */
+        FullTextIndex.prototype.search = function(searchText) {
+
+            var match = matchExpression(searchText);
+            if (!match) {
+                return $q.resolve([]);
+            }
+
+            var deferred = $q.defer(),
+                db = this.table._db,
+                ftsTable = quoted(this.name),
+                sql = 'SELECT docid, offsets(' + ftsTable + ') AS offsets ' +
+                      'FROM ' + ftsTable + ' WHERE ' + ftsTable + ' MATCH ?';
+
+            db._adapter.executeSql(sql, [match],
+                function(result) {
+                    var rows = result.rows,
+                        matches = [],
+                        item;
+                    for (var i = 0, len = rows.length; i < len; i++) {
+                        item = rows.item(i);
+                        matches.push([item.docid, score(item.offsets)]);
+                    }
+                    // Order by score, then newest first
+                    matches.sort(function(a, b) {
+                        return (b[1] - a[1]) || (b[0] - a[0]);
+                    });
+                    deferred.resolve(matches.map(function(item) {
+                        return item[0];
+                    }));
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // ====================================================================
+        // Return the constructor
+        //
+        return FullTextIndex;
+    }
+]);
+
+// END ========================================================================
@@ -0,0 +1,784 @@
+/**
+ * Sahana Eden Mobile - Database Schema Migrations
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function(EdenMobile) {
+
+    "use strict";
+
+    // ========================================================================
+    // Registered migrations
+    //
+    var migrations = [
+        //{
+        //    version: 7,
+        //    name: 'migration name',
+        //    steps: function(migrate) {}
+        //}
+    ];
+
+    // ========================================================================
+    /**
+     * Convert a schema version into a number that can be compared
+     *
+     * @param {string|integer} version - the schema version
+     *
+     * @returns {integer} - the version number (0 if invalid or missing)
+     */
+    var versionNumber = function(version) {
+
+        var number = parseInt(version, 10);
+        if (isNaN(number)) {
+            number = 0;
+        }
+        return number;
+    };
+
+    // ========================================================================
+    // Service Constructor
+    //
+    var emMigrations = [
+        'emDefaultSchema', 'Field', 'Table',
+        function(emDefaultSchema, Field, Table) {
+
+            // ----------------------------------------------------------------
+            /**
+             * Helper to quote SQL identifiers
+             *
+             * @param {string} identifier - the identifier
+             *
+             * @returns {string} - the quoted identifier
+             */
+            var quoted = function(identifier) {
+
+                return '"' + identifier + '"';
+            };
+
+            // ================================================================
+            /**
+             * Migrator - helper to apply schema changes within a transaction
+             *
+             * @param {Database} db - the database
+             * @param {Transaction} tx - the database transaction
+             */
+            function Migrator(db, tx) {
+
+                this._db = db;
+                this._tx = tx;
+
+                this._queue = [];
+                this._schemas = {};
+            }
+
+            // ----------------------------------------------------------------
+            /**
+             * Apply a migration, i.e. schedule all its steps
+             *
+             * @param {object} migration - the migration (from registry)
+             */
+            Migrator.prototype.apply = function(migration) {
+
+                migration.steps(this);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Run all scheduled steps (in order)
+             *
+             * @param {function} callback - callback function to invoke when
+             *                              all steps have been executed,
+             *                              function(tx)
+             */
+            Migrator.prototype.run = function(callback) {
+
+                var queue = this._queue,
+                    tx = this._tx;
+
+                var next = function() {
+                    var step = queue.shift();
+                    if (step) {
+                        step(tx, next);
+                    } else if (callback) {
+                        callback(tx);
+                    }
+                };
+                next();
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Execute a raw SQL statement
+             *
+             * @param {string} sql - the SQL statement
+             * @param {Array} args - the statement arguments (optional)
+             *
+             * @returns {Migrator} - the Migrator (to chain steps)
+             */
+            Migrator.prototype.sql = function(sql, args) {
+
+                this._queue.push(function(tx, next) {
+                    tx.executeSql(sql, args || [], function() {
+                        next();
+                    });
+                });
+
+                return this;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Add a field to a table
+             *
+             * @param {string} tableName - the table name
+             * @param {string} fieldName - the field name
+             * @param {object} description - the field description
+             *
+             * @returns {Migrator} - the Migrator (to chain steps)
+             *
+             * @note: uses ALTER TABLE for simple columns, falls back to
+             *        rebuilding the table if the column is NOT NULL or
+             *        carries a foreign key constraint; existing rows are
+             *        populated with the defaultValue if that is static
+             *
+             * @note: system tables which do not exist yet are skipped, as
+             *        they will be created with the full default schema
+             */
+            Migrator.prototype.addField = function(tableName, fieldName, description) {
+
+                var self = this;
+
+                this._queue.push(function(tx, next) {
+
+                    self._columns(tableName, function(columns) {
+
+                        if (!columns.length && tableName.slice(0, 3) == 'em_') {
+                            next();
+                            return;
+                        }
+                        self._addField(tableName, fieldName, description, next);
+                    });
+                });
+
+                return this;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Add a field to a table (step implementation of addField)
+             *
+             * @param {string} tableName - the table name
+             * @param {string} fieldName - the field name
+             * @param {object} description - the field description
+             * @param {function} next - callback to invoke when done
+             */
+            Migrator.prototype._addField = function(tableName, fieldName, description, next) {
+
+                var self = this,
+                    tx = this._tx;
+
+                self._loadSchema(tableName, function(schema) {
+
+                    if (schema.fields.hasOwnProperty(fieldName)) {
+                        tx.abort('field already exists: ' + tableName + '.' + fieldName);
+                        return;
+                    }
+                    description = self._describe(tableName, fieldName, description);
+                    schema.fields[fieldName] = description;
+
+                    var field = new Field(null, fieldName, description),
+                        sqlDescription = field.sqlDescribe();
+
+                    self._saveSchema(tableName, function() {
+                        if (description.notnull || sqlDescription.constraint) {
+                            self._rebuild(tableName, {}, next);
+                        } else {
+                            var sql = 'ALTER TABLE ' + quoted(tableName) +
+                                      ' ADD COLUMN ' + sqlDescription.column,
+                                defaultValue = self._staticDefault(field);
+
+                            tx.executeSql(sql, [], function() {
+                                if (defaultValue !== undefined) {
+                                    sql = 'UPDATE ' + quoted(tableName) +
+                                          ' SET ' + quoted(fieldName) + '=?';
+                                    tx.executeSql(sql, [defaultValue], function() {
+                                        next();
+                                    });
+                                } else {
+                                    next();
+                                }
+                            });
+                        }
+                    });
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Remove a field from a table (rebuilds the table)
+             *
+             * @param {string} tableName - the table name
+             * @param {string} fieldName - the field name
+             *
+             * @returns {Migrator} - the Migrator (to chain steps)
+             */
+            Migrator.prototype.removeField = function(tableName, fieldName) {
+
+                var self = this;
+
+                this._queue.push(function(tx, next) {
+
+                    self._loadSchema(tableName, function(schema) {
+
+                        if (!schema.fields.hasOwnProperty(fieldName)) {
+                            // Already removed
+                            next();
+                            return;
+                        }
+                        delete schema.fields[fieldName];
+
+                        self._saveSchema(tableName, function() {
+                            self._rebuild(tableName, {}, next);
+                        });
+                    });
+                });
+
+                return this;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Change the description (e.g. the type) of a field in a table;
+             * rebuilds the table, converting existing values according to
+             * the column affinity of the new type
+             *
+             * @param {string} tableName - the table name
+             * @param {string} fieldName - the field name
+             * @param {object} changes - the changed properties of the field
+             *                           description (will be merged into the
+             *                           current description)
+             *
+             * @returns {Migrator} - the Migrator (to chain steps)
+             */
+            Migrator.prototype.alterField = function(tableName, fieldName, changes) {
+
+                var self = this;
+
+                this._queue.push(function(tx, next) {
+
+                    self._loadSchema(tableName, function(schema) {
+
+                        var description = schema.fields[fieldName];
+                        if (!description) {
+                            tx.abort('field not found: ' + tableName + '.' + fieldName);
+                            return;
+                        }
+                        schema.fields[fieldName] = angular.extend({}, description, changes);
+
+                        self._saveSchema(tableName, function() {
+                            self._rebuild(tableName, {}, next);
+                        });
+                    });
+                });
+
+                return this;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Rename a field in a table (rebuilds the table)
+             *
+             * @param {string} tableName - the table name
+             * @param {string} fieldName - the current field name
+             * @param {string} newName - the new field name
+             *
+             * @returns {Migrator} - the Migrator (to chain steps)
+             */
+            Migrator.prototype.renameField = function(tableName, fieldName, newName) {
+
+                var self = this;
+
+                this._queue.push(function(tx, next) {
+
+                    self._loadSchema(tableName, function(schema) {
+
+                        var fields = schema.fields,
+                            description = fields[fieldName];
+                        if (!description) {
+                            tx.abort('field not found: ' + tableName + '.' + fieldName);
+                            return;
+                        }
+                        if (fields.hasOwnProperty(newName)) {
+                            tx.abort('field already exists: ' + tableName + '.' + newName);
+                            return;
+                        }
+                        delete fields[fieldName];
+                        fields[newName] = description;
+
+                        var renamed = {};
+                        renamed[newName] = fieldName;
+
+                        self._saveSchema(tableName, function() {
+                            self._rebuild(tableName, renamed, next);
+                        });
+                    });
+                });
+
+                return this;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Drop a table (and its full-text search index) and remove its schema
+             *
+             * @param {string} tableName - the table name
+             *
+             * @returns {Migrator} - the Migrator (to chain steps)
+             */
+            Migrator.prototype.dropTable = function(tableName) {
+
+                var self = this;
+
+                this._queue.push(function(tx, next) {
+
+                    delete self._schemas[tableName];
+
+                    tx.executeSql('DELETE FROM em_schema WHERE name=?', [tableName]);
+                    tx.executeSql('DROP TABLE IF EXISTS ' + quoted(tableName + '__fts'));
+                    tx.executeSql('DROP TABLE IF EXISTS ' + quoted(tableName), [], function() {
+                        next();
+                    });
+                });
+
+                return this;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Add a meta field (from the default schema) to all user tables
+             *
+             * @param {string} fieldName - the meta field name
+             *
+             * @returns {Migrator} - the Migrator (to chain steps)
+             *
+             * @note: meta fields are not stored in em_schema, so this only
+             *        adds the column (with ALTER TABLE, i.e. only for meta
+             *        fields without NOT NULL or foreign key constraints) to
+             *        all tables which do not have it yet; existing rows are
+             *        populated with the defaultValue if that is static
+             */
+            Migrator.prototype.addMetaField = function(fieldName) {
+
+                var self = this;
+
+                this._queue.push(function(tx, next) {
+
+                    var description = emDefaultSchema.metaFields[fieldName];
+                    if (!description) {
+                        tx.abort('undefined meta field: ' + fieldName);
+                        return;
+                    }
+
+                    var field = new Field(null, fieldName, description, true),
+                        sqlDescription = field.sqlDescribe(),
+                        defaultValue = self._staticDefault(field);
+                    if (description.notnull || sqlDescription.constraint) {
+                        tx.abort('can not add constrained meta field: ' + fieldName);
+                        return;
+                    }
+
+                    tx.executeSql('SELECT name FROM em_schema', [], function(tx, result) {
+
+                        var rows = result.rows,
+                            tableNames = [],
+                            tableName,
+                            i,
+                            len;
+                        for (i = 0, len = rows.length; i < len; i++) {
+                            tableName = rows.item(i).name;
+                            if (tableName.slice(0, 3) != 'em_') {
+                                tableNames.push(tableName);
+                            }
+                        }
+
+                        var addColumn = function() {
+
+                            var tableName = tableNames.shift();
+                            if (!tableName) {
+                                next();
+                                return;
+                            }
+
+                            self._columns(tableName, function(columns) {
+
+                                if (!columns.length || columns.indexOf(fieldName) != -1) {
+                                    // Table does not exist or already has the column
+                                    addColumn();
+                                    return;
+                                }
+
+                                var sql = 'ALTER TABLE ' + quoted(tableName) +
+                                          ' ADD COLUMN ' + sqlDescription.column;
+                                tx.executeSql(sql, [], function() {
+                                    if (defaultValue !== undefined) {
+                                        sql = 'UPDATE ' + quoted(tableName) +
+                                              ' SET ' + quoted(fieldName) + '=?';
+                                        tx.executeSql(sql, [defaultValue], function() {
+                                            addColumn();
+                                        });
+                                    } else {
+                                        addColumn();
+                                    }
+                                });
+                            });
+                        };
+                        addColumn();
+                    });
+                });
+
+                return this;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Complete a field description; for system tables, the
+             * description can be omitted to use the one from the default
+             * schema
+             *
+             * @param {string} tableName - the table name
+             * @param {string} fieldName - the field name
+             * @param {object} description - the field description
+             *
+             * @returns {object} - the field description
+             */
+            Migrator.prototype._describe = function(tableName, fieldName, description) {
+
+                if (!description && tableName.slice(0, 3) == 'em_') {
+                    var schema = emDefaultSchema.schema(tableName);
+                    if (schema) {
+                        description = schema[fieldName];
+                    }
+                }
+                return angular.extend({}, description);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the SQL value of a static default for a field
+             *
+             * @param {Field} field - the field
+             *
+             * @returns {*} - the encoded default value, or undefined if the
+             *                field has no static default
+             */
+            Migrator.prototype._staticDefault = function(field) {
+
+                var defaultValue = field.defaultValue;
+                if (defaultValue === undefined || typeof defaultValue == 'function') {
+                    return undefined;
+                }
+                return field.encode(defaultValue);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the names of the columns currently in a database table
+             *
+             * @param {string} tableName - the table name
+             * @param {function} callback - callback function, function(columns),
+             *                              columns being empty if the table
+             *                              does not exist
+             */
+            Migrator.prototype._columns = function(tableName, callback) {
+
+                var sql = 'PRAGMA table_info(' + quoted(tableName) + ')';
+                this._tx.executeSql(sql, [], function(tx, result) {
+
+                    var rows = result.rows,
+                        columns = [],
+                        i,
+                        len;
+                    for (i = 0, len = rows.length; i < len; i++) {
+                        columns.push(rows.item(i).name);
+                    }
+                    callback(columns);
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Load the current schema of a table from em_schema
+             *
+             * @param {string} tableName - the table name
+             * @param {function} callback - callback function, function(schema)
+             */
+            Migrator.prototype._loadSchema = function(tableName, callback) {
+
+                var schemas = this._schemas,
+                    schema = schemas[tableName],
+                    tx = this._tx;
+
+                if (schema) {
+                    callback(schema);
+                    return;
+                }
+
+                var sql = 'SELECT id, fields, settings FROM em_schema WHERE name=? LIMIT 1';
+                tx.executeSql(sql, [tableName], function(tx, result) {
+
+                    var rows = result.rows;
+                    if (!rows.length) {
+                        tx.abort('no schema found for table ' + tableName);
+                        return;
+                    }
+                    var row = rows.item(0);
+                    schema = {
+                        id: row.id,
+                        fields: JSON.parse(row.fields) || {},
+                        settings: row.settings && JSON.parse(row.settings) || {}
+                    };
+                    schemas[tableName] = schema;
+                    callback(schema);
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Write the (modified) schema of a table back to em_schema
+             *
+             * @param {string} tableName - the table name
+             * @param {function} callback - callback function, function()
+             */
+            Migrator.prototype._saveSchema = function(tableName, callback) {
+
+                var schema = this._schemas[tableName],
+                    sql = 'UPDATE em_schema SET fields=? WHERE id=?';
+
+                this._tx.executeSql(sql, [JSON.stringify(schema.fields), schema.id], function() {
+                    callback();
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Rebuild a table according to its current schema, i.e. create
+             * a new table, copy over all data, drop the old table and rename
+             * the new table (foreign key support must be turned off for this);
+             * re-creates the full-text search index of the table, since its
+             * content fields may have changed (audit trail entries refer to
+             * records by UUID, so they remain valid)
+             *
+             * @param {string} tableName - the table name
+             * @param {object} renamed - map of renamed fields {newName: oldName}
+             * @param {function} callback - callback function, function()
+             */
+            Migrator.prototype._rebuild = function(tableName, renamed, callback) {
+
+                var schema = this._schemas[tableName],
+                    descriptions = schema.fields,
+                    fields = {},
+                    fieldName;
+
+                for (fieldName in descriptions) {
+                    fields[fieldName] = new Field(null, fieldName, descriptions[fieldName]);
+                }
+
+                var table = new Table(this._db, tableName, fields, schema.settings),
+                    tmpName = tableName + '__migrate',
+                    self = this;
+
+                table.addMetaFields();
+
+                var sql = 'PRAGMA table_info(' + quoted(tableName) + ')';
+                this._tx.executeSql(sql, [], function(tx, result) {
+
+                    var rows = result.rows,
+                        existing = [],
+                        i,
+                        len;
+                    for (i = 0, len = rows.length; i < len; i++) {
+                        existing.push(rows.item(i).name);
+                    }
+
+                    // Map the columns
+                    var targetColumns = [],
+                        sourceColumns = [],
+                        values = [],
+                        tableFields = table.fields,
+                        source,
+                        defaultValue;
+
+                    for (fieldName in tableFields) {
+                        source = renamed[fieldName] || fieldName;
+                        if (existing.indexOf(source) != -1) {
+                            targetColumns.push(quoted(fieldName));
+                            sourceColumns.push(quoted(source));
+                        } else {
+                            defaultValue = self._staticDefault(tableFields[fieldName]);
+                            if (defaultValue !== undefined) {
+                                targetColumns.push(quoted(fieldName));
+                                sourceColumns.push('?');
+                                values.push(defaultValue);
+                            }
+                        }
+                    }
+
+                    tx.executeSql('DROP TABLE IF EXISTS ' + quoted(tmpName));
+                    tx.executeSql(table._create(tmpName));
+                    if (targetColumns.length) {
+                        tx.executeSql('INSERT INTO ' + quoted(tmpName) +
+                                      ' (' + targetColumns.join(',') + ')' +
+                                      ' SELECT ' + sourceColumns.join(',') +
+                                      ' FROM ' + quoted(tableName), values);
+                    }
+                    tx.executeSql('DROP TABLE ' + quoted(tableName));
+                    tx.executeSql('ALTER TABLE ' + quoted(tmpName) + ' RENAME TO ' + quoted(tableName), [],
+                        function(tx) {
+                            var index = table.fullTextIndex();
+                            if (index) {
+                                tx.executeSql(index._drop());
+                                index.setup(tx, function() {
+                                    callback();
+                                });
+                            } else {
+                                callback();
+                            }
+                        });
+                });
+            };
+
+            // ----------------------------------------------------------------
+            // Service API
+            //
+            return {
+
+                /**
+                 * Get the migrations required to bring a database from a
+                 * particular schema version up to the current schema version
+                 *
+                 * @param {string} version - the schema version of the database
+                 *
+                 * @returns {Array} - the migrations, in order
+                 */
+                pending: function(version) {
+
+                    var current = versionNumber(version),
+                        target = versionNumber(emSchemaVersion);
+
+                    return migrations.filter(function(migration) {
+                        return migration.version > current && migration.version <= target;
+                    });
+                },
+
+                /**
+                 * Check whether a database schema version is up-to-date
+                 *
+                 * @param {string} version - the schema version of the database
+                 *
+                 * @returns {boolean} - true if no migration is required
+                 */
+                isCurrent: function(version) {
+
+                    return versionNumber(version) >= versionNumber(emSchemaVersion);
+                },
+
+                /**
+                 * Create a Migrator for a transaction
+                 *
+                 * @param {Database} db - the database
+                 * @param {Transaction} tx - the transaction
+                 *
+                 * @returns {Migrator} - the Migrator
+                 */
+                migrator: function(db, tx) {
+
+                    return new Migrator(db, tx);
+                }
+            };
+        }
+    ];
+
+    // ========================================================================
+    // Provider
+    //
+    // - register migrations in the bootstrap phase like:
+    //
+    //      EdenMobile.config(['emMigrationsProvider',
+    //          function(emMigrationsProvider) {
+    //              emMigrationsProvider.migration('7', 'add my_field', function(migrate) {
+    //                  migrate.addField('em_resource', 'my_field');
+    //              });
+    //          }
+    //      ]);
+    //
+    // - migrations run in a single transaction when the app starts with a
+    //   database that has an older schema version than emSchemaVersion
+    //
+    // - system tables (em_*) which do not exist yet are created automatically
+    //   after all migration steps, so addField skips them
+    //
+    // - meta fields are not stored in em_schema, use addMetaField to add a
+    //   new meta field to all existing user tables
+    //
+    EdenMobile.provider('emMigrations', function() {
+
+        /**
+         * Register a migration
+         *
+         * @param {string|integer} version - the schema version this migration
+         *                                   upgrades the database to
+         * @param {string} name - a descriptive name for the migration
+         * @param {function} steps - function to schedule the migration steps,
+         *                           function(migrate), where migrate is the
+         *                           Migrator
+         */
+        this.migration = function(version, name, steps) {
+
+            var number = versionNumber(version);
+            if (!number) {
+                throw new Error('invalid schema version for migration: ' + version);
+            }
+
+            var migration = {
+                version: number,
+                name: name,
+                steps: steps
+            };
+
+            // Keep migrations ordered by version, then by registration
+            var index = migrations.length;
+            while (index > 0 && migrations[index - 1].version > number) {
+                index--;
+            }
+            migrations.splice(index, 0, migration);
+
+            return this; // make chainable
+        };
+
+        // Service Constructor
+        this.$get = emMigrations;
+    });
+
+})(EdenMobile);
+
+// END ========================================================================
@@ -145,6 +145,21 @@
         return '"' + identifier + '"';
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Helper function to remove orphaned files
+     *
+     * @param {Array} fileURIs - the URIs of the files
+     */
+    var removeFiles = function(fileURIs) {
+
+        fileURIs.forEach(function(fileURI) {
+            window.resolveLocalFileSystemURL(fileURI, function(fileEntry) {
+                fileEntry.remove();
+            });
+        });
+    };
+
     // ========================================================================
     /**
      * Set constructor
@@ -493,53 +508,24 @@
 
     // ------------------------------------------------------------------------
     /**
-     * Select data from this Set
+     * Construct the SQL to select data from this Set
      *
      * @param {Array} columns - array of column expressions, can be
      *                          omitted (defaults to all columns)
      * @param {object} options - an object with query options, can be omitted
-     * @param {function} onSuccess - success callback, required
-     * @param {function} onError - error callback, optional
+     *
+     * @returns {string} - the SQL statement
+     *
+     * @throws {Error} - if any of the column expressions is invalid
      */
-    Set.prototype.select = function(columns, options, onSuccess, onError) {
-
-        // Flexible argument list
-        if (columns !== null && columns !== undefined && columns.constructor !== Array) {
-            onError = onSuccess;
-            onSuccess = options;
-            options = columns;
-            columns = undefined;
-        }
-        if (typeof options == 'function') {
-            onError = onSuccess;
-            onSuccess = options;
-            options = undefined;
-        }
-
-        // Success callback is required
-        if (typeof onSuccess != 'function') {
-            throw new Error('callback required');
-        }
-
-        var handleError = function(error) {
-            if (typeof onError == 'function') {
-                onError(error);
-            } else {
-                this._db.sqlError(error);
-            }
-        };
+    Set.prototype.sqlSelect = function(columns, options) {
 
         // Expand the columns
         var sql = ['SELECT'];
         if (!columns) {
             sql.push('*');
         } else {
-            try {
-                sql.push(this.expand(columns));
-            } catch (error) {
-                handleError.call(this, error);
-                return;
-            }
+            sql.push(this.expand(columns));
         }
 
         // Expand the set
@@ -575,8 +561,55 @@
             }
         }
 
-        // Complete SQL statement
-        sql = sql.join(' ');
+        return sql.join(' ');
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Select data from this Set
+     *
+     * @param {Array} columns - array of column expressions, can be
+     *                          omitted (defaults to all columns)
+     * @param {object} options - an object with query options, can be omitted
+     * @param {function} onSuccess - success callback, required
+     * @param {function} onError - error callback, optional
+     */
+    Set.prototype.select = function(columns, options, onSuccess, onError) {
+
+        // Flexible argument list
+        if (columns !== null && columns !== undefined && columns.constructor !== Array) {
+            onError = onSuccess;
+            onSuccess = options;
+            options = columns;
+            columns = undefined;
+        }
+        if (typeof options == 'function') {
+            onError = onSuccess;
+            onSuccess = options;
+            options = undefined;
+        }
+
+        // Success callback is required
+        if (typeof onSuccess != 'function') {
+            throw new Error('callback required');
+        }
+
+        var handleError = function(error) {
+            if (typeof onError == 'function') {
+                onError(error);
+            } else {
+                this._db.sqlError(error);
+            }
+        };
+
+        // Construct the SQL
+        var sql;
+        try {
+            sql = this.sqlSelect(columns, options);
+        } catch (error) {
+            handleError.call(this, error);
+            return;
+        }
 
         // Execute SQL query
         if (sql) {
@@ -711,8 +744,66 @@
             record = table.addDefaults(data, false, true);
         }
 
+        var statement = this._updateSQL(record);
+        if (statement) {
+
+            // Execute the SQL
+            var db = this._db,
+                self = this;
+
+            var handleError = function(error) {
+                if (typeof onError == 'function') {
+                    onError(error);
+                } else {
+                    db.sqlError(error);
+                }
+            };
+
+            var onUpdated = function(rowsAffected) {
+                if (typeof onSuccess == 'function') {
+                    onSuccess(rowsAffected);
+                }
+            };
+
+            if (table.fullTextIndex() || table.auditTrail()) {
+                // Update the full-text search index and the audit trail
+                // in the same transaction
+                db._adapter.transaction(
+                    function(tx) {
+                        self._updateTx(tx, record, onUpdated);
+                    },
+                    handleError);
+            } else {
+                db._adapter.executeSql(statement.sql, statement.values,
+                    function(result) {
+                        // Success
+                        onUpdated(result.rowsAffected);
+                    },
+                    handleError);
+            }
+        } else {
+            // No data to write => invoke success callback immediately
+            if (onSuccess) {
+                onSuccess(0);
+            }
+        }
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Construct the SQL to update the records in this Set
+     *
+     * @param {object} record - the data {fieldName: value, ...},
+     *                          including defaults
+     *
+     * @returns {object} - the SQL statement {sql, values}, or null if
+     *                     there is no data to write
+     */
+    Set.prototype._updateSQL = function(record) {
+
         // Collect columns and values
-        var fields = table.fields,
+        var table = this.table,
+            fields = table.fields,
             fieldName,
             field,
             sqlValue,
@@ -730,41 +821,83 @@
             }
         }
 
-        if (cols.length) {
+        if (!cols.length) {
+            return null;
+        }
 
-            // Build the SQL
-            var sql = [
-                'UPDATE ' + quoted(table.toSQL()),
-                'SET ' + cols.join(',')
-            ];
-            if (this.query) {
-                sql.push('WHERE');
-                sql.push(this.query.toSQL());
-            }
+        // Build the SQL
+        var sql = [
+            'UPDATE ' + quoted(table.toSQL()),
+            'SET ' + cols.join(',')
+        ];
+        if (this.query) {
+            sql.push('WHERE');
+            sql.push(this.query.toSQL());
+        }
 
-            // Execute the SQL
-            var db = this._db;
-            db._adapter.executeSql(sql.join(' '), values,
-                function(result) {
-                    // Success
-                    if (typeof onSuccess == 'function') {
-                        onSuccess(result.rowsAffected);
-                    }
-                },
-                function(error) {
-                    // Error
-                    if (typeof onError == 'function') {
-                        onError(error);
+        return {sql: sql.join(' '), values: values};
+    };
+
+    // ------------------------------------------------------------------------
+    /**
+     * Update the records in this Set within a running transaction (i.e.
+     * as part of a larger write operation), including the full-text
+     * search index and the audit trail
+     *
+     * @param {Transaction} tx - the transaction
+     * @param {object} record - the data {fieldName: value, ...},
+     *                          including defaults
+     * @param {function} callback - callback function, receives the
+     *                              number of updated rows as argument,
+     *                              called within the transaction
+     */
+    Set.prototype._updateTx = function(tx, record, callback) {
+
+        var statement = this._updateSQL(record);
+        if (!statement) {
+            callback(0);
+            return;
+        }
+
+        var table = this.table,
+            index = table.fullTextIndex(),
+            trail = table.auditTrail(),
+            auditFields = trail ? trail.updatedFields(record) : [],
+            query = this.query,
+            self = this;
+
+        if (!auditFields.length) {
+            // No audited fields written (e.g. meta data only)
+            trail = null;
+        }
+
+        var getSnapshot = function(callback) {
+            if (trail) {
+                trail.snapshot(tx, query, auditFields, callback);
+            } else {
+                callback(null);
+            }
+        };
+        getSnapshot(function(snapshot) {
+            self._getRecordIDs(tx, function(recordIDs) {
+                tx.executeSql(statement.sql, statement.values, function(tx, result) {
+                    var updateIndex = function() {
+                        if (index) {
+                            index.update(tx, recordIDs, function() {
+                                callback(result.rowsAffected);
+                            });
+                        } else {
+                            callback(result.rowsAffected);
+                        }
+                    };
+                    if (trail) {
+                        trail.update(tx, snapshot, record, updateIndex);
                     } else {
-                        db.sqlError(error);
+                        updateIndex();
                     }
                 });
-        } else {
-            // No data to write => invoke success callback immediately
-            if (onSuccess) {
-                onSuccess(0);
-            }
-        }
+            });
+        });
     };
 
     // ------------------------------------------------------------------------
@@ -796,54 +929,20 @@
             options = undefined;
         }
 
-        // Construct the SQL
-        var sql = ['DELETE FROM', quoted(table.toSQL())],
-            query = this.query;
-
-        if (query) {
-            sql.push('WHERE');
-            sql.push(query.toSQL());
-        }
-        sql = sql.join(' ');
-
-        // Helper method to remove orphaned files
-        var removeFiles = function(fileURIs) {
-            fileURIs.forEach(function(fileURI) {
-                window.resolveLocalFileSystemURL(fileURI, function(fileEntry) {
-                    fileEntry.remove();
-                });
-            });
-        };
-
-        var fields = table.fields,
-            isObjectType = !!(fields.uuid && fields.em_object_id),
-            db = this._db,
+        var db = this._db,
             self = this;
 
         // Get the URIs of all files linked to this set
-        table.getFiles(query).then(function(orphanedFiles) {
+        table.getFiles(this.query).then(function(orphanedFiles) {
 
             db._adapter.transaction(
                 function(tx) {
-                    if (isObjectType) {
-                        self._getObjectIDs(tx, function(objectIDs) {
-                            tx.executeSql(sql, [], function(tx, result) {
-                                removeFiles(orphanedFiles);
-                                self._deleteObjectIDs(tx, objectIDs, function() {
-                                    if (typeof onSuccess == 'function') {
-                                        onSuccess(result.rowsAffected);
-                                    }
-                                });
-                            });
-                        });
-                    } else {
-                        tx.executeSql(sql, [], function(result) {
-                            removeFiles(orphanedFiles);
-                            if (typeof onSuccess == 'function') {
-                                onSuccess(result.rowsAffected);
-                            }
-                        });
-                    }
+                    self._deleteTx(tx, function(rowsAffected) {
+                        removeFiles(orphanedFiles);
+                        if (typeof onSuccess == 'function') {
+                            onSuccess(rowsAffected);
+                        }
+                    });
                 },
                 function(error) {
                     // Error
@@ -856,6 +955,75 @@
         });
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Delete the records in this Set within a running transaction (i.e.
+     * as part of a larger write operation), including their em_object
+     * entries, full-text search index entries and audit trail; linked
+     * files must be removed by the caller (see Table.getFiles)
+     *
+     * @param {Transaction} tx - the transaction
+     * @param {function} callback - callback function, receives the
+     *                              number of deleted rows as argument,
+     *                              called within the transaction
+     */
+    Set.prototype._deleteTx = function(tx, callback) {
+
+        // Construct the SQL
+        var table = this.table,
+            sql = ['DELETE FROM', quoted(table.toSQL())],
+            query = this.query;
+
+        if (query) {
+            sql.push('WHERE');
+            sql.push(query.toSQL());
+        }
+        sql = sql.join(' ');
+
+        var fields = table.fields,
+            isObjectType = !!(fields.uuid && fields.em_object_id),
+            index = table.fullTextIndex(),
+            trail = table.auditTrail(),
+            self = this;
+
+        if (index) {
+            // Remove the records from the full-text search index
+            index.remove(tx, query);
+        }
+        var getSnapshot = function(callback) {
+            if (trail) {
+                trail.snapshot(tx, query, null, callback);
+            } else {
+                callback(null);
+            }
+        };
+        getSnapshot(function(snapshot) {
+            var done = function(rowsAffected) {
+                if (trail) {
+                    // Log the deleted records
+                    trail.remove(tx, snapshot, function() {
+                        callback(rowsAffected);
+                    });
+                } else {
+                    callback(rowsAffected);
+                }
+            };
+            if (isObjectType) {
+                self._getObjectIDs(tx, function(objectIDs) {
+                    tx.executeSql(sql, [], function(tx, result) {
+                        self._deleteObjectIDs(tx, objectIDs, function() {
+                            done(result.rowsAffected);
+                        });
+                    });
+                });
+            } else {
+                tx.executeSql(sql, [], function(tx, result) {
+                    done(result.rowsAffected);
+                });
+            }
+        });
+    };
+
     // ------------------------------------------------------------------------
     /**
      * Transaction helper to remove em_object entries linked to this Set
@@ -907,6 +1075,33 @@
         });
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Transaction helper to extract the record IDs of this Set
+     *
+     * @param {Transaction} tx - the database transaction
+     * @param {function} callback - callback function: function(recordIDs)
+     */
+    Set.prototype._getRecordIDs = function(tx, callback) {
+
+        var table = this.table,
+            sql = ['SELECT', table.$('id').toSQL(), 'FROM', quoted(table.toSQL())],
+            query = this.query;
+
+        if (query) {
+            sql = sql.concat(['WHERE', query.toSQL()]);
+        }
+
+        tx.executeSql(sql.join(' '), [], function(tx, result) {
+            var rows = result.rows,
+                recordIDs = [];
+            for (var i = 0, len = rows.length; i < len; i++) {
+                recordIDs.push(rows.item(i).id);
+            }
+            callback(recordIDs);
+        });
+    };
+
     // ------------------------------------------------------------------------
     // Make injectable
     //
@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('Table', [
-    '$q', 'emComponents', 'emDefaultSchema', 'emFiles', 'Expression', 'Field',  'Set',
-    function ($q, emComponents, emDefaultSchema, emFiles, Expression, Field, Set) {
+    '$q', 'AuditTrail', 'emComponents', 'emDefaultSchema', 'emFiles', 'Expression', 'Field', 'FullTextIndex', 'Set',
+    function ($q, AuditTrail, emComponents, emDefaultSchema, emFiles, Expression, Field, FullTextIndex, Set) {
 
         "use strict";
 
@@ -394,15 +394,63 @@ EdenMobile.factory('Table', [
             }
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Get the full-text search index for this table
+         *
+         * @returns {FullTextIndex} - the index, or null if this table
+         *                            is not searchable (system tables)
+         */
+        Table.prototype.fullTextIndex = function() {
+
+            var table = this._original || this;
+
+            if (table.name.slice(0, 3) == 'em_' || !table.fields.llrepr) {
+                return null;
+            }
+
+            var index = table._fts;
+            if (!index) {
+                index = table._fts = new FullTextIndex(table);
+            }
+            return index;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the audit trail for this table
+         *
+         * @returns {AuditTrail} - the audit trail, or null if changes in
+         *                         this table are not audited (system tables)
+         */
+        Table.prototype.auditTrail = function() {
+
+            var table = this._original || this;
+
+            if (table.name.slice(0, 3) == 'em_' || !table.fields.uuid) {
+                return null;
+            }
+
+            var trail = table._audit;
+            if (!trail) {
+                trail = table._audit = new AuditTrail(table);
+            }
+            return trail;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Construct an SQL statement to create this table
          *
+         * @param {string} tableName - alternative name for the table in
+         *                             the database (e.g. for migrations),
+         *                             optional
+         *
          * @returns {string} - the SQL statement
          */
-        Table.prototype._create = function() {
+        Table.prototype._create = function(tableName) {
 
-            var sql = ['CREATE TABLE IF NOT EXISTS "' + this.name + '"'];
+            var sql = ['CREATE TABLE IF NOT EXISTS "' + (tableName || this.name) + '"'];
 
             var fields = this.fields,
                 fieldName,
@@ -441,6 +489,23 @@ EdenMobile.factory('Table', [
             return 'DROP TABLE IF EXISTS "' + this.name + '"';
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Construct the SQL statements to drop this table including its
+         * full-text search index
+         *
+         * @returns {Array} - the SQL statements
+         */
+        Table.prototype._dropAll = function() {
+
+            var sql = [this._drop()],
+                index = this.fullTextIndex();
+            if (index) {
+                sql.push(index._drop());
+            }
+            return sql;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Remove this table from the database, including any related files,
@@ -496,8 +561,8 @@ EdenMobile.factory('Table', [
                 self.removeSchema().then(function() {
                     self.getFiles().then(function(orphanedFiles) {
                         var deferred = $q.defer();
-                        db._adapter.executeSql(self._drop(), [],
-                            function(/* result */) {
+                        db._adapter.sqlBatch(self._dropAll(),
+                            function() {
                                 emFiles.removeAll(orphanedFiles);
                                 self._deleteObjectKeys();
                                 delete db.tables[tableName];
@@ -523,9 +588,14 @@ EdenMobile.factory('Table', [
 
             var db = this._db,
                 adapter = db._adapter,
-                sql = [this._drop(), this._create()],
+                sql = this._dropAll().concat([this._create()]),
+                index = this.fullTextIndex(),
                 self = this;
 
+            if (index) {
+                sql.push(index._create());
+            }
+
             if (this._original) {
                 // Trying to create from clone
                 throw new Error('Table.create must be called for original table');
@@ -577,10 +647,15 @@ EdenMobile.factory('Table', [
             }
 
             var self = this,
+                index = this.fullTextIndex(),
                 insertRecord = function(tx, record) {
                     var sql = self._insert(record);
                     if (sql) {
-                        tx.executeSql(sql[0], sql[1]);
+                        tx.executeSql(sql[0], sql[1], function(tx, result) {
+                            if (index) {
+                                index.update(tx, [result.insertId]);
+                            }
+                        });
                     }
                 };
 
@@ -823,7 +898,35 @@ EdenMobile.factory('Table', [
 
             var record = this.addDefaults(data, false, false),
                 db = this._db,
-                adapter = db._adapter,
+                self = this;
+
+            db._adapter.transaction(
+                function(tx) {
+                    self._insertTx(tx, record, onSuccess);
+                },
+                function(error) {
+                    if (onError) {
+                        onError(error);
+                    } else {
+                        db.sqlError(error);
+                    }
+                });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Insert a new record into this table within a running transaction
+         * (i.e. as part of a larger write operation)
+         *
+         * @param {Transaction} tx - the transaction
+         * @param {object} record - the record data {fieldName: value},
+         *                          including defaults
+         * @param {function} onSuccess - success callback, function(insertId),
+         *                               called within the transaction
+         */
+        Table.prototype._insertTx = function(tx, record, onSuccess) {
+
+            var db = this._db,
                 fields = this.fields,
                 self = this;
 
@@ -833,35 +936,42 @@ EdenMobile.factory('Table', [
                     tx.abort('no data');
                 } else {
                     tx.executeSql(sql[0], sql[1], function(tx, result) {
-                        if (onSuccess) {
-                            onSuccess(result.insertId);
+                        var insertId = result.insertId,
+                            index = self.fullTextIndex(),
+                            trail = self.auditTrail();
+                        var updateIndex = function() {
+                            if (index) {
+                                index.update(tx, [insertId], function() {
+                                    if (onSuccess) {
+                                        onSuccess(insertId);
+                                    }
+                                });
+                            } else if (onSuccess) {
+                                onSuccess(insertId);
+                            }
+                        };
+                        if (trail) {
+                            // Log the new record in the same transaction
+                            trail.insert(tx, record, updateIndex);
+                        } else {
+                            updateIndex();
                         }
                     });
                 }
             };
 
-            adapter.transaction(
-                function(tx) {
-                    if (fields.uuid && fields.em_object_id) {
-                        var sql = db.tables.em_object._insert({
-                            tablename: self.name,
-                            uuid: record.uuid
-                        });
-                        tx.executeSql(sql[0], sql[1], function(tx, result) {
-                            record.em_object_id = result.insertId;
-                            insertRecord(tx, record);
-                        });
-                    } else {
-                        insertRecord(tx, record);
-                    }
-                },
-                function(error) {
-                    if (onError) {
-                        onError(error);
-                    } else {
-                        db.sqlError(error);
-                    }
+            if (fields.uuid && fields.em_object_id) {
+                var sql = db.tables.em_object._insert({
+                    tablename: self.name,
+                    uuid: record.uuid
+                });
+                tx.executeSql(sql[0], sql[1], function(tx, result) {
+                    record.em_object_id = result.insertId;
+                    insertRecord(tx, record);
                 });
+            } else {
+                insertRecord(tx, record);
+            }
         };
 
         // --------------------------------------------------------------------
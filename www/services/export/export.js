@@ -0,0 +1,576 @@
+/**
+ * Sahana Eden Mobile - Data Export (CSV/XLSX)
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emExport - Service to export local resource data as CSV or XLSX files,
+ *            for manual hand-over when synchronization is not possible;
+ *            files are written to the exports directory (see emFiles)
+ *
+ * - the master records are exported as one sheet (or CSV file), and
+ *   each component as an additional sheet (or CSV file) that refers
+ *   to the master records by their ID
+ *
+ * @class emExport
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emExport', [
+    '$q', 'emFiles', 'emResources', 'emZip', 'Represent',
+    function ($q, emFiles, emResources, emZip, Represent) {
+
+        "use strict";
+
+        var formats = ['csv', 'xlsx'];
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the fields of a resource to export
+         *
+         * @param {Resource} resource - the resource
+         * @param {string} exclude - name of a field to exclude (optional)
+         *
+         * @returns {Array} - array of Fields
+         */
+        var exportFields = function(resource, exclude) {
+
+            var fields = resource.fields,
+                field,
+                result = [];
+
+            for (var fieldName in fields) {
+                field = fields[fieldName];
+                if (field.meta || !field.readable || fieldName == exclude) {
+                    continue;
+                }
+                result.push(field);
+            }
+            return result;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Look up the representations of option and reference values
+         *
+         * @param {Resource} resource - the resource
+         * @param {Array} fields - the exported Fields
+         * @param {Array} records - the records (objects)
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {fieldName: {value: reprStr}}
+         */
+        var lookupRepresentations = function(resource, fields, records) {
+
+            var repr = {},
+                lookups = [];
+
+            fields.forEach(function(field) {
+
+                if (!field.hasOptions()) {
+                    return;
+                }
+
+                var fieldName = field.name,
+                    values = [];
+                records.forEach(function(record) {
+                    var value = record[fieldName];
+                    if (value !== null && value !== undefined && values.indexOf(value) == -1) {
+                        values.push(value);
+                    }
+                });
+                if (!values.length) {
+                    return;
+                }
+
+                var represent = new Represent(resource.table, field);
+                lookups.push(represent.bulk(values).then(function(result) {
+                    repr[fieldName] = result;
+                }));
+            });
+
+            return $q.all(lookups).then(function() {
+                return repr;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a field value into a cell value
+         *
+         * @param {Field} field - the Field
+         * @param {*} value - the field value
+         * @param {object} repr - the representations for the field, if
+         *                        it has options {value: reprStr}
+         *
+         * @returns {*} - the cell value (string, number, boolean or null)
+         */
+        var cellValue = function(field, value, repr) {
+
+            if (value === null || value === undefined) {
+                return null;
+            }
+            if (repr) {
+                return repr.hasOwnProperty(value) ? repr[value] : '' + value;
+            }
+
+            switch (field.type) {
+                case 'integer':
+                case 'double':
+                case 'boolean':
+                    return value;
+                case 'upload':
+                    // Export only the file name
+                    return ('' + value).split('/').pop();
+                default:
+                    value = field.format(value);
+                    if (value !== null && typeof value == 'object') {
+                        value = JSON.stringify(value);
+                    }
+                    return value;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build a sheet from a set of records
+         *
+         * @param {Resource} resource - the resource
+         * @param {string} title - the sheet title
+         * @param {Array} fields - the Fields to export
+         * @param {Array} records - the records (objects), with the sheet
+         *                          key in the property _key
+         * @param {string} keyLabel - the column label for the key
+         *
+         * @returns {promise} - a promise that resolves into the sheet
+         *                      {title: string, columns: [], rows: [[]]},
+         *                      component sheets also have a name (=alias)
+         */
+        var buildSheet = function(resource, title, fields, records, keyLabel) {
+
+            return lookupRepresentations(resource, fields, records).then(function(repr) {
+
+                var columns = [keyLabel].concat(fields.map(function(field) {
+                    return field.getLabel();
+                }));
+
+                var rows = records.map(function(record) {
+                    return [record._key].concat(fields.map(function(field) {
+                        var fieldName = field.name;
+                        return cellValue(field, record[fieldName], repr[fieldName]);
+                    }));
+                });
+
+                return {
+                    title: title,
+                    columns: columns,
+                    rows: rows
+                };
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Build the sheet for a component
+         *
+         * @param {string} alias - the component alias
+         * @param {Resource} component - the component
+         * @param {Array} masterIDs - the master record IDs
+         * @param {string} keyLabel - the column label for the master key
+         *
+         * @returns {promise} - a promise that resolves into the sheet
+         */
+        var componentSheet = function(alias, component, masterIDs, keyLabel) {
+
+            var fields = exportFields(component, component.link ? null : component.fkey),
+                fieldNames = ['id'].concat(fields.map(function(field) {
+                    return field.name;
+                })),
+                records = [];
+
+            // Extract the component records for each master record
+            var lookups = masterIDs.map(function(masterID) {
+                return component.subSet(masterID).select(fieldNames).then(function(rows) {
+                    rows.forEach(function(row) {
+                        var record = row._();
+                        record._key = masterID;
+                        records.push(record);
+                    });
+                });
+            });
+
+            return $q.all(lookups).then(function() {
+                records.sort(function(a, b) {
+                    return (a._key - b._key) || (a.id - b.id);
+                });
+                return buildSheet(component, component.getLabel(true), fields, records, keyLabel);
+            }).then(function(sheet) {
+                sheet.name = alias;
+                return sheet;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Collect all sheets for a resource export
+         *
+         * @param {Resource} resource - the resource
+         *
+         * @returns {promise} - a promise that resolves into an array of sheets
+         */
+        var collectSheets = function(resource) {
+
+            var fields = exportFields(resource),
+                fieldNames = ['id'].concat(fields.map(function(field) {
+                    return field.name;
+                })),
+                orderby = resource.table.$('id');
+
+            return resource.select(fieldNames, {orderby: orderby}).then(function(rows) {
+
+                var records = rows.map(function(row) {
+                        var record = row._();
+                        record._key = record.id;
+                        return record;
+                    }),
+                    masterIDs = records.map(function(record) {
+                        return record.id;
+                    }),
+                    masterLabel = resource.getLabel() + ' ID';
+
+                var sheets = [buildSheet(resource, resource.getLabel(true), fields, records, 'ID')];
+
+                var components = resource.settings.components,
+                    component;
+                if (components) {
+                    for (var alias in components) {
+                        component = resource.component(alias);
+                        if (component) {
+                            sheets.push(componentSheet(alias, component, masterIDs, masterLabel));
+                        }
+                    }
+                }
+
+                return $q.all(sheets);
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Render a sheet as CSV
+         *
+         * @param {object} sheet - the sheet
+         *
+         * @returns {string} - the CSV
+         */
+        var toCSV = function(sheet) {
+
+            var csvValue = function(value) {
+                if (value === null || value === undefined) {
+                    return '';
+                }
+                value = '' + value;
+                if (/[",\r\n]/.test(value)) {
+                    value = '"' + value.replace(/"/g, '""') + '"';
+                }
+                return value;
+            };
+
+            var lines = [sheet.columns.map(csvValue).join(',')];
+            sheet.rows.forEach(function(row) {
+                lines.push(row.map(csvValue).join(','));
+            });
+
+            // Byte order mark so spreadsheet applications recognize UTF-8
+            return '\uFEFF' + lines.join('\r\n') + '\r\n';
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Escape a string for XML
+         *
+         * @param {string} value - the string
+         *
+         * @returns {string} - the escaped string
+         */
+        var xmlEscape = function(value) {
+
+            return ('' + value).replace(/&/g, '&amp;')
+                               .replace(/</g, '&lt;')
+                               .replace(/>/g, '&gt;')
+                               .replace(/"/g, '&quot;')
+                               // Remove characters not allowed in XML
+                               .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the spreadsheet column name for a column index (A, B, ..., AA)
+         *
+         * @param {number} index - the column index (0-based)
+         *
+         * @returns {string} - the column name
+         */
+        var columnName = function(index) {
+
+            var name = '';
+            index += 1;
+            while (index > 0) {
+                var remainder = (index - 1) % 26;
+                name = String.fromCharCode(65 + remainder) + name;
+                index = Math.floor((index - 1) / 26);
+            }
+            return name;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Render a sheet as SpreadsheetML worksheet
+         *
+         * @param {object} sheet - the sheet
+         *
+         * @returns {string} - the worksheet XML
+         */
+        var worksheetXML = function(sheet) {
+
+            var xmlRow = function(values, rowIndex, header) {
+                var cells = values.map(function(value, colIndex) {
+                    var ref = columnName(colIndex) + rowIndex;
+                    if (value === null || value === undefined) {
+                        return '';
+                    }
+                    if (typeof value == 'number' && isFinite(value)) {
+                        return '<c r="' + ref + '"><v>' + value + '</v></c>';
+                    }
+                    if (typeof value == 'boolean') {
+                        return '<c r="' + ref + '" t="b"><v>' + (value ? 1 : 0) + '</v></c>';
+                    }
+                    return '<c r="' + ref + '" t="inlineStr"' + (header ? ' s="1"' : '') + '>' +
+                           '<is><t xml:space="preserve">' + xmlEscape(value) + '</t></is></c>';
+                });
+                return '<row r="' + rowIndex + '">' + cells.join('') + '</row>';
+            };
+
+            var rows = [xmlRow(sheet.columns, 1, true)];
+            sheet.rows.forEach(function(row, index) {
+                rows.push(xmlRow(row, index + 2));
+            });
+
+            return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                   '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                   '<sheetData>' + rows.join('') + '</sheetData>' +
+                   '</worksheet>';
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Render sheets as XLSX workbook
+         *
+         * @param {Array} sheets - the sheets
+         *
+         * @returns {Blob} - the workbook
+         */
+        var toXLSX = function(sheets) {
+
+            var sheetNames = [],
+                files = [];
+
+            // Unique, valid sheet names (max 31 characters)
+            sheets.forEach(function(sheet, index) {
+                var name = ('' + sheet.title).replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 28) || 'Sheet';
+                if (sheetNames.indexOf(name) != -1) {
+                    name += ' ' + (index + 1);
+                }
+                sheetNames.push(name);
+            });
+
+            files.push({
+                name: '[Content_Types].xml',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                      '<Default Extension="xml" ContentType="application/xml"/>' +
+                      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                      sheets.map(function(sheet, index) {
+                          return '<Override PartName="/xl/worksheets/sheet' + (index + 1) + '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>';
+                      }).join('') +
+                      '</Types>'
+            });
+
+            files.push({
+                name: '_rels/.rels',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                      '</Relationships>'
+            });
+
+            files.push({
+                name: 'xl/workbook.xml',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                      '<sheets>' +
+                      sheetNames.map(function(name, index) {
+                          return '<sheet name="' + xmlEscape(name) + '" sheetId="' + (index + 1) + '" r:id="rId' + (index + 1) + '"/>';
+                      }).join('') +
+                      '</sheets>' +
+                      '</workbook>'
+            });
+
+            files.push({
+                name: 'xl/_rels/workbook.xml.rels',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                      sheets.map(function(sheet, index) {
+                          return '<Relationship Id="rId' + (index + 1) + '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' + (index + 1) + '.xml"/>';
+                      }).join('') +
+                      '<Relationship Id="rId' + (sheets.length + 1) + '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                      '</Relationships>'
+            });
+
+            // Minimal styles: default and bold (for header rows)
+            files.push({
+                name: 'xl/styles.xml',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                      '</styleSheet>'
+            });
+
+            sheets.forEach(function(sheet, index) {
+                files.push({
+                    name: 'xl/worksheets/sheet' + (index + 1) + '.xml',
+                    data: worksheetXML(sheet)
+                });
+            });
+
+            var blob = emZip.create(files);
+            return new Blob([blob], {type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'});
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Write an export file
+         *
+         * @param {string} fileName - the file name
+         * @param {Blob} data - the file contents
+         *
+         * @returns {promise} - a promise that resolves into the file URI
+         */
+        var writeFile = function(fileName, data) {
+
+            var deferred = $q.defer();
+
+            emFiles.createExportFile(fileName, data,
+                function(fileURI) {
+                    deferred.resolve(fileURI);
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Generate a time stamp for file names (YYYYMMDD-HHMMSS)
+         *
+         * @returns {string} - the time stamp
+         */
+        var fileTimeStamp = function() {
+
+            var now = new Date(),
+                pad = function(n) {
+                    return n < 10 ? '0' + n : '' + n;
+                };
+
+            return '' + now.getFullYear() + pad(now.getMonth() + 1) + pad(now.getDate()) + '-' +
+                   pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds());
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+
+            formats: formats,
+
+            writeFile: writeFile,
+            fileTimeStamp: fileTimeStamp,
+
+            /**
+             * Export all records of a resource (including components)
+             *
+             * @param {string} resourceName - the resource name
+             * @param {string} format - the export format: csv|xlsx
+             *
+             * @returns {promise} - a promise that resolves into an array
+             *                      of the URIs of the written files
+             */
+            exportResource: function(resourceName, format) {
+
+                if (formats.indexOf(format) == -1) {
+                    return $q.reject('unsupported export format: ' + format);
+                }
+
+                return emResources.open(resourceName).then(function(resource) {
+
+                    if (!resource) {
+                        return $q.reject('undefined resource: ' + resourceName);
+                    }
+
+                    return collectSheets(resource).then(function(sheets) {
+
+                        var prefix = resourceName + '-' + fileTimeStamp();
+
+                        if (format == 'xlsx') {
+                            return writeFile(prefix + '.xlsx', toXLSX(sheets)).then(function(fileURI) {
+                                return [fileURI];
+                            });
+                        }
+
+                        return $q.all(sheets.map(function(sheet, index) {
+                            var fileName = prefix;
+                            if (index) {
+                                // Component
+                                fileName += '-' + sheet.name;
+                            }
+                            var data = new Blob([toCSV(sheet)], {type: 'text/csv'});
+                            return writeFile(fileName + '.csv', data);
+                        }));
+                    });
+                });
+            }
+        };
+
+        return api;
+    }
+]);
+
+// END ========================================================================
@@ -0,0 +1,296 @@
+/**
+ * Sahana Eden Mobile - ZIP Archives
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emZip - Service to create and read ZIP archives (without compression,
+ *         which is sufficient for the file formats we produce, e.g. XLSX)
+ *
+ * @class emZip
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emZip', [
+    function () {
+
+        "use strict";
+
+        // CRC-32 lookup table
+        var crcTable = (function() {
+            var table = [],
+                c;
+            for (var n = 0; n < 256; n++) {
+                c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[n] = c >>> 0;
+            }
+            return table;
+        })();
+
+        // --------------------------------------------------------------------
+        /**
+         * Compute the CRC-32 checksum of a byte array
+         *
+         * @param {Uint8Array} bytes - the bytes
+         *
+         * @returns {number} - the checksum
+         */
+        var crc32 = function(bytes) {
+
+            var crc = 0xFFFFFFFF;
+            for (var i = 0, len = bytes.length; i < len; i++) {
+                crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Encode a string as UTF-8
+         *
+         * @param {string} str - the string
+         *
+         * @returns {Uint8Array} - the UTF-8 encoded bytes
+         */
+        var utf8 = function(str) {
+
+            var encoded = unescape(encodeURIComponent(str)),
+                bytes = new Uint8Array(encoded.length);
+            for (var i = 0, len = encoded.length; i < len; i++) {
+                bytes[i] = encoded.charCodeAt(i);
+            }
+            return bytes;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a JS date into DOS date/time format
+         *
+         * @param {Date} date - the date
+         *
+         * @returns {object} - {date: number, time: number}
+         */
+        var dosDateTime = function(date) {
+
+            return {
+                time: (date.getHours() << 11) |
+                      (date.getMinutes() << 5) |
+                      Math.floor(date.getSeconds() / 2),
+                date: ((date.getFullYear() - 1980) << 9) |
+                      ((date.getMonth() + 1) << 5) |
+                      date.getDate()
+            };
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create a ZIP archive
+         *
+         * @param {Array} files - the files to add to the archive,
+         *                        [{name: string, data: string|Uint8Array}, ...]
+         *
+         * @returns {Blob} - the archive
+         */
+        var create = function(files) {
+
+            var parts = [],
+                directory = [],
+                offset = 0,
+                timestamp = dosDateTime(new Date());
+
+            files.forEach(function(file) {
+
+                var name = utf8(file.name),
+                    data = file.data;
+
+                if (typeof data == 'string') {
+                    data = utf8(data);
+                }
+
+                var crc = crc32(data),
+                    size = data.length;
+
+                // Local file header
+                var header = new DataView(new ArrayBuffer(30));
+                header.setUint32(0, 0x04034b50, true);
+                header.setUint16(4, 20, true);          // version needed
+                header.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+                header.setUint16(8, 0, true);           // method: stored
+                header.setUint16(10, timestamp.time, true);
+                header.setUint16(12, timestamp.date, true);
+                header.setUint32(14, crc, true);
+                header.setUint32(18, size, true);       // compressed size
+                header.setUint32(22, size, true);       // uncompressed size
+                header.setUint16(26, name.length, true);
+                header.setUint16(28, 0, true);          // extra field length
+
+                parts.push(header, name, data);
+
+                // Central directory entry
+                var entry = new DataView(new ArrayBuffer(46));
+                entry.setUint32(0, 0x02014b50, true);
+                entry.setUint16(4, 20, true);           // version made by
+                entry.setUint16(6, 20, true);           // version needed
+                entry.setUint16(8, 0x0800, true);
+                entry.setUint16(10, 0, true);
+                entry.setUint16(12, timestamp.time, true);
+                entry.setUint16(14, timestamp.date, true);
+                entry.setUint32(16, crc, true);
+                entry.setUint32(20, size, true);
+                entry.setUint32(24, size, true);
+                entry.setUint16(28, name.length, true);
+                entry.setUint16(30, 0, true);           // extra field length
+                entry.setUint16(32, 0, true);           // comment length
+                entry.setUint16(34, 0, true);           // disk number
+                entry.setUint16(36, 0, true);           // internal attributes
+                entry.setUint32(38, 0, true);           // external attributes
+                entry.setUint32(42, offset, true);      // local header offset
+
+                directory.push(entry, name);
+
+                offset += 30 + name.length + size;
+            });
+
+            var directorySize = 0;
+            directory.forEach(function(part) {
+                directorySize += part.byteLength;
+            });
+
+            // End of central directory record
+            var end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(4, 0, true);
+            end.setUint16(6, 0, true);
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, offset, true);
+            end.setUint16(20, 0, true);
+
+            return new Blob(parts.concat(directory, [end]), {type: 'application/zip'});
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Decode UTF-8 encoded bytes as string
+         *
+         * @param {Uint8Array} bytes - the UTF-8 encoded bytes
+         *
+         * @returns {string} - the decoded string
+         */
+        var text = function(bytes) {
+
+            var chunks = [],
+                chunkSize = 0x8000;
+            for (var i = 0, len = bytes.length; i < len; i += chunkSize) {
+                chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize)));
+            }
+            return decodeURIComponent(escape(chunks.join('')));
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read a ZIP archive; supports only stored (=uncompressed) entries,
+         * i.e. archives as produced by create() - archives created or
+         * re-zipped with standard tools are usually deflated, and get
+         * rejected with an explanatory error message
+         *
+         * @param {ArrayBuffer} buffer - the archive contents
+         *
+         * @returns {object} - the files in the archive, {name: Uint8Array}
+         *
+         * @throws {Error} - if the archive is invalid or contains
+         *                   compressed entries
+         */
+        var read = function(buffer) {
+
+            var view = new DataView(buffer),
+                bytes = new Uint8Array(buffer),
+                files = {};
+
+            // Find the end of central directory record (scanning
+            // backwards to skip any archive comment)
+            var end = -1;
+            for (var pos = buffer.byteLength - 22; pos >= 0; pos--) {
+                if (view.getUint32(pos, true) == 0x06054b50) {
+                    end = pos;
+                    break;
+                }
+            }
+            if (end == -1) {
+                throw new Error('Invalid ZIP archive');
+            }
+
+            var numEntries = view.getUint16(end + 10, true),
+                offset = view.getUint32(end + 16, true);
+
+            for (var i = 0; i < numEntries; i++) {
+
+                if (view.getUint32(offset, true) != 0x02014b50) {
+                    throw new Error('Invalid ZIP archive');
+                }
+
+                var method = view.getUint16(offset + 10, true),
+                    size = view.getUint32(offset + 20, true),
+                    nameLength = view.getUint16(offset + 28, true),
+                    extraLength = view.getUint16(offset + 30, true),
+                    commentLength = view.getUint16(offset + 32, true),
+                    headerOffset = view.getUint32(offset + 42, true),
+                    name = text(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+                if (name.slice(-1) != '/') {
+                    if (method !== 0) {
+                        throw new Error('Compressed ZIP archives are not supported (' + name + '), ' +
+                                        'only packages exported by this app can be imported');
+                    }
+
+                    // Data start after the local file header
+                    var start = headerOffset + 30 +
+                                view.getUint16(headerOffset + 26, true) +
+                                view.getUint16(headerOffset + 28, true);
+
+                    files[name] = bytes.subarray(start, start + size);
+                }
+
+                offset += 46 + nameLength + extraLength + commentLength;
+            }
+
+            return files;
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            create: create,
+            read: read,
+            text: text,
+            utf8: utf8
+        };
+    }
+]);
+
+// END ========================================================================
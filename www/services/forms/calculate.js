@@ -0,0 +1,299 @@
+/**
+ * Sahana Eden Mobile - Calculated Fields
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * emCalculate - Service for calculated (computed) fields in forms
+ *
+ * - calculation expressions are declared in the field description, e.g.:
+ *
+ *      "bmi": {
+ *          "type": "double",
+ *          "calculate": "round(weight / pow(height / 100, 2), 1)"
+ *      }
+ *
+ * - expressions are Angular expressions (evaluated with $parse, not eval),
+ *   using the form values as context, plus the helper functions below
+ *
+ * @class emCalculate
+ * @memberof EdenMobile
+ */
+EdenMobile.factory('emCalculate', [
+    '$parse',
+    function($parse) {
+
+        "use strict";
+
+        /**
+         * Helper to check whether a value is empty
+         */
+        var isEmpty = function(value) {
+            return value === undefined || value === null || value === '';
+        };
+
+        /**
+         * Helper to extract the numeric values from an argument list
+         */
+        var numbers = function(args) {
+            return Array.prototype.slice.call(args).filter(function(value) {
+                return !isEmpty(value) && !isNaN(value - 0);
+            }).map(function(value) {
+                return value - 0;
+            });
+        };
+
+        /**
+         * Helper to convert a value into a Date
+         */
+        var toDate = function(value) {
+            if (isEmpty(value)) {
+                return null;
+            }
+            var date = value instanceof Date ? value : new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Functions available in calculation expressions
+         */
+        var helpers = {
+
+            // Arithmetic
+            abs: function(x) { return Math.abs(x); },
+            ceil: function(x) { return Math.ceil(x); },
+            floor: function(x) { return Math.floor(x); },
+            pow: function(x, y) { return Math.pow(x, y); },
+            sqrt: function(x) { return Math.sqrt(x); },
+            round: function(x, digits) {
+                var factor = Math.pow(10, digits || 0);
+                return Math.round(x * factor) / factor;
+            },
+
+            // Aggregates (ignoring empty values)
+            sum: function() {
+                return numbers(arguments).reduce(function(a, b) { return a + b; }, 0);
+            },
+            avg: function() {
+                var values = numbers(arguments);
+                return values.length ? helpers.sum.apply(null, values) / values.length : null;
+            },
+            min: function() {
+                var values = numbers(arguments);
+                return values.length ? Math.min.apply(null, values) : null;
+            },
+            max: function() {
+                var values = numbers(arguments);
+                return values.length ? Math.max.apply(null, values) : null;
+            },
+            count: function() {
+                return Array.prototype.slice.call(arguments).filter(function(value) {
+                    return !isEmpty(value);
+                }).length;
+            },
+
+            // Dates
+            today: function() {
+                var now = new Date();
+                return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            },
+            days: function(start, end) {
+                start = toDate(start);
+                end = end === undefined ? helpers.today() : toDate(end);
+                if (!start || !end) {
+                    return null;
+                }
+                return Math.floor((end.getTime() - start.getTime()) / 86400000);
+            },
+            age: function(dateOfBirth, date) {
+                dateOfBirth = toDate(dateOfBirth);
+                date = date === undefined ? helpers.today() : toDate(date);
+                if (!dateOfBirth || !date) {
+                    return null;
+                }
+                var age = date.getFullYear() - dateOfBirth.getFullYear();
+                if (date.getMonth() < dateOfBirth.getMonth() ||
+                    date.getMonth() == dateOfBirth.getMonth() && date.getDate() < dateOfBirth.getDate()) {
+                    age--;
+                }
+                return age;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a calculation result into the field type
+         *
+         * @param {Field} field - the field
+         * @param {*} value - the calculation result
+         *
+         * @returns {*} - the field value (null if invalid)
+         */
+        var fieldValue = function(field, value) {
+
+            if (isEmpty(value)) {
+                return null;
+            }
+
+            switch(field.type) {
+                case 'integer':
+                case 'double':
+                    value = value - 0;
+                    if (isNaN(value) || !isFinite(value)) {
+                        return null;
+                    }
+                    return field.type == 'integer' ? Math.round(value) : value;
+                case 'boolean':
+                    return !!value;
+                case 'date':
+                case 'datetime':
+                    return toDate(value);
+                case 'string':
+                case 'text':
+                    return '' + value;
+                default:
+                    return value;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the calculations for the calculated fields of a resource
+         *
+         * @param {Resource} resource - the resource
+         *
+         * @returns {Array} - array of calculations [{fieldName, evaluate}, ...],
+         *                    where evaluate is a function(values) returning
+         *                    the calculated field value; invalid expressions
+         *                    are reported in the errors property of the array
+         *                    as [{fieldName, expression, message}, ...]
+         */
+        var getCalculations = function(resource) {
+
+            var fields = resource.fields,
+                calculations = [],
+                errors = [];
+
+            Object.keys(fields).forEach(function(fieldName) {
+
+                var field = fields[fieldName],
+                    expression = field._description.calculate || field.getSetting('calculate');
+                if (!expression) {
+                    return;
+                }
+
+                var getter;
+                try {
+                    getter = $parse(expression);
+                } catch(e) {
+                    // Invalid expression => report, and skip
+                    errors.push({
+                        fieldName: fieldName,
+                        expression: expression,
+                        message: e.message || ('' + e)
+                    });
+                    return;
+                }
+
+                calculations.push({
+                    fieldName: fieldName,
+                    evaluate: function(values) {
+                        // Form values take precedence over helpers
+                        var context = angular.extend(Object.create(helpers), values),
+                            result;
+                        try {
+                            result = getter(context);
+                        } catch(e) {
+                            result = null;
+                        }
+                        return fieldValue(field, result);
+                    }
+                });
+            });
+
+            calculations.errors = errors;
+
+            return calculations;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check whether a field is calculated
+         *
+         * @param {Field} field - the field
+         *
+         * @returns {boolean} - true if the field is calculated
+         */
+        var isCalculated = function(field) {
+
+            return !!(field._description.calculate || field.getSetting('calculate'));
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Apply calculations to form values
+         * - calculations can depend on other calculated fields, so
+         *   repeat until the results are stable
+         *
+         * @param {Array} calculations - the calculations (from getCalculations)
+         * @param {object} values - the form values {fieldName: value},
+         *                          will be updated in-place
+         *
+         * @returns {boolean} - whether any values have been changed
+         */
+        var apply = function(calculations, values) {
+
+            var changed = false,
+                passes = calculations.length,
+                updated;
+
+            do {
+                updated = false;
+                calculations.forEach(function(calculation) {
+                    var fieldName = calculation.fieldName,
+                        value = calculation.evaluate(values);
+                    if (!angular.equals(value, values[fieldName]) &&
+                        !(value === null && values[fieldName] === undefined)) {
+                        values[fieldName] = value;
+                        updated = changed = true;
+                    }
+                });
+            } while (updated && --passes > 0);
+
+            return changed;
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            helpers: helpers,
+            getCalculations: getCalculations,
+            isCalculated: isCalculated,
+            apply: apply
+        };
+    }
+]);
+
+// END ========================================================================
@@ -35,6 +35,28 @@ EdenMobile.factory('emDisplayLogic', [
         var isArray = function(value) {
             return value && typeof value === 'object' && value.constructor === Array;
         };
+        var isEmpty = function(value) {
+            return value === undefined || value === null || value === '' ||
+                   isArray(value) && !value.length;
+        };
+
+        /**
+         * Check whether a list contains a value (loose comparison, since
+         * options keys can be strings or numbers)
+         *
+         * @param {Array} list - the list
+         * @param {*} value - the value
+         *
+         * @returns {boolean} - whether the list contains the value
+         */
+        var includes = function(list, value) {
+            for (var i = list.length; i--;) {
+                if (list[i] == value) {
+                    return true;
+                }
+            }
+            return false;
+        };
 
         /**
          * Display Logic Rule Processor; for use with ngShow
@@ -61,6 +83,22 @@ EdenMobile.factory('emDisplayLogic', [
          *
          *      ["anyOf", rule, rule, ...]           - multiple rules, OR
          *
+         *      ["not", rule, rule, ...]             - negation of multiple rules (NOT AND)
+         *
+         *      Further operators for single rules:
+         *
+         *          contains: value                  - list (multi-select) contains the value,
+         *                                             or text contains the string
+         *          containsAny: [value, ...]        - list contains any of the values
+         *          containsAll: [value, ...]        - list contains all of the values
+         *          in: [value, ...]                 - value is one of the values
+         *          notIn: [value, ...]              - value is none of the values
+         *          empty: true|false                - field is empty (or not)
+         *          matches: "regex"                 - text matches the regular expression
+         *          count: n                         - exactly n answers selected
+         *          minCount: n                      - at least n answers selected
+         *          maxCount: n                      - at most n answers selected
+         *
          *      any other value                      - field will show if value is truthy
          *
          */
@@ -87,7 +125,7 @@ EdenMobile.factory('emDisplayLogic', [
                 // Detect operator
                 var op = rule[0],
                     rules;
-                if (op !== 'allOf' && op !== 'anyOf') {
+                if (op !== 'allOf' && op !== 'anyOf' && op !== 'not') {
                     op = 'allOf';
                     rules = rule;
                 } else {
@@ -104,6 +142,8 @@ EdenMobile.factory('emDisplayLogic', [
                 if (conditions.length) {
                     if (op == 'anyOf') {
                         this.show = this.anyOf(conditions);
+                    } else if (op == 'not') {
+                        this.show = this.not(this.allOf(conditions));
                     } else {
                         this.show = this.allOf(conditions);
                     }
@@ -151,6 +191,36 @@ EdenMobile.factory('emDisplayLogic', [
                         case 'selectedRegion':
                             conditions.push(this.selectedRegion(other, value));
                             break;
+                        case 'contains':
+                            conditions.push(this.contains(other, value));
+                            break;
+                        case 'containsAny':
+                            conditions.push(this.containsAny(other, value));
+                            break;
+                        case 'containsAll':
+                            conditions.push(this.containsAll(other, value));
+                            break;
+                        case 'in':
+                            conditions.push(this.isIn(other, value));
+                            break;
+                        case 'notIn':
+                            conditions.push(this.not(this.isIn(other, value)));
+                            break;
+                        case 'empty':
+                            if (value) {
+                                conditions.push(this.ifEmpty(other));
+                            } else {
+                                conditions.push(this.not(this.ifEmpty(other)));
+                            }
+                            break;
+                        case 'matches':
+                            conditions.push(this.matches(other, value));
+                            break;
+                        case 'count':
+                        case 'minCount':
+                        case 'maxCount':
+                            conditions.push(this.count(other, operator, value));
+                            break;
                         default:
                             break;
                     }
@@ -281,6 +351,141 @@ EdenMobile.factory('emDisplayLogic', [
             return showIf;
         };
 
+        /**
+         * Show field if other field (list) contains value, or if other
+         * field (text) contains value as substring
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.contains = function(other, value) {
+            var form = this.form;
+            return function() {
+                var fieldValue = form[other];
+                if (isArray(fieldValue)) {
+                    return includes(fieldValue, value);
+                } else if (typeof fieldValue == 'string') {
+                    return fieldValue.indexOf('' + value) != -1;
+                }
+                return false;
+            };
+        };
+
+        /**
+         * Show field if other field (list) contains any of the values
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.containsAny = function(other, values) {
+            var form = this.form;
+            if (!isArray(values)) {
+                values = [values];
+            }
+            return function() {
+                var fieldValue = form[other];
+                if (!isArray(fieldValue)) {
+                    fieldValue = isEmpty(fieldValue) ? [] : [fieldValue];
+                }
+                return values.some(function(value) {
+                    return includes(fieldValue, value);
+                });
+            };
+        };
+
+        /**
+         * Show field if other field (list) contains all of the values
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.containsAll = function(other, values) {
+            var form = this.form;
+            if (!isArray(values)) {
+                values = [values];
+            }
+            return function() {
+                var fieldValue = form[other];
+                if (!isArray(fieldValue)) {
+                    fieldValue = isEmpty(fieldValue) ? [] : [fieldValue];
+                }
+                return values.every(function(value) {
+                    return includes(fieldValue, value);
+                });
+            };
+        };
+
+        /**
+         * Show field if the value of other field is one of the values
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.isIn = function(other, values) {
+            var form = this.form;
+            if (!isArray(values)) {
+                values = [values];
+            }
+            return function() {
+                var fieldValue = form[other];
+                return !isEmpty(fieldValue) && includes(values, fieldValue);
+            };
+        };
+
+        /**
+         * Show field if the value of other field matches a regular expression
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.matches = function(other, value) {
+            var form = this.form,
+                pattern;
+            try {
+                pattern = new RegExp(value);
+            } catch(e) {
+                // Invalid expression => never matches
+                return this.never;
+            }
+            return function() {
+                var fieldValue = form[other];
+                if (isEmpty(fieldValue)) {
+                    return false;
+                }
+                return pattern.test('' + fieldValue);
+            };
+        };
+
+        /**
+         * Show field depending on the number of answers selected in
+         * other field (list)
+         *
+         * @param {string} other - name of the other field
+         * @param {string} operator - count|minCount|maxCount
+         * @param {integer} value - the number of answers
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.count = function(other, operator, value) {
+            var form = this.form,
+                number = value - 0;
+            if (isNaN(number)) {
+                return this.never;
+            }
+            return function() {
+                var fieldValue = form[other],
+                    count;
+                if (isArray(fieldValue)) {
+                    count = fieldValue.length;
+                } else {
+                    count = isEmpty(fieldValue) ? 0 : 1;
+                }
+                switch(operator) {
+                    case 'minCount':
+                        return count >= number;
+                    case 'maxCount':
+                        return count <= number;
+                    default:
+                        return count == number;
+                }
+            };
+        };
+
         // --------------------------------------------------------------------
         /**
          * Show the field always
@@ -341,6 +546,20 @@ EdenMobile.factory('emDisplayLogic', [
             };
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Show field if a condition does not apply
+         *
+         * @param {function} condition - show-function for the condition
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.not = function(condition) {
+            return function() {
+                return !condition();
+            };
+        };
+
         // --------------------------------------------------------------------
         /**
          * Show field if other field is not empty
@@ -356,6 +575,21 @@ EdenMobile.factory('emDisplayLogic', [
             };
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Show field if other field is empty (empty lists included)
+         *
+         * @param {string} other - name of the other field
+         *
+         * @returns {function} - show-function
+         */
+        DisplayLogic.prototype.ifEmpty = function(other) {
+            var form = this.form;
+            return function() {
+                return isEmpty(form[other]);
+            };
+        };
+
         // ====================================================================
         // Return the constructor
         //
@@ -31,10 +31,79 @@
  * @memberof EdenMobile
  */
 EdenMobile.factory('emForms', [
-    function () {
+    'emValidate',
+    function (emValidate) {
 
         "use strict";
 
+        /**
+         * Field types for which the widgets support validation
+         */
+        var validatedTypes = ['date', 'double', 'integer', 'password', 'string', 'text'];
+
+        // ====================================================================
+        /**
+         * Get the validation directives for a field
+         *
+         * @param {object} field - the field
+         *
+         * @returns {Array} - array of validation directives (see emValidate),
+         *                    empty if the widget for the field does not
+         *                    support validation
+         */
+        var getValidation = function(field) {
+
+            if (field.writable === false ||
+                field.hasOptions() ||
+                validatedTypes.indexOf(field.type) == -1) {
+                return [];
+            }
+            return emValidate.getDirectives(field);
+        };
+
+        // ====================================================================
+        /**
+         * Render the validation error messages for a field
+         *
+         * @param {string} formName - the form name
+         * @param {string} fieldName - the field name
+         * @param {Array} validation - the validation directives for the field
+         *
+         * @returns {DOMNode} - the angular-enhanced DOM node for the error
+         *                      messages, or null if there is no validation
+         */
+        var validationErrors = function(formName, fieldName, validation) {
+
+            if (!validation.length) {
+                return null;
+            }
+
+            var control = formName + '.' + fieldName,
+                showOn = '(' + formName + '.$submitted || ' + control + '.$touched) && ' + control + '.$invalid',
+                errors = angular.element('<div class="item item-text-wrap validation-errors">')
+                                .attr('ng-show', showOn);
+
+            validation.forEach(function(rule) {
+                var showIf = rule.errors.map(function(cond) {
+                        return control + '.$error.' + cond;
+                    }).join(' || '),
+                    errorMsg = angular.element('<div class="error">')
+                                      .attr('ng-show', showIf);
+                if (rule.translate) {
+                    // Default message => translate
+                    errorMsg.attr('translate', rule.message);
+                    if (rule.values) {
+                        errorMsg.attr('translate-values', angular.toJson(rule.values));
+                    }
+                } else {
+                    errorMsg.text(rule.message);
+                }
+                errors.append(errorMsg);
+            });
+
+            return errors;
+        };
+
         // ====================================================================
         /**
          * Build a form widget, applying em-*-widget directives
@@ -183,8 +252,9 @@ EdenMobile.factory('emForms', [
                 settings = resource.settings,
                 fieldNames = this.fieldNames,
                 componentKey = this.componentKey,
+                formName = 'data',
                 form = angular.element('<form>')
-                              .attr('name', 'data')
+                              .attr('name', formName)
                               .attr('novalidate', 'novalidate'),
                 formRows = angular.element('<div class="list">');
 
@@ -213,7 +283,8 @@ EdenMobile.factory('emForms', [
                 hides = {},
                 hiddenBy,
                 subheadings = settings.subheadings || {},
-                widget;
+                widget,
+                fieldErrors;
 
             // Grids (if-defined)
             if (Object.keys(grids).length) {
@@ -383,6 +454,20 @@ EdenMobile.factory('emForms', [
                             });
                         }
 
+                        // Validation directives
+                        // - required only if the field is shown
+                        var validation = getValidation(field);
+                        validation.forEach(function(rule) {
+                            angular.extend(attr, rule.directives);
+                        });
+                        if (hiddenBy && attr['ng-required']) {
+                            attr['ng-required'] = hiddenBy;
+                        }
+                        fieldErrors = validationErrors(formName, fieldName, validation);
+                        if (fieldErrors && hiddenBy) {
+                            fieldErrors.attr('ng-show', hiddenBy + ' && ' + fieldErrors.attr('ng-show'));
+                        }
+
                         // Instantiate the widget and append it to the form rows
                         widget = createWidget(resource, field, attr);
                         return widget;
@@ -445,6 +530,9 @@ EdenMobile.factory('emForms', [
                             cell = angular.element('<td>');
                             if (widget) {
                                 cell.append(widget);
+                                if (fieldErrors) {
+                                    cell.append(fieldErrors);
+                                }
                             }
                             row.append(cell);
                         }
@@ -459,6 +547,9 @@ EdenMobile.factory('emForms', [
                     if (widget) {
                         // TODO use emFormStyle to produce widget
                         formRows.append(widget);
+                        if (fieldErrors) {
+                            formRows.append(fieldErrors);
+                        }
                     }
                 }
             });
@@ -72,16 +72,29 @@
                     formName + '.$submitted',
                     formName + '.' + fieldName + '.$touched'
                 ],
-                errorContainer = angular.element('<div class="errors">')
-                                        .attr('ng-show', showOn.join(' || '));
+                errorContainer = angular.element('<div class="errors">');
 
             // Append the error messages
+            // - errors with a bind-expression (form-level validation) are
+            //   rendered dynamically, and shown regardless of form status
             errors.forEach(function(error) {
                 var errorMsg = angular.element('<span class="error">')
-                                      .text(error.msg)
                                       .attr('ng-show', error.showOn);
+                if (error.bind) {
+                    errorMsg.attr('ng-bind', error.bind);
+                    showOn.push(error.showOn);
+                } else if (error.translate) {
+                    // Default message => translate
+                    errorMsg.attr('translate', error.msg);
+                    if (error.values) {
+                        errorMsg.attr('translate-values', angular.toJson(error.values));
+                    }
+                } else {
+                    errorMsg.text(error.msg);
+                }
                 errorContainer.append(errorMsg);
             });
+            errorContainer.attr('ng-show', showOn.join(' || '));
             formRow.append(errorContainer);
         }
 
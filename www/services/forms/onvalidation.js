@@ -0,0 +1,341 @@
+/**
+ * Sahana Eden Mobile - Form Validation (Cross-field)
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * emFormValidation - Service for form-level (cross-field) validation
+ *
+ * @class emFormValidation
+ * @memberof EdenMobile
+ */
+EdenMobile.factory('emFormValidation', [
+    '$translate',
+    function($translate) {
+
+        "use strict";
+
+        /**
+         * Type-check helpers
+         */
+        var isEmpty = function(value) {
+            return value === undefined || value === null || value === '' ||
+                   value.constructor === Array && !value.length;
+        };
+        var isArray = function(value) {
+            return value && typeof value === 'object' && value.constructor === Array;
+        };
+
+        /**
+         * Comparison operators, and the translation IDs of their default
+         * error messages [operator, compare-message, sum-message]
+         */
+        var operators = {
+            eq: [function(a, b) { return a == b; },
+                 'Must be equal to+VALUE',
+                 'The sum of these values must be equal to+VALUE'],
+            ne: [function(a, b) { return a != b; },
+                 'Must be different from+VALUE',
+                 'The sum of these values must be different from+VALUE'],
+            lt: [function(a, b) { return a < b; },
+                 'Must be less than+VALUE',
+                 'The sum of these values must be less than+VALUE'],
+            le: [function(a, b) { return a <= b; },
+                 'Must be less than or equal to+VALUE',
+                 'The sum of these values must be less than or equal to+VALUE'],
+            gt: [function(a, b) { return a > b; },
+                 'Must be greater than+VALUE',
+                 'The sum of these values must be greater than+VALUE'],
+            ge: [function(a, b) { return a >= b; },
+                 'Must be greater than or equal to+VALUE',
+                 'The sum of these values must be greater than or equal to+VALUE']
+        };
+
+        /**
+         * Translate a default error message (see i18n)
+         *
+         * @param {string} translationID - the translation ID
+         * @param {object} values - the values for the variables {name: value}
+         *
+         * @returns {string} - the translated message
+         */
+        var translate = function(translationID, values) {
+            return $translate.instant(translationID, values);
+        };
+
+        /**
+         * Convert a value for comparison (dates into timestamps)
+         *
+         * @param {*} value - the value
+         *
+         * @returns {*} - the comparable value
+         */
+        var comparable = function(value) {
+            if (value instanceof Date) {
+                return value.getTime();
+            }
+            return value;
+        };
+
+        /**
+         * Get the label of a field
+         *
+         * @param {Resource} resource - the resource
+         * @param {string} fieldName - the field name
+         * @param {string} language - the current language
+         *
+         * @returns {string} - the field label
+         */
+        var fieldLabel = function(resource, fieldName, language) {
+            var field = resource.fields[fieldName];
+            return field && field.getLabel(language) || fieldName;
+        };
+
+        // --------------------------------------------------------------------
+        // Rule types
+        // - each returns a rule object {fields: [], check: function(values)},
+        //   or null if the rule definition is invalid
+        // - check returns an object {fieldName: message} with the errors,
+        //   or null if the values are valid
+        //
+        var ruleTypes = {
+
+            /**
+             * Compare two fields (or a field with a value)
+             *
+             * @example
+             *  {"type": "compare", "field": "end_date", "op": "gt", "other": "start_date"}
+             *  {"type": "compare", "field": "adults", "op": "ge", "value": 1}
+             */
+            compare: function(resource, rule, language) {
+
+                var fieldName = rule.field,
+                    other = rule.other,
+                    operator = operators[rule.op];
+                if (!fieldName || !operator || !other && rule.value === undefined) {
+                    return null;
+                }
+
+                var message = rule.error;
+                if (!message) {
+                    message = translate(operator[1], {
+                        value: other ? fieldLabel(resource, other, language) : rule.value
+                    });
+                }
+
+                return {
+                    fields: other ? [fieldName, other] : [fieldName],
+                    check: function(values) {
+                        var value = values[fieldName],
+                            otherValue = other ? values[other] : rule.value;
+                        if (isEmpty(value) || isEmpty(otherValue)) {
+                            // Leave to field validation
+                            return null;
+                        }
+                        if (operator[0](comparable(value), comparable(otherValue))) {
+                            return null;
+                        }
+                        var errors = {};
+                        errors[fieldName] = message;
+                        return errors;
+                    }
+                };
+            },
+
+            /**
+             * Sum of several fields compared with a value
+             *
+             * @example
+             *  {"type": "sum", "fields": ["pct_a", "pct_b", "pct_c"], "op": "eq", "value": 100}
+             */
+            sum: function(resource, rule) {
+
+                var fieldNames = rule.fields,
+                    total = rule.value - 0,
+                    operator = operators[rule.op || 'eq'];
+                if (!isArray(fieldNames) || !fieldNames.length || isNaN(total) || !operator) {
+                    return null;
+                }
+
+                var message = rule.error;
+                if (!message) {
+                    message = translate(operator[2], {value: total});
+                }
+
+                return {
+                    fields: fieldNames,
+                    check: function(values) {
+                        var sum = 0,
+                            empty = true;
+                        fieldNames.forEach(function(fieldName) {
+                            var value = values[fieldName] - 0;
+                            if (!isEmpty(values[fieldName]) && !isNaN(value)) {
+                                sum += value;
+                                empty = false;
+                            }
+                        });
+                        if (empty || operator[0](sum, total)) {
+                            // Nothing entered yet => leave to field validation
+                            return null;
+                        }
+                        var errors = {};
+                        fieldNames.forEach(function(fieldName) {
+                            errors[fieldName] = message;
+                        });
+                        return errors;
+                    }
+                };
+            },
+
+            /**
+             * At least one (or a minimum number) of several fields
+             * must have a value
+             *
+             * @example
+             *  {"type": "anyOf", "fields": ["phone", "email"]}
+             *  {"type": "anyOf", "fields": ["a", "b", "c"], "min": 2}
+             */
+            anyOf: function(resource, rule) {
+
+                var fieldNames = rule.fields,
+                    min = rule.min === undefined ? 1 : rule.min - 0;
+                if (!isArray(fieldNames) || !fieldNames.length || isNaN(min)) {
+                    return null;
+                }
+
+                var message = rule.error;
+                if (!message) {
+                    if (min == 1) {
+                        message = translate('Fill in at least one of these fields');
+                    } else {
+                        message = translate('Fill in at least+NUMBER+of these fields', {number: min});
+                    }
+                }
+
+                return {
+                    fields: fieldNames,
+                    check: function(values) {
+                        var filled = fieldNames.filter(function(fieldName) {
+                            return !isEmpty(values[fieldName]);
+                        });
+                        if (filled.length >= min) {
+                            return null;
+                        }
+                        var errors = {};
+                        fieldNames.forEach(function(fieldName) {
+                            errors[fieldName] = message;
+                        });
+                        return errors;
+                    }
+                };
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the form validation rules for a resource
+         *
+         * @param {Resource} resource - the resource
+         * @param {string} language - the current language (for field
+         *                            labels in default error messages)
+         *
+         * @returns {Array} - array of rule objects
+         *
+         * Rules are declared in the resource settings, like:
+         *
+         *      "onvalidation": [
+         *          {"type": "compare", "field": "end_date", "op": "gt", "other": "start_date",
+         *           "error": "End date must be after start date"},
+         *          {"type": "sum", "fields": ["pct_a", "pct_b"], "value": 100},
+         *          {"type": "anyOf", "fields": ["phone", "email"]}
+         *      ]
+         */
+        var getRules = function(resource, language) {
+
+            var ruleConfig = resource.settings.onvalidation,
+                rules = [];
+
+            if (isArray(ruleConfig)) {
+                ruleConfig.forEach(function(rule) {
+                    var ruleType = rule && ruleTypes[rule.type],
+                        validator;
+                    if (ruleType) {
+                        validator = ruleType(resource, rule, language);
+                    }
+                    if (validator) {
+                        rules.push(validator);
+                    }
+                });
+            }
+            return rules;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Validate form values
+         *
+         * @param {Array} rules - the rule objects (from getRules)
+         * @param {object} values - the form values {fieldName: value}
+         * @param {Array} fieldNames - the fields entered so far (optional),
+         *                             rules including other fields will
+         *                             be skipped
+         *
+         * @returns {object} - the errors {fieldName: message}, or null
+         *                     if the values are valid
+         */
+        var validate = function(rules, values, fieldNames) {
+
+            var errors = null;
+
+            rules.forEach(function(rule) {
+
+                if (fieldNames) {
+                    var applicable = rule.fields.every(function(fieldName) {
+                        return fieldNames.indexOf(fieldName) != -1;
+                    });
+                    if (!applicable) {
+                        return;
+                    }
+                }
+
+                var ruleErrors = rule.check(values);
+                if (ruleErrors) {
+                    // Keep the first error for each field
+                    errors = angular.extend(ruleErrors, errors);
+                }
+            });
+
+            return errors;
+        };
+
+        // ====================================================================
+        // API
+        //
+        return {
+            getRules: getRules,
+            validate: validate
+        };
+    }
+]);
+
+// END ========================================================================
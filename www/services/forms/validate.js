@@ -27,6 +27,44 @@
 
     "use strict";
 
+    // ========================================================================
+    /**
+     * Get the custom error message configured for a validation rule
+     *
+     * @param {object} options - the options for the rule
+     *
+     * @returns {object} - the message {message: text}, or null if
+     *                     no custom message is configured
+     */
+    var customMessage = function(options) {
+
+        if (options.error) {
+            return {message: options.error};
+        }
+        return null;
+    };
+
+    /**
+     * Get a default error message; the message is translated when it
+     * is rendered (see i18n), hence messages with variables use the
+     * translation ID with the variable names in uppercase
+     *
+     * @param {string} translationID - the translation ID
+     * @param {object} values - the values for the variables {name: value}
+     *
+     * @returns {object} - the message {message: translationID,
+     *                                  translate: true,
+     *                                  values: values}
+     */
+    var defaultMessage = function(translationID, values) {
+
+        return {
+            message: translationID,
+            translate: true,
+            values: values
+        };
+    };
+
     // ========================================================================
     // Validation rules
     // - translate rule+options into directives and error messages
@@ -40,16 +78,21 @@
         // --------------------------------------------------------------------
         isNotEmpty: function(options) {
 
-            var errorMsg = options.error;
-            if (!errorMsg) {
-                errorMsg = 'Enter a value';
+            var message = customMessage(options);
+            if (!message) {
+                if (options.select == 'multiple') {
+                    message = defaultMessage('Select at least one option');
+                } else if (options.select) {
+                    message = defaultMessage('Select a value');
+                } else {
+                    message = defaultMessage('Enter a value');
+                }
             }
 
-            return {
+            return angular.extend({
                 directives: {'ng-required': 'true'},
-                errors: ['required'],
-                message: errorMsg
-            };
+                errors: ['required']
+            }, message);
 
         },
 
@@ -61,7 +104,7 @@
          *  @keyword {integer} options.min - the minimum value
          *  @keyword {integer} options.max - the maximum value
          *
-         * @returns {object} - an object {directives: {'attr': 'value'}, error: 'message'}
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
          */
         isIntInRange: function(options) {
 
@@ -76,27 +119,24 @@
                 max = directives.max = '' + max;
             }
 
-            var errorMsg = options.error;
-            if (!errorMsg) {
-                if (min && max) {
-                    errorMsg = 'Enter an integer between ' + min + ' and ' + max;
-                    errors = errors.concat(['min', 'max']);
-                } else if (min) {
-                    errorMsg = 'Enter an integer >= ' + min;
-                    errors.push('min');
-                } else if (max) {
-                    errorMsg = 'Enter an integer <= ' + max;
-                    errors.push('max');
-                } else {
-                    errorMsg = 'Enter an integer';
-                }
+            var message = customMessage(options);
+            if (min && max) {
+                message = message || defaultMessage('Enter an integer between+MIN+MAX', {min: min, max: max});
+                errors = errors.concat(['min', 'max']);
+            } else if (min) {
+                message = message || defaultMessage('Enter an integer >=+MIN', {min: min});
+                errors.push('min');
+            } else if (max) {
+                message = message || defaultMessage('Enter an integer <=+MAX', {max: max});
+                errors.push('max');
+            } else {
+                message = message || defaultMessage('Enter an integer');
             }
 
-            return {
+            return angular.extend({
                 directives: directives,
-                errors: errors,
-                message: errorMsg,
-            };
+                errors: errors
+            }, message);
         },
 
         // --------------------------------------------------------------------
@@ -107,7 +147,7 @@
          *  @keyword {integer} options.min - the minimum value
          *  @keyword {integer} options.max - the maximum value
          *
-         * @returns {object} - an object {directives: {'attr': 'value'}, error: 'message'}
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
          */
         isFloatInRange: function(options) {
 
@@ -122,47 +162,258 @@
                 max = directives.max = '' + max;
             }
 
-            var errorMsg = options.error;
-            if (!errorMsg) {
+            var message = customMessage(options);
+            if (min && max) {
+                message = message || defaultMessage('Enter a number between+MIN+MAX', {min: min, max: max});
+                errors = errors.concat(['min', 'max']);
+            } else if (min) {
+                message = message || defaultMessage('Enter a number >=+MIN', {min: min});
+                errors.push('min');
+            } else if (max) {
+                message = message || defaultMessage('Enter a number <=+MAX', {max: max});
+                errors.push('max');
+            } else {
+                message = message || defaultMessage('Enter a number');
+            }
+
+            return angular.extend({
+                directives: directives,
+                errors: errors
+            }, message);
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isJson
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
+         */
+        isJson: function(options) {
+
+            var message = customMessage(options) ||
+                          defaultMessage('Enter a valid JSON expression');
+
+            return angular.extend({
+                directives: {'is-json': ''},
+                errors: ['json', 'parse']
+            }, message);
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isMatch
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {string} options.expression - the regular expression
+         *  @keyword {boolean} options.strict - the expression must match
+         *                                      the entire value
+         *  @keyword {boolean} options.search - the expression can match
+         *                                      anywhere in the value (rather
+         *                                      than at the start)
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
+         */
+        isMatch: function(options) {
+
+            var expression = options.expression;
+            if (!expression) {
+                return null;
+            }
+            if (!options.search) {
+                expression = '^(?:' + expression + ')';
+                if (options.strict) {
+                    expression += '$';
+                }
+            }
+
+            var message = customMessage(options) ||
+                          defaultMessage('Invalid value');
+
+            return angular.extend({
+                directives: {'is-match': expression},
+                errors: ['match']
+            }, message);
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isLength
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {integer} options.min - the minimum number of characters
+         *  @keyword {integer} options.max - the maximum number of characters
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
+         */
+        isLength: function(options) {
+
+            var directives = {},
+                errors = [],
+                min = options.min,
+                max = options.max;
+            if (min !== undefined && !isNaN(min - 0) && min > 0) {
+                min = directives['ng-minlength'] = '' + min;
+                errors.push('minlength');
+            } else {
+                min = null;
+            }
+            if (max !== undefined && !isNaN(max - 0)) {
+                max = directives['ng-maxlength'] = '' + max;
+                errors.push('maxlength');
+            } else {
+                max = null;
+            }
+            if (!errors.length) {
+                return null;
+            }
+
+            var message = customMessage(options);
+            if (!message) {
                 if (min && max) {
-                    errorMsg = 'Enter a number between ' + min + ' and ' + max;
-                    errors = errors.concat(['min', 'max']);
+                    message = defaultMessage('Enter between+MIN+MAX+characters', {min: min, max: max});
                 } else if (min) {
-                    errorMsg = 'Enter a number >= ' + min;
-                    errors.push('min');
-                } else if (max) {
-                    errorMsg = 'Enter a number <= ' + max;
-                    errors.push('max');
+                    message = defaultMessage('Enter at least+MIN+characters', {min: min});
                 } else {
-                    errorMsg = 'Enter a number';
+                    message = defaultMessage('Enter at most+MAX+characters', {max: max});
                 }
             }
 
-            return {
+            return angular.extend({
                 directives: directives,
-                errors: errors,
-                message: errorMsg,
-            };
+                errors: errors
+            }, message);
         },
 
         // --------------------------------------------------------------------
         /**
-         * isJson
+         * isEmail
          *
-         * @returns {object} - an object {directives: {'attr': 'value'}, error: 'message'}
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
          */
-        isJson: function(options) {
+        isEmail: function(options) {
+
+            var message = customMessage(options) ||
+                          defaultMessage('Enter a valid email address');
 
-            var errorMsg = options.error;
-            if (!errorMsg) {
-                errorMsg = 'Enter a valid JSON expression';
+            return angular.extend({
+                directives: {'is-email': ''},
+                errors: ['email']
+            }, message);
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isPhoneNumber
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {boolean} options.international - require international
+         *                                             format (+<country code>)
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
+         */
+        isPhoneNumber: function(options) {
+
+            var international = !!options.international;
+
+            var message = customMessage(options);
+            if (!message) {
+                if (international) {
+                    message = defaultMessage('Enter a phone number in international format');
+                } else {
+                    message = defaultMessage('Enter a valid phone number');
+                }
             }
 
-            return {
-                directives: {'is-json': ''},
-                errors: ['json', 'parse'],
-                message: errorMsg
-            };
+            return angular.extend({
+                directives: {'is-phone-number': international ? 'international' : ''},
+                errors: ['phoneNumber']
+            }, message);
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isDateInRange (date and datetime fields)
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {string} options.min - the earliest date, ISO format
+         *  @keyword {string} options.max - the latest date, ISO format
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
+         */
+        isDateInRange: function(options) {
+
+            var directives = {},
+                errors = ['date', 'datetimelocal'],
+                min = options.min,
+                max = options.max;
+            if (min) {
+                min = directives.min = '' + min;
+            }
+            if (max) {
+                max = directives.max = '' + max;
+            }
+
+            var message = customMessage(options);
+            if (min && max) {
+                message = message || defaultMessage('Enter a date between+MIN+MAX', {min: min, max: max});
+                errors = errors.concat(['min', 'max']);
+            } else if (min) {
+                message = message || defaultMessage('Enter a date on or after+MIN', {min: min});
+                errors.push('min');
+            } else if (max) {
+                message = message || defaultMessage('Enter a date on or before+MAX', {max: max});
+                errors.push('max');
+            } else {
+                message = message || defaultMessage('Enter a valid date');
+            }
+
+            return angular.extend({
+                directives: directives,
+                errors: errors
+            }, message);
+        },
+
+        // --------------------------------------------------------------------
+        /**
+         * isTimeInRange (time fields)
+         *
+         * @param {object} options - the options for the rule
+         *  @keyword {string} options.min - the earliest time, format hh:mm
+         *  @keyword {string} options.max - the latest time, format hh:mm
+         *
+         * @returns {object} - an object {directives: {'attr': 'value'}, errors: [], message: 'message'}
+         */
+        isTimeInRange: function(options) {
+
+            var directives = {},
+                errors = ['time'],
+                min = options.min,
+                max = options.max;
+            if (min) {
+                min = directives.min = '' + min;
+            }
+            if (max) {
+                max = directives.max = '' + max;
+            }
+
+            var message = customMessage(options);
+            if (min && max) {
+                message = message || defaultMessage('Enter a time between+MIN+MAX', {min: min, max: max});
+                errors = errors.concat(['min', 'max']);
+            } else if (min) {
+                message = message || defaultMessage('Enter a time at or after+MIN', {min: min});
+                errors.push('min');
+            } else if (max) {
+                message = message || defaultMessage('Enter a time at or before+MAX', {max: max});
+                errors.push('max');
+            } else {
+                message = message || defaultMessage('Enter a valid time');
+            }
+
+            return angular.extend({
+                directives: directives,
+                errors: errors
+            }, message);
         },
 
         // --------------------------------------------------------------------
@@ -184,31 +435,28 @@
                 max = directives['max-selected'] = '' + max;
             }
 
-            var errorMsg = options.error;
-            if (!errorMsg) {
-                if (min && max) {
-                    if (min == max) {
-                        errorMsg = 'Select ' + min + ' options';
-                    } else {
-                        errorMsg = 'Select between ' + min + ' and ' + max + ' options';
-                    }
-                    errors = errors.concat(['minSelected', 'maxSelected']);
-                } else if (min) {
-                    errorMsg = 'Select ' + min + ' or more options';
-                    errors.push('minSelected');
-                } else if (max) {
-                    errorMsg = 'Max ' + max + ' options can be selected';
-                    errors.push('maxSelected');
+            var message = customMessage(options);
+            if (min && max) {
+                if (min == max) {
+                    message = message || defaultMessage('Select+NUMBER+options', {number: min});
                 } else {
-                    errorMsg = '';
+                    message = message || defaultMessage('Select between+MIN+MAX+options', {min: min, max: max});
                 }
+                errors = errors.concat(['minSelected', 'maxSelected']);
+            } else if (min) {
+                message = message || defaultMessage('Select+MIN+or more options', {min: min});
+                errors.push('minSelected');
+            } else if (max) {
+                message = message || defaultMessage('Max+MAX+options can be selected', {max: max});
+                errors.push('maxSelected');
+            } else {
+                message = message || {message: ''};
             }
 
-            return {
+            return angular.extend({
                 directives: directives,
-                errors: errors,
-                message: errorMsg,
-            };
+                errors: errors
+            }, message);
         },
 
         // --------------------------------------------------------------------
@@ -217,15 +465,13 @@
          */
         minSelectedPoints: function(options) {
 
-            var errorMsg = options.error;
-            if (!errorMsg) {
-                errorMsg = 'Choose at least ' + options.number + ' point(s)';
-            }
-            return {
+            var message = customMessage(options) ||
+                          defaultMessage('Choose at least+NUMBER+point(s)', {number: options.number});
+
+            return angular.extend({
                 directives: {'min-selected-points': '' + options.number},
-                errors: ['minSelectedPoints'],
-                message: errorMsg
-            };
+                errors: ['minSelectedPoints']
+            }, message);
         },
 
         // --------------------------------------------------------------------
@@ -235,15 +481,13 @@
          */
         maxSelectedPoints: function(options) {
 
-            var errorMsg = options.error;
-            if (!errorMsg) {
-                errorMsg = 'Only ' + options.number + ' clicks allowed';
-            }
-            return {
+            var message = customMessage(options) ||
+                          defaultMessage('Only+NUMBER+clicks allowed', {number: options.number});
+
+            return angular.extend({
                 directives: {'max-selected-points': '' + options.number},
-                errors: ['maxSelectedPoints'],
-                message: errorMsg
-            };
+                errors: ['maxSelectedPoints']
+            }, message);
         },
 
     };
@@ -313,6 +557,27 @@
                             requires.isIntInRange = {};
                         }
                         break;
+                    case 'date':
+                    case 'datetime':
+                    case 'time':
+                        // Interpret min/max widget options as range rule
+                        var rangeRule = field.type == 'time' ? 'isTimeInRange' : 'isDateInRange',
+                            widgetOpts = settings && settings.widget;
+                        if (!requires.hasOwnProperty(rangeRule) && widgetOpts &&
+                            (widgetOpts.min || widgetOpts.max)) {
+                            requires[rangeRule] = {min: widgetOpts.min, max: widgetOpts.max};
+                        }
+                        // Date inputs expect min/max as YYYY-MM-DD
+                        var range = requires[rangeRule];
+                        if (field.type == 'date' && range) {
+                            range = requires[rangeRule] = angular.extend({}, range);
+                            ['min', 'max'].forEach(function(limit) {
+                                if (range[limit]) {
+                                    range[limit] = ('' + range[limit]).slice(0, 10);
+                                }
+                            });
+                        }
+                        break;
                     case 'json':
                         // Mandatory isJson
                         if (!requires.hasOwnProperty('isJson')) {
@@ -360,10 +625,10 @@
                         // Typically using a selector, so adapt language of error message
                         if (field.type.slice(0, 5) == 'list:') {
                             if (!requires.selectedOpts || !requires.selectedOpts.min) {
-                                requires.isNotEmpty = {error: 'Select at least one option'};
+                                requires.isNotEmpty = {select: 'multiple'};
                             }
                         } else {
-                            requires.isNotEmpty = {error: 'Select a value'};
+                            requires.isNotEmpty = {select: 'one'};
                         }
                     } else {
                         requires.isNotEmpty = null;
@@ -31,11 +31,63 @@
  * @memberof EdenMobile.Services
  */
 EdenMobile.factory('emFormWizard', [
-
-    function () {
+    'emCalculate',
+    function (emCalculate) {
 
         "use strict";
 
+        // --------------------------------------------------------------------
+        /**
+         * Resolve the component and fields of a repeat group
+         *
+         * @param {Resource} resource - the master resource
+         * @param {object} formElement - the repeat form element
+         *
+         * @returns {object} - the repeat form element with the field list
+         *                     resolved, or undefined if the component
+         *                     is not defined
+         */
+        var getRepeat = function(resource, formElement) {
+
+            var component = resource.component(formElement.component);
+            if (!component || component.linked || component.parent !== resource) {
+                return;
+            }
+
+            var fields = component.fields,
+                fkey = component.link ? null : component.fkey,
+                orderBy = formElement.orderBy,
+                fieldNames = formElement.fields;
+
+            if (orderBy && !fields.hasOwnProperty(orderBy)) {
+                orderBy = null;
+            }
+
+            // The foreign key and the order field are set automatically
+            var automatic = function(fieldName) {
+                return fieldName == fkey || fieldName == orderBy;
+            };
+            if (fieldNames && fieldNames.constructor === Array) {
+                fieldNames = fieldNames.filter(function(fieldName) {
+                    return fields.hasOwnProperty(fieldName) && !automatic(fieldName);
+                });
+            } else {
+                fieldNames = Object.keys(fields).filter(function(fieldName) {
+                    return fields[fieldName].readable && !automatic(fieldName);
+                });
+            }
+            if (!fieldNames.length) {
+                return;
+            }
+
+            return angular.extend({}, formElement, {
+                fields: fieldNames,
+                min: Math.max(formElement.min - 0 || 0, 0),
+                max: formElement.max - 0 || null,
+                orderBy: orderBy
+            });
+        };
+
         // --------------------------------------------------------------------
         /**
          * Process a resource form configuration, split it into wizard
@@ -46,6 +98,37 @@ EdenMobile.factory('emFormWizard', [
          *                    [{empty: true|false, final: true|false, fields: []}, ...]
          *                    where fields is an Array of objects like:
          *                    {type: 'input', field: fieldName}
+         *
+         * Section breaks can carry branching rules (display logic format):
+         *
+         *      {"type": "section-break",
+         *       "name": "household",              - name of the following section
+         *       "displayLogic": rule,             - show the following section only
+         *                                           if the rule applies
+         *       "jumpTo": [{"section": "other",   - when leaving the previous section,
+         *                   "displayLogic": rule}]  jump to another section if the
+         *                                           rule applies (first match)
+         *       "endIf": rule                     - when leaving the previous section,
+         *                                           end the survey if the rule applies
+         *       }
+         *
+         * The resulting section arrays carry the attributes name, displayLogic
+         * (for entering the section), and jumps and endIf (for leaving it).
+         *
+         * Repeat groups render the records of a component as repeatable
+         * blocks of inputs:
+         *
+         *      {"type": "repeat",
+         *       "component": "members",           - the component alias
+         *       "fields": ["name", "age"],        - the component fields to
+         *                                           render (default: all
+         *                                           readable fields)
+         *       "label": "Household Members",     - the group label
+         *       "min": 1,                         - minimum number of rows
+         *       "max": 10,                        - maximum number of rows
+         *       "orderBy": "position"             - component field to store
+         *                                           the row order in
+         *       }
          */
         var getSections = function(resource) {
 
@@ -62,6 +145,7 @@ EdenMobile.factory('emFormWizard', [
 
             var sections = [],
                 section,
+                sectionBreak,
                 empty;
 
             form.forEach(function(formElement) {
@@ -71,6 +155,16 @@ EdenMobile.factory('emFormWizard', [
                 } else {
                     if (!section) {
                         section = [];
+                        // Entry rules from the preceding section break
+                        if (sectionBreak) {
+                            if (sectionBreak.name) {
+                                section.name = '' + sectionBreak.name;
+                            }
+                            if (sectionBreak.displayLogic) {
+                                section.displayLogic = sectionBreak.displayLogic;
+                            }
+                            sectionBreak = null;
+                        }
                     }
 
                     if (formElement.constructor === Object) {
@@ -81,11 +175,27 @@ EdenMobile.factory('emFormWizard', [
                                 section.push(formElement);
                                 empty = false;
                                 break;
+                            case 'repeat':
+                                var repeat = getRepeat(resource, formElement);
+                                if (repeat) {
+                                    section.push(repeat);
+                                    empty = false;
+                                }
+                                break;
                             case 'section-break':
                                 if (section.length) {
+                                    // Exit rules for the previous section
+                                    var jumpTo = formElement.jumpTo;
+                                    if (jumpTo) {
+                                        section.jumps = [].concat(jumpTo);
+                                    }
+                                    if (formElement.endIf) {
+                                        section.endIf = formElement.endIf;
+                                    }
                                     sections.push(section);
                                 }
                                 section = null;
+                                sectionBreak = formElement;
                                 break;
                             default:
                                 // Ignore
@@ -108,6 +218,29 @@ EdenMobile.factory('emFormWizard', [
                 sections.push(section);
             }
 
+            // Resolve jump targets into section indexes
+            // - only forward jumps are allowed
+            var sectionIndex = {};
+            sections.forEach(function(section, index) {
+                if (section.name) {
+                    sectionIndex[section.name] = index;
+                }
+            });
+            sections.forEach(function(section, index) {
+                if (section.jumps) {
+                    section.jumps = section.jumps.filter(function(jump) {
+                        return jump && jump.constructor === Object;
+                    }).map(function(jump) {
+                        return {
+                            target: sectionIndex[jump.section],
+                            displayLogic: jump.displayLogic
+                        };
+                    }).filter(function(jump) {
+                        return jump.target !== undefined && jump.target > index;
+                    });
+                }
+            });
+
             // Set final-flag for last section
             var numSections = sections.length;
             if (numSections) {
@@ -248,6 +381,12 @@ EdenMobile.factory('emFormWizard', [
                 case 'date':
                     element = '<em-wizard-date-widget>';
                     break;
+                case 'time':
+                    element = '<em-wizard-time-widget>';
+                    break;
+                case 'datetime':
+                    element = '<em-wizard-datetime-widget>';
+                    break;
                 case 'double':
                 case 'integer':
                     element = '<em-wizard-number-widget>';
@@ -264,9 +403,10 @@ EdenMobile.factory('emFormWizard', [
 //                 case 'password':
 //                     element = '<em-wizard-password-widget>';
 //                     break;
-//                 case 'upload':
-//                     element = '<em-photo-widget>';
-//                     break;
+                case 'upload':
+                    element = '<em-wizard-upload-widget>';
+                    acceptedArgs = ['accept'];
+                    break;
                 case 'options':
                     element = '<em-wizard-options-widget>';
                     break;
@@ -283,6 +423,10 @@ EdenMobile.factory('emFormWizard', [
                 case 'json':
                     element = '<em-wizard-json-widget>';
                     break;
+                case 'location':
+                    element = '<em-wizard-location-widget>';
+                    acceptedArgs = ['polygon'];
+                    break;
                 default:
                     element = '<em-wizard-generic-widget type="' + field.type + '">';
                     break;
@@ -294,6 +438,11 @@ EdenMobile.factory('emFormWizard', [
             // Pass the field name to the widget
             widget.attr('field', field.name);
 
+            // Calculated fields are read-only
+            if (emCalculate.isCalculated(field)) {
+                widget.attr('disabled', 'disabled');
+            }
+
             // Set accepted arguments from widgetConfig
             if (widgetConfig && acceptedArgs) {
                 acceptedArgs.forEach(function(argName) {
@@ -306,6 +455,11 @@ EdenMobile.factory('emFormWizard', [
 
             // Widget-specific attributes and inline elements
             switch(widgetType) {
+                case 'upload':
+                case 'location':
+                    // Widget-directive is input itself => set a name
+                    widget.attr('name', field.name);
+                    break;
                 case 'image-map':
                 case 'heatmap':
                     // Widget-directive is input itself => set a name
@@ -0,0 +1,311 @@
+/**
+ * Sahana Eden Mobile - Location Capture
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emLocation - Service to capture the current position of the device
+ *              (geolocation API), and to store locations as gis_location
+ *              records (used by location widgets)
+ *
+ * @class emLocation
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emLocation', [
+    '$q', 'emConfig', 'emResources', 'emUtils',
+    function ($q, emConfig, emResources, emUtils) {
+
+        "use strict";
+
+        // The gis_location fields handled by location widgets
+        var locationProperties = ['addr_street', 'lat', 'lon', 'wkt'];
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the current location capture settings
+         *
+         * @returns {promise} - a promise that resolves into the settings,
+         *                      {accuracyThreshold, timeout}
+         */
+        var getSettings = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+
+                var number = function(key, defaultValue) {
+                    var value = parseInt(settings.get(key), 10);
+                    if (isNaN(value) || value <= 0) {
+                        value = defaultValue;
+                    }
+                    return value;
+                };
+
+                deferred.resolve({
+                    accuracyThreshold: number('location.accuracyThreshold', 50),
+                    timeout: number('location.timeout', 30)
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the current position of the device
+         *
+         * @returns {promise} - a promise that resolves into the position:
+         *                      {lat, lon, accuracy, timestamp, threshold, inaccurate},
+         *                      where accuracy and threshold are in meters, and
+         *                      inaccurate indicates that the accuracy exceeds the
+         *                      configured threshold; or rejects with an error message
+         */
+        var getPosition = function() {
+
+            return getSettings().then(function(settings) {
+
+                var deferred = $q.defer(),
+                    geolocation = navigator.geolocation;
+
+                if (!geolocation) {
+                    deferred.reject('Geolocation not available on this device');
+                    return deferred.promise;
+                }
+
+                geolocation.getCurrentPosition(
+                    function(position) {
+                        var coords = position.coords,
+                            threshold = settings.accuracyThreshold;
+                        deferred.resolve({
+                            lat: coords.latitude,
+                            lon: coords.longitude,
+                            accuracy: coords.accuracy,
+                            timestamp: new Date(position.timestamp),
+                            threshold: threshold,
+                            inaccurate: coords.accuracy > threshold
+                        });
+                    },
+                    function(error) {
+                        deferred.reject(error.message || 'Could not determine current position');
+                    },
+                    {
+                        enableHighAccuracy: true,
+                        maximumAge: 0,
+                        timeout: settings.timeout * 1000
+                    }
+                );
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check whether coordinates are complete and within valid range
+         *
+         * @param {number} lat - the latitude
+         * @param {number} lon - the longitude
+         *
+         * @returns {boolean} - whether the coordinates are valid
+         */
+        var validCoordinates = function(lat, lon) {
+
+            if (lat === null || lat === undefined || lat === '' ||
+                lon === null || lon === undefined || lon === '') {
+                return false;
+            }
+            lat -= 0;
+            lon -= 0;
+
+            return !isNaN(lat) && !isNaN(lon) &&
+                   lat >= -90 && lat <= 90 &&
+                   lon >= -180 && lon <= 180;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the location properties available in the gis_location table
+         * (depends on the schema received from the server)
+         *
+         * @param {Resource} resource - the gis_location resource
+         *
+         * @returns {Array} - the available property names
+         */
+        var availableProperties = function(resource) {
+
+            var fields = resource.fields;
+
+            return locationProperties.filter(function(propName) {
+                return fields.hasOwnProperty(propName);
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the names of all location fields (=references to
+         * gis_location) of a resource
+         *
+         * @param {Resource} resource - the resource
+         *
+         * @returns {Array} - the field names
+         */
+        var locationFields = function(resource) {
+
+            var fields = resource.fields;
+
+            return Object.keys(fields).filter(function(fieldName) {
+                var reference = emUtils.getReference(fields[fieldName].type);
+                return reference && reference[1] == 'gis_location';
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Load multiple location records
+         *
+         * @param {Array} locationIDs - the record IDs
+         *
+         * @returns {promise} - a promise that resolves into the location
+         *                      data as object {id: {id, addr_street, lat, lon, wkt}}
+         */
+        var loadLocations = function(locationIDs) {
+
+            if (!locationIDs.length) {
+                return $q.resolve({});
+            }
+
+            return emResources.open('gis_location').then(function(resource) {
+
+                var table = resource.getTable(),
+                    fields = ['id'].concat(availableProperties(resource));
+
+                return resource.where(table.$('id').in(locationIDs))
+                               .select(fields)
+                               .then(function(rows) {
+                                   var locations = {};
+                                   rows.forEach(function(row) {
+                                       var locationData = row._();
+                                       locations[locationData.id] = locationData;
+                                   });
+                                   return locations;
+                               });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Load an existing location record
+         *
+         * @param {integer} locationID - the record ID
+         *
+         * @returns {promise} - a promise that resolves into the location
+         *                      data {id, addr_street, lat, lon, wkt}, or null
+         *                      if the record could not be found
+         */
+        var loadLocation = function(locationID) {
+
+            return emResources.open('gis_location').then(function(resource) {
+
+                var table = resource.getTable(),
+                    fields = ['id'].concat(availableProperties(resource));
+
+                return resource.where(table.$('id').is(locationID))
+                               .select(fields, {limitby: 1})
+                               .then(function(rows) {
+                                   return rows.length ? rows[0]._() : null;
+                               });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create or update a location record
+         *
+         * @param {integer} locationID - the record ID of an existing
+         *                               location to update, or null
+         *                               to create a new record
+         * @param {object} data - the location data {addr_street, lat, lon, wkt}
+         *
+         * @returns {promise} - a promise that resolves into the ID of the
+         *                      newly created or updated location record
+         */
+        var saveLocation = function(locationID, data) {
+
+            return emResources.open('gis_location').then(function(resource) {
+
+                // Filter for valid location properties
+                var locationData = {};
+                availableProperties(resource).forEach(function(propName) {
+                    var value = data[propName];
+                    if (value !== undefined) {
+                        locationData[propName] = value;
+                    }
+                });
+
+                // Coordinates are stored as pair or not at all
+                if (locationData.hasOwnProperty('lat') || locationData.hasOwnProperty('lon')) {
+                    if (validCoordinates(locationData.lat, locationData.lon)) {
+                        locationData.lat -= 0;
+                        locationData.lon -= 0;
+                    } else {
+                        locationData.lat = locationData.lon = null;
+                    }
+                }
+
+                if (locationID) {
+                    // Update existing location
+                    var table = resource.table;
+                    return resource.where(table.$('id').is(locationID))
+                                   .update(locationData)
+                                   .then(function() {
+                                       return locationID;
+                                   });
+                } else {
+                    // Create new location
+                    return resource.insert(locationData);
+                }
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+
+            locationProperties: locationProperties,
+
+            getPosition: getPosition,
+            validCoordinates: validCoordinates,
+
+            locationFields: locationFields,
+
+            loadLocation: loadLocation,
+            loadLocations: loadLocations,
+            saveLocation: saveLocation
+        };
+        return api;
+    }
+]);
+
+// END ========================================================================
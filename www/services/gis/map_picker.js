@@ -0,0 +1,250 @@
+/**
+ * Sahana Eden Mobile - Map Picker
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emMapPicker - Service to pick a point or an area on a map (modal dialog),
+ *               used by location widgets
+ *
+ * @class emMapPicker
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emMapPicker', [
+    '$q', '$rootScope', '$ionicModal', 'emTiles',
+    function ($q, $rootScope, $ionicModal, emTiles) {
+
+        "use strict";
+
+        var dataProjection = 'EPSG:4326',
+            mapProjection = 'EPSG:3857';
+
+        // --------------------------------------------------------------------
+        /**
+         * Round a coordinate to 6 decimal places (~0.1m)
+         *
+         * @param {number} value - the coordinate
+         *
+         * @returns {number} - the rounded coordinate
+         */
+        var round = function(value) {
+            return Math.round(value * 1000000) / 1000000;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create a feature for the initial location
+         *
+         * @param {object} location - the location {lat, lon, wkt}
+         *
+         * @returns {ol.Feature} - the feature, or null if the location
+         *                         has no geometry
+         */
+        var initialFeature = function(location) {
+
+            var geometry = null;
+
+            if (location.wkt) {
+                try {
+                    geometry = new ol.format.WKT().readGeometry(location.wkt, {
+                        dataProjection: dataProjection,
+                        featureProjection: mapProjection
+                    });
+                } catch(e) {
+                    // Invalid WKT => fall back to lat/lon
+                }
+            }
+            if (!geometry && location.lat !== null && location.lat !== undefined &&
+                             location.lon !== null && location.lon !== undefined) {
+                geometry = new ol.geom.Point(ol.proj.fromLonLat([location.lon - 0, location.lat - 0]));
+            }
+
+            return geometry && new ol.Feature(geometry);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert the picked feature into location data
+         *
+         * @param {ol.Feature} feature - the feature (or undefined)
+         *
+         * @returns {object} - the location data {lat, lon, wkt}, with
+         *                     lat/lon being the interior point of areas
+         */
+        var locationData = function(feature) {
+
+            var data = {lat: null, lon: null, wkt: null};
+            if (!feature) {
+                return data;
+            }
+
+            var geometry = feature.getGeometry().clone().transform(mapProjection, dataProjection),
+                point;
+
+            if (geometry.getType() == 'Polygon') {
+                point = geometry.getInteriorPoint().getCoordinates();
+                data.wkt = new ol.format.WKT().writeGeometry(geometry, {decimals: 6});
+            } else {
+                point = geometry.getCoordinates();
+            }
+            data.lon = round(point[0]);
+            data.lat = round(point[1]);
+
+            return data;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Render the map in the picker dialog
+         *
+         * @param {object} scope - the dialog scope
+         * @param {object} location - the initial location {lat, lon, wkt}
+         */
+        var renderMap = function(scope, location) {
+
+            emTiles.createMap('em-map-picker').then(function(map) {
+
+                var source = new ol.source.Vector(),
+                    draw = null;
+
+                map.addLayer(new ol.layer.Vector({source: source}));
+
+                // Show the initial location
+                var feature = initialFeature(location);
+                if (feature) {
+                    source.addFeature(feature);
+                    map.getView().fit(feature.getGeometry(), {
+                        size: map.getSize(),
+                        maxZoom: 16
+                    });
+                    if (feature.getGeometry().getType() == 'Polygon') {
+                        scope.mode = 'polygon';
+                    }
+                }
+                scope.hasGeometry = !!feature;
+
+                // Draw interaction for the current mode
+                var setMode = function(mode) {
+                    if (draw) {
+                        map.removeInteraction(draw);
+                    }
+                    draw = new ol.interaction.Draw({
+                        source: source,
+                        type: mode == 'polygon' ? 'Polygon' : 'Point'
+                    });
+                    draw.on('drawstart', function() {
+                        // Only one geometry
+                        source.clear();
+                    });
+                    draw.on('drawend', function() {
+                        scope.$apply(function() {
+                            scope.hasGeometry = true;
+                        });
+                    });
+                    map.addInteraction(draw);
+                };
+                setMode(scope.mode);
+
+                // Scope methods
+                scope.setMode = function(mode) {
+                    scope.mode = mode;
+                    setMode(mode);
+                };
+                scope.clear = function() {
+                    source.clear();
+                    scope.hasGeometry = false;
+                };
+                scope.getLocation = function() {
+                    return locationData(source.getFeatures()[0]);
+                };
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Open the map picker dialog
+         *
+         * @param {object} location - the current location {lat, lon, wkt}
+         * @param {object} options - the picker options
+         * @property {boolean} options.polygon - allow to pick areas
+         *
+         * @returns {promise} - a promise that resolves into the picked
+         *                      location {lat, lon, wkt}, or null if the
+         *                      user has cancelled the dialog
+         */
+        var pick = function(location, options) {
+
+            var deferred = $q.defer(),
+                scope = $rootScope.$new();
+
+            scope.mode = 'point';
+            scope.allowPolygon = !!(options && options.polygon);
+            scope.hasGeometry = false;
+
+            $ionicModal.fromTemplateUrl('views/gis/map_picker.html', {
+                scope: scope,
+                animation: 'slide-in-up'
+            }).then(function(modal) {
+
+                var closed = false,
+                    close = function(result) {
+                        if (!closed) {
+                            closed = true;
+                            deferred.resolve(result);
+                            modal.remove();
+                        }
+                    };
+
+                scope.done = function() {
+                    close(scope.getLocation ? scope.getLocation() : null);
+                };
+                scope.cancel = function() {
+                    close(null);
+                };
+                scope.$on('modal.hidden', function() {
+                    // Closed with hardware back button
+                    close(null);
+                });
+
+                modal.show().then(function() {
+                    renderMap(scope, location || {});
+                });
+            });
+
+            return deferred.promise.finally(function() {
+                scope.$destroy();
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+            pick: pick
+        };
+        return api;
+    }
+]);
+
+// END ========================================================================
@@ -0,0 +1,601 @@
+/**
+ * Sahana Eden Mobile - Offline Map Tiles
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emTiles - Service to manage offline maps (MBTiles files), and to
+ *           provide base layers for map widgets
+ *
+ * - MBTiles files are transferred to the "maps" directory of the device,
+ *   and then imported (=copied to the database location and registered
+ *   in em_map); the active map is used as base layer for all map widgets
+ * - maps are offline-only: without an active map, map widgets have no
+ *   base layer (rather than loading tiles from the internet)
+ *
+ * @class emTiles
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emTiles', [
+    '$q', 'emDB', 'emFiles',
+    function ($q, emDB, emFiles) {
+
+        "use strict";
+
+        // Supported tile formats and their MIME types
+        var tileFormats = {
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg',
+            webp: 'image/webp'
+        };
+
+        // Transparent image for missing tiles
+        var emptyTile = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a hex-string into an array of bytes
+         *
+         * @param {string} hex - the hex string
+         *
+         * @returns {Uint8Array} - the bytes
+         */
+        var hexToBytes = function(hex) {
+
+            var length = hex.length / 2,
+                bytes = new Uint8Array(length);
+
+            for (var i = 0; i < length; i++) {
+                bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+            }
+            return bytes;
+        };
+
+        // ====================================================================
+        /**
+         * MBTiles - Class to read tiles from an MBTiles file
+         *
+         * @param {string} dbName - the database name of the MBTiles file
+         */
+        function MBTiles(dbName) {
+
+            this.dbName = dbName;
+
+            this._db = null;
+        }
+
+        // --------------------------------------------------------------------
+        /**
+         * Open the MBTiles database
+         *
+         * @returns {promise} - a promise that resolves into the database
+         *                      adapter
+         */
+        MBTiles.prototype.open = function() {
+
+            if (!this._db) {
+
+                var deferred = $q.defer();
+
+                window.sqlitePlugin.openDatabase({
+                        name: this.dbName,
+                        location: 'default'
+                    },
+                    function(db) {
+                        deferred.resolve(db);
+                    },
+                    function(error) {
+                        deferred.reject('Could not open map file: ' + (error && error.message || error));
+                    });
+
+                this._db = deferred.promise;
+            }
+            return this._db;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Execute a query against the MBTiles database
+         *
+         * @param {string} sql - the SQL statement
+         * @param {Array} args - the statement arguments
+         *
+         * @returns {promise} - a promise that resolves into an array
+         *                      of result rows
+         */
+        MBTiles.prototype.query = function(sql, args) {
+
+            return this.open().then(function(db) {
+
+                var deferred = $q.defer();
+
+                db.executeSql(sql, args || [],
+                    function(result) {
+                        var rows = [],
+                            resultRows = result.rows;
+                        for (var i = 0, len = resultRows.length; i < len; i++) {
+                            rows.push(resultRows.item(i));
+                        }
+                        deferred.resolve(rows);
+                    },
+                    function(error) {
+                        deferred.reject(error && error.message || error);
+                    });
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read the metadata of the MBTiles file
+         *
+         * @returns {promise} - a promise that resolves into the metadata,
+         *                      {name, format, minzoom, maxzoom, bounds, center}
+         */
+        MBTiles.prototype.metadata = function() {
+
+            return this.query('SELECT name, value FROM metadata').then(function(rows) {
+
+                var metadata = {};
+                rows.forEach(function(row) {
+                    metadata[row.name] = row.value;
+                });
+
+                ['minzoom', 'maxzoom'].forEach(function(key) {
+                    var value = parseInt(metadata[key], 10);
+                    metadata[key] = isNaN(value) ? null : value;
+                });
+                ['bounds', 'center'].forEach(function(key) {
+                    var value = metadata[key];
+                    if (value) {
+                        value = value.split(',').map(function(v) {
+                            return parseFloat(v);
+                        });
+                        if (value.some(isNaN)) {
+                            value = null;
+                        }
+                    }
+                    metadata[key] = value || null;
+                });
+                metadata.format = (metadata.format || 'png').toLowerCase();
+
+                return metadata;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read a tile
+         *
+         * @param {integer} z - the zoom level
+         * @param {integer} x - the tile column
+         * @param {integer} y - the tile row (XYZ scheme, i.e. from the top)
+         *
+         * @returns {promise} - a promise that resolves into the tile data
+         *                      as Uint8Array, or null if there is no tile
+         */
+        MBTiles.prototype.getTile = function(z, x, y) {
+
+            // MBTiles uses TMS tile rows (i.e. from the bottom)
+            var tileRow = Math.pow(2, z) - 1 - y;
+
+            // SQLite plugin can not return BLOBs => use hex-encoding
+            var sql = 'SELECT hex(tile_data) AS data FROM tiles ' +
+                      'WHERE zoom_level=? AND tile_column=? AND tile_row=?';
+
+            return this.query(sql, [z, x, tileRow]).then(function(rows) {
+                return rows.length ? hexToBytes(rows[0].data) : null;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Close the MBTiles database
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      database has been closed
+         */
+        MBTiles.prototype.close = function() {
+
+            var db = this._db;
+
+            this._db = null;
+            if (!db) {
+                return $q.resolve();
+            }
+            return db.then(function(db) {
+                var deferred = $q.defer();
+                db.close(function() {
+                    deferred.resolve();
+                }, function() {
+                    deferred.resolve();
+                });
+                return deferred.promise;
+            });
+        };
+
+        // ====================================================================
+        // Helpers
+        // ====================================================================
+        /**
+         * Get the em_map table
+         *
+         * @returns {promise} - a promise that resolves into the Table
+         */
+        var mapTable = function() {
+
+            return emDB.table('em_map');
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Select map records
+         *
+         * @param {Expression} query - the query (optional)
+         *
+         * @returns {promise} - a promise that resolves into an array
+         *                      of map records {id, name, filename, metadata, active}
+         */
+        var selectMaps = function(query) {
+
+            return mapTable().then(function(table) {
+
+                var deferred = $q.defer(),
+                    set = query ? table.where(query(table)) : table;
+
+                set.select(['id', 'name', 'filename', 'metadata', 'active'], {orderby: table.$('name')},
+                    function(rows) {
+                        deferred.resolve(rows.map(function(row) {
+                            return row._();
+                        }));
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create a tile layer for an MBTiles file
+         *
+         * @param {object} map - the map record
+         *
+         * @returns {ol.layer.Tile} - the tile layer
+         */
+        var mbTilesLayer = function(map) {
+
+            var metadata = map.metadata || {},
+                mimeType = tileFormats[metadata.format] || 'image/png',
+                mbtiles = new MBTiles(map.filename);
+
+            var source = new ol.source.XYZ({
+                minZoom: metadata.minzoom || 0,
+                maxZoom: metadata.maxzoom || 18,
+                wrapX: false,
+                tileUrlFunction: function(tileCoord) {
+                    // Encode the tile coordinates as "URL" (XYZ scheme),
+                    // OpenLayers counts the y-coordinate as -y-1
+                    return [tileCoord[0], tileCoord[1], -tileCoord[2] - 1].join('/');
+                },
+                tileLoadFunction: function(imageTile, src) {
+                    var coords = src.split('/').map(function(c) {
+                            return parseInt(c, 10);
+                        }),
+                        image = imageTile.getImage();
+
+                    mbtiles.getTile(coords[0], coords[1], coords[2]).then(
+                        function(data) {
+                            if (!data) {
+                                image.src = emptyTile;
+                                return;
+                            }
+                            var url = URL.createObjectURL(new Blob([data], {type: mimeType}));
+                            image.addEventListener('load', function() {
+                                URL.revokeObjectURL(url);
+                            });
+                            image.src = url;
+                        },
+                        function() {
+                            image.src = emptyTile;
+                        });
+                }
+            });
+
+            return new ol.layer.Tile({
+                source: source
+            });
+        };
+
+        // ====================================================================
+        // Service functions
+        // ====================================================================
+        /**
+         * List the MBTiles files available for import
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      files [{name, fileURI}, ...]
+         */
+        var mapFiles = function() {
+
+            var deferred = $q.defer();
+
+            emFiles.listFiles('maps',
+                function(files) {
+                    deferred.resolve(files.filter(function(file) {
+                        return /\.mbtiles$/i.test(file.name);
+                    }));
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Import an MBTiles file
+         *
+         * @param {object} file - the file {name, fileURI}
+         *
+         * @returns {promise} - a promise that resolves into the map
+         *                      record ID, or is rejected with an error
+         *                      message
+         */
+        var importMap = function(file) {
+
+            var dbName = 'map-' + new Date().getTime() + '.mbtiles',
+                deferred = $q.defer();
+
+            emFiles.importDatabase(file.fileURI, dbName,
+                function() {
+                    deferred.resolve();
+                },
+                function() {
+                    deferred.reject('Could not copy map file');
+                });
+
+            var mbtiles = new MBTiles(dbName);
+
+            return deferred.promise.then(function() {
+                return mbtiles.metadata();
+            }).then(function(metadata) {
+
+                if (!tileFormats[metadata.format]) {
+                    return $q.reject('Unsupported tile format: ' + metadata.format);
+                }
+
+                return $q.all([mapTable(), selectMaps(function(table) {
+                    return table.$('active').is(true);
+                })]).then(function(results) {
+
+                    var table = results[0],
+                        activeMaps = results[1],
+                        inserted = $q.defer();
+
+                    table.insert({
+                            name: metadata.name || file.name.replace(/\.mbtiles$/i, ''),
+                            filename: dbName,
+                            metadata: metadata,
+                            active: !activeMaps.length
+                        },
+                        function(mapID) {
+                            inserted.resolve(mapID);
+                        },
+                        function(error) {
+                            inserted.reject(error);
+                        });
+
+                    return inserted.promise;
+                });
+            }).finally(function() {
+                return mbtiles.close();
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get all imported maps
+         *
+         * @returns {promise} - a promise that resolves into an array
+         *                      of map records {id, name, filename, metadata, active}
+         */
+        var maps = function() {
+
+            return selectMaps();
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Make a map the active base map
+         *
+         * @param {integer} mapID - the map record ID, or null to
+         *                          deactivate all maps
+         *
+         * @returns {promise} - a promise that is resolved when done
+         */
+        var activateMap = function(mapID) {
+
+            return mapTable().then(function(table) {
+
+                var deferred = $q.defer(),
+                    onError = function(error) {
+                        deferred.reject(error);
+                    };
+
+                table.update({active: false}, function() {
+                    if (mapID) {
+                        table.where(table.$('id').equals(mapID)).update({active: true},
+                            function() {
+                                deferred.resolve();
+                            }, onError);
+                    } else {
+                        deferred.resolve();
+                    }
+                }, onError);
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Remove an imported map (and its MBTiles file)
+         *
+         * @param {integer} mapID - the map record ID
+         *
+         * @returns {promise} - a promise that is resolved when done
+         */
+        var removeMap = function(mapID) {
+
+            return $q.all([mapTable(), selectMaps(function(table) {
+                return table.$('id').equals(mapID);
+            })]).then(function(results) {
+
+                var table = results[0],
+                    map = results[1][0],
+                    deferred = $q.defer();
+
+                if (!map) {
+                    return;
+                }
+
+                table.where(table.$('id').equals(mapID)).delete(
+                    function() {
+                        window.sqlitePlugin.deleteDatabase({
+                                name: map.filename,
+                                location: 'default'
+                            },
+                            function() {
+                                deferred.resolve();
+                            },
+                            function() {
+                                // File already gone
+                                deferred.resolve();
+                            });
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the base layer for map widgets
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {layer: ol.layer.Tile, extent: [w, s, e, n]},
+         *                      with extent being the bounds of the offline
+         *                      map (or null if unknown); layer and extent
+         *                      are null if there is no active offline map
+         */
+        var baseLayer = function() {
+
+            return selectMaps(function(table) {
+                return table.$('active').is(true);
+            }).then(function(activeMaps) {
+
+                var map = activeMaps[0];
+                if (map) {
+                    return {
+                        layer: mbTilesLayer(map),
+                        extent: map.metadata && map.metadata.bounds || null
+                    };
+                } else {
+                    return {
+                        layer: null,
+                        extent: null
+                    };
+                }
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Create a map with the current base layer
+         *
+         * @param {string|DOMNode} target - the map container (or its ID)
+         *
+         * @returns {promise} - a promise that resolves into the ol.Map;
+         *                      the view is centered on the offline map
+         *                      if there is one, otherwise shows the world
+         */
+        var createMap = function(target) {
+
+            return baseLayer().then(function(base) {
+
+                var map = new ol.Map({
+                    target: target,
+                    layers: base.layer ? [base.layer] : [],
+                    controls: ol.control.defaults({
+                        attribution: false,
+                        rotate: false
+                    }),
+                    view: new ol.View({
+                        center: [0, 0],
+                        zoom: 1,
+                        maxZoom: 19
+                    })
+                });
+
+                var extent = base.extent;
+                if (extent) {
+                    map.updateSize();
+                    map.getView().fit(ol.proj.transformExtent(extent, 'EPSG:4326', 'EPSG:3857'), {
+                        size: map.getSize()
+                    });
+                }
+
+                return map;
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+
+            mapFiles: mapFiles,
+            importMap: importMap,
+
+            maps: maps,
+            activateMap: activateMap,
+            removeMap: removeMap,
+
+            baseLayer: baseLayer,
+            createMap: createMap
+        };
+        return api;
+    }
+]);
+
+// END ========================================================================
@@ -0,0 +1,281 @@
+/**
+ * Sahana Eden Mobile - Server Profiles
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function(EdenMobile) {
+
+    "use strict";
+
+    // ========================================================================
+    // Constants
+    //
+    var storageKey = 'emProfiles',
+        defaultProfile = {
+            id: 'default',
+            name: 'Default',
+            database: 'emdb.db'
+        };
+
+    // ========================================================================
+    /**
+     * emProfiles - Service to manage named server profiles
+     *
+     * - every profile has its own database (i.e. its own settings and
+     *   credentials, forms, data and synchronization status)
+     * - the profile registry is kept in localStorage, because it is needed
+     *   before the database can be opened
+     * - switching the profile reloads the app
+     * - a profile can select the authentication strategy for its server
+     *   (authStrategy, see emAuth.authStrategy)
+     *
+     * @class emProfiles
+     * @memberof EdenMobile.Services
+     */
+    EdenMobile.factory('emProfiles', [
+        '$q',
+        function($q) {
+
+            // ----------------------------------------------------------------
+            /**
+             * Read the profile registry
+             *
+             * @returns {object} - the registry {current: id, profiles: [...]}
+             */
+            var readRegistry = function() {
+
+                var registry;
+                try {
+                    registry = JSON.parse(window.localStorage.getItem(storageKey));
+                } catch(e) {
+                    registry = null;
+                }
+                if (!registry || !registry.profiles || !registry.profiles.length) {
+                    registry = {
+                        current: defaultProfile.id,
+                        profiles: [angular.copy(defaultProfile)]
+                    };
+                }
+                return registry;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Write the profile registry
+             *
+             * @param {object} registry - the registry
+             */
+            var writeRegistry = function(registry) {
+
+                window.localStorage.setItem(storageKey, JSON.stringify(registry));
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Find a profile in the registry
+             *
+             * @param {object} registry - the registry
+             * @param {string} profileID - the profile ID
+             *
+             * @returns {object} - the profile, or undefined if not found
+             */
+            var findProfile = function(registry, profileID) {
+
+                return registry.profiles.filter(function(profile) {
+                    return profile.id == profileID;
+                })[0];
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get all profiles
+             *
+             * @returns {Array} - the profiles [{id, name, database}, ...]
+             */
+            var profiles = function() {
+
+                return readRegistry().profiles;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the current profile
+             *
+             * @returns {object} - the current profile {id, name, database}
+             */
+            var current = function() {
+
+                var registry = readRegistry();
+
+                return findProfile(registry, registry.current) || registry.profiles[0];
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Add a new profile
+             *
+             * @param {string} name - the profile name
+             *
+             * @returns {object} - the new profile
+             */
+            var add = function(name) {
+
+                var registry = readRegistry(),
+                    profileID = 'p' + new Date().getTime().toString(36),
+                    profile = {
+                        id: profileID,
+                        name: name,
+                        database: 'emdb_' + profileID + '.db',
+                        // Database is created when first used
+                        used: false
+                    };
+
+                registry.profiles.push(profile);
+                writeRegistry(registry);
+
+                return profile;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Rename a profile
+             *
+             * @param {string} profileID - the profile ID
+             * @param {string} name - the new name
+             */
+            var rename = function(profileID, name) {
+
+                var registry = readRegistry(),
+                    profile = findProfile(registry, profileID);
+
+                if (profile && name) {
+                    profile.name = name;
+                    writeRegistry(registry);
+                }
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Select the authentication strategy for a profile
+             *
+             * @param {string} profileID - the profile ID
+             * @param {string} strategy - the strategy name, or null to use
+             *                            the default strategy
+             */
+            var setAuthStrategy = function(profileID, strategy) {
+
+                var registry = readRegistry(),
+                    profile = findProfile(registry, profileID);
+
+                if (profile) {
+                    if (strategy) {
+                        profile.authStrategy = strategy;
+                    } else {
+                        delete profile.authStrategy;
+                    }
+                    writeRegistry(registry);
+                }
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Remove a profile and delete its database
+             *
+             * @param {string} profileID - the profile ID
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      profile has been removed
+             */
+            var remove = function(profileID) {
+
+                var registry = readRegistry(),
+                    profile = findProfile(registry, profileID);
+
+                if (!profile) {
+                    return $q.reject('profile not found');
+                }
+                if (profile.id == current().id) {
+                    return $q.reject('can not remove the current profile');
+                }
+
+                var deferred = $q.defer(),
+                    removeProfile = function() {
+                        registry.profiles.splice(registry.profiles.indexOf(profile), 1);
+                        writeRegistry(registry);
+                        deferred.resolve();
+                    };
+
+                if (profile.used === false) {
+                    // Profile has never been used => no database to delete
+                    removeProfile();
+                } else {
+                    window.sqlitePlugin.deleteDatabase({
+                        name: profile.database,
+                        location: 'default'
+                    }, removeProfile, function(error) {
+                        deferred.reject('could not delete database ' + profile.database +
+                                        (error && error.message ? ': ' + error.message : ''));
+                    });
+                }
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Switch to another profile (reloads the app)
+             *
+             * @param {string} profileID - the profile ID
+             */
+            var switchTo = function(profileID) {
+
+                var registry = readRegistry(),
+                    profile = findProfile(registry, profileID);
+
+                if (profile && profile.id != registry.current) {
+                    registry.current = profile.id;
+                    // Mark as used (=database will be created)
+                    profile.used = true;
+                    writeRegistry(registry);
+                    window.location.reload();
+                }
+            };
+
+            // ----------------------------------------------------------------
+            // Service API
+            //
+            return {
+                profiles: profiles,
+                current: current,
+                add: add,
+                rename: rename,
+                setAuthStrategy: setAuthStrategy,
+                remove: remove,
+                switchTo: switchTo
+            };
+        }
+    ]);
+
+})(EdenMobile);
+
+// END ========================================================================
@@ -0,0 +1,399 @@
+/**
+ * Sahana Eden Mobile - Data List Filters
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emFilters - Service to build, store and apply user-defined filters and
+ *             sort orders for data lists; filters use field selectors, and
+ *             can therefore refer to fields in referenced tables (fk$field)
+ *             or components (alias.field)
+ *
+ * @class emFilters
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emFilters', [
+    '$q', 'emDB', 'emUsers', 'Selector',
+    function ($q, emDB, emUsers, Selector) {
+
+        "use strict";
+
+        /**
+         * Filter operators
+         */
+        var operators = [
+            {op: 'eq', label: 'equals'},
+            {op: 'ne', label: 'does not equal'},
+            {op: 'lt', label: 'less than'},
+            {op: 'le', label: 'less than or equal'},
+            {op: 'gt', label: 'greater than'},
+            {op: 'ge', label: 'greater than or equal'},
+            {op: 'like', label: 'contains'},
+            {op: 'empty', label: 'is empty'},
+            {op: 'notempty', label: 'is not empty'}
+        ];
+
+        // --------------------------------------------------------------------
+        /**
+         * Resolve a field selector into the Field it refers to
+         *
+         * @param {Resource} resource - the resource
+         * @param {string} selector - the field selector
+         *
+         * @returns {Field} - the Field
+         *
+         * @throws {Error} - if the selector can not be resolved
+         */
+        var resolveField = function(resource, selector) {
+
+            var resolved = new Selector(selector).resolveSelectors(resource),
+                join = resolved.join;
+
+            return resolved.expr.resolvePaths(join, join.getTableMap(resource._db));
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Add the filterable fields of a resource to a list of field options
+         *
+         * @param {Array} options - the field options
+         * @param {Resource} resource - the resource
+         * @param {string} prefix - the selector prefix
+         * @param {string} labelPrefix - the label prefix
+         * @param {boolean} foreignKeys - also add fields in referenced tables
+         */
+        var addFieldOptions = function(options, resource, prefix, labelPrefix, foreignKeys) {
+
+            var fields = resource.fields,
+                field,
+                label,
+                fk,
+                lookup;
+
+            for (var fieldName in fields) {
+
+                field = fields[fieldName];
+                if (field.meta || !field.readable || field.type == 'json' || field.type == 'upload' || field.encrypted) {
+                    continue;
+                }
+
+                label = labelPrefix + field.getLabel();
+                options.push({
+                    selector: prefix + fieldName,
+                    label: label,
+                    type: field.type
+                });
+
+                if (foreignKeys && field.isForeignKey && !field.isObjectKey) {
+                    fk = field.getForeignKey();
+                    lookup = fk && resource.getTable(fk.table);
+                    lookup = lookup && lookup.getResource();
+                    if (lookup) {
+                        addFieldOptions(options, lookup, prefix + fieldName + '$', label + ' > ', false);
+                    }
+                }
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Convert a stored filter value into a field value
+         *
+         * @param {Field} field - the field
+         * @param {*} value - the stored value
+         *
+         * @returns {*} - the field value
+         */
+        var parseValue = function(field, value) {
+
+            if (value === null || value === undefined || value === '') {
+                return null;
+            }
+
+            switch (field.type) {
+                case 'integer':
+                    value = parseInt(value, 10);
+                    break;
+                case 'double':
+                    value = parseFloat(value);
+                    break;
+                case 'boolean':
+                    value = value === true || value == 'true';
+                    break;
+                default:
+                    value = field.parse(value);
+                    break;
+            }
+            return value;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Construct a filter expression
+         *
+         * @param {Resource} resource - the resource
+         * @param {object} filter - the filter {selector, op, value}
+         *
+         * @returns {Expression} - the filter expression (with Selectors)
+         *
+         * @throws {Error} - if the selector can not be resolved
+         */
+        var filterExpression = function(resource, filter) {
+
+            var selector = new Selector(filter.selector),
+                field = resolveField(resource, filter.selector),
+                value;
+
+            switch (filter.op) {
+                case 'empty':
+                    return selector.equals(null);
+                case 'notempty':
+                    return selector.notEqual(null);
+                case 'like':
+                    // Escape wildcards in the search text, so they match literally
+                    value = ('' + (filter.value || '')).replace(/[\\%_]/g, '\\$&');
+                    return selector.like('%' + value + '%', '\\');
+                default:
+                    break;
+            }
+
+            value = parseValue(field, filter.value);
+            switch (filter.op) {
+                case 'ne':
+                    return selector.notEqual(value);
+                case 'lt':
+                    return selector.lessThan(value);
+                case 'le':
+                    return selector.lessOrEqual(value);
+                case 'gt':
+                    return selector.greaterThan(value);
+                case 'ge':
+                    return selector.greaterOrEqual(value);
+                default:
+                    return selector.equals(value);
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Look up the em_filter record for a resource
+         *
+         * @param {string} resourceName - the resource name
+         *
+         * @returns {promise} - a promise that resolves into the Row,
+         *                      or undefined if there is no record
+         */
+        var lookup = function(resourceName) {
+
+            return emDB.table('em_filter').then(function(table) {
+
+                var deferred = $q.defer();
+
+                table.where(table.$('resource').equals(resourceName))
+                     .select(['id', 'filters', 'orderby', 'mine'], {limitby: 1},
+                    function(rows) {
+                        deferred.resolve(rows[0]);
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+
+                return deferred.promise;
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+
+            operators: operators,
+
+            /**
+             * Get the fields available for filtering a resource, including
+             * fields in referenced tables and components
+             *
+             * @param {Resource} resource - the resource
+             *
+             * @returns {Array} - array of field options {selector, label, type}
+             */
+            filterFields: function(resource) {
+
+                var options = [];
+
+                addFieldOptions(options, resource, '', '', true);
+
+                var components = resource.settings.components,
+                    component;
+                if (components) {
+                    for (var alias in components) {
+                        component = resource.component(alias);
+                        if (component) {
+                            addFieldOptions(options, component,
+                                            alias + '.',
+                                            component.getLabel() + ' > ',
+                                            true);
+                        }
+                    }
+                }
+                return options;
+            },
+
+            /**
+             * Get the fields available for sorting a resource
+             *
+             * @param {Resource} resource - the resource
+             *
+             * @returns {Array} - array of field options {selector, label, type}
+             */
+            sortFields: function(resource) {
+
+                var options = [];
+
+                addFieldOptions(options, resource, '', '', false);
+
+                return options;
+            },
+
+            /**
+             * Load the stored filter configuration for a resource
+             *
+             * @param {string} resourceName - the resource name
+             *
+             * @returns {promise} - a promise that resolves into the
+             *                      configuration {filters: [], orderby: {},
+             *                      mine: boolean}
+             */
+            load: function(resourceName) {
+
+                return lookup(resourceName).then(function(row) {
+                    return {
+                        filters: row && row.$('filters') || [],
+                        orderby: row && row.$('orderby') || null,
+                        mine: !!(row && row.$('mine'))
+                    };
+                });
+            },
+
+            /**
+             * Store the filter configuration for a resource
+             *
+             * @param {string} resourceName - the resource name
+             * @param {object} config - the configuration {filters: [], orderby: {},
+             *                                          mine: boolean}
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      configuration has been stored
+             */
+            save: function(resourceName, config) {
+
+                var data = {
+                    resource: resourceName,
+                    filters: config.filters || [],
+                    orderby: config.orderby || null,
+                    mine: !!config.mine
+                };
+
+                return $q.all([emDB.table('em_filter'), lookup(resourceName)]).then(function(results) {
+
+                    var table = results[0],
+                        row = results[1],
+                        deferred = $q.defer(),
+                        onError = function(error) {
+                            deferred.reject(error);
+                        };
+
+                    if (row) {
+                        table.where(table.$('id').equals(row.$('id'))).update(data,
+                            function() {
+                                deferred.resolve();
+                            }, onError);
+                    } else {
+                        table.insert(data,
+                            function() {
+                                deferred.resolve();
+                            }, onError);
+                    }
+                    return deferred.promise;
+                });
+            },
+
+            /**
+             * Apply a filter configuration to a Subset
+             *
+             * @param {Subset} subset - the Subset
+             * @param {object} config - the configuration {filters: [], orderby: {},
+             *                                          mine: boolean}
+             *
+             * @returns {Subset} - the filtered Subset
+             *
+             * @throws {Error} - if a filter selector can not be resolved
+             */
+            apply: function(subset, config) {
+
+                var resource = subset.resource,
+                    filters = config && config.filters,
+                    currentUser = emUsers.current();
+
+                if (config && config.mine && currentUser) {
+                    // Only records created by the current user
+                    subset = subset.where(resource.table.$('created_by').equals(currentUser));
+                }
+
+                if (filters) {
+                    filters.forEach(function(filter) {
+                        if (filter.selector) {
+                            subset = subset.where(filterExpression(resource, filter));
+                        }
+                    });
+                }
+                return subset;
+            },
+
+            /**
+             * Get the orderby-expression for a filter configuration
+             *
+             * @param {Resource} resource - the resource
+             * @param {object} config - the configuration {filters: [], orderby: {}}
+             *
+             * @returns {Expression} - the orderby expression, or undefined
+             *                         if no (valid) sort order is configured
+             */
+            orderby: function(resource, config) {
+
+                var orderby = config && config.orderby,
+                    field = orderby && resource.table.fields[orderby.selector];
+
+                if (!field) {
+                    return undefined;
+                }
+                return orderby.desc ? field.desc() : field.asc();
+            }
+        };
+
+        return api;
+    }
+]);
+
+// END ========================================================================
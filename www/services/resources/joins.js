@@ -208,6 +208,41 @@
         return join;
     };
 
+    // ------------------------------------------------------------------------
+    /**
+     * Get a map of all tables in this join tree by their alias, used
+     * to resolve field paths
+     *
+     * @param {Database} db - the database
+     * @param {object} tableMap - the map to add the tables to (internal)
+     *
+     * @returns {object} - the table map {alias: Table}
+     */
+    Join.prototype.getTableMap = function(db, tableMap) {
+
+        if (!tableMap) {
+            tableMap = {};
+        }
+
+        var table = db.tables[this.tableName],
+            alias = this.getAlias();
+
+        if (table) {
+            if (alias) {
+                tableMap[alias] = table.as(alias);
+            } else {
+                tableMap[this.tableName] = table;
+            }
+        }
+
+        var joins = this.joins;
+        for (var path in joins) {
+            joins[path].getTableMap(db, tableMap);
+        }
+
+        return tableMap;
+    };
+
     // ------------------------------------------------------------------------
     /**
      * Add this join tree to a set
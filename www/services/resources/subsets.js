@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('Subset', [
-    '$q',
-    function ($q) {
+    '$q', 'emFiles',
+    function ($q, emFiles) {
 
         "use strict";
 
@@ -86,11 +86,14 @@ EdenMobile.factory('Subset', [
          * link to the parent record
          *
          * @param {object} data - the record data
+         * @param {object} components - component records to insert together
+         *                              with the record (in the same
+         *                              transaction), {alias: [data, ...]}
          *
          * @returns {promise} - a promise that resolves into the ID of the
          *                      newly created record
          */
-        Subset.prototype.insert = function(data) {
+        Subset.prototype.insert = function(data, components) {
 
             var resource = this.resource,
                 parent = resource.parent,
@@ -102,12 +105,12 @@ EdenMobile.factory('Subset', [
                 return this._lookupKey(parent, parentID, resource.pkey).then(
                     function(parentKey) {
                         data[resource.fkey] = parentKey;
-                        return self._insertRecord(data);
+                        return self._insertRecord(data, components);
                     });
 
             } else {
 
-                return this._insertRecord(data);
+                return this._insertRecord(data, components);
             }
         };
 
@@ -139,8 +142,14 @@ EdenMobile.factory('Subset', [
             }
 
             // Add subset query
-            if (this.query) {
-                set = set.where(this.query);
+            var query;
+            try {
+                query = this._resolveQuery();
+            } catch (error) {
+                return $q.reject(error.message);
+            }
+            if (query) {
+                set = set.where(query);
             }
 
             // Extract the rows, then resolve
@@ -155,21 +164,152 @@ EdenMobile.factory('Subset', [
             return deferred.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Extract a page of records from this Subset
+         *
+         * @param {Array} fields - Array of Fields or field names to extract
+         * @param {object} options - select options
+         * @property {Array|Expression} options.orderby - the sort order,
+         *                                                should be unique to
+         *                                                produce stable pages
+         * @property {number} options.offset - the number of records to skip
+         * @property {number} options.pageSize - the maximum number of records
+         *                                       to extract
+         *
+         * @returns {promise} - a promise that resolves into the page
+         *                      {rows: [Row, ...], more: boolean}
+         */
+        Subset.prototype.selectPage = function(fields, options) {
+
+            var offset = options && options.offset || 0,
+                pageSize = options && options.pageSize || 20,
+                selectOptions = {
+                    // Extract one more row to find out whether there are more
+                    limitby: [offset, pageSize + 1]
+                };
+
+            if (options && options.orderby) {
+                selectOptions.orderby = options.orderby;
+            }
+
+            return this.select(fields, selectOptions).then(function(rows) {
+                return {
+                    rows: rows.slice(0, pageSize),
+                    more: rows.length > pageSize
+                };
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Full-text search for records in this Subset
+         *
+         * @param {string} searchText - the search string
+         * @param {Array} fields - Array of Fields or field names to extract
+         * @param {object} options - search options
+         * @property {Array|number} options.limitby - the page of results
+         *                                            to extract, [offset, limit]
+         *                                            or limit
+         *
+         * @returns {promise} - a promise that resolves into the search
+         *                      result {total: number, rows: [Row, ...]},
+         *                      with rows ordered by rank
+         */
+        Subset.prototype.search = function(searchText, fields, options) {
+
+            var table = this.table,
+                index = table.fullTextIndex();
+
+            if (!index) {
+                return $q.reject('table is not searchable');
+            }
+
+            var self = this,
+                idField = table.$('id');
+
+            return index.search(searchText).then(function(recordIDs) {
+
+                if (!recordIDs.length) {
+                    return {total: 0, rows: []};
+                }
+
+                // Restrict the matches to this Subset
+                var subset = self.where(idField.in(recordIDs));
+                return subset.select([idField]).then(function(rows) {
+
+                    var matches = {};
+                    rows.forEach(function(row) {
+                        matches[row.$(idField)] = true;
+                    });
+                    var ranked = recordIDs.filter(function(recordID) {
+                        return matches[recordID];
+                    });
+
+                    // Extract the requested page
+                    var limitby = options && options.limitby,
+                        offset = 0,
+                        limit = ranked.length;
+                    if (limitby) {
+                        if (limitby.constructor == Array) {
+                            offset = limitby[0] - 0 || 0;
+                            limit = limitby[1] - 0 || limit;
+                        } else {
+                            limit = limitby - 0 || limit;
+                        }
+                    }
+                    var page = ranked.slice(offset, offset + limit);
+                    if (!page.length) {
+                        return {total: ranked.length, rows: []};
+                    }
+
+                    var columns = fields ? fields.slice() : Object.keys(table.fields);
+                    if (columns.indexOf('id') == -1) {
+                        columns.push('id');
+                    }
+
+                    return self.where(idField.in(page)).select(columns).then(function(rows) {
+
+                        // Restore the rank order
+                        var rowsByID = {};
+                        rows.forEach(function(row) {
+                            rowsByID[row.$(idField)] = row;
+                        });
+                        return {
+                            total: ranked.length,
+                            rows: page.map(function(recordID) {
+                                return rowsByID[recordID];
+                            }).filter(function(row) {
+                                return !!row;
+                            })
+                        };
+                    });
+                });
+            });
+        };
+
         // --------------------------------------------------------------------
         /**
          * Bulk-update all records in this Subset
          *
          * @param {object} data - the data to write
+         * @param {object} components - component records to save together
+         *                              with the record (in the same
+         *                              transaction), {alias: [data, ...]};
+         *                              requires the Subset to contain
+         *                              exactly one record (see _updateTree)
          *
          * @returns {promise} - a promise that resolves into the number of
          *                      updated records (affectedRows)
          */
-        Subset.prototype.update = function(data) {
+        Subset.prototype.update = function(data, components) {
 
             var self = this;
 
             return this._flatSet().then(function(set) {
-                if (set) {
+                if (set && components && Object.keys(components).length) {
+                    return self._updateTree(set, data, components);
+                } else if (set) {
                     return self._update(set, data);
                 } else {
                     // Subset is empty
@@ -224,8 +364,14 @@ EdenMobile.factory('Subset', [
             }
 
             // Add subset query
-            if (this.query) {
-                set = set.where(this.query);
+            var query;
+            try {
+                query = this._resolveQuery();
+            } catch (error) {
+                return $q.reject(error.message);
+            }
+            if (query) {
+                set = set.where(query);
             }
 
             set.count(
@@ -239,6 +385,49 @@ EdenMobile.factory('Subset', [
             return deferred.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Helper function to resolve field selectors in the subset query;
+         * filters involving joined tables are converted into a sub-select
+         * so that joins do not multiply the records in this Subset
+         *
+         * @returns {Expression} - the resolved query
+         *
+         * @throws {Error} - if a selector can not be resolved
+         */
+        Subset.prototype._resolveQuery = function() {
+
+            var query = this.query;
+            if (!query || !query.hasSelectors()) {
+                return query;
+            }
+
+            var resource = this.resource,
+                table = this.table;
+
+            if (resource.parent) {
+                // Resolve against the master resource of the component table
+                resource = table.getResource();
+                if (!resource) {
+                    throw new Error('can not resolve selectors for ' + table.name);
+                }
+            }
+
+            var resolved = query.resolveSelectors(resource),
+                join = resolved.join,
+                expr = resolved.expr.resolvePaths(join, join.getTableMap(this._db));
+
+            if (!Object.keys(join.joins).length) {
+                // No joins required
+                return expr;
+            }
+
+            var pkey = table.$('id'),
+                subSelect = join.extendSet(table.where(), table).where(expr);
+
+            return table.sqlAssert(pkey.toSQL() + ' IN (' + subSelect.sqlSelect([pkey]) + ')');
+        };
+
         // --------------------------------------------------------------------
         /**
          * Helper function to construct the parent query and joins
@@ -299,7 +488,7 @@ EdenMobile.factory('Subset', [
          * @returns {promise} - a promise that resolves into the record ID
          *                      of the newly created record
          */
-        Subset.prototype._insertRecord = function(data) {
+        Subset.prototype._insertRecord = function(data, components) {
 
             var deferred = $q.defer(),
                 resource = this.resource,
@@ -307,6 +496,13 @@ EdenMobile.factory('Subset', [
                 record = resource.addDefaults(data, false, false),
                 self = this;
 
+            if (components && Object.keys(components).length) {
+                if (resource.link && parentID) {
+                    return $q.reject('Can not insert components of a linked record');
+                }
+                return this._insertTree(record, components);
+            }
+
             resource.table.insert(record,
                 function(insertID) {
                     if (resource.link && parentID) {
@@ -328,6 +524,253 @@ EdenMobile.factory('Subset', [
             return deferred.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Insert a record together with component records, all in one
+         * transaction (i.e. either all records get inserted, or none)
+         *
+         * @param {object} record - the master record data, including defaults
+         * @param {object} components - the component records,
+         *                              {alias: [data, ...]}
+         *
+         * @returns {promise} - a promise that resolves into the ID of the
+         *                      newly created master record
+         */
+        Subset.prototype._insertTree = function(record, components) {
+
+            var resource = this.resource,
+                items = [],
+                alias,
+                component;
+
+            // Resolve the components and prepare the component records
+            for (alias in components) {
+                component = resource.component(alias);
+                if (!component || component.parent !== resource) {
+                    return $q.reject('Undefined component: ' + alias);
+                }
+                (components[alias] || []).forEach(function(data) {
+                    items.push({
+                        component: component,
+                        record: component.addDefaults(data, false, false)
+                    });
+                });
+            }
+
+            var deferred = $q.defer(),
+                recordID,
+                self = this;
+
+            this._db._adapter.transaction(
+                function(tx) {
+                    resource.table._insertTx(tx, record, function(insertID) {
+                        recordID = insertID;
+                        items.forEach(function(item) {
+                            var component = item.component,
+                                pkey = component.pkey,
+                                parentKey = pkey == 'id' ? insertID : record[pkey];
+                            self._insertComponentTx(tx, parentKey, component, item.record);
+                        });
+                    });
+                },
+                function(error) {
+                    deferred.reject(error);
+                },
+                function() {
+                    deferred.resolve(recordID);
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Insert a component record (and its link table entry, if any)
+         * within a running transaction
+         *
+         * @param {Transaction} tx - the transaction
+         * @param {*} parentKey - the value of the parent key (pkey)
+         * @param {Resource} component - the component
+         * @param {object} record - the component record data, including
+         *                          defaults
+         */
+        Subset.prototype._insertComponentTx = function(tx, parentKey, component, record) {
+
+            var link = component.link;
+            if (link) {
+                component.table._insertTx(tx, record, function(insertID) {
+                    var data = {},
+                        rkey = component.fkey;
+                    data[component.lkey] = parentKey;
+                    data[component.rkey] = rkey == 'id' ? insertID : record[rkey];
+                    link.table._insertTx(tx, link.addDefaults(data, false, false));
+                });
+            } else {
+                record[component.fkey] = parentKey;
+                component.table._insertTx(tx, record);
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Update a record together with its component records, all in one
+         * transaction (i.e. either all changes get saved, or none):
+         * - component records with an id are updated
+         * - component records without id are inserted
+         * - all other existing records of the components are deleted
+         *
+         * @param {Set} set - the set, containing the master record
+         * @param {object} data - the master record data to write
+         * @param {object} components - the component records,
+         *                              {alias: [data, ...]}
+         *
+         * @returns {promise} - a promise that resolves into the number of
+         *                      updated master records (affectedRows)
+         */
+        Subset.prototype._updateTree = function(set, data, components) {
+
+            var resource = this.resource,
+                table = this.table,
+                aliases = Object.keys(components),
+                component,
+                i;
+
+            // Resolve the components
+            for (i = 0; i < aliases.length; i++) {
+                component = resource.component(aliases[i]);
+                if (!component || component.parent !== resource) {
+                    return $q.reject('Undefined component: ' + aliases[i]);
+                }
+            }
+
+            var delta = resource.addDefaults(data, false, true),
+                recordID,
+                self = this;
+
+            // Find the master record
+            var found = $q.defer();
+            set.select(['id'],
+                function(rows) {
+                    if (rows.length != 1) {
+                        found.reject('Can only save the components of a single record');
+                    } else {
+                        found.resolve(rows[0].$(table.$('id')));
+                    }
+                },
+                function(error) {
+                    found.reject(error);
+                });
+
+            // Collect the parent key, the existing component records and
+            // the files linked to records to delete, for each component
+            return found.promise.then(function(masterID) {
+
+                recordID = masterID;
+
+                return $q.all(aliases.map(function(alias) {
+
+                    var component = resource.component(alias),
+                        ctable = component.table,
+                        idField = ctable.$('id'),
+                        fkey = component.fkey,
+                        kept = [];
+
+                    var items = (components[alias] || []).map(function(data) {
+                        var rowID = data.id,
+                            record = angular.extend({}, data);
+                        delete record.id;
+                        if (rowID) {
+                            kept.push(rowID);
+                            record = component.addDefaults(record, false, true);
+                        } else {
+                            record = component.addDefaults(record, false, false);
+                        }
+                        return {id: rowID, record: record};
+                    });
+
+                    return $q.all([
+                        self._lookupKey(resource, recordID, component.pkey),
+                        component.subSet(recordID).select(['id', fkey])
+                    ]).then(function(results) {
+
+                        var removed = results[1].filter(function(row) {
+                            return kept.indexOf(row.$(idField)) == -1;
+                        });
+
+                        var plan = {
+                            component: component,
+                            parentKey: results[0],
+                            items: items,
+                            removedIDs: removed.map(function(row) {
+                                return row.$(idField);
+                            }),
+                            removedKeys: removed.map(function(row) {
+                                return row.$(ctable.$(fkey));
+                            }),
+                            files: []
+                        };
+                        if (!plan.removedIDs.length) {
+                            return plan;
+                        }
+                        return ctable.getFiles(idField.in(plan.removedIDs)).then(function(files) {
+                            plan.files = files;
+                            return plan;
+                        });
+                    });
+                }));
+
+            }).then(function(plans) {
+
+                var deferred = $q.defer(),
+                    affectedRows = 0;
+
+                self._db._adapter.transaction(
+                    function(tx) {
+                        set._updateTx(tx, delta, function(rowsAffected) {
+
+                            affectedRows = rowsAffected;
+
+                            plans.forEach(function(plan) {
+
+                                var component = plan.component,
+                                    ctable = component.table,
+                                    idField = ctable.$('id'),
+                                    link = component.link;
+
+                                plan.items.forEach(function(item) {
+                                    if (item.id) {
+                                        ctable.where(idField.is(item.id))._updateTx(tx, item.record, angular.noop);
+                                    } else {
+                                        self._insertComponentTx(tx, plan.parentKey, component, item.record);
+                                    }
+                                });
+
+                                if (plan.removedIDs.length) {
+                                    if (link) {
+                                        var ltable = link.table;
+                                        ltable.where(ltable.$(component.lkey).equals(plan.parentKey).and(
+                                                     ltable.$(component.rkey).in(plan.removedKeys)))
+                                              ._deleteTx(tx, angular.noop);
+                                    }
+                                    ctable.where(idField.in(plan.removedIDs))._deleteTx(tx, angular.noop);
+                                }
+                            });
+                        });
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    },
+                    function() {
+                        plans.forEach(function(plan) {
+                            emFiles.removeAll(plan.files);
+                        });
+                        deferred.resolve(affectedRows);
+                    });
+
+                return deferred.promise;
+            });
+        };
+
         // --------------------------------------------------------------------
         /**
          * Create a link table entry for a new component record
@@ -436,8 +879,14 @@ EdenMobile.factory('Subset', [
             }
 
             // Add subset query
-            if (this.query) {
-                set = set.where(this.query);
+            var query;
+            try {
+                query = this._resolveQuery();
+            } catch (error) {
+                return $q.reject(error.message);
+            }
+            if (query) {
+                set = set.where(query);
             }
 
             if (set.isJoin()) {
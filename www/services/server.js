@@ -205,34 +205,21 @@
 
     // ========================================================================
     /**
-     * HTTP 401 Recovery Service
-     *
-     * Strategy:
-     *
-     *   1 if no previous authentication attempt has been made (=no Authorization
-     *     header in the request config) and credentials are available, then add
-     *     an Authorization header and resend the request
-     *
-     *   2 if a previous authentication attempt has failed (=second round 401),
-     *     then:
-     *     - BasicAuth: prompt the user to re-enter the server credentials
-     *     - MasterKeyAuth: fail
-     *
-     *   3 if no server credentials are available, then
-     *     - BasicAuth: prompt the user to enter server credentials
-     *     - MasterKeyAuth: fail
-     *
-     * @returns {promise} - a promise that resolves into the updated config,
-     *                      or is rejected with an error message
+     * Basic Authentication Strategy
      */
-    EdenMobile.factory('emServer401Recoverer', [
-        '$q', '$injector', 'emAuth', 'emConfig',
-        function($q, $injector, emAuth, emConfig) {
+    var basicAuthStrategy = [
+        '$injector', 'emUsers',
+        function($injector, emUsers) {
 
             // ----------------------------------------------------------------
             /**
              * HTTPBasicAuth Request Authorization
              *
+             * - if the request is made on behalf of a local user (config.authUser,
+             *   e.g. to upload their records), then the server credentials of
+             *   that user are used instead of those from settings, and any
+             *   credentials entered for the user are stored
+             *
              * @param {Response} response - the response (from $http)
              * @param {Settings} settings - the settings API
              * @param {function} onSuccess - success callback, to resend the request
@@ -242,7 +229,8 @@
 
                 var config = response.config,
                     requestHeaders = config.headers || {},
-                    authHeader = requestHeaders.Authorization;
+                    authHeader = requestHeaders.Authorization,
+                    authUser = config.authUser;
 
                 // Helper to add the authorization header to the request
                 var login = function(username, password) {
@@ -251,6 +239,16 @@
                     onSuccess(config);
                 };
 
+                // Helper to store credentials entered for a local user
+                var userLogin = function(username, password) {
+                    emUsers.setCredentials(authUser, {
+                        username: username,
+                        password: password
+                    }).finally(function() {
+                        login(username, password);
+                    });
+                };
+
                 var serverURL = settings.get('server.url'),
                     username = settings.get('server.username'),
                     password = settings.get('server.password'),
@@ -260,6 +258,10 @@
                     },
                     emDialogs = $injector.get('emDialogs');
 
+                var cancel = function() {
+                    onError('Request canceled');
+                };
+
                 if (authHeader) {
                     // The original request did already contain an authorization
                     // header, which failed. So we indicate invalid credentials
@@ -271,18 +273,41 @@
                         credentials.username = basic[0];
                         credentials.password = basic[1];
                     }
-                    emDialogs.authPrompt(
-                        serverURL,
-                        'Invalid username/password',
-                        credentials,
-                        login,
-                        function() {
-                            onError('Request canceled');
-                        });
+                    if (authUser) {
+                        emDialogs.authPrompt(
+                            serverURL,
+                            'Invalid username/password for ' + authUser,
+                            credentials,
+                            userLogin,
+                            cancel);
+                    } else {
+                        emDialogs.authPrompt(
+                            serverURL,
+                            'Invalid username/password',
+                            credentials,
+                            login,
+                            cancel);
+                    }
                     return;
                 }
 
-                if (username && password) {
+                if (authUser) {
+                    // Use the credentials of the local user
+                    emUsers.credentials(authUser).then(function(userCredentials) {
+                        if (userCredentials && userCredentials.password) {
+                            login(userCredentials.username, userCredentials.password);
+                        } else {
+                            // No credentials for this user => prompt to enter them
+                            emDialogs.authPrompt(
+                                serverURL,
+                                'Authentication Required for ' + authUser,
+                                userCredentials || {},
+                                userLogin,
+                                cancel);
+                        }
+                    });
+
+                } else if (username && password) {
                     // Use credentials from settings
                     login(username, password);
 
@@ -293,12 +318,26 @@
                         'Authentication Required',
                         credentials,
                         login,
-                        function() {
-                            onError('Request canceled');
-                        });
+                        cancel);
                 }
             };
 
+            return {
+                label: 'Basic Authentication',
+                recover: basicAuth
+            };
+        }
+    ];
+
+    // ========================================================================
+    /**
+     * Master Key Authentication Strategy (selected with
+     * emAuthProvider.masterKeyAuth rather than per server profile)
+     */
+    var masterKeyStrategy = [
+        'emAuth',
+        function(emAuth) {
+
             // ----------------------------------------------------------------
             /**
              * Master Key Request Authorization
@@ -367,6 +406,616 @@
                 login(tokenID, accessKey);
             };
 
+            return {
+                label: 'Master Key',
+                selectable: false,
+                recover: masterKeyAuth
+            };
+        }
+    ];
+
+    // ========================================================================
+    /**
+     * OAuth2 Strategy (Resource Owner Password Credentials Grant)
+     *
+     * - requests an access token from the token endpoint with the server
+     *   credentials (of the local user if the request is made on behalf of
+     *   one, see config.authUser, otherwise from settings), and sends it
+     *   as bearer token with every request while it is valid
+     * - tokens are stored (encrypted) in em_token, and renewed with the
+     *   refresh token when they expire or the server rejects them
+     * - the client is configured with emAuthProvider.oauth2
+     */
+    var oauth2Strategy = [
+        '$http', '$injector', '$q', 'emAuth', 'emDB', 'emUsers',
+        function($http, $injector, $q, emAuth, emDB, emUsers) {
+
+            var tokenTable = 'em_token',
+                renewals = {};
+
+            // ----------------------------------------------------------------
+            /**
+             * Load the stored token for a user
+             *
+             * @param {string} username - the local user, or null for the
+             *                            credentials from settings
+             *
+             * @returns {promise} - a promise that resolves into the token
+             *                      record {access_token, refresh_token,
+             *                      expires_on}, or null if there is none
+             */
+            var loadToken = function(username) {
+
+                var deferred = $q.defer();
+
+                emDB.table(tokenTable).then(function(table) {
+                    table.where(table.$('username').is(username))
+                         .select(['access_token', 'refresh_token', 'expires_on'], {limitby: 1},
+                        function(records) {
+                            deferred.resolve(records.length ? records[0]._() : null);
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Store the token issued for a user (replacing any previous one)
+             *
+             * @param {string} username - the local user, or null
+             * @param {object} data - the token response from the server
+             * @param {string} refreshToken - the previous refresh token, to
+             *                                keep if the server has not
+             *                                issued a new one
+             *
+             * @returns {promise} - a promise that resolves into the access
+             *                      token when it has been stored
+             */
+            var storeToken = function(username, data, refreshToken) {
+
+                var deferred = $q.defer(),
+                    expiresIn = data.expires_in - 0,
+                    record = {
+                        username: username,
+                        access_token: data.access_token,
+                        refresh_token: data.refresh_token || refreshToken || null,
+                        expires_on: expiresIn ? new Date(new Date().getTime() + expiresIn * 1000) : null
+                    },
+                    onError = function(error) {
+                        deferred.reject(error);
+                    };
+
+                emDB.table(tokenTable).then(function(table) {
+                    table.where(table.$('username').is(username)).delete(function() {
+                        table.insert(record, function() {
+                            deferred.resolve(record.access_token);
+                        }, onError);
+                    }, onError);
+                }, onError);
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Send a request to an OAuth2 endpoint
+             *
+             * @param {Settings} settings - the settings API
+             * @param {object} endpoint - the endpoint, as options for SahanaURL
+             * @param {object} params - the request parameters
+             *
+             * @returns {promise} - a promise that resolves into the response
+             *                      data, or is rejected with the response
+             */
+            var oauth2Request = function(settings, endpoint, params) {
+
+                var config = emAuth.oauth2(),
+                    url = new SahanaURL(endpoint).extend(settings.get('server.url'));
+
+                if (config.clientID) {
+                    params.client_id = config.clientID;
+                }
+                if (config.clientSecret) {
+                    params.client_secret = config.clientSecret;
+                }
+
+                var body = Object.keys(params).map(function(key) {
+                    return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+                }).join('&');
+
+                return $http({
+                    method: 'POST',
+                    url: url,
+                    data: body,
+                    headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+                    responseType: 'json',
+                    // Failed token requests must not be recovered
+                    skipAuthRecovery: true
+                }).then(function(response) {
+                    return response.data;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Request an access token from the token endpoint
+             *
+             * @param {Settings} settings - the settings API
+             * @param {object} params - the grant parameters
+             *
+             * @returns {promise} - a promise that resolves into the token
+             *                      response {access_token, ...}
+             */
+            var requestToken = function(settings, params) {
+
+                var config = emAuth.oauth2();
+                if (config.scope) {
+                    params.scope = config.scope;
+                }
+
+                return oauth2Request(settings, config.tokenURL, params).then(function(data) {
+                    if (!data || !data.access_token) {
+                        return $q.reject('Invalid token response');
+                    }
+                    return data;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the server credentials to request a token, prompting the
+             * user to enter them if not available (or invalid)
+             *
+             * @param {Settings} settings - the settings API
+             * @param {string} username - the local user, or null
+             * @param {string} message - the prompt message, to force the
+             *                           prompt (e.g. after invalid credentials)
+             *
+             * @returns {promise} - a promise that resolves into the
+             *                      credentials {username, password}
+             */
+            var getCredentials = function(settings, username, message) {
+
+                var credentials;
+                if (username) {
+                    credentials = emUsers.credentials(username);
+                } else {
+                    credentials = $q.resolve({
+                        username: settings.get('server.username'),
+                        password: settings.get('server.password')
+                    });
+                }
+
+                return credentials.then(function(credentials) {
+
+                    credentials = credentials || {};
+                    if (!message && credentials.username && credentials.password) {
+                        return credentials;
+                    }
+
+                    var deferred = $q.defer();
+                    $injector.get('emDialogs').authPrompt(
+                        settings.get('server.url'),
+                        (message || 'Authentication Required') + (username ? ' for ' + username : ''),
+                        angular.copy(credentials),
+                        function(serverUsername, serverPassword) {
+                            credentials = {
+                                username: serverUsername,
+                                password: serverPassword
+                            };
+                            if (username) {
+                                emUsers.setCredentials(username, credentials);
+                            }
+                            deferred.resolve(credentials);
+                        },
+                        function() {
+                            deferred.reject('Request canceled');
+                        });
+
+                    return deferred.promise;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Request a new access token with the server credentials
+             *
+             * @param {Settings} settings - the settings API
+             * @param {string} username - the local user, or null
+             * @param {string} message - the prompt message (see getCredentials)
+             *
+             * @returns {promise} - a promise that resolves into the new
+             *                      access token
+             */
+            var passwordGrant = function(settings, username, message) {
+
+                return getCredentials(settings, username, message).then(function(credentials) {
+
+                    return requestToken(settings, {
+                        grant_type: 'password',
+                        username: credentials.username,
+                        password: credentials.password
+                    }).then(
+                        function(data) {
+                            return storeToken(username, data);
+                        },
+                        function(error) {
+                            if (typeof error == 'string') {
+                                return $q.reject(error);
+                            }
+                            var data = error && error.data || {};
+                            if (data.error == 'invalid_grant' || error && error.status == 401) {
+                                // Invalid credentials => prompt for correct ones
+                                return passwordGrant(settings, username, 'Invalid username/password');
+                            }
+                            // Other errors (e.g. invalid_client) can not be
+                            // resolved by the user => report the server error
+                            var message = 'Token request failed';
+                            if (data.error) {
+                                message += ': ' + (data.error_description || data.error);
+                            } else if (error && error.status) {
+                                message += ': ' + error.status + ' ' + (error.statusText || '');
+                            }
+                            return $q.reject(message.trim());
+                        });
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Renew the access token for a user, with the refresh token if
+             * available, otherwise with the server credentials; concurrent
+             * requests share the same renewal
+             *
+             * @param {Settings} settings - the settings API
+             * @param {string} username - the local user, or null
+             * @param {object} token - the current token record, or null
+             *
+             * @returns {promise} - a promise that resolves into the new
+             *                      access token
+             */
+            var renewToken = function(settings, username, token) {
+
+                var key = username || '',
+                    renewal = renewals[key];
+
+                if (renewal) {
+                    return renewal;
+                }
+
+                var refreshToken = token && token.refresh_token;
+                if (refreshToken) {
+                    renewal = requestToken(settings, {
+                        grant_type: 'refresh_token',
+                        refresh_token: refreshToken
+                    }).then(function(data) {
+                        return storeToken(username, data, refreshToken);
+                    });
+                } else {
+                    renewal = $q.reject();
+                }
+
+                renewal = renewal.catch(function() {
+                    // Refresh token invalid or expired
+                    return passwordGrant(settings, username);
+                }).finally(function() {
+                    delete renewals[key];
+                });
+
+                renewals[key] = renewal;
+                return renewal;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * OAuth2 Request Authorization
+             *
+             * @param {Response} response - the response (from $http)
+             * @param {Settings} settings - the settings API
+             * @param {function} onSuccess - success callback, to resend the request
+             * @param {function} onError - error callback, to abort the request
+             */
+            var oauth2Auth = function(response, settings, onSuccess, onError) {
+
+                var config = response.config,
+                    requestHeaders = config.headers || {},
+                    authHeader = requestHeaders.Authorization,
+                    username = config.authUser || null,
+                    failedToken = null;
+
+                if (config.oauth2Renewed) {
+                    // The request has been rejected with a new token,
+                    // so nothing more can be done here:
+                    onError('Not authorized');
+                    return;
+                }
+
+                if (authHeader && authHeader.slice(0, 7).toLowerCase() == 'bearer ') {
+                    failedToken = authHeader.slice(7);
+                }
+
+                // Helper to add the Authorization header to the request
+                var login = function(accessToken) {
+                    requestHeaders.Authorization = 'Bearer ' + accessToken;
+                    config.headers = requestHeaders;
+                    onSuccess(config);
+                };
+
+                loadToken(username).then(function(token) {
+
+                    var now = new Date();
+                    if (token && token.access_token &&
+                        token.access_token != failedToken &&
+                        (!token.expires_on || token.expires_on > now)) {
+                        // Use the stored token (may have been renewed by
+                        // a concurrent request)
+                        return token.access_token;
+                    }
+
+                    return renewToken(settings, username, token).then(function(accessToken) {
+                        config.oauth2Renewed = true;
+                        return accessToken;
+                    });
+
+                }).then(login, function(error) {
+                    onError(error || 'Authorization failed');
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Add the stored access token to a request before sending it,
+             * so that it does not need a 401 challenge to be authorized
+             * - expired tokens are renewed first
+             * - without a stored token, the request is sent as-is (and the
+             *   401 challenge, if any, requests a token)
+             *
+             * @param {object} config - the request config
+             * @param {Settings} settings - the settings API
+             *
+             * @returns {promise} - a promise that resolves into the request
+             *                      config
+             */
+            var oauth2Authorize = function(config, settings) {
+
+                var username = config.authUser || null;
+
+                return loadToken(username).then(function(token) {
+
+                    if (!token || !token.access_token) {
+                        return null;
+                    }
+                    if (token.expires_on && token.expires_on <= new Date()) {
+                        return renewToken(settings, username, token).then(function(accessToken) {
+                            config.oauth2Renewed = true;
+                            return accessToken;
+                        });
+                    }
+                    return token.access_token;
+
+                }).then(function(accessToken) {
+                    if (accessToken) {
+                        config.headers = angular.extend({}, config.headers, {
+                            Authorization: 'Bearer ' + accessToken
+                        });
+                    }
+                    return config;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Revoke all stored tokens; informs the server if it has a
+             * revocation endpoint (errors are ignored, since the tokens
+             * are removed from the device anyway)
+             *
+             * @returns {promise} - a promise that is resolved when all
+             *                      tokens have been removed
+             */
+            var revoke = function() {
+
+                var config = emAuth.oauth2();
+
+                return emDB.table(tokenTable).then(function(table) {
+
+                    var deferred = $q.defer();
+
+                    table.select(['access_token', 'refresh_token'], function(records) {
+                        deferred.resolve(records.map(function(record) {
+                            return record._();
+                        }));
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+
+                    return deferred.promise.then(function(tokens) {
+
+                        if (!config.revokeURL || !tokens.length) {
+                            return;
+                        }
+
+                        var revoked = $q.defer();
+                        $injector.get('emConfig').apply(function(settings) {
+                            $q.all(tokens.map(function(token) {
+                                var params;
+                                if (token.refresh_token) {
+                                    params = {
+                                        token: token.refresh_token,
+                                        token_type_hint: 'refresh_token'
+                                    };
+                                } else {
+                                    params = {
+                                        token: token.access_token,
+                                        token_type_hint: 'access_token'
+                                    };
+                                }
+                                return oauth2Request(settings, config.revokeURL, params).catch(angular.noop);
+                            })).finally(function() {
+                                revoked.resolve();
+                            });
+                        });
+                        return revoked.promise;
+
+                    }).then(function() {
+
+                        var deleted = $q.defer();
+                        table.where().delete(
+                            function() {
+                                deleted.resolve();
+                            },
+                            function(error) {
+                                deleted.reject(error);
+                            });
+                        return deleted.promise;
+                    });
+                });
+            };
+
+            return {
+                label: 'OAuth2',
+                authorize: oauth2Authorize,
+                recover: oauth2Auth,
+                revoke: revoke
+            };
+        }
+    ];
+
+    // ========================================================================
+    /**
+     * emAuthStrategies - Registry of server authentication strategies
+     *
+     * - a strategy is an injectable constructor that returns an object:
+     *   {
+     *      label: the label of the strategy (for selection),
+     *      selectable: false to hide it from the selection (optional),
+     *      recover: function(response, settings, onSuccess, onError) to
+     *               authorize a request after a 401 challenge, calling
+     *               onSuccess(config) to resend the request, or
+     *               onError(message) to abort it,
+     *      authorize: function(config, settings) to add authorization to
+     *                 a request before sending it, returning a promise
+     *                 that resolves into the request config (optional),
+     *      revoke: function() to revoke all stored tokens, returning a
+     *              promise (optional)
+     *   }
+     * - register strategies in the bootstrap phase like:
+     *
+     *      EdenMobile.config(['emAuthStrategiesProvider',
+     *          function(emAuthStrategiesProvider) {
+     *              emAuthStrategiesProvider.register('my_auth', ['$q', function($q) {
+     *                  return {label: 'My Auth', recover: function(...) {...}};
+     *              }]);
+     *          }
+     *      ]);
+     *
+     * - the strategy for a server profile is selected with
+     *   emAuthProvider.authStrategy, or by the user in the profile
+     */
+    EdenMobile.provider('emAuthStrategies', function() {
+
+        var strategies = {};
+
+        /**
+         * Register an authentication strategy
+         *
+         * @param {string} name - the strategy name
+         * @param {Array|function} constructor - the strategy constructor
+         */
+        this.register = function(name, constructor) {
+
+            strategies[name] = constructor;
+
+            return this; // make chainable
+        };
+
+        this.$get = ['$injector', function($injector) {
+
+            var instances = {};
+
+            /**
+             * Get a strategy
+             *
+             * @param {string} name - the strategy name
+             *
+             * @returns {object} - the strategy, or null if not registered
+             */
+            var getStrategy = function(name) {
+
+                var instance = instances[name];
+                if (!instance && strategies.hasOwnProperty(name)) {
+                    instance = $injector.invoke(strategies[name]);
+                    instances[name] = instance;
+                }
+                return instance || null;
+            };
+
+            return {
+
+                get: getStrategy,
+
+                /**
+                 * Get the strategies that can be selected for a server profile
+                 *
+                 * @returns {Array} - array of options [{name, label}, ...]
+                 */
+                options: function() {
+
+                    var options = [];
+                    Object.keys(strategies).forEach(function(name) {
+                        var strategy = getStrategy(name);
+                        if (strategy.selectable !== false) {
+                            options.push({name: name, label: strategy.label || name});
+                        }
+                    });
+                    return options;
+                }
+            };
+        }];
+    });
+
+    // Register the default strategies
+    EdenMobile.config(['emAuthStrategiesProvider',
+        function(emAuthStrategiesProvider) {
+            emAuthStrategiesProvider.register('basic', basicAuthStrategy)
+                                    .register('masterkey', masterKeyStrategy)
+                                    .register('oauth2', oauth2Strategy);
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * HTTP 401 Recovery Service
+     *
+     * Strategy (as implemented by the authentication strategies):
+     *
+     *   1 if no previous authentication attempt has been made (=no Authorization
+     *     header in the request config) and credentials are available, then add
+     *     an Authorization header and resend the request
+     *
+     *   2 if a previous authentication attempt has failed (=second round 401),
+     *     then:
+     *     - BasicAuth: prompt the user to re-enter the server credentials
+     *     - MasterKeyAuth: fail
+     *     - OAuth2: renew the token (with the refresh token if available,
+     *       otherwise with the credentials), fail if a renewed token fails
+     *
+     *   3 if no server credentials are available, then
+     *     - BasicAuth/OAuth2: prompt the user to enter server credentials
+     *     - MasterKeyAuth: fail
+     *
+     * @returns {promise} - a promise that resolves into the updated config,
+     *                      or is rejected with an error message
+     */
+    EdenMobile.factory('emServer401Recoverer', [
+        '$q', 'emAuth', 'emAuthStrategies', 'emConfig',
+        function($q, emAuth, emAuthStrategies, emConfig) {
+
             // ----------------------------------------------------------------
             /**
              * Recovery method for 401 challenges
@@ -393,23 +1042,18 @@
                     if (sameHost(requestURL, serverURL)) {
                         // Sahana server => try to add authorization header
 
-                        if (emAuth.useMasterKey()) {
-                            masterKeyAuth(response, settings,
-                                function(config) {
-                                    deferred.resolve(config);
-                                },
-                                function(error) {
-                                    deferred.reject(error);
-                                });
-                        } else {
-                            basicAuth(response, settings,
-                                function(config) {
-                                    deferred.resolve(config);
-                                },
-                                function(error) {
-                                    deferred.reject(error);
-                                });
+                        var strategy = emAuthStrategies.get(emAuth.authStrategy());
+                        if (!strategy) {
+                            deferred.reject('Unknown authentication strategy');
+                            return;
                         }
+                        strategy.recover(response, settings,
+                            function(config) {
+                                deferred.resolve(config);
+                            },
+                            function(error) {
+                                deferred.reject(error);
+                            });
                     } else {
                         // Foreign server => nothing we can do
                         deferred.reject('Request to different server');
@@ -433,7 +1077,7 @@
 
                 responseError: function(response) {
 
-                    if (response.status == 401) {
+                    if (response.status == 401 && !response.config.skipAuthRecovery) {
 
                         var $http = $injector.get('$http'),
                             deferred = $q.defer();
@@ -493,8 +1137,29 @@
      * );
      */
     EdenMobile.factory('emServer', [
-        '$http', '$q', 'emAuth', 'emConfig', 'emFiles', 'emDialogs',
-        function ($http, $q, emAuth, emConfig, emFiles, emDialogs) {
+        '$http', '$q', 'emAuth', 'emAuthStrategies', 'emConfig', 'emFiles', 'emDialogs',
+        function ($http, $q, emAuth, emAuthStrategies, emConfig, emFiles, emDialogs) {
+
+            /**
+             * Add authorization to a request for the Sahana server before
+             * sending it, if the authentication strategy supports that
+             * (otherwise it is authorized upon 401 challenge)
+             *
+             * @param {object} config - the request config
+             * @param {Settings} settings - the settings API
+             *
+             * @returns {promise} - a promise that resolves into the
+             *                      request config
+             */
+            var authorize = function(config, settings) {
+
+                var strategy = emAuthStrategies.get(emAuth.authStrategy());
+                if (strategy && strategy.authorize) {
+                    return strategy.authorize(config, settings);
+                } else {
+                    return $q.resolve(config);
+                }
+            };
 
             /**
              * Wrapper for $http that resolves a SahanaURL against the
@@ -540,10 +1205,18 @@
                         if (emAuth.useMasterKey()) {
                             config.headers = {'RequestMasterKeyAuth': 'true'};
                         }
+                        if (requestConfig.authUser) {
+                            // Do not send the session cookie of another
+                            // user, but authenticate with the credentials
+                            // of this user
+                            config.withCredentials = false;
+                        }
                         config = angular.extend(requestConfig, config);
 
-                        // Send the request via $http
-                        $http(config).then(
+                        // Authorize and send the request via $http
+                        authorize(config, settings).then(function(config) {
+                            return $http(config);
+                        }).then(
                             deferred.resolve,
                             deferred.reject
                         );
@@ -757,9 +1430,12 @@
              *                                   the request was unsuccessful,
              *                                   function(response), defaults to
              *                                   standard httpError handler
+             * @param {string} authUser - the local user to authenticate the
+             *                            request with their server credentials
+             *                            (see emServer401Recoverer)
              */
 
-            var post = function(url, format, data, successCallback, errorCallback) {
+            var post = function(url, format, data, successCallback, errorCallback, authUser) {
 
                 // Format parameter omitted?
                 if (typeof data == 'function') {
@@ -808,6 +1484,9 @@
                     url: url,
                     responseType: responseType
                 };
+                if (authUser) {
+                    config.authUser = authUser;
+                }
                 if (typeof data == 'string') {
 
                     // Assume JSON
@@ -887,7 +1566,9 @@
                         responseType: 'blob'
                     };
 
-                    $http(config).then(
+                    authorize(config, settings).then(function(config) {
+                        return $http(config);
+                    }).then(
                         function(response) {
 
                             var cDisp = response.headers('content-disposition'),
@@ -1020,12 +1701,22 @@
                  * @param {string} ref - reference details to construct the download URL,
                  *                       object {c:controller, f:function, vars:vars}
                  * @param {object|string} data - the data to upload
+                 * @param {string} authUser - the local user whose records are
+                 *                            uploaded (optional), to use their
+                 *                            server credentials
                  * @param {function} successCallback: success callback, function(data)
                  * @param {function} errorCallback: error callback, function(response)
                  *
                  * TODO move function definition out of the dict
                  */
-                postData: function(ref, data, successCallback, errorCallback) {
+                postData: function(ref, data, authUser, successCallback, errorCallback) {
+
+                    // User omitted?
+                    if (typeof authUser == 'function') {
+                        errorCallback = successCallback;
+                        successCallback = authUser;
+                        authUser = null;
+                    }
 
                     var url = new SahanaURL({
                         c: ref.c,
@@ -1034,7 +1725,7 @@
                         vars: ref.v,
                         extension: 's3json'
                     });
-                    post(url, 'json', data, successCallback, errorCallback);
+                    post(url, 'json', data, successCallback, errorCallback, authUser);
                 },
 
                 // ------------------------------------------------------------
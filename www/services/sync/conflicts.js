@@ -0,0 +1,464 @@
+/**
+ * Sahana Eden Mobile - Synchronization Conflict Handling
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emSyncConflicts - Service to detect, resolve and record synchronization
+ *                   conflicts, i.e. records that have been modified both
+ *                   locally and on the server since the last synchronization
+ *
+ * - the resolution policy can be configured per table, using the
+ *   conflictPolicy setting in the schema:
+ *      server..........the server version replaces the local version
+ *      local...........the local version is kept (and uploaded)
+ *      newest..........the most recently modified version wins (default)
+ *      ask.............the local version is kept, but neither uploaded
+ *                      nor overwritten until the user resolves the conflict
+ *
+ * @class emSyncConflicts
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emSyncConflicts', [
+    '$q', 'emDB',
+    function($q, emDB) {
+
+        "use strict";
+
+        var policies = ['server', 'local', 'newest', 'ask'],
+            defaultPolicy = 'newest';
+
+        // --------------------------------------------------------------------
+        /**
+         * Encode record data for storage in the conflicts table
+         *
+         * @param {Table} table - the Table the record belongs to
+         * @param {object} data - the record data {fieldName: value}
+         *
+         * @returns {object} - the encoded data {fieldName: sqlValue}
+         */
+        var encodeData = function(table, data) {
+
+            var encoded = {},
+                field,
+                value;
+
+            for (var fieldName in data) {
+                field = table.fields[fieldName];
+                if (field) {
+                    value = field.encode(data[fieldName]);
+                    if (value !== undefined) {
+                        encoded[fieldName] = value;
+                    }
+                }
+            }
+            return encoded;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Decode record data stored in the conflicts table
+         *
+         * @param {Table} table - the Table the record belongs to
+         * @param {object} encoded - the encoded data {fieldName: sqlValue}
+         *
+         * @returns {object} - the record data {fieldName: value}
+         */
+        var decodeData = function(table, encoded) {
+
+            var data = {},
+                field;
+
+            for (var fieldName in encoded) {
+                field = table.fields[fieldName];
+                if (field) {
+                    data[fieldName] = field.decode(encoded[fieldName]);
+                }
+            }
+            return data;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Replace the local version of a record with the server version
+         *
+         * @param {Table} table - the Table
+         * @param {integer} recordID - the local record ID
+         * @param {object} data - the server version of the record data
+         *
+         * @returns {promise} - a promise that is resolved when the record
+         *                      has been updated
+         */
+        var acceptRemote = function(table, recordID, data) {
+
+            var deferred = $q.defer();
+
+            // Set synchronized_on to now
+            data.synchronized_on = new Date();
+            data.em_incomplete = false;
+
+            table.where(table.$('id').equals(recordID)).update(data,
+                function(numRowsAffected) {
+                    deferred.resolve(numRowsAffected);
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Keep the local version of a record; marks the server version as
+         * seen (synchronized_on), so that it doesn't conflict again, and
+         * the record as modified after that, so that it gets uploaded
+         *
+         * @param {Table} table - the Table
+         * @param {integer} recordID - the local record ID
+         * @param {Date} remoteModifiedOn - the modification date of the
+         *                                  server version
+         *
+         * @returns {promise} - a promise that is resolved when the record
+         *                      has been updated
+         */
+        var keepLocal = function(table, recordID, remoteModifiedOn) {
+
+            var deferred = $q.defer(),
+                now = new Date();
+
+            // Time stamps are stored without milliseconds, so make sure the
+            // record is at least one second newer than the server version
+            var modifiedOn = now;
+            if (remoteModifiedOn && remoteModifiedOn.getTime() + 1000 > now.getTime()) {
+                modifiedOn = new Date(remoteModifiedOn.getTime() + 1000);
+            }
+
+            table.where(table.$('id').equals(recordID)).update({
+                    synchronized_on: remoteModifiedOn || now,
+                    modified_on: modifiedOn
+                },
+                {noDefaults: true},
+                function(numRowsAffected) {
+                    deferred.resolve(numRowsAffected);
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Look up an unresolved conflict for a record
+         *
+         * @param {Table} conflicts - the conflicts table
+         * @param {string} tableName - the table name of the record
+         * @param {integer} recordID - the local record ID
+         *
+         * @returns {promise} - a promise that resolves into the ID of the
+         *                      conflict, or undefined if there is none
+         */
+        var lookupUnresolved = function(conflicts, tableName, recordID) {
+
+            var deferred = $q.defer(),
+                query = allOf(conflicts.$('tablename').equals(tableName),
+                              conflicts.$('record_id').equals(recordID),
+                              conflicts.$('resolution').is(null));
+
+            conflicts.where(query).select(['id'], {limitby: 1},
+                function(rows) {
+                    if (rows.length) {
+                        deferred.resolve(rows[0].$('id'));
+                    } else {
+                        deferred.resolve();
+                    }
+                },
+                function(error) {
+                    deferred.reject(error);
+                });
+
+            return deferred.promise;
+        };
+
+        // ====================================================================
+        // Service API
+        //
+        var api = {
+
+            /**
+             * Get the conflict resolution policy for a table
+             *
+             * @param {Table} table - the Table
+             *
+             * @returns {string} - the policy (server|local|newest|ask)
+             */
+            policy: function(table) {
+
+                var policy = table.settings.conflictPolicy;
+                if (policies.indexOf(policy) == -1) {
+                    policy = defaultPolicy;
+                }
+                return policy;
+            },
+
+            /**
+             * Record a conflict; replaces any previously recorded conflict
+             * for the same record that hasn't been resolved yet
+             *
+             * @param {Table} table - the Table
+             * @param {object} original - the local record (from
+             *                            Table.identify)
+             * @param {object} data - the server version of the record data
+             * @param {string} policy - the policy applied
+             * @param {string} resolution - the resolution (server|local),
+             *                              or null if the conflict is to
+             *                              be resolved by the user
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      conflict has been recorded
+             */
+            record: function(table, original, data, policy, resolution) {
+
+                var tableName = table.name,
+                    recordID = original.id,
+                    now = new Date();
+
+                var conflict = {
+                    timestamp: now,
+                    tablename: tableName,
+                    record_id: recordID,
+                    uuid: data.uuid,
+                    title: data.llrepr || null,
+                    policy: policy,
+                    local_modified_on: original.modified_on,
+                    remote_modified_on: data.modified_on || data.created_on,
+                    remote_data: resolution ? null : encodeData(table, data),
+                    resolution: resolution || null,
+                    resolved_on: resolution ? now : null
+                };
+
+                return emDB.table('em_sync_conflict').then(function(conflicts) {
+
+                    return lookupUnresolved(conflicts, tableName, recordID).then(function(conflictID) {
+
+                        var deferred = $q.defer(),
+                            onSuccess = function() {
+                                deferred.resolve();
+                            },
+                            onError = function(error) {
+                                deferred.reject(error);
+                            };
+
+                        if (conflictID) {
+                            conflicts.where(conflicts.$('id').equals(conflictID))
+                                     .update(conflict, onSuccess, onError);
+                        } else {
+                            conflicts.insert(conflict, onSuccess, onError);
+                        }
+                        return deferred.promise;
+                    });
+                });
+            },
+
+            /**
+             * Get the IDs of all records in a table that have unresolved
+             * conflicts (to exclude them from uploads)
+             *
+             * @param {string} tableName - the table name
+             *
+             * @returns {promise} - a promise that resolves into an array
+             *                      of record IDs
+             */
+            unresolved: function(tableName) {
+
+                return emDB.table('em_sync_conflict').then(function(conflicts) {
+
+                    var deferred = $q.defer(),
+                        query = conflicts.$('tablename').equals(tableName).and(
+                                conflicts.$('resolution').is(null));
+
+                    conflicts.where(query).select(['record_id'],
+                        function(rows) {
+                            deferred.resolve(rows.map(function(row) {
+                                return row.$('record_id');
+                            }));
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+
+                    return deferred.promise;
+                });
+            },
+
+            /**
+             * Count all unresolved conflicts
+             *
+             * @returns {promise} - a promise that resolves into the number
+             *                      of unresolved conflicts
+             */
+            count: function() {
+
+                return emDB.table('em_sync_conflict').then(function(conflicts) {
+
+                    var deferred = $q.defer();
+
+                    conflicts.where(conflicts.$('resolution').is(null)).count(
+                        function(number) {
+                            deferred.resolve(number);
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+
+                    return deferred.promise;
+                });
+            },
+
+            /**
+             * Get all recorded conflicts, unresolved conflicts first
+             *
+             * @returns {promise} - a promise that resolves into an array of
+             *                      conflicts (objects)
+             */
+            entries: function() {
+
+                return emDB.table('em_sync_conflict').then(function(conflicts) {
+
+                    var deferred = $q.defer(),
+                        fields = [
+                            'id',
+                            'timestamp',
+                            'tablename',
+                            'record_id',
+                            'title',
+                            'policy',
+                            'local_modified_on',
+                            'remote_modified_on',
+                            'resolution',
+                            'resolved_on'
+                        ];
+
+                    conflicts.select(fields, {orderby: conflicts.$('timestamp').desc()},
+                        function(rows) {
+                            var unresolved = [],
+                                resolved = [];
+                            rows.forEach(function(row) {
+                                var entry = row._();
+                                if (entry.resolution) {
+                                    resolved.push(entry);
+                                } else {
+                                    unresolved.push(entry);
+                                }
+                            });
+                            deferred.resolve(unresolved.concat(resolved));
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+
+                    return deferred.promise;
+                });
+            },
+
+            /**
+             * Resolve a conflict manually
+             *
+             * @param {integer} conflictID - the conflict ID
+             * @param {string} resolution - the resolution: server|local
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      conflict has been resolved
+             */
+            resolve: function(conflictID, resolution) {
+
+                if (resolution != 'server' && resolution != 'local') {
+                    return $q.reject('invalid resolution: ' + resolution);
+                }
+
+                return emDB.table('em_sync_conflict').then(function(conflicts) {
+
+                    var deferred = $q.defer(),
+                        conflictSet = conflicts.where(conflicts.$('id').equals(conflictID));
+
+                    conflictSet.select(['tablename', 'record_id', 'remote_modified_on', 'remote_data'], {limitby: 1},
+                        function(rows) {
+                            if (rows.length) {
+                                deferred.resolve(rows[0]._());
+                            } else {
+                                deferred.reject('conflict not found');
+                            }
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+
+                    return deferred.promise.then(function(conflict) {
+
+                        return emDB.table(conflict.tablename).then(function(table) {
+
+                            if (!table) {
+                                return $q.reject('table not found: ' + conflict.tablename);
+                            }
+                            if (resolution == 'server') {
+                                var data = decodeData(table, conflict.remote_data || {});
+                                return acceptRemote(table, conflict.record_id, data);
+                            } else {
+                                return keepLocal(table, conflict.record_id, conflict.remote_modified_on);
+                            }
+                        });
+
+                    }).then(function() {
+
+                        var updated = $q.defer();
+
+                        conflictSet.update({
+                                resolution: resolution,
+                                resolved_on: new Date(),
+                                remote_data: null
+                            },
+                            function() {
+                                updated.resolve();
+                            },
+                            function(error) {
+                                updated.reject(error);
+                            });
+
+                        return updated.promise;
+                    });
+                });
+            },
+
+            // Helpers for DataImport
+            acceptRemote: acceptRemote,
+            keepLocal: keepLocal
+        };
+
+        return api;
+    }
+]);
+
+// END ========================================================================
@@ -32,8 +32,15 @@ EdenMobile.factory('DataExport', [
         /**
          * SyncTask to
          * - export data from a database table
+         *
+         * @param {boolean} complete - export all records rather than
+         *                             only those which have been added or
+         *                             modified since last synchronization
+         *                             (e.g. for data packages)
          */
-        var DataExport = SyncTask.define(function() {
+        var DataExport = SyncTask.define(function(complete) {
+
+            this.complete = !!complete;
 
             // All LoadMaps for this task
             this.lookups = {
@@ -67,7 +74,9 @@ EdenMobile.factory('DataExport', [
 
         // --------------------------------------------------------------------
         /**
-         * Execute this data export; produces a DataUpload task
+         * Execute this data export; produces a DataUpload task, or - for
+         * complete exports - the S3JSON data and attached files as
+         * object {data: S3JSON, files: {fileName: fileURI}}
          */
         DataExport.prototype.execute = function() {
 
@@ -114,7 +123,10 @@ EdenMobile.factory('DataExport', [
                         }
                     }
 
-                    if (upload) {
+                    if (upload && self.complete) {
+                        // Resolve with the data and files
+                        self.resolve({data: jsonData, files: self.files});
+                    } else if (upload) {
                         // Generate the data upload task, then resolve
                         var dataUpload = new DataUpload(self.job, jsonData, self.files);
                         self.resolve(dataUpload);
@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('DataImport', [
-    '$q', 'emDB', 'emFiles', 'SyncTask',
-    function ($q, emDB, emFiles, SyncTask) {
+    '$q', 'emDB', 'emFiles', 'emSyncConflicts', 'SyncTask',
+    function ($q, emDB, emFiles, emSyncConflicts, SyncTask) {
 
         "use strict";
 
@@ -130,38 +130,41 @@ EdenMobile.factory('DataImport', [
                                 timeStamp = data.created_on;
                             }
 
-                            // Simplified NEWER-policy:
-                            // If...
+                            // Skip the import (=resolve without updating) if
                             // - the remote record age is unknown (=no timeStamp), or
                             // - the record has never been synchronized before and
-                            //   the remote record is older, or
+                            //   the remote record is older (simplified NEWER-policy), or
                             // - the remote record has not been modified since last
-                            //   sync, then
-                            // => skip the import (=resolve without updating)
+                            //   sync
                             if (!timeStamp ||
                                 !synchronizedOn && timeStamp < modifiedOn ||
-                                timeStamp <= synchronizedOn) {
+                                synchronizedOn && timeStamp <= synchronizedOn) {
                                 self.resolve(recordID);
                                 return;
                             }
 
-                            // Set synchronized_on to now
-                            data.synchronized_on = new Date();
-                            data.em_incomplete = false;
-                            table.where(table.$('id').equals(recordID)).update(data,
-                                function(numRowsAffected) {
-                                    if (numRowsAffected) {
-                                        self.resolve(recordID);
-                                    } else {
-                                        self.reject('error updating record');
-                                    }
-                                });
+                            if (synchronizedOn && modifiedOn > synchronizedOn) {
+                                // Record has also been modified locally
+                                // since last sync
+                                return self.resolveConflict(table, original, timeStamp);
+                            }
+
+                            self.update(table, recordID, data);
 
                         } else {
                             // Create new record
 
-                            // Set synchronized_on to now
-                            data.synchronized_on = new Date();
+                            // Set synchronized_on to now, unless imported
+                            // from a data package (=never synchronized on
+                            // this device, so that it can still be uploaded)
+                            if (self.job.mode != 'import') {
+                                data.synchronized_on = new Date();
+                            }
+
+                            // Imported records have no local author
+                            if (table.fields.created_by) {
+                                data.created_by = data.modified_by = null;
+                            }
 
                             table.insert(data,
                                 function(insertID) {
@@ -180,6 +183,90 @@ EdenMobile.factory('DataImport', [
             });
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Update an existing local record with the imported data
+         *
+         * @param {Table} table - the Table
+         * @param {integer} recordID - the local record ID
+         * @param {object} data - the imported record data
+         */
+        DataImport.prototype.update = function(table, recordID, data) {
+
+            var self = this;
+
+            emSyncConflicts.acceptRemote(table, recordID, data).then(
+                function(numRowsAffected) {
+                    if (numRowsAffected) {
+                        self.resolve(recordID);
+                    } else {
+                        self.reject('error updating record');
+                    }
+                },
+                function() {
+                    self.reject('error updating record');
+                });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Resolve a conflict between the imported data and a local record
+         * that has been modified after the last synchronization, according
+         * to the conflict policy for the table (see emSyncConflicts)
+         *
+         * @param {Table} table - the Table
+         * @param {object} original - the local record (from Table.identify)
+         * @param {Date} timeStamp - the modification date of the remote record
+         *
+         * @returns {promise} - a promise that is resolved when the conflict
+         *                      has been recorded
+         */
+        DataImport.prototype.resolveConflict = function(table, original, timeStamp) {
+
+            var self = this,
+                data = this.record.data,
+                recordID = original.id,
+                policy = emSyncConflicts.policy(table),
+                resolution;
+
+            switch(policy) {
+                case 'server':
+                case 'local':
+                    resolution = policy;
+                    break;
+                case 'ask':
+                    // Leave unresolved, keep local record as-is
+                    resolution = null;
+                    break;
+                default:
+                    // Newest wins
+                    if (original.modified_on && timeStamp <= original.modified_on) {
+                        resolution = 'local';
+                    } else {
+                        resolution = 'server';
+                    }
+                    break;
+            }
+
+            return emSyncConflicts.record(table, original, data, policy, resolution).then(function() {
+                switch(resolution) {
+                    case 'server':
+                        self.update(table, recordID, data);
+                        break;
+                    case 'local':
+                        emSyncConflicts.keepLocal(table, recordID, timeStamp).finally(function() {
+                            self.resolve(recordID);
+                        });
+                        break;
+                    default:
+                        self.resolve(recordID);
+                        break;
+                }
+            }, function(error) {
+                self.reject(error || 'error recording sync conflict');
+            });
+        };
+
         // --------------------------------------------------------------------
         /**
          * Add a pending foreign key
@@ -24,14 +24,95 @@
  */
 
 EdenMobile.factory('DataUpload', [
-    '$q', 'emDB', 'emServer', 'SyncTask',
-    function ($q, emDB, emServer, SyncTask) {
+    '$q', '$timeout', 'emConfig', 'emDB', 'emServer', 'SyncTask',
+    function ($q, $timeout, emConfig, emDB, emServer, SyncTask) {
 
         "use strict";
 
+        // Default number of records per upload batch
+        var defaultBatchSize = 20;
+
+        // Back-off for rejected records: the retry delay (milliseconds)
+        // doubles with every attempt, up to maxRetryDelay; rejected records
+        // are retried within the current upload as long as the delay does
+        // not exceed maxRetryWait, otherwise during a later upload
+        var retryDelay = 2000,
+            maxRetryDelay = 86400000,
+            maxRetryWait = 10000;
+
+        // --------------------------------------------------------------------
+        /**
+         * Index the items in an S3JSON object by table name and UUID
+         *
+         * @param {object} data - the S3JSON object
+         *
+         * @returns {object} - the index, format {tableName: {uuid: item}}
+         */
+        var indexItems = function(data) {
+
+            var index = {},
+                items,
+                addItem = function(item) {
+                    var uuid = item['@uuid'];
+                    if (uuid) {
+                        items[uuid] = item;
+                    }
+                };
+
+            for (var key in data) {
+                if (key.slice(0, 2) == '$_') {
+                    items = {};
+                    data[key].forEach(addItem);
+                    index[key.slice(2)] = items;
+                }
+            }
+            return index;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Collect the references and file names in an S3JSON item
+         * (including its components)
+         *
+         * @param {object} item - the S3JSON item
+         * @param {Array} references - array to add the references to,
+         *                             format [[tableName, uuid], ...]
+         * @param {Array} fileNames - array to add the file names to
+         */
+        var collectReferences = function(item, references, fileNames) {
+
+            var value,
+                addComponent = function(component) {
+                    collectReferences(component, references, fileNames);
+                };
+
+            for (var key in item) {
+
+                value = item[key];
+                if (!value || typeof value != 'object') {
+                    continue;
+                }
+
+                if (key.slice(0, 3) == '$k_') {
+                    if (value['@uuid']) {
+                        references.push([value['@resource'], value['@uuid']]);
+                    }
+                } else if (key.slice(0, 2) == '$_') {
+                    value.forEach(addComponent);
+                } else if (value['@filename']) {
+                    fileNames.push(value['@filename']);
+                }
+            }
+        };
+
+        // ====================================================================
         /**
          * SyncTask to
-         * - upload data to the server
+         * - upload data to the server, in batches
+         *
+         * The batch plan and the retry queue for rejected records are
+         * stored in the em_upload table, so that an interrupted upload
+         * can be resumed with the next unsent batch
          *
          * @param {object} data - the S3JSON data to send
          * @param {array} files - array of file URIs to attach
@@ -40,29 +121,372 @@ EdenMobile.factory('DataUpload', [
 
             this.data = data;
             this.files = files;
+
+            // Items by table name and UUID
+            this.index = indexItems(data);
+
+            // UUIDs of items accepted by the server
+            this.accepted = {};
+
+            // The upload state (see loadState)
+            this.state = null;
         });
 
         // --------------------------------------------------------------------
         /**
          * Execute the data upload
+         */
+        DataUpload.prototype.execute = function() {
+
+            var self = this;
+
+            $q.all([this.getBatchSize(), this.loadState()]).then(function(results) {
+
+                self.plan(results[0]);
+
+                return self.saveState().then(function() {
+                    return self.sendBatches();
+                }).then(function() {
+                    return self.retryRejected();
+                });
+
+            }).then(function() {
+                self.resolve();
+            }, function(error) {
+                self.reject(error);
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the configured batch size
+         *
+         * @returns {promise} - a promise that resolves into the batch size
+         */
+        DataUpload.prototype.getBatchSize = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+                var batchSize = parseInt(settings.get('sync.uploadBatchSize'), 10);
+                if (isNaN(batchSize) || batchSize < 1) {
+                    batchSize = defaultBatchSize;
+                }
+                deferred.resolve(batchSize);
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Load the upload state for the table (and the user whose records
+         * are uploaded, if any) from the database, sets this.state as
+         * {id, batches, next_batch, retry}
          *
          * @returns {promise} - a promise that is resolved when the
-         *                      upload is complete
+         *                      state has been loaded
          */
-        DataUpload.prototype.execute = function() {
+        DataUpload.prototype.loadState = function() {
 
-            var deferred = $q.defer(),
+            var tableName = this.job.tableName,
+                username = this.job.user || null,
+                self = this;
+
+            return emDB.table('em_upload').then(function(table) {
+
+                var deferred = $q.defer(),
+                    fields = ['id', 'batches', 'next_batch', 'retry'];
+
+                table.where(table.$('tablename').equals(tableName)
+                                 .and(table.$('username').is(username)))
+                     .select(fields, {limitby: 1}, function(rows) {
+
+                    var state = {
+                        id: null,
+                        batches: [],
+                        next_batch: 0,
+                        retry: {}
+                    };
+                    if (rows.length) {
+                        var record = rows[0]._();
+                        state.id = record.id;
+                        state.batches = record.batches || [];
+                        state.next_batch = record.next_batch || 0;
+                        state.retry = record.retry || {};
+                    }
+                    self.state = state;
+
+                    deferred.resolve();
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Save the upload state for the table; removes it when there are
+         * neither unsent batches nor records waiting for retry
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      state has been saved
+         */
+        DataUpload.prototype.saveState = function() {
+
+            var tableName = this.job.tableName,
+                username = this.job.user || null,
+                state = this.state,
+                pending = state.next_batch < state.batches.length ||
+                          Object.keys(state.retry).length > 0;
+
+            return emDB.table('em_upload').then(function(table) {
+
+                var deferred = $q.defer(),
+                    onSuccess = function() {
+                        deferred.resolve();
+                    },
+                    onError = function(error) {
+                        deferred.reject(error);
+                    };
+
+                if (!pending) {
+                    state.id = null;
+                    table.where(table.$('tablename').equals(tableName)
+                                     .and(table.$('username').is(username)))
+                         .delete(onSuccess, onError);
+                } else {
+                    var data = {
+                        tablename: tableName,
+                        username: username,
+                        batches: state.batches,
+                        next_batch: state.next_batch,
+                        retry: state.retry,
+                        updated_on: new Date()
+                    };
+                    if (state.id) {
+                        table.where(table.$('id').equals(state.id))
+                             .update(data, onSuccess, onError);
+                    } else {
+                        table.insert(data, function(insertID) {
+                            state.id = insertID;
+                            deferred.resolve();
+                        }, onError);
+                    }
+                }
+
+                return deferred.promise;
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Plan the upload batches: unsent batches of a previous (interrupted)
+         * upload first, then all other records; records waiting for retry
+         * are deferred until their next attempt is due
+         *
+         * @param {integer} batchSize - the maximum number of records per batch
+         */
+        DataUpload.prototype.plan = function(batchSize) {
+
+            var state = this.state,
+                retry = state.retry,
+                items = this.index[this.job.tableName] || {},
+                now = new Date().getTime(),
+                planned = {},
+                batches = [],
+                batch,
+                uuid;
+
+            // Drop retry entries for records which are no longer pending
+            for (uuid in retry) {
+                if (!items.hasOwnProperty(uuid)) {
+                    delete retry[uuid];
+                }
+            }
+
+            var isDue = function(uuid) {
+                var entry = retry[uuid];
+                return !entry || entry[1] <= now;
+            };
+            var include = function(uuid) {
+                if (items.hasOwnProperty(uuid) && !planned[uuid] && isDue(uuid)) {
+                    planned[uuid] = true;
+                    return true;
+                }
+                return false;
+            };
+
+            // Resume with the unsent batches of a previous upload
+            state.batches.slice(state.next_batch).forEach(function(uuids) {
+                batch = uuids.filter(include);
+                if (batch.length) {
+                    batches.push(batch);
+                }
+            });
+
+            // Add new batches for all other records
+            batch = [];
+            for (uuid in items) {
+                if (include(uuid)) {
+                    batch.push(uuid);
+                    if (batch.length >= batchSize) {
+                        batches.push(batch);
+                        batch = [];
+                    }
+                }
+            }
+            if (batch.length) {
+                batches.push(batch);
+            }
+
+            state.batches = batches;
+            state.next_batch = 0;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Send all unsent batches, one after another; updates the upload
+         * state after each batch
+         *
+         * @returns {promise} - a promise that is resolved when all batches
+         *                      have been sent, or rejected when a batch
+         *                      could not be sent
+         */
+        DataUpload.prototype.sendBatches = function() {
+
+            var state = this.state,
+                batches = state.batches,
+                current = state.next_batch,
                 self = this;
 
+            if (current >= batches.length) {
+                return $q.resolve();
+            }
+
+            this.progress('batch ' + (current + 1) + '/' + batches.length);
+
+            return this.send(batches[current]).then(function() {
+                state.next_batch = current + 1;
+                return self.saveState();
+            }).then(function() {
+                return self.sendBatches();
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Retry records rejected by the server, as long as their next
+         * attempt is due within maxRetryWait
+         *
+         * @returns {promise} - a promise that is resolved when all due
+         *                      retries have been sent
+         */
+        DataUpload.prototype.retryRejected = function() {
+
+            var retry = this.state.retry,
+                now = new Date().getTime(),
+                nextAttempt,
+                due = now,
+                uuids = [],
+                self = this;
+
+            for (var uuid in retry) {
+                if (this.accepted[uuid]) {
+                    continue;
+                }
+                nextAttempt = retry[uuid][1];
+                if (nextAttempt - now <= maxRetryWait) {
+                    uuids.push(uuid);
+                    due = Math.max(due, nextAttempt);
+                }
+            }
+
+            if (!uuids.length) {
+                return $q.resolve();
+            }
+
+            this.progress('retrying ' + uuids.length + ' rejected');
+
+            return $timeout(angular.noop, due - now).then(function() {
+                return self.send(uuids);
+            }).then(function() {
+                return self.saveState();
+            }).then(function() {
+                return self.retryRejected();
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Send a batch of records to the server, including all referenced
+         * records and files that have not been accepted by the server yet
+         *
+         * @param {Array} uuids - the UUIDs of the records in the batch
+         *
+         * @returns {promise} - a promise that is resolved when the server
+         *                      has processed the batch
+         */
+        DataUpload.prototype.send = function(uuids) {
+
+            var index = this.index,
+                accepted = this.accepted,
+                allFiles = this.files,
+                jsonData = {},
+                files = {},
+                included = {},
+                empty = true;
+
+            // Helper to add an item and its dependencies
+            var addItem = function(tableName, uuid) {
+
+                var items = index[tableName],
+                    item = items && items[uuid];
+                if (!item || included[uuid] || accepted[uuid]) {
+                    return;
+                }
+                included[uuid] = true;
+                empty = false;
+
+                var key = '$_' + tableName;
+                if (!jsonData.hasOwnProperty(key)) {
+                    jsonData[key] = [];
+                }
+                jsonData[key].push(item);
+
+                var references = [],
+                    fileNames = [];
+                collectReferences(item, references, fileNames);
+
+                fileNames.forEach(function(fileName) {
+                    if (allFiles.hasOwnProperty(fileName)) {
+                        files[fileName] = allFiles[fileName];
+                    }
+                });
+                references.forEach(function(reference) {
+                    addItem(reference[0], reference[1]);
+                });
+            };
+
+            var tableName = this.job.tableName;
+            uuids.forEach(function(uuid) {
+                addItem(tableName, uuid);
+            });
+
+            if (empty) {
+                return $q.resolve();
+            }
+
             // Collect the attachments
-            var files = this.files,
-                fileHooks = [];
+            var fileHooks = [];
             for (var fileName in files) {
                 fileHooks.push([fileName, files[fileName]]);
             }
 
             // Prepare data for upload
-            var uploadData = JSON.stringify(this.data);
+            var uploadData = JSON.stringify(jsonData);
             if (fileHooks.length) {
                 uploadData = {
                     'data.s3json': uploadData,
@@ -78,18 +502,36 @@ EdenMobile.factory('DataUpload', [
             ref.v.ignore_errors = 'True';
 
             // Upload
-            emServer.postData(ref, uploadData,
+            var deferred = $q.defer(),
+                self = this;
+
+            emServer.postData(ref, uploadData, this.job.user,
                 function(response) {
-                    self.updateSyncDate(response);
-                    self.resolve();
+                    self.updateSyncDate(response, jsonData);
+                    deferred.resolve();
                 },
                 function(error) {
-                    self.reject(emServer.parseServerError(error));
+                    deferred.reject(emServer.parseServerError(error));
                 });
 
             return deferred.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Report the current upload activity to the sync run
+         *
+         * @param {string} activity - the activity
+         */
+        DataUpload.prototype.progress = function(activity) {
+
+            var run = this.run;
+            if (run) {
+                run.currentActivity = this.job.resourceName + ': ' + activity;
+                run.checkProgress();
+            }
+        };
+
         // --------------------------------------------------------------------
         /**
          * Find the rejected items in the error tree returned from server
@@ -195,23 +637,47 @@ EdenMobile.factory('DataUpload', [
 
         // --------------------------------------------------------------------
         /**
-         * Identify accepted objects and update their synchronized_on
+         * Identify accepted objects and update their synchronized_on;
+         * schedule rejected records for retry
          *
          * @param {object} response - the response object from the server
+         * @param {object} data - the S3JSON object sent to the server
          *
          * @todo: extend for component support
          */
-        DataUpload.prototype.updateSyncDate = function(response) {
+        DataUpload.prototype.updateSyncDate = function(response, data) {
 
             var errorTree = response.tree,
                 rejected = this.rejectedItems({}, errorTree),
-                accepted = this.acceptedItems({}, rejected, this.data);
+                accepted = this.acceptedItems({}, rejected, data),
+                acceptedItems = this.accepted,
+                tableName;
 
             // Set synchronized_on for accepted items
             var now = new Date();
-            for (var tableName in accepted) {
+            for (tableName in accepted) {
+                accepted[tableName].forEach(function(uuid) {
+                    acceptedItems[uuid] = true;
+                });
                 this.setSyncDate(tableName, accepted[tableName], now);
             }
+
+            // Update the retry queue
+            tableName = this.job.tableName;
+
+            var retry = this.state.retry;
+            (accepted[tableName] || []).forEach(function(uuid) {
+                delete retry[uuid];
+            });
+
+            var rejectedItems = rejected[tableName] || {},
+                attempts,
+                delay;
+            for (var uuid in rejectedItems) {
+                attempts = retry[uuid] ? retry[uuid][0] + 1 : 1;
+                delay = Math.min(retryDelay * Math.pow(2, attempts - 1), maxRetryDelay);
+                retry[uuid] = [attempts, now.getTime() + delay, rejectedItems[uuid]];
+            }
         };
 
         // --------------------------------------------------------------------
@@ -0,0 +1,66 @@
+/**
+ * Sahana Eden Mobile - File Extract (SyncTask)
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+EdenMobile.factory('FileExtract', [
+    'emFiles', 'SyncTask',
+    function (emFiles, SyncTask) {
+
+        "use strict";
+
+        /**
+         * SyncTask to extract an attached file from a data package
+         *
+         * @param {string} fileName - the file name (as referenced in the
+         *                            S3JSON data of the package)
+         * @param {Uint8Array} data - the file contents
+         */
+        var FileExtract = SyncTask.define(function(fileName, data) {
+
+            this.fileName = fileName;
+            this.data = data;
+
+            this.run.provide(this, null, null, fileName);
+        });
+
+        // --------------------------------------------------------------------
+        /**
+         * Execute this task
+         */
+        FileExtract.prototype.execute = function() {
+
+            var self = this,
+                blob = new Blob([this.data], {type: 'application/octet-stream'});
+
+            emFiles.createTempFile(this.fileName, blob, function(fileURI) {
+                self.resolve(fileURI);
+            });
+        };
+
+        // ====================================================================
+        // Return the constructor
+        //
+        return FileExtract;
+    }
+]);
@@ -34,7 +34,8 @@ EdenMobile.factory('SyncJob', [
          *
          * @param {SyncRun} run - the sync run this job belongs to
          * @param {string} type - Job type: 'form'|'data'
-         * @param {string} mode - Synchronization mode: 'pull'|'push'|'both'
+         * @param {string} mode - Synchronization mode: 'pull'|'push'|'both',
+         *                        or 'export'|'import' for data packages
          * @param {string} tableName - the table name
          * @param {object} ref - reference details to construct the server URL
          *                       to access the form or data, object
@@ -45,7 +46,7 @@ EdenMobile.factory('SyncJob', [
             this.run = run;
 
             this.type = type;   // form || data
-            this.mode = mode;   // pull || push
+            this.mode = mode;   // pull || push || export || import
 
             this.resourceName = resourceName;
             this.tableName = tableName;
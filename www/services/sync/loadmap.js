@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('LoadMap', [
-    '$q', 'emComponents', 'emDB', 'emS3JSON',
-    function ($q, emComponents, emDB, emS3JSON) {
+    '$q', 'emComponents', 'emDB', 'emS3JSON', 'emSyncConflicts',
+    function ($q, emComponents, emDB, emS3JSON, emSyncConflicts) {
 
         "use strict";
 
@@ -469,6 +469,7 @@ EdenMobile.factory('LoadMap', [
                 loadMap,
                 addComponentItem,
                 hasParent,
+                query,
                 key;
 
             var table = tables[this.tableName],
@@ -508,19 +509,20 @@ EdenMobile.factory('LoadMap', [
                     hasParent = lkey.in(masterIDs);
                 }
 
-                // Extract all relevant links
-                link.join(component.on(fkey.equals(rkey))).where(
-                    allOf(
-                        not(link.$('id').in(Object.keys(loadMap.items))),
-                        hasParent,
-                        anyOf(
-                            linkSynchronizedOn.is(null),
-                            linkSynchronizedOn.lessThan(linkModifiedOn),
-                            synchronizedOn.is(null),
-                            synchronizedOn.lessThan(modifiedOn)
-                        )
-                    )
-                ).select(fields, function(rows) {
+                // Extract all relevant links (complete exports: all links)
+                query = allOf(
+                    not(link.$('id').in(Object.keys(loadMap.items))),
+                    hasParent
+                );
+                if (!task.complete) {
+                    query = query.and(anyOf(
+                        linkSynchronizedOn.is(null),
+                        linkSynchronizedOn.lessThan(linkModifiedOn),
+                        synchronizedOn.is(null),
+                        synchronizedOn.lessThan(modifiedOn)
+                    ));
+                }
+                link.join(component.on(fkey.equals(rkey))).where(query).select(fields, function(rows) {
                     rows.forEach(function(row) {
                         self.pendingComponents.push(addComponentItem(row));
                     });
@@ -551,17 +553,19 @@ EdenMobile.factory('LoadMap', [
                     hasParent = fkey.in(masterIDs);
                 }
 
-                // Extract all relevant component records
-                component.where(
-                    allOf(
-                        not(component.$('id').in(Object.keys(loadMap.items))),
-                        hasParent,
-                        anyOf(
-                            synchronizedOn.is(null),
-                            synchronizedOn.lessThan(modifiedOn)
-                        )
-                    )
-                ).select(fields, function(rows) {
+                // Extract all relevant component records (complete
+                // exports: all component records)
+                query = allOf(
+                    not(component.$('id').in(Object.keys(loadMap.items))),
+                    hasParent
+                );
+                if (!task.complete) {
+                    query = query.and(anyOf(
+                        synchronizedOn.is(null),
+                        synchronizedOn.lessThan(modifiedOn)
+                    ));
+                }
+                component.where(query).select(fields, function(rows) {
                     rows.forEach(function(row) {
                         self.pendingComponents.push(addComponentItem(row));
                     });
@@ -646,6 +650,33 @@ EdenMobile.factory('LoadMap', [
             return query;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Get the query to select the records of the user whose records
+         * are uploaded by the current job (see SyncRun.splitByAuthor)
+         *
+         * @param {Table} table - the table
+         *
+         * @returns {Expression} - the query, or undefined if the job is
+         *                         not restricted to a user
+         */
+        LoadMap.prototype.authorQuery = function(table) {
+
+            var job = this.task.job,
+                user = job.user,
+                createdBy = table.fields.created_by && table.$('created_by');
+
+            if (this.task.complete || user === undefined || !createdBy) {
+                return undefined;
+            }
+            if (user) {
+                return createdBy.is(user);
+            } else {
+                // Records without author, or of users without account
+                return createdBy.is(null).or(createdBy.in(job.users).not());
+            }
+        };
+
         // --------------------------------------------------------------------
         /**
          * Determine the export fields for a table
@@ -720,6 +751,15 @@ EdenMobile.factory('LoadMap', [
 
                 $q.when(componentsLoaded).then(function() {
 
+                    // Records with unresolved conflicts must not be uploaded
+                    // (complete exports contain the local version though)
+                    if (task.complete) {
+                        return [];
+                    }
+                    return emSyncConflicts.unresolved(self.tableName);
+
+                }).then(function(conflicted) {
+
                     // Which fields to extract?
                     var fields = Object.keys(self.requiredItems),
                         exportFields = self.exportFields(table);
@@ -736,10 +776,19 @@ EdenMobile.factory('LoadMap', [
                         requiredUIDs = Object.keys(self.pending),
                         synchronizedOn = table.$('synchronized_on'),
                         modifiedOn = table.$('modified_on'),
+                        unsynchronized;
+                    if (task.complete) {
+                        // Complete export: all records which are complete
+                        unsynchronized = table.$('em_incomplete').is(false);
+                    } else {
                         unsynchronized = allOf(
                             table.$('em_incomplete').is(false),
                             synchronizedOn.is(null).or(synchronizedOn.lessThan(modifiedOn))
                         );
+                    }
+                    if (conflicted.length) {
+                        unsynchronized = unsynchronized.and(table.$('id').in(conflicted).not());
+                    }
 
                     if (all) {
                         // Initial load of primary table:
@@ -750,6 +799,11 @@ EdenMobile.factory('LoadMap', [
                         } else {
                             query = unsynchronized;
                         }
+                        // Upload per user: only records of that user
+                        var author = self.authorQuery(table);
+                        if (author) {
+                            query = query.and(author);
+                        }
                     } else {
                         // Implicit load of referenced table:
                         // => load all referenced records which have updates,
@@ -773,7 +827,7 @@ EdenMobile.factory('LoadMap', [
                                 var record = row._(),
                                     recordID = record.id;
 
-                                if (!table.lookupOnly || hasComponents) {
+                                if (!table.lookupOnly || hasComponents || task.complete) {
                                     // Add en export item
                                     self.addItem(table, record, exportFields);
                                 } else {
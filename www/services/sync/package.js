@@ -0,0 +1,544 @@
+/**
+ * Sahana Eden Mobile - Data Packages
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emPackage - Service to export and import data packages, i.e. archives
+ *             with schemas, data and attached files of resources, to
+ *             transfer data between devices without a Sahana server
+ *
+ * Package contents (ZIP archive, see emZip):
+ *  - manifest.json     the package manifest: format, version, creation
+ *                      date and the resources contained in the package
+ *  - schemas.json      the schemas of all tables (including components and
+ *                      look-up tables) in order of installation,
+ *                      [{tableName: string, schema: object}, ...]
+ *  - data.json         the data in S3JSON format (as for uploads to the
+ *                      server)
+ *  - files/...         files attached to records (upload-fields)
+ *  - images/...        images used in forms (e.g. image widgets)
+ *
+ * @class emPackage
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emPackage', [
+    '$q', 'emDB', 'emExport', 'emFiles', 'emResources', 'emUtils', 'emZip',
+    'DataExport', 'SyncJob', 'SyncRun',
+    function ($q, emDB, emExport, emFiles, emResources, emUtils, emZip,
+              DataExport, SyncJob, SyncRun) {
+
+        "use strict";
+
+        var packageFormat = 'eden-mobile-package',
+            packageVersion = 1;
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the names of the user tables referenced by a table
+         *
+         * @param {Table} table - the Table
+         *
+         * @returns {Array} - the names of the referenced tables
+         */
+        var lookupTables = function(table) {
+
+            var tableNames = [],
+                fields = table.fields,
+                reference,
+                lookupTable;
+
+            for (var fieldName in fields) {
+                reference = emUtils.getReference(fields[fieldName].type);
+                if (reference) {
+                    lookupTable = reference[1];
+                    if (lookupTable &&
+                        lookupTable != table.name &&
+                        lookupTable.slice(0, 3) != 'em_' &&
+                        tableNames.indexOf(lookupTable) == -1) {
+                        tableNames.push(lookupTable);
+                    }
+                }
+            }
+            return tableNames;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Determine all tables required for a set of resources (including
+         * component, link and look-up tables), in order of installation
+         *
+         * @param {object} tables - all known tables, {tableName: Table}
+         * @param {Array} resources - the Resources
+         *
+         * @returns {Array} - the table names, look-up tables first
+         */
+        var requiredTables = function(tables, resources) {
+
+            var sorted = [],
+                visiting = {};
+
+            var visit = function(tableName) {
+
+                var table = tables[tableName];
+                if (!table || visiting[tableName]) {
+                    return;
+                }
+                visiting[tableName] = true;
+
+                // Look-up tables first
+                lookupTables(table).forEach(visit);
+
+                if (sorted.indexOf(tableName) == -1) {
+                    sorted.push(tableName);
+                }
+
+                // Then components and link tables
+                var resourceName,
+                    components,
+                    alias;
+                for (resourceName in table.resources) {
+                    components = table.resources[resourceName].settings.components;
+                    for (alias in components) {
+                        if (components[alias].link) {
+                            visit(components[alias].link);
+                        }
+                        visit(components[alias].table);
+                    }
+                }
+            };
+
+            resources.forEach(function(resource) {
+                visit(resource.tableName);
+            });
+
+            return sorted;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the schema of a resource (in the format expected by
+         * emResources.install), collecting the images it uses
+         *
+         * @param {Resource} resource - the Resource
+         * @param {object} images - the images to include in the package,
+         *                          {entryName: fileURI}, will be updated
+         *
+         * @returns {object} - the schema
+         */
+        var resourceSchema = function(resource, images) {
+
+            var schema = {},
+                fields = resource.fields,
+                settings = resource.settings || {},
+                description,
+                image,
+                entryName,
+                key;
+
+            for (var fieldName in fields) {
+                if (fields[fieldName].meta) {
+                    continue;
+                }
+                description = angular.copy(fields[fieldName].description());
+
+                // Replace local image URIs by the entry name in the package
+                image = description.settings && description.settings.image;
+                if (image && image.file) {
+                    entryName = 'images/' + image.file.split('/').pop();
+                    images[entryName] = image.file;
+                    image.file = entryName;
+                }
+                schema[fieldName] = description;
+            }
+
+            for (key in settings) {
+                schema['_' + key] = angular.copy(settings[key]);
+            }
+
+            schema._name = resource.name;
+            schema._controller = resource.controller;
+            schema._function = resource.function;
+            schema._main = resource.main;
+
+            return schema;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Merge S3JSON data, skipping items which are already present
+         * (e.g. look-up records referenced by multiple resources)
+         *
+         * @param {object} target - the target S3JSON object, will be updated
+         * @param {object} data - the S3JSON object to merge into the target
+         */
+        var mergeData = function(target, data) {
+
+            var known = function(items) {
+                var uuids = {};
+                items.forEach(function(item) {
+                    uuids[item['@uuid']] = true;
+                });
+                return uuids;
+            };
+
+            var key,
+                items,
+                uuids;
+
+            for (key in data) {
+                items = target[key];
+                if (!items) {
+                    target[key] = data[key].slice(0);
+                } else {
+                    uuids = known(items);
+                    data[key].forEach(function(item) {
+                        if (!uuids[item['@uuid']]) {
+                            items.push(item);
+                        }
+                    });
+                }
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Export the data of a resource
+         *
+         * @param {SyncRun} run - the SyncRun to log the export with
+         * @param {Resource} resource - the Resource
+         *
+         * @returns {promise} - a promise that resolves into the S3JSON data
+         *                      and attached files of the resource,
+         *                      {data: S3JSON, files: {fileName: fileURI}},
+         *                      or undefined if there is no data to export
+         */
+        var exportData = function(run, resource) {
+
+            var job = new SyncJob(run,
+                                  'data',
+                                  'export',
+                                  resource.name,
+                                  resource.tableName,
+                                  null);
+            run.jobs.push(job);
+
+            return new DataExport(job, true).done().then(
+                function(result) {
+                    job.result('success');
+                    return result;
+                },
+                function(error) {
+                    job.result('error', error);
+                    return $q.reject(error);
+                });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read files into archive entries; files which can not be read
+         * are skipped
+         *
+         * @param {object} files - the files, {entryName: fileURI}
+         *
+         * @returns {promise} - a promise that resolves into an array of
+         *                      archive entries, [{name, data}]
+         */
+        var readFiles = function(files) {
+
+            return $q.all(Object.keys(files).map(function(entryName) {
+
+                var deferred = $q.defer();
+
+                emFiles.readFile(files[entryName],
+                    function(fileName, buffer) {
+                        deferred.resolve({
+                            name: entryName,
+                            data: new Uint8Array(buffer)
+                        });
+                    },
+                    function() {
+                        deferred.resolve(null);
+                    });
+
+                return deferred.promise;
+
+            })).then(function(entries) {
+                return entries.filter(function(entry) {
+                    return !!entry;
+                });
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Read and validate a data package
+         *
+         * @param {string} fileURI - the URI of the package file
+         *
+         * @returns {promise} - a promise that resolves into the package
+         *                      contents, {resources: [{name, tableName}],
+         *                                 schemas: [{tableName, schema}],
+         *                                 data: S3JSON,
+         *                                 files: {fileName: Uint8Array},
+         *                                 images: {entryName: Uint8Array}}
+         */
+        var readPackage = function(fileURI) {
+
+            var deferred = $q.defer();
+
+            emFiles.readFile(fileURI,
+                function(fileName, buffer) {
+
+                    var pkg;
+                    try {
+                        var entries = emZip.read(buffer),
+                            json = function(entryName) {
+                                var entry = entries[entryName];
+                                if (!entry) {
+                                    throw new Error('Missing ' + entryName);
+                                }
+                                return JSON.parse(emZip.text(entry));
+                            };
+
+                        var manifest = json('manifest.json');
+                        if (manifest.format != packageFormat) {
+                            throw new Error('Not a data package');
+                        }
+                        if (manifest.version > packageVersion) {
+                            throw new Error('Unsupported package version: ' + manifest.version);
+                        }
+
+                        pkg = {
+                            resources: manifest.resources || [],
+                            schemas: json('schemas.json'),
+                            data: json('data.json'),
+                            files: {},
+                            images: {}
+                        };
+
+                        for (var entryName in entries) {
+                            if (entryName.slice(0, 6) == 'files/') {
+                                pkg.files[entryName.slice(6)] = entries[entryName];
+                            } else if (entryName.slice(0, 7) == 'images/') {
+                                pkg.images[entryName] = entries[entryName];
+                            }
+                        }
+                    } catch(e) {
+                        deferred.reject(e.message);
+                        return;
+                    }
+                    deferred.resolve(pkg);
+                },
+                function() {
+                    deferred.reject('Can not read package file');
+                });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Store the images of a package in the images-folder, and update
+         * the image references in the schemas accordingly
+         *
+         * @param {object} pkg - the package contents (from readPackage)
+         *
+         * @returns {promise} - a promise that is resolved when all images
+         *                      have been stored
+         */
+        var storeImages = function(pkg) {
+
+            var imageURIs = {};
+
+            var pending = Object.keys(pkg.images).map(function(entryName) {
+
+                var deferred = $q.defer(),
+                    blob = new Blob([pkg.images[entryName]], {type: 'application/octet-stream'});
+
+                emFiles.createImageFile(entryName.slice(7), blob, function(fileURI) {
+                    imageURIs[entryName] = fileURI;
+                    deferred.resolve();
+                });
+
+                return deferred.promise;
+            });
+
+            return $q.all(pending).then(function() {
+
+                pkg.schemas.forEach(function(item) {
+
+                    var schema = item.schema,
+                        description,
+                        image;
+
+                    for (var key in schema) {
+                        description = schema[key];
+                        image = key[0] != '_' && description.settings && description.settings.image;
+                        if (image && image.file) {
+                            if (imageURIs.hasOwnProperty(image.file)) {
+                                image.file = imageURIs[image.file];
+                            } else {
+                                delete image.file;
+                            }
+                        }
+                    }
+                });
+            });
+        };
+
+        // ====================================================================
+        // API
+        //
+        var api = {
+
+            /**
+             * Export a data package
+             *
+             * @param {Array} resourceNames - the names of the (main) resources
+             *                                to include in the package
+             *
+             * @returns {promise} - a promise that resolves into the URI
+             *                      of the package file
+             */
+            exportPackage: function(resourceNames) {
+
+                var run = new SyncRun([], []),
+                    resources;
+
+                return $q.all(resourceNames.map(function(resourceName) {
+                    return emResources.open(resourceName);
+                })).then(function(result) {
+
+                    resources = result.filter(function(resource) {
+                        return !!resource;
+                    });
+                    if (!resources.length) {
+                        return $q.reject('No resources to export');
+                    }
+
+                    return emDB.tables();
+
+                }).then(function(tables) {
+
+                    // Schemas (all resources of all required tables)
+                    var schemas = [],
+                        images = {};
+                    requiredTables(tables, resources).forEach(function(tableName) {
+                        var tableResources = tables[tableName].resources;
+                        for (var resourceName in tableResources) {
+                            schemas.push({
+                                tableName: tableName,
+                                schema: resourceSchema(tableResources[resourceName], images)
+                            });
+                        }
+                    });
+
+                    // Data and attached files
+                    var data = {},
+                        files = {};
+                    return $q.all(resources.map(function(resource) {
+                        return exportData(run, resource).then(function(result) {
+                            if (result) {
+                                mergeData(data, result.data);
+                                for (var fileName in result.files) {
+                                    files['files/' + fileName] = result.files[fileName];
+                                }
+                            }
+                        });
+                    })).then(function() {
+                        return readFiles(angular.extend(files, images));
+                    }).then(function(entries) {
+
+                        var manifest = {
+                            format: packageFormat,
+                            version: packageVersion,
+                            created: new Date().toISOString(),
+                            resources: resources.map(function(resource) {
+                                return {
+                                    name: resource.name,
+                                    tableName: resource.tableName
+                                };
+                            })
+                        };
+
+                        var archive = emZip.create([
+                            {name: 'manifest.json', data: JSON.stringify(manifest)},
+                            {name: 'schemas.json', data: JSON.stringify(schemas)},
+                            {name: 'data.json', data: JSON.stringify(data)}
+                        ].concat(entries));
+
+                        var fileName = 'package-' + emExport.fileTimeStamp() + '.zip';
+                        return emExport.writeFile(fileName, archive);
+                    });
+                });
+            },
+
+            /**
+             * Get a list of available package files (in the exports-folder)
+             *
+             * @returns {promise} - a promise that resolves into an array
+             *                      of files, [{name, fileURI}]
+             */
+            packageFiles: function() {
+
+                var deferred = $q.defer();
+
+                emFiles.listExportFiles(
+                    function(files) {
+                        deferred.resolve(files.filter(function(file) {
+                            return file.name.slice(-4).toLowerCase() == '.zip';
+                        }));
+                    },
+                    function(error) {
+                        deferred.reject(error);
+                    });
+
+                return deferred.promise;
+            },
+
+            /**
+             * Import a data package
+             *
+             * @param {string} fileURI - the URI of the package file
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      import has completed, and notified
+             *                      about the progress (like SyncRun.start)
+             */
+            importPackage: function(fileURI) {
+
+                return readPackage(fileURI).then(function(pkg) {
+                    return storeImages(pkg).then(function() {
+                        return new SyncRun([], []).importPackage(pkg);
+                    });
+                });
+            }
+        };
+
+        return api;
+    }
+]);
+
+// END ========================================================================
@@ -25,11 +25,11 @@
 
 EdenMobile.factory('SyncRun', [
     '$q', '$rootScope', '$timeout',
-    'emDB', 'emResources', 'emS3JSON',
-    'DataImport', 'DataExport', 'Dependency', 'FileDownload', 'SyncJob',
+    'emDB', 'emResources', 'emS3JSON', 'emUsers',
+    'DataImport', 'DataExport', 'Dependency', 'FileDownload', 'FileExtract', 'SyncJob',
     function ($q, $rootScope, $timeout,
-              emDB, emResources, emS3JSON,
-              DataImport, DataExport, Dependency, FileDownload, SyncJob) {
+              emDB, emResources, emS3JSON, emUsers,
+              DataImport, DataExport, Dependency, FileDownload, FileExtract, SyncJob) {
 
         "use strict";
 
@@ -103,6 +103,87 @@ EdenMobile.factory('SyncRun', [
             return deferred.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Start the SyncRun to import a data package (instead of
+         * synchronizing with the server)
+         *
+         * @param {object} pkg - the package contents (see emPackage),
+         *                       object {resources: [{name, tableName}],
+         *                               schemas: [{tableName, schema}],
+         *                               data: S3JSON,
+         *                               files: {fileName: Uint8Array}}
+         *
+         * @returns {promise} - a promise that is resolved when the import
+         *                      has completed
+         */
+        SyncRun.prototype.importPackage = function(pkg) {
+
+            if (this.isFinalized) {
+                throw new Error('SyncRun already finalized');
+            }
+            if (this.completion !== undefined) {
+                // already running
+                return this.completion.promise;
+            }
+
+            var deferred = $q.defer();
+            this.completion = deferred;
+
+            this.stage = null;
+            this.currentActivity = null;
+            this.currentQueue = null;
+
+            // One import job per resource in the package
+            pkg.resources.forEach(function(resource) {
+                this.jobs.push(new SyncJob(
+                    this,
+                    'data',
+                    'import',
+                    resource.name,
+                    resource.tableName,
+                    null
+                ));
+            }, this);
+
+            var self = this,
+                jobs = this.jobs;
+
+            this.installSchemas(pkg.schemas).then(function() {
+
+                return $q.all(jobs.map(function(job) {
+                    return self.createDataImports(job,
+                                                  job.tableName,
+                                                  pkg.data,
+                                                  pkg.files);
+                }));
+
+            }).then(function(results) {
+
+                return self.importData([].concat.apply([], results));
+
+            }).then(
+                function() {
+                    jobs.forEach(function(job) {
+                        if (!job.$result) {
+                            job.result('success');
+                        }
+                    });
+                },
+                function(error) {
+                    jobs.forEach(function(job) {
+                        if (!job.$result) {
+                            job.result('error', error);
+                        }
+                    });
+                }
+            ).finally(function() {
+                self.finalize();
+            });
+
+            return deferred.promise;
+        };
+
         // --------------------------------------------------------------------
         /**
          * Finalize this run
@@ -463,11 +544,95 @@ EdenMobile.factory('SyncRun', [
             }
 
             var self = this;
-            return this.exportData(jobs).then(function(uploads) {
+            return this.splitByAuthor(jobs).then(function(jobs) {
+                return self.exportData(jobs);
+            }).then(function(uploads) {
                return self.uploadData(uploads);
             });
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Split data upload jobs by the local user who created the records,
+         * so that each user's records are uploaded with their own server
+         * credentials; replaces the original jobs in the job queue
+         *
+         * - sets job.user to the username, or null for records without
+         *   author or by users who no longer have an account, and job.users
+         *   to all current usernames (see LoadMap.load)
+         * - jobs remain unchanged in single-user mode (no user accounts)
+         *
+         * @param {Array} jobs - the data upload jobs
+         *
+         * @returns {promise} - a promise that resolves into the data upload
+         *                      jobs after splitting
+         */
+        SyncRun.prototype.splitByAuthor = function(jobs) {
+
+            var self = this;
+
+            return emUsers.usernames().then(function(usernames) {
+
+                if (!usernames.length) {
+                    return jobs;
+                }
+
+                return $q.all(jobs.map(function(job) {
+
+                    return emDB.table(job.tableName).then(function(table) {
+
+                        var deferred = $q.defer(),
+                            createdBy = table.$('created_by');
+
+                        table.select([createdBy], {groupby: createdBy}, function(rows) {
+
+                            var authors = [],
+                                other = false;
+                            rows.forEach(function(row) {
+                                var author = row.$(createdBy);
+                                if (author && usernames.indexOf(author) != -1) {
+                                    authors.push(author);
+                                } else {
+                                    other = true;
+                                }
+                            });
+                            if (other || !authors.length) {
+                                authors.push(null);
+                            }
+
+                            deferred.resolve(authors.map(function(author) {
+                                var authorJob = new SyncJob(
+                                    self,
+                                    job.type,
+                                    job.mode,
+                                    job.resourceName,
+                                    job.tableName,
+                                    job.ref
+                                );
+                                authorJob.user = author;
+                                authorJob.users = usernames;
+                                return authorJob;
+                            }));
+                        }, function(error) {
+                            deferred.reject(error);
+                        });
+
+                        return deferred.promise;
+                    });
+
+                })).then(function(results) {
+
+                    var split = [].concat.apply([], results);
+
+                    self.jobs = self.jobs.filter(function(job) {
+                        return jobs.indexOf(job) == -1;
+                    }).concat(split);
+
+                    return split;
+                });
+            });
+        };
+
         // ====================================================================
         // Sub-processes
         // ====================================================================
@@ -735,6 +900,33 @@ EdenMobile.factory('SyncRun', [
             return deferred.promise;
         };
 
+        // --------------------------------------------------------------------
+        /**
+         * Sub-process to install schemas from a data package; installs
+         * them one after another, in the order given by the package
+         * (=look-up tables first)
+         *
+         * @param {Array} schemas - array of schemas, [{tableName, schema}]
+         *
+         * @returns {promise} - a promise that is resolved when all schemas
+         *                      have been installed
+         */
+        SyncRun.prototype.installSchemas = function(schemas) {
+
+            if (!schemas.length) {
+                // No schemas to install => resolve early
+                return $q.resolve();
+            }
+
+            this.currentStage('Schema Import', 'installing');
+
+            return schemas.reduce(function(previous, item) {
+                return previous.then(function() {
+                    return emResources.install(item.tableName, item.schema);
+                });
+            }, $q.resolve());
+        };
+
         // --------------------------------------------------------------------
         /**
          * Sub-process to resolve default values in schemas
@@ -1035,11 +1227,13 @@ EdenMobile.factory('SyncRun', [
          * @param {SyncJob} job - the sync job
          * @param {string} tableName - the target table name
          * @param {object} data - the S3JSON data
+         * @param {object} attachments - files attached to the data (data
+         *                               packages), {fileName: Uint8Array}
          *
          * @returns {promise} - a promise that resolves into an array of
-         *                      DataImport/FileDownload tasks
+         *                      DataImport/FileDownload/FileExtract tasks
          */
-        SyncRun.prototype.createDataImports = function(job, tableName, data) {
+        SyncRun.prototype.createDataImports = function(job, tableName, data, attachments) {
 
             return emDB.tables().then(function(tables) {
 
@@ -1064,7 +1258,13 @@ EdenMobile.factory('SyncRun', [
                         files = record.files;
                         for (fieldName in files) {
                             downloadURL = files[fieldName];
-                            dataImports.push(new FileDownload(job, downloadURL));
+                            if (attachments && attachments.hasOwnProperty(downloadURL)) {
+                                dataImports.push(new FileExtract(job,
+                                                                 downloadURL,
+                                                                 attachments[downloadURL]));
+                            } else {
+                                dataImports.push(new FileDownload(job, downloadURL));
+                            }
                         }
 
                         // Generate a DataImport task
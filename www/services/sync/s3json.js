@@ -150,7 +150,7 @@ EdenMobile.factory('emS3JSON', [
             this.data = {};         // {fieldName: value}
             this.references = {};   // {fieldName: [tableName, uuid]}
             this.components = [];   // [[tableName, item, joinby, pkey]]
-            this.files = {};        // {fieldName: downloadURL}
+            this.files = {};        // {fieldName: downloadURL|fileName}
 
             this.tableName = table.name;
             this.uuid = null;
@@ -231,9 +231,10 @@ EdenMobile.factory('emS3JSON', [
 
             var fieldType = field.type;
 
-            // Handle upload fields
+            // Handle upload fields (data packages reference attached
+            // files only by their file name, see emPackage)
             if (fieldType == 'upload') {
-                var downloadURL = value['@url'];
+                var downloadURL = value['@url'] || value['@filename'];
                 if (downloadURL) {
                     this.files[fieldName] = downloadURL;
                 }
@@ -299,6 +300,10 @@ EdenMobile.factory('emS3JSON', [
                     // => must convert to UTC explicitly
                     this.data[fieldName] = parseUTCDateTime(value);
                     break;
+                case 'time':
+                    // S3JSON format: hh:mm:ss (local time), or hh:mm:ssZ (UTC)
+                    this.data[fieldName] = field.parse(value);
+                    break;
                 case 'string':
                 case 'text':
                     this.data[fieldName] = value + '';
@@ -695,6 +700,7 @@ EdenMobile.factory('emS3JSON', [
                         data[fieldName] = {'@value': value + ''};
                         break;
                     case 'date':
+                    case 'time':
                     case 'datetime':
                         data[fieldName] = field.format(value);
                         break;
@@ -0,0 +1,224 @@
+/**
+ * Sahana Eden Mobile - Automatic Synchronization Scheduler
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// ============================================================================
+/**
+ * emSyncScheduler - Service to run synchronization automatically in the
+ *                   background (upload all data, fetch new forms)
+ *
+ * - triggered when the device comes online, when the app resumes, and
+ *   periodically, if enabled in settings (sync.autoSync)
+ *
+ * @class emSyncScheduler
+ * @memberof EdenMobile.Services
+ */
+EdenMobile.factory('emSyncScheduler', [
+    '$interval', '$q', '$rootScope', 'emAuth', 'emConfig', 'emSync',
+    function ($interval, $q, $rootScope, emAuth, emConfig, emSync) {
+
+        "use strict";
+
+        // How often to check whether a periodic sync is due (milliseconds)
+        var checkInterval = 60000;
+
+        var lastRun = null,
+            timer = null;
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the current scheduler settings
+         *
+         * @returns {promise} - a promise that resolves into an object
+         *                      {autoSync, wifiOnly, interval, minInterval},
+         *                      with intervals in milliseconds
+         */
+        var getSettings = function() {
+
+            var deferred = $q.defer();
+
+            emConfig.apply(function(settings) {
+
+                var minutes = function(key) {
+                    var value = parseInt(settings.get(key), 10);
+                    if (isNaN(value) || value < 0) {
+                        value = 0;
+                    }
+                    return value * 60000;
+                };
+
+                deferred.resolve({
+                    autoSync: !!settings.get('sync.autoSync'),
+                    wifiOnly: !!settings.get('sync.wifiOnly'),
+                    interval: minutes('sync.interval'),
+                    minInterval: minutes('sync.minInterval')
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Check the network connection
+         *
+         * @param {boolean} wifiOnly - require a Wi-Fi (or Ethernet) connection
+         *
+         * @returns {boolean} - whether the connection is suitable
+         */
+        var isConnected = function(wifiOnly) {
+
+            var connection = navigator.connection;
+            if (!connection || typeof Connection == 'undefined') {
+                // Network information not available => assume connected
+                return true;
+            }
+
+            var connectionType = connection.type;
+            if (connectionType == Connection.NONE) {
+                return false;
+            } else if (wifiOnly) {
+                return connectionType == Connection.WIFI ||
+                       connectionType == Connection.ETHERNET;
+            } else {
+                return true;
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Get the current session (without prompting the user)
+         *
+         * @returns {promise} - a promise that resolves into the session,
+         *                      or null if the app doesn't use sessions
+         */
+        var getSession = function() {
+
+            if (emAuth.useMasterKey()) {
+                return emAuth.getSession(true);
+            } else {
+                return $q.resolve(null);
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Run an automatic synchronization if due
+         *
+         * @param {string} reason - the trigger: online|resume|interval
+         *
+         * @returns {promise} - a promise that is resolved when the
+         *                      synchronization is complete (or skipped)
+         */
+        var trigger = function(reason) {
+
+            return getSettings().then(function(settings) {
+
+                if (!settings.autoSync || $rootScope.syncInProgress) {
+                    return;
+                }
+
+                // Check the time since the last run
+                var now = new Date().getTime(),
+                    interval = settings.minInterval;
+                if (reason == 'interval') {
+                    interval = Math.max(interval, settings.interval);
+                }
+                if (lastRun && now - lastRun < interval) {
+                    return;
+                }
+
+                if (!isConnected(settings.wifiOnly)) {
+                    return;
+                }
+
+                return getSession().then(function(session) {
+
+                    lastRun = now;
+
+                    var masterKeyUUID = session ? session.masterkey_uuid : undefined;
+
+                    return emSync.uploadAllData().catch(angular.noop).then(function() {
+                        return emSync.fetchNewForms(true, masterKeyUUID).catch(angular.noop);
+                    }).then(function() {
+                        $rootScope.$broadcast('emAutoSyncComplete', reason);
+                    });
+
+                }, angular.noop);
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Handle the app resuming from background (Cordova event)
+         */
+        var onResume = function() {
+
+            $rootScope.$applyAsync(function() {
+                trigger('resume');
+            });
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Start the scheduler
+         */
+        var start = function() {
+
+            if (timer) {
+                return;
+            }
+
+            $rootScope.$on('emDeviceOnline', function() {
+                trigger('online');
+            });
+            document.addEventListener('resume', onResume, false);
+
+            timer = $interval(function() {
+                trigger('interval');
+            }, checkInterval);
+        };
+
+        // --------------------------------------------------------------------
+        // Service API
+        //
+        return {
+            start: start,
+            trigger: trigger
+        };
+    }
+]);
+
+// ============================================================================
+/**
+ * Start the scheduler when the app starts
+ */
+EdenMobile.run(['emSyncScheduler', function(emSyncScheduler) {
+
+    "use strict";
+
+    emSyncScheduler.start();
+}]);
+
+// END ========================================================================
@@ -24,8 +24,8 @@
  */
 
 EdenMobile.factory('emSync', [
-    '$q', '$rootScope', '$timeout', 'emDB', 'emResources', 'emS3JSON', 'emServer', 'emSyncLog', 'SyncRun',
-    function ($q, $rootScope, $timeout, emDB, emResources, emS3JSON, emServer, emSyncLog, SyncRun) {
+    '$q', '$rootScope', '$timeout', 'emDB', 'emPackage', 'emResources', 'emS3JSON', 'emServer', 'emSyncLog', 'SyncRun',
+    function ($q, $rootScope, $timeout, emDB, emPackage, emResources, emS3JSON, emServer, emSyncLog, SyncRun) {
 
         "use strict";
 
@@ -392,26 +392,85 @@ EdenMobile.factory('emSync', [
                     function( /* error */ ) {
                         // Failure
                     },
-                    function(progress) {
-                        if (progress) {
-                            // Progress Notification
-                            $rootScope.syncStage = progress.stage;
-                            $rootScope.syncActivity = progress.activity;
-                            $rootScope.syncProgress = [
-                                progress.completed,
-                                progress.total
-                            ];
-                        }
-                    });
+                    showProgress);
 
-            }).finally(function() {
+            }).finally(syncDone);
+        };
 
-                $rootScope.syncStage = null;
-                $rootScope.syncActivity = null;
-                $rootScope.syncProgress = null;
+        // --------------------------------------------------------------------
+        /**
+         * Export a data package (for transfer to another device)
+         *
+         * @param {Array} resourceNames - the names of the resources to export
+         *
+         * @returns {promise} - a promise that resolves into the URI of the
+         *                      package file
+         */
+        var exportPackage = function(resourceNames) {
 
-                $rootScope.syncInProgress = false;
-            });
+            if ($rootScope.syncInProgress) {
+                return $q.reject('Sync already in progress');
+            }
+            $rootScope.syncInProgress = true;
+
+            emSyncLog.obsolete();
+
+            $rootScope.syncStage = 'Data Export';
+
+            return emPackage.exportPackage(resourceNames).finally(syncDone);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Import a data package (from another device)
+         *
+         * @param {string} fileURI - the URI of the package file
+         *
+         * @returns {promise} - a promise that is resolved when the import
+         *                      has completed
+         */
+        var importPackage = function(fileURI) {
+
+            if ($rootScope.syncInProgress) {
+                return $q.reject('Sync already in progress');
+            }
+            $rootScope.syncInProgress = true;
+
+            emSyncLog.obsolete();
+
+            return emPackage.importPackage(fileURI).then(null, null, showProgress)
+                                                   .finally(syncDone);
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Show the progress of a SyncRun
+         *
+         * @param {object} progress - the progress notification
+         */
+        var showProgress = function(progress) {
+
+            if (progress) {
+                $rootScope.syncStage = progress.stage;
+                $rootScope.syncActivity = progress.activity;
+                $rootScope.syncProgress = [
+                    progress.completed,
+                    progress.total
+                ];
+            }
+        };
+
+        // --------------------------------------------------------------------
+        /**
+         * Reset the sync status after completion of a SyncRun
+         */
+        var syncDone = function() {
+
+            $rootScope.syncStage = null;
+            $rootScope.syncActivity = null;
+            $rootScope.syncProgress = null;
+
+            $rootScope.syncInProgress = false;
         };
 
         // ====================================================================
@@ -424,7 +483,10 @@ EdenMobile.factory('emSync', [
 
             synchronize: synchronize,
             fetchNewForms: fetchNewForms,
-            uploadAllData: uploadAllData
+            uploadAllData: uploadAllData,
+
+            exportPackage: exportPackage,
+            importPackage: importPackage
 
         };
         return api;
@@ -0,0 +1,457 @@
+/**
+ * Sahana Eden Mobile - Local User Accounts
+ *
+ * Copyright (c) 2016-2019 Sahana Software Foundation
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function(EdenMobile) {
+
+    "use strict";
+
+    // ========================================================================
+    // Constants
+    //
+    var userTable = 'em_user';
+
+    // ========================================================================
+    /**
+     * emUsers - Service to manage local user accounts on shared devices
+     *
+     * - users log in with username and PIN (the PIN is stored as a salted
+     *   hash), the current user is only held in memory
+     * - each user can have their own server credentials, to upload the
+     *   records they have created (see emServer401Recoverer)
+     * - if no user accounts are configured, the app runs in single-user
+     *   mode (current user = null)
+     *
+     * @class emUsers
+     * @memberof EdenMobile.Services
+     */
+    EdenMobile.factory('emUsers', [
+        '$injector', '$q', '$rootScope', 'emDB',
+        function($injector, $q, $rootScope, emDB) {
+
+            var hexlify = CryptoJS.enc.Hex.stringify;
+
+            var currentUser = null;
+
+            // ----------------------------------------------------------------
+            /**
+             * Hash a PIN
+             *
+             * @param {string} pin - the PIN
+             * @param {string} salt - the salt (hex)
+             *
+             * @returns {string} - the hash (hex)
+             */
+            var hashPIN = function(pin, salt) {
+
+                var hash = CryptoJS.PBKDF2('' + pin, salt, {
+                    keySize: 16,
+                    iterations: 1000,
+                    hasher: CryptoJS.algo.SHA512
+                });
+                return hexlify(hash);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Look up a user account
+             *
+             * @param {string} username - the username
+             * @param {Array} fields - the fields to extract
+             *
+             * @returns {promise} - a promise that resolves into the account
+             *                      record, or null if not found
+             */
+            var getUser = function(username, fields) {
+
+                var deferred = $q.defer();
+
+                emDB.table(userTable).then(function(table) {
+                    table.where(table.$('username').equals(username))
+                         .select(fields, {limitby: 1}, function(records) {
+                        if (records.length) {
+                            deferred.resolve(records[0]._());
+                        } else {
+                            deferred.resolve(null);
+                        }
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get all user accounts
+             *
+             * @returns {promise} - a promise that resolves into an array of
+             *                      user accounts {id, username, hasCredentials}
+             */
+            var getUsers = function() {
+
+                var deferred = $q.defer();
+
+                emDB.table(userTable).then(function(table) {
+                    table.select(['id', 'username', 'server_username'], {
+                        orderby: table.$('username')
+                    }, function(records) {
+                        deferred.resolve(records.map(function(record) {
+                            var user = record._();
+                            return {
+                                id: user.id,
+                                username: user.username,
+                                hasCredentials: !!user.server_username
+                            };
+                        }));
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Set the current user, and inform all controllers
+             *
+             * @param {string} username - the username, or null
+             */
+            var setCurrentUser = function(username) {
+
+                currentUser = username || null;
+                $rootScope.$broadcast('emUserChanged', currentUser);
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Add a user account
+             *
+             * @param {string} username - the username
+             * @param {string} pin - the PIN
+             * @param {object} credentials - the server credentials of the
+             *                               user {username, password} (optional)
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      account has been created
+             */
+            var addUser = function(username, pin, credentials) {
+
+                if (!username || !pin) {
+                    return $q.reject('Username and PIN required');
+                }
+
+                return getUser(username, ['id']).then(function(user) {
+
+                    if (user) {
+                        return $q.reject('User already exists');
+                    }
+
+                    var salt = hexlify(CryptoJS.lib.WordArray.random(16)),
+                        data = {
+                            username: username,
+                            salt: salt,
+                            pin_hash: hashPIN(pin, salt)
+                        },
+                        deferred = $q.defer();
+
+                    if (credentials && credentials.username) {
+                        data.server_username = credentials.username;
+                        data.server_password = credentials.password || null;
+                    }
+
+                    emDB.table(userTable).then(function(table) {
+                        table.insert(data, function() {
+                            deferred.resolve();
+                        }, function(error) {
+                            deferred.reject(error);
+                        });
+                    }, function(error) {
+                        deferred.reject(error);
+                    });
+
+                    return deferred.promise;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Remove a user account (the records of the user are kept);
+             * logs out the user if currently logged in
+             *
+             * @param {string} username - the username
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      account has been removed
+             */
+            var removeUser = function(username) {
+
+                var deferred = $q.defer();
+
+                emDB.table(userTable).then(function(table) {
+                    table.where(table.$('username').equals(username)).delete(
+                        function() {
+                            if (username == currentUser) {
+                                setCurrentUser(null);
+                            }
+                            deferred.resolve();
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Set the server credentials of a user
+             *
+             * @param {string} username - the username
+             * @param {object} credentials - the server credentials
+             *                               {username, password}, or null
+             *                               to remove them
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      credentials have been stored
+             */
+            var setCredentials = function(username, credentials) {
+
+                var deferred = $q.defer(),
+                    data = {
+                        server_username: credentials && credentials.username || null,
+                        server_password: credentials && credentials.password || null
+                    };
+
+                emDB.table(userTable).then(function(table) {
+                    table.where(table.$('username').equals(username)).update(data,
+                        function() {
+                            deferred.resolve();
+                        },
+                        function(error) {
+                            deferred.reject(error);
+                        });
+                }, function(error) {
+                    deferred.reject(error);
+                });
+
+                return deferred.promise;
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Get the server credentials of a user
+             *
+             * @param {string} username - the username
+             *
+             * @returns {promise} - a promise that resolves into the
+             *                      credentials {username, password}, or
+             *                      null if the user has no credentials
+             */
+            var getCredentials = function(username) {
+
+                if (!username) {
+                    return $q.resolve(null);
+                }
+
+                return getUser(username, ['server_username', 'server_password']).then(function(user) {
+                    if (!user || !user.server_username) {
+                        return null;
+                    }
+                    return {
+                        username: user.server_username,
+                        password: user.server_password
+                    };
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Log in a user
+             *
+             * @param {string} username - the username
+             * @param {string} pin - the PIN
+             *
+             * @returns {promise} - a promise that is resolved when the user
+             *                      is logged in, or rejected if username
+             *                      or PIN are invalid
+             */
+            var login = function(username, pin) {
+
+                return getUser(username, ['salt', 'pin_hash']).then(function(user) {
+
+                    if (!user || hashPIN(pin || '', user.salt) != user.pin_hash) {
+                        return $q.reject('Invalid username or PIN');
+                    }
+                    setCurrentUser(username);
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Show the login screen
+             *
+             * @returns {promise} - a promise that is resolved when a user
+             *                      has logged in, or immediately if there
+             *                      are no user accounts
+             */
+            var loginScreen = function() {
+
+                return getUsers().then(function(users) {
+
+                    if (!users.length) {
+                        return;
+                    }
+
+                    var deferred = $q.defer(),
+                        scope = $rootScope.$new();
+
+                    scope.users = users;
+                    scope.formData = {
+                        username: currentUser || users[0].username
+                    };
+                    scope.submitInProgress = false;
+
+                    scope.submit = function(form) {
+
+                        if (scope.submitInProgress || form.$invalid) {
+                            return;
+                        }
+                        scope.submitInProgress = true;
+
+                        var formData = scope.formData;
+                        login(formData.username, formData.pin).then(
+                            function() {
+                                scope.submitInProgress = false;
+                                scope.modal.remove();
+                                scope.$destroy();
+                                deferred.resolve();
+                            },
+                            function(error) {
+                                scope.submitInProgress = false;
+                                formData.pin = '';
+                                $injector.get('emDialogs').error('Login failed', error);
+                            });
+                    };
+
+                    var $ionicModal = $injector.get('$ionicModal');
+                    $ionicModal.fromTemplateUrl('views/auth/login.html', {
+                        scope: scope,
+                        animation: 'none',
+                        backdropClickToClose: false,
+                        hardwareBackButtonClose: false
+                    }).then(function(modal) {
+                        scope.modal = modal;
+                        modal.show();
+                    });
+
+                    return deferred.promise;
+                });
+            };
+
+            // ----------------------------------------------------------------
+            /**
+             * Log out the current user, and show the login screen for the
+             * next user
+             *
+             * @returns {promise} - a promise that is resolved when the
+             *                      next user has logged in
+             */
+            var logout = function() {
+
+                setCurrentUser(null);
+                return loginScreen();
+            };
+
+            // ----------------------------------------------------------------
+            // Service API
+            //
+            return {
+
+                /**
+                 * Get the currently logged-in user
+                 *
+                 * @returns {string} - the username, or null in single-user
+                 *                     mode
+                 */
+                current: function() {
+                    return currentUser;
+                },
+
+                /**
+                 * Get the usernames of all user accounts
+                 *
+                 * @returns {promise} - a promise that resolves into an
+                 *                      array of usernames
+                 */
+                usernames: function() {
+                    return getUsers().then(function(users) {
+                        return users.map(function(user) {
+                            return user.username;
+                        });
+                    });
+                },
+
+                users: getUsers,
+                addUser: addUser,
+                removeUser: removeUser,
+                setCredentials: setCredentials,
+                credentials: getCredentials,
+                login: login,
+                loginScreen: loginScreen,
+                logout: logout
+            };
+        }
+    ]);
+
+    // ========================================================================
+    /**
+     * Show the login screen once the device is unlocked, and reload the
+     * current view when a user has logged in
+     */
+    EdenMobile.run(['$state', 'emCrypto', 'emDialogs', 'emUsers', function($state, emCrypto, emDialogs, emUsers) {
+
+        emCrypto.unlocked.then(function() {
+            return emUsers.loginScreen();
+        }).then(function() {
+            if (emUsers.current() && $state.current && $state.current.name) {
+                $state.reload();
+            }
+        }, function(error) {
+            emDialogs.error('Could not read user accounts', error);
+        });
+    }]);
+
+})(EdenMobile);
+
+// END ========================================================================